@@ -3,110 +3,114 @@
 import http from "http";
 import fs from "fs";
 import path from "path";
+import { loadState, storeExists, isSuppressed, addNote, setManualStatus, listRuns, getRun } from "./lib/store.mjs";
+import { REPLY_LABELS } from "./lib/triage.mjs";
+import { loadConfig, applyEnvOverrides } from "./lib/config.mjs";
+import { getFollowUpSteps } from "./lib/followups.mjs";
+import { variantStats } from "./lib/experiments.mjs";
+import { getSendLimits, getQuota } from "./lib/quota.mjs";
+import { listCampaigns, campaignOf, campaignStats, followUpStepsByCampaign } from "./lib/campaigns.mjs";
+import { computeAnalytics, SOURCES } from "./lib/analytics.mjs";
+import { loadDiscoveredCreators } from "./lib/discovery.mjs";
+import { watchStore } from "./lib/live.mjs";
+import { creatorDetail, MANUAL_STATUSES, MAX_NOTE_LENGTH } from "./lib/crm.mjs";
+import { dashboardSettings, createAuth, isLoopback, safeRedirect, CSRF_HEADER } from "./lib/auth.mjs";
+import { createRunManager, RunError, RUN_MODES } from "./lib/runs.mjs";
+import {
+  HISTORY_MODES, STATUS_ICONS, OUTCOME_LABELS, FAILURE_REASONS, describeCounts, describeFailures, formatDuration,
+} from "./lib/history.mjs";
 
-const PORT = 3000;
-const stateFile = "./outreach-state.json";
+// Browser scripts served as /<name>.js
+const PUBLIC_DIR = path.join(path.dirname(new URL(import.meta.url).pathname), "public");
+const PUBLIC_SCRIPTS = new Set(fs.readdirSync(PUBLIC_DIR).filter((f) => f.endsWith(".js")));
+// SSE comment sent this often so proxies don't close idle connections
+const HEARTBEAT_MS = 25_000;
 
-function getStats() {
-  if (!fs.existsSync(stateFile)) {
+let SETTINGS;
+try {
+  SETTINGS = dashboardSettings(applyEnvOverrides(loadConfig()).config, process.argv.slice(2));
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+const auth = createAuth(SETTINGS);
+
+// filter.label narrows the stats to creators whose reply got that triage label,
+// filter.campaign to creators contacted under that campaign
+function getStats(filter = {}) {
+  const config = loadConfig();
+  if (!storeExists()) {
     return {
+      ...computeAnalytics({}, { discovered: loadDiscoveredCreators() }),
       totalSent: 0,
       totalScreenedOut: 0,
       followUpDue: 0,
       totalProcessed: 0,
-      byDate: {},
-      bySentDate: {},
-      recentActivity: [],
-      sourceBreakdown: { api: 0, ig: 0 },
+      totalReplied: 0,
+      followUpSteps: getFollowUpSteps(config?.product).length,
+      variants: {},
+      replyLabels: Object.fromEntries(REPLY_LABELS.map((l) => [l, 0])),
+      campaigns: {},
+      quota: null,
+      lastUpdate: new Date().toLocaleString(),
     };
   }
 
-  const state = JSON.parse(fs.readFileSync(stateFile, "utf-8"));
-
-  const byDate = {};
-  const bySentDate = {};
-  const followUpDue = [];
-  const recentActivity = [];
-  let totalSent = 0;
-  let totalScreenedOut = 0;
-  const sourceBreakdown = { api: 0, ig: 0 };
-
-  for (const [handle, data] of Object.entries(state)) {
-    if (data.sent) {
-      totalSent++;
-      const date = new Date(data.sentAt).toLocaleDateString();
-
-      if (!bySentDate[date]) {
-        bySentDate[date] = { sent: [], source: { api: 0, ig: 0 } };
-      }
-      bySentDate[date].sent.push({ handle, ...data });
-
-      if (data.source === "api") {
-        bySentDate[date].source.api++;
-        sourceBreakdown.api++;
-      } else {
-        bySentDate[date].source.ig++;
-        sourceBreakdown.ig++;
-      }
-
-      recentActivity.push({
-        type: "sent",
-        handle,
-        time: data.sentAt,
-        source: data.source,
-      });
-
-      // Check follow-up
-      const sentDate = new Date(data.sentAt);
-      const now = new Date();
-      const daysDiff = Math.floor((now - sentDate) / (1000 * 60 * 60 * 24));
-
-      if (!data.replied && !data.followedUp && daysDiff >= 3) {
-        followUpDue.push({ handle, sentAt: data.sentAt, daysDiff });
-      }
-    } else if (data.skipped) {
-      totalScreenedOut++;
-      const date = new Date(data.skippedAt || Date.now()).toLocaleDateString();
+  let state = loadState();
 
-      if (!byDate[date]) {
-        byDate[date] = { screenedOut: [] };
-      }
-      byDate[date].screenedOut.push({ handle, reason: data.skipReason });
+  // Label and campaign counts always cover everything so the filter links stay meaningful
+  const campaigns = campaignStats(state);
+  if (filter.campaign && !(filter.campaign in campaigns) && !listCampaigns(config).includes(filter.campaign)) {
+    filter = { ...filter, campaign: null };
+  }
+  const stepsFor = followUpStepsByCampaign(config);
+  const followUpSteps = stepsFor({ campaign: filter.campaign });
+  const replyLabels = Object.fromEntries(REPLY_LABELS.map((l) => [l, 0]));
+  let totalReplied = 0;
+  for (const data of Object.values(state)) {
+    if (data.replied) totalReplied++;
+    if (data.replyLabel in replyLabels) replyLabels[data.replyLabel]++;
+  }
 
-      recentActivity.push({
-        type: "screened",
-        handle,
-        time: data.skippedAt || Date.now(),
-        reason: data.skipReason || "not a match",
-      });
-    }
+  if (filter.label) {
+    state = Object.fromEntries(Object.entries(state).filter(([, data]) => data.replyLabel === filter.label));
+  }
+  if (filter.campaign) {
+    state = Object.fromEntries(Object.entries(state).filter(([, data]) => campaignOf(data) === filter.campaign));
   }
 
-  // Sort recent activity by time (newest first)
-  recentActivity.sort((a, b) => new Date(b.time) - new Date(a.time));
+  // Undiscovered-but-not-contacted creators only make sense unfiltered
+  const discovered = filter.label || filter.campaign ? [] : loadDiscoveredCreators();
+  const analytics = computeAnalytics(state, { discovered, stepsFor, isSuppressed });
 
   return {
-    totalSent,
-    totalScreenedOut,
-    followUpDue: followUpDue.length,
-    totalProcessed: Object.keys(state).length,
-    byDate,
-    bySentDate,
-    recentActivity: recentActivity.slice(0, 20), // Last 20 activities
-    followUpList: followUpDue,
-    sourceBreakdown,
+    ...analytics,
+    totalSent: analytics.funnel.sent,
+    totalScreenedOut: analytics.funnel.screenedOut,
+    followUpDue: analytics.followUps.length,
+    totalProcessed: analytics.funnel.screened,
+    totalReplied,
+    replyLabels,
+    labelFilter: filter.label || null,
+    campaignFilter: filter.campaign || null,
+    campaigns,
+    recentActivity: analytics.recentActivity.slice(0, 20), // Last 20 activities
+    followUpSteps: followUpSteps.length,
+    variants: variantStats(state),
+    quota: getQuota(getSendLimits(config)),
     lastUpdate: new Date().toLocaleString(),
   };
 }
 
-function generateHTML(stats) {
+// access is the request's auth.identify() result: its CSRF token goes in the page for scripts
+function generateHTML(stats, access) {
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="csrf-token" content="${escapeHtml(access.csrf || "")}">
   <title>ReachPilot Live Dashboard</title>
-  <meta http-equiv="refresh" content="5">
   <style>
     * { margin: 0; padding: 0; box-sizing: border-box; }
     body {
@@ -145,11 +149,43 @@ function generateHTML(stats) {
       0%, 100% { opacity: 1; }
       50% { opacity: 0.5; }
     }
+    .live-indicator.offline {
+      background: #bbb;
+      box-shadow: none;
+      animation: none;
+    }
+    .live-toasts {
+      position: fixed;
+      right: 20px;
+      bottom: 20px;
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      z-index: 10;
+    }
+    .live-toast {
+      background: white;
+      border-left: 4px solid #667eea;
+      border-radius: 8px;
+      padding: 10px 14px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+      font-size: 0.9em;
+      transition: opacity 0.5s;
+    }
     .last-update {
       color: rgba(255,255,255,0.9);
       font-size: 0.9em;
       text-align: right;
     }
+    .logout button {
+      margin-top: 6px;
+      background: none;
+      border: 1px solid rgba(255,255,255,0.6);
+      border-radius: 6px;
+      color: white;
+      padding: 3px 10px;
+      cursor: pointer;
+    }
 
     .stats-grid {
       display: grid;
@@ -248,6 +284,7 @@ function generateHTML(stats) {
     .activity-handle {
       font-weight: 600;
       color: #333;
+      text-decoration: none;
     }
     .activity-time {
       font-size: 0.75em;
@@ -269,6 +306,9 @@ function generateHTML(stats) {
     }
     .badge.api { background: #e3f2fd; color: #1565c0; }
     .badge.ig { background: #fce4ec; color: #c2185b; }
+    .badge.ig-search { background: #f3e5f5; color: #7b1fa2; }
+    .badge.label { background: #f0f0f0; color: #555; text-decoration: none; margin: 2px 0; }
+    .badge.label.active { background: #667eea; color: white; }
 
     .followup-item {
       background: #fff3cd;
@@ -283,6 +323,7 @@ function generateHTML(stats) {
     .followup-handle {
       font-weight: 600;
       color: #333;
+      text-decoration: none;
     }
     .followup-days {
       color: #e65100;
@@ -290,6 +331,49 @@ function generateHTML(stats) {
       font-weight: 600;
     }
 
+    .variant-table { width: 100%; border-collapse: collapse; font-size: 0.9em; }
+    .variant-table th { text-align: left; color: #666; font-weight: 600; padding: 8px; border-bottom: 2px solid #f0f0f0; }
+    .variant-table td { padding: 8px; border-bottom: 1px solid #f5f5f5; }
+
+    .run-control { margin-bottom: 20px; }
+    .history-link { float: right; font-size: 0.7em; color: #667eea; text-decoration: none; }
+    .run-form { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
+    .run-form select, .run-form button { padding: 6px 10px; border: 1px solid #ddd; border-radius: 6px; background: white; font: inherit; font-size: 0.9em; }
+    .run-form button { cursor: pointer; }
+    .run-form button:disabled { opacity: 0.4; cursor: default; }
+    .run-status { font-size: 0.9em; color: #666; margin-left: 8px; }
+    .run-log {
+      margin-top: 12px;
+      max-height: 260px;
+      overflow-y: auto;
+      background: #1e1e2e;
+      color: #e0e0e0;
+      border-radius: 8px;
+      padding: 10px;
+      font-size: 0.8em;
+      white-space: pre-wrap;
+    }
+    .run-log:empty { display: none; }
+    .run-log .stderr { color: #ff8a80; }
+    .form-error { color: #c62828; font-size: 0.85em; margin-top: 6px; }
+
+    .charts-grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(420px, 1fr));
+      gap: 20px;
+      margin-bottom: 20px;
+    }
+    .chart { width: 100%; height: auto; display: block; }
+    .chart-axis { font-size: 10px; fill: #999; }
+    .chart-baseline { stroke: #e0e0e0; }
+    .chart-caption { font-size: 0.8em; color: #999; margin-top: 8px; }
+    .bar-row { display: grid; grid-template-columns: 140px 1fr 110px; gap: 10px; align-items: center; margin-bottom: 8px; font-size: 0.9em; }
+    .bar-label { color: #555; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .bar-track { background: #f0f0f0; border-radius: 4px; height: 14px; overflow: hidden; }
+    .bar-fill { height: 100%; border-radius: 4px; }
+    .bar-value { font-weight: 600; color: #333; }
+    .bar-note { font-weight: normal; color: #999; font-size: 0.85em; }
+
     .empty-state {
       text-align: center;
       padding: 40px;
@@ -336,47 +420,153 @@ function generateHTML(stats) {
         ReachPilot Live Dashboard
       </h1>
       <div class="last-update">
-        🔄 Auto-refresh: 5s<br>
-        Last update: ${stats.lastUpdate}
+        <span id="live-status">🔄 Live updates</span><br>
+        Last update: <span data-live="last-update">${stats.lastUpdate}</span>
+        ${access.via === "session" ? `
+          <form method="post" action="/logout" class="logout">
+            <input type="hidden" name="csrf" value="${escapeHtml(access.csrf)}">
+            <button type="submit">Sign out</button>
+          </form>
+        ` : ""}
       </div>
     </div>
 
+    <div class="section run-control" id="run-control">
+      <div class="section-title">🕹️ Run Control <a class="history-link" href="/runs">Past runs →</a></div>
+      <div class="run-form">
+        <select name="mode">${RUN_MODES.map((mode) => `<option value="${mode}">${mode}</option>`).join("")}</select>
+        <select name="campaign">${listCampaigns(loadConfig()).map((name) => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join("")}</select>
+        <label><input type="checkbox" name="dryRun"> Dry run</label>
+        <button type="button" data-action="start">▶ Start</button>
+        <button type="button" data-action="pause">⏸ Pause</button>
+        <button type="button" data-action="resume">⏯ Resume</button>
+        <button type="button" data-action="stop">⏹ Stop</button>
+        <span class="run-status" data-run="status">No run yet</span>
+      </div>
+      <div class="form-error" role="alert"></div>
+      <pre class="run-log" data-run="log"></pre>
+    </div>
+
+    <div data-live="summary">
     <div class="stats-grid">
       <div class="stat-card">
         <div class="stat-number">${stats.totalSent}</div>
         <div class="stat-label">📤 DMs Sent</div>
         <div class="stat-breakdown">
-          <span class="badge api">${stats.sourceBreakdown.api} API</span>
-          <span class="badge ig">${stats.sourceBreakdown.ig} IG Search</span>
+          ${Object.entries(stats.bySource).map(([source, s]) =>
+            `<span class="badge ${escapeHtml(source)}">${s.sent} ${escapeHtml(SOURCES[source] || source)}</span>`
+          ).join(" ")}
         </div>
       </div>
 
       <div class="stat-card">
         <div class="stat-number">${stats.totalScreenedOut}</div>
         <div class="stat-label">🚫 Screened Out</div>
-        <div class="stat-breakdown">Not target audience</div>
+        <div class="stat-breakdown">Not target audience${stats.funnel.unreachable > 0 ? ` · ${stats.funnel.unreachable} more couldn't be messaged` : ""}</div>
       </div>
 
       <div class="stat-card">
         <div class="stat-number">${stats.followUpDue}</div>
         <div class="stat-label">⏰ Follow-ups Due</div>
-        <div class="stat-breakdown">3+ days, no reply</div>
+        <div class="stat-breakdown">${stats.followUpSteps} step sequence, no reply</div>
+      </div>
+
+      <div class="stat-card">
+        <div class="stat-number">${stats.totalReplied}</div>
+        <div class="stat-label">💬 Replies</div>
+        <div class="stat-breakdown">
+          ${Object.entries(stats.replyLabels).map(([label, n]) =>
+            `<a class="badge label ${stats.labelFilter === label ? "active" : ""}" href="${filterHref(stats, { label: stats.labelFilter === label ? null : label })}">${n} ${label}</a>`
+          ).join(" ")}
+        </div>
       </div>
 
+      ${stats.quota ? `
+        <div class="stat-card">
+          <div class="stat-number">${quotaFraction(stats.quota.newConversations)}</div>
+          <div class="stat-label">🚦 New DMs Today</div>
+          <div class="stat-breakdown">
+            ${stats.quota.newConversations.hour}${stats.quota.newConversations.perHour === null ? "" : `/${stats.quota.newConversations.perHour}`} this hour<br>
+            Follow-ups: ${quotaFraction(stats.quota.followUps)} today, ${stats.quota.followUps.hour}${stats.quota.followUps.perHour === null ? "" : `/${stats.quota.followUps.perHour}`} this hour
+            ${Object.values(stats.quota).some((q) => q.blocked) ? '<br><strong style="color: #e65100;">Cap reached</strong>' : ""}
+          </div>
+        </div>
+      ` : ''}
+
       <div class="stat-card">
         <div class="stat-number">${stats.totalProcessed}</div>
         <div class="stat-label">👥 Total Processed</div>
-        <div class="stat-breakdown">All creators checked</div>
+        <div class="stat-breakdown">Checked, of ${stats.funnel.discovered} discovered</div>
       </div>
 
       <div class="stat-card">
-        <div class="stat-number">${stats.totalScreenedOut > 0 ? Math.round((stats.totalSent / (stats.totalSent + stats.totalScreenedOut)) * 100) : 0}%</div>
+        <div class="stat-number">${stats.rates.screenPass}%</div>
         <div class="stat-label">✅ Match Rate</div>
         <div class="stat-breakdown">Pass screening rate</div>
       </div>
     </div>
 
-    <div class="main-content">
+    ${Object.keys(stats.variants).length > 0 ? `
+      <div class="section" style="margin-bottom: 20px;">
+        <div class="section-title">🧪 A/B Variants</div>
+        <table class="variant-table">
+          <tr><th>Message</th><th>Variant</th><th>Sent</th><th>Replied</th><th>Reply Rate</th><th>Converted</th><th>Conversion</th></tr>
+          ${Object.entries(stats.variants).map(([slot, variants]) =>
+            Object.entries(variants).map(([name, v]) => `
+              <tr>
+                <td>${escapeHtml(slot)}</td><td><strong>${escapeHtml(name)}</strong></td><td>${v.sent}</td>
+                <td>${v.replied}</td><td>${v.replyRate}%</td>
+                <td>${v.converted}</td><td>${v.conversionRate}%</td>
+              </tr>
+            `).join('')
+          ).join('')}
+        </table>
+      </div>
+    ` : ''}
+
+    ${Object.keys(stats.campaigns).length > 1 || stats.campaignFilter ? `
+      <div class="section" style="margin-bottom: 20px;">
+        <div class="section-title">🎯 Campaigns</div>
+        <table class="variant-table">
+          <tr><th>Campaign</th><th>Sent</th><th>Replied</th><th>Reply Rate</th><th>Converted</th><th>Screened Out</th></tr>
+          ${Object.entries(stats.campaigns).map(([name, c]) => `
+            <tr>
+              <td><a class="badge label ${stats.campaignFilter === name ? "active" : ""}" href="${filterHref(stats, { campaign: stats.campaignFilter === name ? null : name })}">${escapeHtml(name)}</a></td>
+              <td>${c.sent}</td><td>${c.replied}</td><td>${c.replyRate}%</td>
+              <td>${c.converted}</td><td>${c.screenedOut}</td>
+            </tr>
+          `).join('')}
+        </table>
+      </div>
+    ` : ''}
+    </div>
+
+    <div class="charts-grid">
+      <div class="section">
+        <div class="section-title">📈 DMs Sent per Day</div>
+        <div data-chart="sent-per-day"></div>
+      </div>
+      <div class="section">
+        <div class="section-title">💬 Reply Rate by Send Date</div>
+        <div data-chart="reply-cohorts"></div>
+        <div class="chart-caption">Share of each day's DMs that have been replied to so far</div>
+      </div>
+      <div class="section">
+        <div class="section-title">🔻 Conversion Funnel</div>
+        <div data-chart="funnel"></div>
+      </div>
+      <div class="section">
+        <div class="section-title">🚫 Screen-out Rate by Query</div>
+        <div data-chart="screen-out-by-query"></div>
+      </div>
+      <div class="section">
+        <div class="section-title">⏰ Follow-up Effectiveness</div>
+        <div data-chart="follow-up-effect"></div>
+        <div class="chart-caption">First DM: everyone sent who replied before a follow-up · After follow-up: followed-up creators who then replied</div>
+      </div>
+    </div>
+
+    <div class="main-content" data-live="activity">
       <div class="section">
         <div class="section-title">📊 Recent Activity</div>
         <div class="activity-feed">
@@ -389,9 +579,10 @@ function generateHTML(stats) {
                   <div class="activity-item">
                     <div class="activity-icon sent">✅</div>
                     <div class="activity-details">
-                      <div class="activity-handle">@${a.handle}</div>
+                      <a class="activity-handle" href="${creatorHref(a.handle)}">@${escapeHtml(a.handle)}</a>
                       <div class="activity-meta">
-                        DM sent via <span class="badge ${a.source}">${a.source.toUpperCase()}</span>
+                        DM sent via <span class="badge ${escapeHtml(a.source)}">${escapeHtml(SOURCES[a.source] || a.source)}</span>
+                        ${a.replyLabel ? `<span class="badge label">${escapeHtml(a.replyLabel)}</span>` : ''}
                       </div>
                       <div class="activity-time">${timeAgo}</div>
                     </div>
@@ -402,8 +593,8 @@ function generateHTML(stats) {
                   <div class="activity-item">
                     <div class="activity-icon screened">❌</div>
                     <div class="activity-details">
-                      <div class="activity-handle">@${a.handle}</div>
-                      <div class="activity-meta">Screened out: ${a.reason}</div>
+                      <a class="activity-handle" href="${creatorHref(a.handle)}">@${escapeHtml(a.handle)}</a>
+                      <div class="activity-meta">Screened out · found via ${escapeHtml(SOURCES[a.source] || a.source)}</div>
                       <div class="activity-time">${timeAgo}</div>
                     </div>
                   </div>
@@ -417,36 +608,36 @@ function generateHTML(stats) {
       <div>
         <div class="section" style="margin-bottom: 20px;">
           <div class="section-title">📅 Daily Breakdown</div>
-          ${Object.keys(stats.bySentDate).length === 0
+          ${Object.keys(stats.byDay).length === 0
             ? '<div class="empty-state">No DMs sent yet</div>'
-            : Object.entries(stats.bySentDate)
-                .sort((a, b) => new Date(b[0]) - new Date(a[0]))
+            : Object.entries(stats.byDay)
                 .slice(0, 7)
                 .map(([date, data]) => `
                   <div class="date-summary">
                     <div class="date-header">📆 ${date}</div>
                     <div class="date-stats">
                       <div class="date-stat sent">✅ ${data.sent.length} sent</div>
-                      <div class="date-stat">🔍 ${data.source.api} API</div>
-                      <div class="date-stat">📱 ${data.source.ig} IG</div>
+                      ${Object.entries(data.bySource).map(([source, n]) => `<div class="date-stat">${n} ${escapeHtml(SOURCES[source] || source)}</div>`).join("")}
+                      ${data.screenedOut.length > 0 ? `<div class="date-stat">❌ ${data.screenedOut.length} screened out</div>` : ""}
+                      ${data.replied > 0 ? `<div class="date-stat">💬 ${data.replied} replied</div>` : ""}
                     </div>
                   </div>
                 `).join('')
           }
         </div>
 
-        ${stats.followUpList && stats.followUpList.length > 0 ? `
+        ${stats.followUps.length > 0 ? `
           <div class="section">
             <div class="section-title">⏰ Follow-ups Needed</div>
-            ${stats.followUpList.slice(0, 10).map(f => `
+            ${stats.followUps.slice(0, 10).map(f => `
               <div class="followup-item">
-                <span class="followup-handle">@${f.handle}</span>
-                <span class="followup-days">${f.daysDiff} days ago</span>
+                <a class="followup-handle" href="${creatorHref(f.handle)}">@${escapeHtml(f.handle)}</a>
+                <span class="followup-days">step ${f.step} · ${f.daysSinceLastTouch} days since last message</span>
               </div>
             `).join('')}
-            ${stats.followUpList.length > 10 ? `
+            ${stats.followUps.length > 10 ? `
               <div style="text-align: center; color: #999; font-size: 0.85em; margin-top: 10px;">
-                +${stats.followUpList.length - 10} more
+                +${stats.followUps.length - 10} more
               </div>
             ` : ''}
           </div>
@@ -455,6 +646,11 @@ function generateHTML(stats) {
     </div>
   </div>
 
+  <div class="live-toasts" id="live-toasts"></div>
+
+  <script src="/dashboard-charts.js"></script>
+  <script src="/dashboard-live.js"></script>
+  <script src="/run-control.js"></script>
   <script>
     function getTimeAgo(timestamp) {
       const now = new Date();
@@ -471,6 +667,22 @@ function generateHTML(stats) {
 </html>`;
 }
 
+// Dashboard URL with one filter changed (null clears it) and the other kept
+function filterHref(stats, change) {
+  const params = new URLSearchParams();
+  const filter = { label: stats.labelFilter, campaign: stats.campaignFilter, ...change };
+  for (const [key, value] of Object.entries(filter)) {
+    if (value) params.set(key, value);
+  }
+  const query = params.toString();
+  return query ? `/?${query}` : "/";
+}
+
+// "7/10", or just "7" when there's no daily cap
+function quotaFraction(q) {
+  return q.perDay === null ? `${q.day}` : `${q.day}/${q.perDay}`;
+}
+
 function getTimeAgo(timestamp) {
   const now = new Date();
   const time = new Date(timestamp);
@@ -482,24 +694,612 @@ function getTimeAgo(timestamp) {
   return Math.floor(diff / 86400) + ' days ago';
 }
 
-const server = http.createServer((req, res) => {
-  if (req.url === '/') {
-    const stats = getStats();
+// ── Creator pages ───────────────────────────────────────────────────────────
+
+const TIMELINE_ICONS = {
+  discovered: "🔍", screening: "🧪", attempt: "⚠️", message: "📤", reply: "💬",
+  "follow-up": "⏰", triage: "🏷️", suppressed: "⛔", note: "📝", status: "📌",
+};
+
+function creatorHref(handle) {
+  return `/creator/${encodeURIComponent(handle)}`;
+}
+
+// Malformed escapes (e.g. "%E0") fall back to the raw segment, which simply won't match a creator
+function decodeHandle(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+// Shared by the creator and run history pages
+const PAGE_STYLES = `
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: #333;
+      padding: 20px;
+      min-height: 100vh;
+    }
+    .container { max-width: 900px; margin: 0 auto; }
+    .back { color: rgba(255,255,255,0.9); text-decoration: none; font-size: 0.9em; }
+    h1 { color: white; font-size: 2.2em; margin: 10px 0 20px; text-shadow: 2px 2px 4px rgba(0,0,0,0.2); }
+    h1 a { color: inherit; text-decoration: none; }
+    .section {
+      background: white;
+      border-radius: 12px;
+      padding: 20px;
+      box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+      margin-bottom: 20px;
+    }
+    .section-title {
+      font-size: 1.3em;
+      margin-bottom: 15px;
+      color: #667eea;
+      border-bottom: 2px solid #f0f0f0;
+      padding-bottom: 10px;
+    }
+    .badge {
+      display: inline-block;
+      padding: 3px 8px;
+      border-radius: 10px;
+      font-size: 0.75em;
+      font-weight: 600;
+      text-transform: uppercase;
+      background: #f0f0f0;
+      color: #555;
+    }
+    .empty-state { text-align: center; padding: 40px; color: #999; font-style: italic; }`;
+
+function generateCreatorHTML(detail, access) {
+  const handle = escapeHtml(detail.handle);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="csrf-token" content="${escapeHtml(access.csrf || "")}">
+  <title>@${handle} · ReachPilot</title>
+  <style>
+    ${PAGE_STYLES}
+    .facts { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin-bottom: 15px; }
+    .badge.status { background: #667eea; color: white; }
+    .badge.suppressed { background: #ffebee; color: #c62828; }
+    .controls { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
+    .controls button, .note-form button {
+      border: 1px solid #667eea;
+      background: white;
+      color: #667eea;
+      border-radius: 6px;
+      padding: 6px 12px;
+      cursor: pointer;
+      font-size: 0.9em;
+    }
+    .controls button.active, .note-form button { background: #667eea; color: white; }
+    .controls button:disabled, .note-form button:disabled { opacity: 0.5; cursor: default; }
+    .note-form { display: flex; flex-direction: column; gap: 8px; margin-top: 15px; }
+    .note-form textarea { width: 100%; min-height: 70px; padding: 8px; border: 1px solid #ddd; border-radius: 6px; font: inherit; }
+    .note-form button { align-self: flex-start; }
+    .form-error { color: #c62828; font-size: 0.85em; }
+    .timeline-item { display: flex; gap: 12px; padding: 12px 0; border-bottom: 1px solid #f5f5f5; }
+    .timeline-item:last-child { border-bottom: none; }
+    .timeline-icon { width: 32px; flex-shrink: 0; text-align: center; font-size: 1.2em; }
+    .timeline-title { font-weight: 600; }
+    .timeline-time { font-size: 0.75em; color: #999; }
+    .timeline-detail { font-size: 0.9em; color: #555; margin-top: 4px; white-space: pre-wrap; word-break: break-word; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <a class="back" href="/">← Dashboard</a>
+    <h1><a href="https://www.instagram.com/${encodeURIComponent(detail.handle)}/" target="_blank" rel="noopener">@${handle}</a>${detail.name ? ` · ${escapeHtml(detail.name)}` : ""}</h1>
+
+    <div class="section" id="creator" data-handle="${handle}">
+      <div class="facts" data-live="facts">
+        <span class="badge status">${escapeHtml(detail.status)}${detail.manualStatus ? " (set by hand)" : ""}</span>
+        ${detail.source ? `<span class="badge">${escapeHtml(SOURCES[detail.source] || detail.source)}</span>` : ""}
+        ${detail.record ? `<span class="badge">campaign: ${escapeHtml(detail.campaign)}</span>` : ""}
+        ${detail.suppressed ? '<span class="badge suppressed">Suppressed</span>' : ""}
+      </div>
+      <div class="controls">
+        <span>Set status:</span>
+        ${MANUAL_STATUSES.map((status) => `
+          <button type="button" data-status="${status}" class="${detail.manualStatus === status ? "active" : ""}">${status}</button>
+        `).join("")}
+        <button type="button" data-status="">clear</button>
+      </div>
+      <form class="note-form">
+        <textarea name="body" maxlength="${MAX_NOTE_LENGTH}" placeholder="Add a note for the team…" required></textarea>
+        <button type="submit">Add note</button>
+        <div class="form-error" role="alert"></div>
+      </form>
+    </div>
+
+    <div class="section">
+      <div class="section-title">🕒 Timeline</div>
+      <div data-live="timeline">
+        ${detail.timeline.length === 0
+          ? '<div class="empty-state">Nothing recorded yet</div>'
+          : detail.timeline.map((entry) => `
+            <div class="timeline-item">
+              <div class="timeline-icon">${TIMELINE_ICONS[entry.type] || "•"}</div>
+              <div>
+                <div class="timeline-title">${escapeHtml(entry.title)}</div>
+                <div class="timeline-time">${entry.at ? new Date(entry.at).toLocaleString() : "Date not recorded"}</div>
+                ${entry.detail ? `<div class="timeline-detail">${escapeHtml(entry.detail)}</div>` : ""}
+              </div>
+            </div>
+          `).join("")}
+      </div>
+    </div>
+  </div>
+
+  <script src="/creator-page.js"></script>
+  <script src="/dashboard-live.js"></script>
+</body>
+</html>`;
+}
+
+// GET /api/creators/<handle>, POST …/status { status } and POST …/notes { body }
+async function handleCreatorApi(req, res, handle, action) {
+  const detail = creatorDetail(handle, { discovered: loadDiscoveredCreators() });
+  if (!detail) throw new RequestError(404, `Unknown creator @${handle}`);
+
+  if (!action) {
+    if (req.method !== "GET") throw new RequestError(405, "Use GET");
+    return sendJson(res, 200, detail);
+  }
+  if (req.method !== "POST") throw new RequestError(405, "Use POST");
+  const body = await readJsonBody(req);
+
+  if (action === "status") {
+    const status = body.status || null;
+    if (status !== null && !MANUAL_STATUSES.includes(status)) {
+      throw new RequestError(400, `status must be one of ${MANUAL_STATUSES.join(", ")} (or null to clear)`);
+    }
+    setManualStatus(detail.handle, status);
+  } else {
+    const note = typeof body.body === "string" ? body.body.trim() : "";
+    if (!note) throw new RequestError(400, "body must be a non-empty string");
+    if (note.length > MAX_NOTE_LENGTH) throw new RequestError(400, `Notes are limited to ${MAX_NOTE_LENGTH} characters`);
+    addNote(detail.handle, note);
+  }
+
+  // The watcher would catch the write within a second; don't serve stale stats until then
+  statsCache.clear();
+  sendJson(res, 200, creatorDetail(detail.handle, { discovered: loadDiscoveredCreators() }));
+}
+
+// ── Run history ─────────────────────────────────────────────────────────────
+
+const MAX_RUNS_SHOWN = 100;
+
+function outcomeText({ outcome, reason }) {
+  return `${OUTCOME_LABELS[outcome] || outcome}${reason ? ` (${FAILURE_REASONS[reason] || reason})` : ""}`;
+}
+
+// New conversations and follow-ups this run sent, and where the day's caps stood when it ended
+function quotaUsedHTML(summary) {
+  if (!summary.quotaUsed) return "—";
+  const today = (kind) => {
+    const q = summary.quota?.[kind];
+    return q ? ` <span class="muted">(${q.day}${q.perDay === null ? "" : `/${q.perDay}`} today)</span>` : "";
+  };
+  return `${summary.quotaUsed.newConversations} new${today("newConversations")}<br>` +
+    `${summary.quotaUsed.followUps} follow-ups${today("followUps")}`;
+}
+
+function runRowHTML(run) {
+  const summary = run.summary || {};
+  const creators = summary.creators || [];
+  return `
+    <tr>
+      <td>${new Date(run.startedAt).toLocaleString()}</td>
+      <td><span class="run-id">${escapeHtml(run.id)}</span><br>${escapeHtml(run.mode)}${run.campaign ? ` · ${escapeHtml(run.campaign)}` : ""}</td>
+      <td><span class="badge ${escapeHtml(run.status)}">${STATUS_ICONS[run.status] || ""} ${escapeHtml(run.status)}</span></td>
+      <td>${formatDuration(run) || "—"}</td>
+      <td>${escapeHtml((summary.queries || []).join(", ")) || "—"}</td>
+      <td>
+        ${escapeHtml(describeCounts(run))}
+        ${summary.counts?.failed > 0 ? `<div class="problem">Failed: ${escapeHtml(describeFailures(summary.failures))}</div>` : ""}
+        ${summary.stoppedEarly ? `<div class="muted">Stopped early: ${escapeHtml(summary.stoppedEarly)}</div>` : ""}
+        ${summary.error ? `<div class="problem">${escapeHtml(summary.error.split("\n")[0])}</div>` : ""}
+        ${creators.length > 0 ? `
+          <details>
+            <summary>${creators.length} creator${creators.length === 1 ? "" : "s"}</summary>
+            <ul class="run-creators">
+              ${creators.map((c) => `<li><a href="${creatorHref(c.handle)}">@${escapeHtml(c.handle)}</a> — ${escapeHtml(outcomeText(c))}</li>`).join("")}
+            </ul>
+          </details>
+        ` : ""}
+      </td>
+      <td>${quotaUsedHTML(summary)}</td>
+    </tr>`;
+}
+
+function generateRunsHTML(runs, mode) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Run history · ReachPilot</title>
+  <style>
+    ${PAGE_STYLES}
+    .container { max-width: 1200px; }
+    .mode-filter { margin-bottom: 15px; font-size: 0.9em; }
+    .mode-filter a { color: #667eea; margin-right: 10px; text-decoration: none; }
+    .mode-filter a.active { font-weight: 700; text-decoration: underline; }
+    .runs-table { width: 100%; border-collapse: collapse; font-size: 0.9em; }
+    .runs-table th { text-align: left; color: #666; font-weight: 600; padding: 8px; border-bottom: 2px solid #f0f0f0; }
+    .runs-table td { padding: 8px; border-bottom: 1px solid #f5f5f5; vertical-align: top; }
+    .run-id { font-family: monospace; }
+    .badge.running { background: #e8f5e9; color: #2e7d32; }
+    .badge.failed { background: #ffebee; color: #c62828; }
+    .badge.stopped { background: #fff3e0; color: #e65100; }
+    .muted { color: #999; font-size: 0.85em; }
+    .problem { color: #c62828; font-size: 0.85em; margin-top: 4px; }
+    details { margin-top: 6px; }
+    details summary { cursor: pointer; color: #667eea; }
+    .run-creators { list-style: none; margin-top: 6px; columns: 2; }
+    .run-creators a { color: #667eea; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <a class="back" href="/">← Dashboard</a>
+    <h1>🗂️ Run history</h1>
+
+    <div class="section">
+      <div class="mode-filter">
+        ${[null, ...HISTORY_MODES].map((m) => `<a href="/runs${m ? `?mode=${m}` : ""}" class="${m === mode ? "active" : ""}">${m || "All runs"}</a>`).join("")}
+      </div>
+      <div data-live="runs">
+        ${runs.length === 0
+          ? '<div class="empty-state">No runs recorded yet. send, igsearch and followup runs show up here (dry runs aren\'t recorded).</div>'
+          : `<table class="runs-table">
+              <thead><tr><th>Started</th><th>Run</th><th>Status</th><th>Duration</th><th>Queries</th><th>Result</th><th>Quota used</th></tr></thead>
+              <tbody>${runs.map(runRowHTML).join("")}</tbody>
+            </table>`}
+      </div>
+    </div>
+  </div>
+
+  <script src="/dashboard-live.js"></script>
+</body>
+</html>`;
+}
+
+// GET /api/runs[?mode=send&limit=20] and GET /api/runs/<id>
+function handleRunsApi(req, res, id, url) {
+  if (req.method !== "GET") throw new RequestError(405, "Use GET");
+  if (id) {
+    const run = storeExists() ? getRun(id) : null;
+    if (!run) throw new RequestError(404, `Unknown run ${id}`);
+    return sendJson(res, 200, run);
+  }
+  const mode = url.searchParams.get("mode");
+  if (mode && !HISTORY_MODES.includes(mode)) throw new RequestError(400, `mode must be one of ${HISTORY_MODES.join(", ")}`);
+  const limit = Number(url.searchParams.get("limit") || MAX_RUNS_SHOWN);
+  if (!Number.isInteger(limit) || limit < 1) throw new RequestError(400, "limit must be a positive number");
+  sendJson(res, 200, { runs: storeExists() ? listRuns({ limit, mode }) : [] });
+}
+
+// ── Requests & access ───────────────────────────────────────────────────────
+
+// Largest body the POST routes accept
+const MAX_BODY_BYTES = 16 * 1024;
+// Wrong passwords wait this long before the answer, to slow down guessing
+const LOGIN_FAILURE_DELAY_MS = 1000;
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+}
+
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf-8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (Buffer.byteLength(body) > MAX_BODY_BYTES) {
+        reject(new RequestError(413, "Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+async function readJsonBody(req) {
+  const body = await readBody(req);
+  try {
+    return body ? JSON.parse(body) : {};
+  } catch {
+    throw new RequestError(400, "Request body must be JSON");
+  }
+}
+
+async function readFormBody(req) {
+  return Object.fromEntries(new URLSearchParams(await readBody(req)));
+}
+
+// Only same-site paths, so /login?next= can't send people elsewhere
+function redirect(res, location, headers = {}) {
+  res.writeHead(303, { Location: location, ...headers });
+  res.end();
+}
+
+function generateLoginHTML({ next = "/", failed = false } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Sign in · ReachPilot</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    }
+    form {
+      background: white;
+      border-radius: 12px;
+      padding: 30px;
+      box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+      width: 320px;
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+    }
+    h1 { font-size: 1.4em; color: #667eea; }
+    input { padding: 10px; border: 1px solid #ddd; border-radius: 6px; font: inherit; }
+    button { padding: 10px; border: none; border-radius: 6px; background: #667eea; color: white; font: inherit; cursor: pointer; }
+    .error { color: #c62828; font-size: 0.9em; }
+  </style>
+</head>
+<body>
+  <form method="post" action="/login">
+    <h1>ReachPilot Dashboard</h1>
+    ${failed ? '<div class="error" role="alert">Wrong password</div>' : ""}
+    <input type="hidden" name="next" value="${escapeHtml(next)}">
+    <input type="password" name="password" placeholder="Password" autocomplete="current-password" autofocus required>
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`;
+}
+
+async function handleLogin(req, res, url) {
+  if (!auth.passwordLogin) return redirect(res, "/");
+  if (req.method !== "POST") {
+    res.writeHead(200, { "Content-Type": "text/html" });
+    return res.end(generateLoginHTML({ next: safeRedirect(url.searchParams.get("next")) }));
+  }
+  const form = await readFormBody(req);
+  const cookie = auth.login(form.password);
+  if (cookie) return redirect(res, safeRedirect(form.next), { "Set-Cookie": cookie });
+  await new Promise((resolve) => setTimeout(resolve, LOGIN_FAILURE_DELAY_MS));
+  res.writeHead(401, { "Content-Type": "text/html" });
+  res.end(generateLoginHTML({ next: safeRedirect(form.next), failed: true }));
+}
+
+// Browsers go to the login page; API clients get a 401
+function refuse(req, res, url) {
+  if (auth.passwordLogin && !url.pathname.startsWith("/api/") && req.method === "GET") {
+    return redirect(res, `/login?next=${encodeURIComponent(url.pathname + url.search)}`);
+  }
+  const error = auth.enabled ? "Sign in at /login or send Authorization: Bearer <token>" : "Only available on localhost";
+  sendJson(res, auth.enabled ? 401 : 403, { error });
+}
+
+// ── Live updates ────────────────────────────────────────────────────────────
+
+// Stats per filter, kept until the store (or discovered-creators.json) changes
+const statsCache = new Map();
+const sseClients = new Set();
+
+function cachedStats(filter) {
+  const key = JSON.stringify([filter.label || null, filter.campaign || null]);
+  if (!statsCache.has(key)) statsCache.set(key, getStats(filter));
+  return statsCache.get(key);
+}
+
+function sendEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+watchStore({
+  onChange(events) {
+    statsCache.clear();
+    for (const res of sseClients) {
+      for (const event of events) sendEvent(res, event.type, event);
+      // Always sent last, so pages refresh once per change however many events it had
+      sendEvent(res, "change", { events: events.length, at: new Date().toISOString() });
+    }
+  },
+});
+
+setInterval(() => {
+  for (const res of [...sseClients, ...runClients]) res.write(": heartbeat\n\n");
+}, HEARTBEAT_MS).unref();
+
+function openEventStream(req, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write("retry: 3000\n\n");
+  sseClients.add(res);
+  req.on("close", () => sseClients.delete(res));
+}
+
+// ── Runs ────────────────────────────────────────────────────────────────────
+
+const runs = createRunManager();
+const runClients = new Set();
+
+runs.subscribe((event) => {
+  for (const res of runClients) sendEvent(res, event.type, event);
+});
+
+// A killed server shouldn't leave a run going that nobody can control. The
+// run gets to record itself as stopped first; a second signal kills it.
+let shuttingDown = false;
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    if (shuttingDown) return runs.shutdown({ force: true });
+    shuttingDown = true;
+    if (["running", "paused", "stopping"].includes(runs.current()?.status)) {
+      console.log("⏹ Stopping the current run before exiting (again to force)...");
+    }
+    runs.shutdown().then(() => process.exit(0));
+  });
+}
+
+// Current status, then the log so far, then everything as it happens
+function openRunStream(req, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write("retry: 3000\n\n");
+  sendEvent(res, "status", { type: "status", run: runs.current() });
+  for (const line of runs.log()) sendEvent(res, "log", { type: "log", line });
+  runClients.add(res);
+  req.on("close", () => runClients.delete(res));
+}
+
+// GET /api/run, POST /api/run { mode, campaign, dryRun } and POST /api/run/<pause|resume|stop>
+async function handleRunApi(req, res, action) {
+  const campaigns = listCampaigns(loadConfig());
+  if (!action && req.method === "GET") return sendJson(res, 200, { run: runs.current(), modes: RUN_MODES, campaigns });
+  if (req.method !== "POST") throw new RequestError(405, "Use POST");
+
+  let run;
+  if (action) {
+    run = controlRun(() => runs[action]());
+  } else {
+    const { mode, campaign = null, dryRun = false } = await readJsonBody(req);
+    if (!RUN_MODES.includes(mode)) throw new RequestError(400, `mode must be one of ${RUN_MODES.join(", ")}`);
+    if (campaign && !campaigns.includes(campaign)) {
+      throw new RequestError(400, `Unknown campaign "${campaign}" (available: ${campaigns.join(", ")})`);
+    }
+    run = controlRun(() => runs.start({ mode, campaign, dryRun: dryRun === true }));
+  }
+  sendJson(res, 200, { run });
+}
+
+// Starting over a live run, pausing a finished one, etc. conflict with the run's state
+function controlRun(action) {
+  try {
+    return action();
+  } catch (err) {
+    if (err instanceof RunError) throw new RequestError(409, err.message);
+    throw err;
+  }
+}
+
+// ── Server ──────────────────────────────────────────────────────────────────
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  if (url.pathname === "/login") return handleLogin(req, res, url);
+
+  const access = auth.identify(req);
+  if (!access) return refuse(req, res, url);
+  if (url.pathname === "/logout" && req.method === "POST") {
+    const form = await readFormBody(req);
+    if (!auth.checkCsrf(access, form.csrf)) throw new RequestError(403, "Missing or invalid CSRF token");
+    return redirect(res, auth.passwordLogin ? "/login" : "/", { "Set-Cookie": auth.logout(access) });
+  }
+  if (req.method !== "GET" && req.method !== "HEAD" && !auth.checkCsrf(access, req.headers[CSRF_HEADER])) {
+    throw new RequestError(403, "Missing or invalid CSRF token");
+  }
+
+  const label = url.searchParams.get('label');
+  const campaign = url.searchParams.get('campaign');
+  const filter = REPLY_LABELS.includes(label) ? { label } : {};
+  if (campaign) filter.campaign = campaign;
+  const creatorPage = url.pathname.match(/^\/creator\/([^/]+)$/);
+  const creatorApi = url.pathname.match(/^\/api\/creators\/([^/]+)(?:\/(status|notes))?$/);
+  const runApi = url.pathname.match(/^\/api\/run(?:\/(pause|resume|stop))?$/);
+  const runsApi = url.pathname.match(/^\/api\/runs(?:\/([\w-]+))?$/);
+
+  if (url.pathname === '/') {
+    const stats = cachedStats(filter);
     res.writeHead(200, { 'Content-Type': 'text/html' });
-    res.end(generateHTML(stats));
-  } else if (req.url === '/api/stats') {
-    const stats = getStats();
+    res.end(generateHTML(stats, access));
+  } else if (PUBLIC_SCRIPTS.has(url.pathname.slice(1))) {
+    res.writeHead(200, { 'Content-Type': 'text/javascript' });
+    res.end(fs.readFileSync(path.join(PUBLIC_DIR, url.pathname.slice(1))));
+  } else if (creatorPage) {
+    const detail = creatorDetail(decodeHandle(creatorPage[1]), { discovered: loadDiscoveredCreators() });
+    res.writeHead(detail ? 200 : 404, { 'Content-Type': 'text/html' });
+    res.end(detail ? generateCreatorHTML(detail, access) : 'Unknown creator');
+  } else if (creatorApi) {
+    await handleCreatorApi(req, res, decodeHandle(creatorApi[1]), creatorApi[2]);
+  } else if (url.pathname === '/runs') {
+    const mode = HISTORY_MODES.includes(url.searchParams.get('mode')) ? url.searchParams.get('mode') : null;
+    const history = storeExists() ? listRuns({ limit: MAX_RUNS_SHOWN, mode }) : [];
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(generateRunsHTML(history, mode));
+  } else if (runsApi) {
+    handleRunsApi(req, res, runsApi[1], url);
+  } else if (url.pathname === '/api/run/log') {
+    openRunStream(req, res);
+  } else if (runApi) {
+    await handleRunApi(req, res, runApi[1]);
+  } else if (url.pathname === '/api/events') {
+    openEventStream(req, res);
+  } else if (url.pathname === '/api/stats') {
+    const stats = cachedStats(filter);
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify(stats));
   } else {
     res.writeHead(404);
     res.end('Not found');
   }
+}
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch((err) => {
+    if (res.headersSent) return res.end();
+    sendJson(res, err.status || 500, { error: err.message });
+  });
 });
 
-server.listen(PORT, () => {
+server.listen(SETTINGS.port, SETTINGS.host, () => {
+  const { port } = server.address();
+  const shown = SETTINGS.host.includes(":") ? `[${SETTINGS.host}]` : SETTINGS.host;
   console.log(`\n🚀 ReachPilot Dashboard running at:`);
-  console.log(`   http://localhost:${PORT}`);
-  console.log(`\n📊 Auto-refreshes every 5 seconds`);
+  console.log(`   http://${isLoopback(SETTINGS.host) ? "localhost" : shown}:${port}`);
+  if (auth.passwordLogin) console.log(`🔒 Sign-in required${SETTINGS.token ? " (or a bearer token for scripts)" : ""}`);
+  else if (auth.enabled) console.log(`🔒 Bearer token required`);
+  else console.log(`🔓 No login configured — only reachable from this machine`);
+  console.log(`\n📊 Updates live as the bot runs (events at /api/events)`);
   console.log(`⏹  Press Ctrl+C to stop\n`);
 });
@@ -1,60 +1,25 @@
 #!/usr/bin/env node
 
 import fs from "fs";
+import { loadState, storeExists, isSuppressed } from "./lib/store.mjs";
+import { loadConfig } from "./lib/config.mjs";
+import { followUpStepsByCampaign } from "./lib/campaigns.mjs";
+import { computeAnalytics, SOURCES } from "./lib/analytics.mjs";
+import { loadDiscoveredCreators } from "./lib/discovery.mjs";
 
-const stateFile = "./outreach-state.json";
-
-if (!fs.existsSync(stateFile)) {
+if (!storeExists()) {
   console.log("No outreach state found. Run the script first.");
   process.exit(0);
 }
 
-const state = JSON.parse(fs.readFileSync(stateFile, "utf-8"));
-
-// Group by date
-const byDate = {};
-const followUpDue = [];
-
-for (const [handle, data] of Object.entries(state)) {
-  if (data.sent) {
-    const date = new Date(data.sentAt).toLocaleDateString();
-    if (!byDate[date]) {
-      byDate[date] = { sent: [], screenedOut: [], source: { api: 0, ig: 0 } };
-    }
-    byDate[date].sent.push({ handle, ...data });
-
-    if (data.source === "api") byDate[date].source.api++;
-    else byDate[date].source.ig++;
-
-    // Check if follow-up is due (3+ days)
-    const sentDate = new Date(data.sentAt);
-    const now = new Date();
-    const daysDiff = Math.floor((now - sentDate) / (1000 * 60 * 60 * 24));
-
-    if (!data.replied && !data.followedUp && daysDiff >= 3) {
-      followUpDue.push({ handle, sentAt: data.sentAt, daysDiff });
-    }
-  } else if (data.skipped) {
-    const date = new Date(data.skippedAt || Date.now()).toLocaleDateString();
-    if (!byDate[date]) {
-      byDate[date] = { sent: [], screenedOut: [], source: { api: 0, ig: 0 } };
-    }
-    byDate[date].screenedOut.push({ handle, reason: data.skipReason || "screened out" });
-  }
-}
-
-// Calculate totals
-let totalSent = 0;
-let totalScreenedOut = 0;
-let totalApiSent = 0;
-let totalIgSent = 0;
-
-for (const data of Object.values(byDate)) {
-  totalSent += data.sent.length;
-  totalScreenedOut += data.screenedOut.length;
-  totalApiSent += data.source.api;
-  totalIgSent += data.source.ig;
-}
+const state = loadState();
+const followUpStepsFor = followUpStepsByCampaign(loadConfig());
+const followUpSteps = followUpStepsFor({});
+const { funnel, rates, bySource, byDay, followUps } = computeAnalytics(state, {
+  discovered: loadDiscoveredCreators(),
+  stepsFor: followUpStepsFor,
+  isSuppressed,
+});
 
 // Generate HTML
 const html = `<!DOCTYPE html>
@@ -195,7 +160,8 @@ const html = `<!DOCTYPE html>
       content: ' 🔍';
       font-size: 0.8em;
     }
-    .creator-tag.ig::after {
+    .creator-tag.ig::after,
+    .creator-tag.ig-search::after {
       content: ' 📱';
       font-size: 0.8em;
     }
@@ -235,6 +201,7 @@ const html = `<!DOCTYPE html>
     }
     .badge.api { background: #e3f2fd; color: #1565c0; }
     .badge.ig { background: #fce4ec; color: #c2185b; }
+    .badge.ig-search { background: #f3e5f5; color: #7b1fa2; }
   </style>
 </head>
 <body>
@@ -244,44 +211,50 @@ const html = `<!DOCTYPE html>
 
     <div class="stats-grid">
       <div class="stat-card">
-        <div class="stat-number">${totalSent}</div>
+        <div class="stat-number">${funnel.sent}</div>
         <div class="stat-label">Total DMs Sent</div>
         <div class="stat-breakdown">
-          <span class="badge api">${totalApiSent} API</span>
-          <span class="badge ig">${totalIgSent} IG Search</span>
+          ${Object.entries(bySource).map(([source, s]) => `<span class="badge ${source}">${s.sent} ${SOURCES[source] || source}</span>`).join(" ")}
         </div>
       </div>
 
       <div class="stat-card">
-        <div class="stat-number">${totalScreenedOut}</div>
+        <div class="stat-number">${funnel.screenedOut}</div>
         <div class="stat-label">Screened Out</div>
-        <div class="stat-breakdown">Not a match for target audience</div>
+        <div class="stat-breakdown">Not a match for target audience · ${rates.screenPass}% passed</div>
+      </div>
+
+      <div class="stat-card">
+        <div class="stat-number">${funnel.replied}</div>
+        <div class="stat-label">Replies</div>
+        <div class="stat-breakdown">${rates.reply}% reply rate · ${funnel.converted} interested</div>
       </div>
 
       <div class="stat-card">
-        <div class="stat-number">${followUpDue.length}</div>
+        <div class="stat-number">${followUps.length}</div>
         <div class="stat-label">Follow-ups Due</div>
-        <div class="stat-breakdown">No reply after 3+ days</div>
+        <div class="stat-breakdown">Next step of ${followUpSteps.length}-step sequence, no reply</div>
       </div>
 
       <div class="stat-card">
-        <div class="stat-number">${Object.keys(state).length}</div>
+        <div class="stat-number">${funnel.screened}</div>
         <div class="stat-label">Total Processed</div>
-        <div class="stat-breakdown">Sent + screened out</div>
+        <div class="stat-breakdown">Checked, of ${funnel.discovered} discovered</div>
       </div>
     </div>
 
     <div class="section">
       <div class="section-title">📅 Daily Breakdown</div>
-      ${Object.keys(byDate).length === 0
+      ${Object.keys(byDay).length === 0
         ? '<div class="empty-state">No activity yet</div>'
-        : Object.entries(byDate).sort((a, b) => new Date(b[0]) - new Date(a[0])).map(([date, data]) => `
+        : Object.entries(byDay).map(([date, data]) => `
           <div class="date-block">
             <div class="date-header">📆 ${date}</div>
             <div class="date-stats">
               <div class="date-stat sent">✅ ${data.sent.length} DMs Sent</div>
               <div class="date-stat screened">❌ ${data.screenedOut.length} Screened Out</div>
-              <div class="date-stat">🔍 ${data.source.api} API | 📱 ${data.source.ig} IG</div>
+              ${data.replied > 0 ? `<div class="date-stat">💬 ${data.replied} Replied</div>` : ''}
+              <div class="date-stat">${Object.entries(data.bySource).map(([source, n]) => `${n} ${SOURCES[source] || source}`).join(' | ') || 'No sends'}</div>
             </div>
             ${data.sent.length > 0 ? `
               <div style="margin-top: 12px; color: #666; font-size: 0.9em; font-weight: 500;">✅ Sent to:</div>
@@ -294,13 +267,13 @@ const html = `<!DOCTYPE html>
       }
     </div>
 
-    ${followUpDue.length > 0 ? `
+    ${followUps.length > 0 ? `
       <div class="section">
         <div class="section-title">⏰ Follow-ups Needed</div>
-        ${followUpDue.map(f => `
+        ${followUps.map(f => `
           <div class="followup-item">
             <span class="followup-handle">${f.handle}</span>
-            <span class="followup-days">${f.daysDiff} days ago</span>
+            <span class="followup-days">step ${f.step} · ${f.daysSinceLastTouch} days since last message</span>
           </div>
         `).join('')}
       </div>
@@ -1,78 +1,197 @@
 import fs from 'fs';
-
-const data = JSON.parse(fs.readFileSync('./outreach-state.json', 'utf-8'));
+import path from 'path';
+import { loadState, storeExists, isSuppressed } from './lib/store.mjs';
+import { loadConfig } from './lib/config.mjs';
+import { REPLY_LABELS } from './lib/triage.mjs';
+import { variantStats } from './lib/experiments.mjs';
+import { DEFAULT_CAMPAIGN, campaignOf, campaignStats, followUpStepsByCampaign } from './lib/campaigns.mjs';
+import { followUpStatus, dueDay } from './lib/followups.mjs';
+import { filterRows, parseDay } from './lib/export.mjs';
+import { computeAnalytics, sourceOf, localDay, SOURCES } from './lib/analytics.mjs';
+import { loadDiscoveredCreators } from './lib/discovery.mjs';
+
+// ── Options ─────────────────────────────────────────────────
+// --out <dir>                  where the three files go (default: current directory)
+// --since/--until YYYY-MM-DD   only creators messaged or screened out in that range
+
+let outDir = '.';
+const range = {};
+try {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inline] = args[i].split(/=(.*)/s);
+    const value = () => inline ?? args[++i];
+    if (flag === '--out') outDir = value();
+    else if (flag === '--since') range.since = parseDay(value(), '--since');
+    else if (flag === '--until') range.until = parseDay(value(), '--until', { endOfDay: true });
+    else throw new Error(`Unknown option ${flag} (usage: node generate-reports.mjs [--out <dir>] [--since YYYY-MM-DD] [--until YYYY-MM-DD])`);
+  }
+  if (!outDir) throw new Error('--out expects a directory');
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+if (!storeExists()) {
+  console.log('No outreach state found. Run the script first.');
+  process.exit(0);
+}
+
+const now = new Date();
+const followUpStepsFor = followUpStepsByCampaign(loadConfig());
+const rows = filterRows(Object.entries(loadState()).map(([handle, info]) => ({ handle, ...info })), range);
+const data = Object.fromEntries(rows.map(({ handle, ...info }) => [handle, info]));
+fs.mkdirSync(outDir, { recursive: true });
+const outFile = (name) => path.join(outDir, name);
+const day = localDay;
+
+const FOLLOW_UP_LABELS = { overdue: 'overdue', today: 'due today', upcoming: 'upcoming' };
+
+// Follow-up due date and status for a sent creator
+function followUpOf(handle, info) {
+  const status = followUpStatus(info, followUpStepsFor(info), { now, optedOut: isSuppressed(handle) });
+  if (status.state === 'stopped') return { due: '', status: status.reason };
+  if (status.state === 'complete') return { due: '', status: 'complete' };
+  return { due: day(status.dueAt), dueAt: status.dueAt, status: FOLLOW_UP_LABELS[dueDay(status.dueAt, now)], step: status.stepIndex + 1 };
+}
+
+const csvField = (value) => {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
 
 // Separate by source and status
-const apiSent = [];
-const igSearchSent = [];
-const screenedOut = [];
+const sentBySource = Object.fromEntries(Object.keys(SOURCES).map(s => [s, []]));
+const screenedBySource = Object.fromEntries(Object.keys(SOURCES).map(s => [s, []]));
 
 Object.entries(data).forEach(([handle, info]) => {
   if (info.sent) {
     const creator = {
       handle: handle,
       sentAt: new Date(info.sentAt).toLocaleString(),
-      source: info.source || 'api',
-      reelUrl: info.reelUrl || 'N/A'
+      followUp: followUpOf(handle, info),
+      source: sourceOf(info),
+      campaign: campaignOf(info),
+      reelUrl: info.reelUrl || 'N/A',
+      replied: !!info.replied,
+      replyLabel: info.replyLabel || '',
+      variants: Object.entries(info.variants || {}).map(([slot, name]) => `${slot}=${name}`).join(';')
     };
-    if (info.source === 'ig-search') {
-      igSearchSent.push(creator);
-    } else {
-      apiSent.push(creator);
-    }
+    (sentBySource[creator.source] ||= []).push(creator);
   } else if (info.skippedReason === 'screening') {
-    screenedOut.push({ handle, source: info.source || 'api' });
+    (screenedBySource[sourceOf(info)] ||= []).push({ handle });
   }
 });
 
+const allSent = Object.values(sentBySource).flat();
+const sourceLabel = source => SOURCES[source] || source;
+// Creators discovered but not contacted yet have no date, so they only count without a date range
+const { funnel, rates, bySource } = computeAnalytics(data, { discovered: range.since || range.until ? [] : loadDiscoveredCreators() });
+
 // Write sent-dms.csv
-const csvHeader = 'Handle,Source,Sent At,Reel URL,Follow-up Due\n';
-const csvRows = [...apiSent, ...igSearchSent].map(c =>
-  `@${c.handle},${c.source},${c.sentAt},${c.reelUrl},Feb 14 (3 days)`
+const csvHeader = 'Handle,Source,Campaign,Sent At,Reel URL,Follow-up Due,Follow-up Status,Replied,Reply Label,Variants\n';
+const csvRows = allSent.map(c =>
+  [`@${c.handle}`, c.source, c.campaign, c.sentAt, c.reelUrl, c.followUp.due, c.followUp.status, c.replied ? 'yes' : 'no', c.replyLabel, c.variants]
+    .map(csvField).join(',')
 ).join('\n');
-fs.writeFileSync('sent-dms.csv', csvHeader + csvRows);
+fs.writeFileSync(outFile('sent-dms.csv'), csvHeader + csvRows);
+
+// Pending follow-ups, soonest first, bucketed by due day (everything overdue in one bucket)
+const pending = allSent.filter(c => c.followUp.dueAt).sort((a, b) => a.followUp.dueAt.localeCompare(b.followUp.dueAt));
+const overdue = pending.filter(c => c.followUp.status === 'overdue');
+const buckets = {};
+for (const c of pending) {
+  if (c.followUp.status !== 'overdue') (buckets[c.followUp.due] ||= []).push(c);
+}
+const dueToday = buckets[day(now)] || [];
+const nextDue = pending.find(c => c.followUp.status !== 'overdue');
+const handleList = list => list.map(c => `@${c.handle}`).join(', ');
 
 // Write results-summary.md
-const apiScreened = screenedOut.filter(s => s.source !== 'ig-search');
-const igScreened = screenedOut.filter(s => s.source === 'ig-search');
+const replied = allSent.filter(c => c.replied);
+const byLabel = Object.fromEntries([...REPLY_LABELS, 'untriaged'].map(l => [l, []]));
+for (const c of replied) byLabel[c.replyLabel || 'untriaged']?.push(c);
+
+const followUpCell = c => c.followUp.due ? `${c.followUp.due} (${c.followUp.status})` : c.followUp.status;
+
+const variants = variantStats(data);
+const campaigns = campaignStats(data);
 
 const summary = `# ReachPilot Campaign Results
 
-Generated: ${new Date().toLocaleString()}
+Generated: ${now.toLocaleString()}${range.since || range.until ? `
+Date range: ${range.since ? day(range.since) : 'start'} to ${range.until ? day(range.until) : 'today'}` : ''}
 
 ## 📊 Summary
 
-- **Total DMs Sent:** ${apiSent.length + igSearchSent.length}
-  - From API Discovery: ${apiSent.length}
-  - From Instagram Search: ${igSearchSent.length}
-- **Screened Out:** ${screenedOut.length}
-- **Follow-up Due:** Feb 14, 2026 (3 days from now)
+- **Total DMs Sent:** ${funnel.sent}
+${Object.entries(bySource).map(([source, s]) => `  - From ${sourceLabel(source)}: ${s.sent}`).join('\n')}
+- **Screened Out:** ${funnel.screenedOut}
+- **Replies:** ${funnel.replied} (${rates.reply}% reply rate)
+- **Follow-ups:** ${overdue.length} overdue, ${dueToday.length} due today, ${pending.length - overdue.length - dueToday.length} upcoming
+
+## ⏰ Follow-ups Due (${pending.length})
+
+${pending.length === 0 ? 'Nobody is waiting on a follow-up.' : `| Due | Count | Creators |
+|-----|-------|----------|
+${[
+  ...(overdue.length > 0 ? [`| **Overdue** | ${overdue.length} | ${handleList(overdue)} |`] : []),
+  ...Object.entries(buckets).map(([date, list]) => `| ${date}${date === day(now) ? ' (today)' : ''} | ${list.length} | ${handleList(list)} |`),
+].join('\n')}`}
 
-## ✅ DMs Sent - API Discovery (${apiSent.length})
+## 🔻 Funnel
 
-| # | Handle | Sent At | Reel |
-|---|--------|---------|------|
-${apiSent.map((c, i) => `| ${i+1} | @${c.handle} | ${c.sentAt} | [View](${c.reelUrl}) |`).join('\n')}
+| Stage | Creators | Rate |
+|-------|----------|------|
+| Discovered | ${funnel.discovered} | |
+| Screened | ${funnel.screened} | ${rates.screenPass}% passed |
+| Sent | ${funnel.sent} | |
+| Replied | ${funnel.replied} | ${rates.reply}% of sent |
+| Converted | ${funnel.converted} | ${rates.conversion}% of sent |
 
-## ✅ DMs Sent - Instagram Search (${igSearchSent.length})
+Passed screening but couldn't be messaged (DMs closed): ${funnel.unreachable}
 
-| # | Handle | Sent At |
-|---|--------|---------|
-${igSearchSent.map((c, i) => `| ${i+1} | @${c.handle} | ${c.sentAt} |`).join('\n')}
+## 📡 By Source
 
-## ❌ Screened Out (${screenedOut.length})
+| Source | Sent | Replied | Reply Rate | Converted | Screened Out |
+|--------|------|---------|------------|-----------|--------------|
+${Object.entries(bySource).map(([source, s]) => `| ${sourceLabel(source)} | ${s.sent} | ${s.replied} | ${s.replyRate}% | ${s.converted} | ${s.screenedOut} |`).join('\n')}
 
-Not South Asian or DMs closed.
+## 🎯 By Campaign
 
-### From API: ${apiScreened.length}
-${apiScreened.map(s => `- @${s.handle}`).join('\n')}
+| Campaign | Sent | Replied | Reply Rate | Converted | Screened Out |
+|----------|------|---------|------------|-----------|--------------|
+${Object.entries(campaigns).map(([name, c]) => `| ${name} | ${c.sent} | ${c.replied} | ${c.replyRate}% | ${c.converted} | ${c.screenedOut} |`).join('\n')}
 
-### From IG Search: ${igScreened.length}
-${igScreened.map(s => `- @${s.handle}`).join('\n')}
+${Object.entries(sentBySource).filter(([, list]) => list.length > 0).map(([source, list]) => `## ✅ DMs Sent - ${sourceLabel(source)} (${list.length})
 
+| # | Handle | Sent At | Follow-up | Reel |
+|---|--------|---------|-----------|------|
+${list.map((c, i) => `| ${i+1} | @${c.handle} | ${c.sentAt} | ${followUpCell(c)} | ${c.reelUrl === 'N/A' ? '' : `[View](${c.reelUrl})`} |`).join('\n')}
+`).join('\n') || '## ✅ DMs Sent\n\nNo DMs sent yet.\n'}
+## 💬 Replies by Label (${replied.length})
+
+| Label | Count | Creators |
+|-------|-------|----------|
+${Object.entries(byLabel).map(([label, list]) => `| ${label} | ${list.length} | ${list.map(c => `@${c.handle}`).join(', ')} |`).join('\n')}
+
+## 🧪 A/B Variants
+
+${Object.keys(variants).length === 0 ? 'No message slot has more than one variant yet.' : `| Message | Variant | Sent | Replied | Reply Rate | Converted | Conversion |
+|---------|---------|------|---------|------------|-----------|------------|
+${Object.entries(variants).flatMap(([slot, vs]) => Object.entries(vs).map(([name, v]) =>
+  `| ${slot} | ${name} | ${v.sent} | ${v.replied} | ${v.replyRate}% | ${v.converted} | ${v.conversionRate}% |`)).join('\n')}`}
+
+## ❌ Screened Out (${funnel.screenedOut})
+
+Not South Asian.
+${Object.entries(screenedBySource).filter(([, list]) => list.length > 0).map(([source, list]) => `
+### From ${sourceLabel(source)}: ${list.length}
+${list.map(s => `- @${s.handle}`).join('\n')}
+`).join('')}
 ## 📅 Next Steps
 
-1. **Feb 14**: Run \`node reachpilot.mjs followup\` to check for replies and send follow-ups
+1. **${overdue.length + dueToday.length > 0 ? 'Today' : nextDue ? nextDue.followUp.due : 'Follow-ups'}**: Run \`node reachpilot.mjs followup\` to check for replies and send follow-ups
 2. **Monitor**: Check Instagram DMs for responses
 3. **Iterate**: Run \`igsearch\` again with new keywords or use different search terms
 
@@ -83,24 +202,27 @@ ${igScreened.map(s => `- @${s.handle}`).join('\n')}
 - Test hashtag searches: #resumetips, #jobsearchindia, #careeradviceindia
 `;
 
-fs.writeFileSync('results-summary.md', summary);
+fs.writeFileSync(outFile('results-summary.md'), summary);
 
 // Write pending-followup.txt
-const followupList = [...apiSent, ...igSearchSent].map(c => `@${c.handle}`).join('\n');
-fs.writeFileSync('pending-followup.txt', `# Follow-up on Feb 14
+const followupList = pending.map(c =>
+  `@${c.handle}  ${c.followUp.due}  step ${c.followUp.step}${c.followUp.status === 'upcoming' ? '' : ` (${c.followUp.status})`}${c.campaign === DEFAULT_CAMPAIGN ? '' : `  --campaign ${c.campaign}`}`
+).join('\n');
+fs.writeFileSync(outFile('pending-followup.txt'), `# Follow-ups as of ${day(now)}: ${overdue.length} overdue, ${dueToday.length} due today
 
 Run: node reachpilot.mjs followup
 
-Creators to check:
-${followupList}
+Creators to follow up (handle, due date, step):
+${followupList || '(none)'}
 `);
 
-console.log('✅ Created tracking files:');
+console.log(`✅ Created tracking files${outDir === '.' ? '' : ` in ${outDir}`}:`);
 console.log('   📄 sent-dms.csv (import to spreadsheet)');
 console.log('   📄 results-summary.md (readable overview)');
 console.log('   📄 pending-followup.txt (who needs follow-up)');
 console.log('');
 console.log(`📊 Quick Stats:`);
-console.log(`   Total DMs: ${apiSent.length + igSearchSent.length}`);
-console.log(`   API: ${apiSent.length} | IG Search: ${igSearchSent.length}`);
-console.log(`   Screened Out: ${screenedOut.length}`);
+console.log(`   Total DMs: ${funnel.sent}`);
+console.log(`   ${Object.entries(bySource).map(([source, s]) => `${sourceLabel(source)}: ${s.sent}`).join(' | ')}`);
+console.log(`   Screened Out: ${funnel.screenedOut}`);
+console.log(`   Follow-ups: ${overdue.length} overdue | ${dueToday.length} due today`);
@@ -0,0 +1,185 @@
+/**
+ * ReachPilot — Outreach analytics
+ *
+ * One place that turns the store (plus discovered-creators.json) into the
+ * numbers the live dashboard, the static dashboard and the reports show:
+ *
+ *   funnel      discovered → screened → sent → replied → converted
+ *   bySource    the same counts per source (API discovery, IG reels, IG search)
+ *   byDay       sends, screen-outs and replies per local calendar day
+ *   cohorts     reply rate of each send day's DMs (replies land on later days)
+ *   byQuery     screen-out rate per search query that found the creator
+ *   followUpEffect  reply rate before vs after a follow-up
+ *   followUps   creators whose next follow-up step is due
+ *
+ * "Screened" counts every creator whose profile was checked, whether they
+ * passed or not; creators that passed but couldn't be messaged (DMs closed)
+ * are counted as unreachable.
+ *
+ * A reply counts as "after follow-up" when it came in after the creator's
+ * last follow-up; everything else counts as a reply to the first DM.
+ */
+
+import { isConverted } from "./experiments.mjs";
+import { followUpStatus } from "./followups.mjs";
+
+// record.source → label. Creators from discovery providers are sent with no
+// source; older records may say "api".
+export const SOURCES = {
+  api: "API Discovery",
+  ig: "IG Reels",
+  "ig-search": "IG Search",
+};
+
+export function sourceOf(record) {
+  return record?.source && record.source !== "api" ? record.source : "api";
+}
+
+// Percentage with one decimal, 0 when there's nothing to divide by
+export function rate(n, d) {
+  return d > 0 ? Math.round((n / d) * 1000) / 10 : 0;
+}
+
+// Local calendar day of an ISO timestamp, YYYY-MM-DD
+export function localDay(iso) {
+  const d = new Date(iso);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+const emptyCounts = () => ({ sent: 0, replied: 0, converted: 0, screenedOut: 0, unreachable: 0 });
+
+function withRates(counts) {
+  return { ...counts, replyRate: rate(counts.replied, counts.sent), conversionRate: rate(counts.converted, counts.sent) };
+}
+
+/**
+ * Compute analytics for a state map (handle → record, see loadState).
+ *
+ * Options:
+ *   discovered    discovered-creators.json entries; creators not yet in the
+ *                 store count towards funnel.discovered only
+ *   stepsFor      record → follow-up steps; without it followUps is empty
+ *   isSuppressed  handle → boolean, stops follow-ups for opted-out creators
+ *   now           reference time for follow-ups
+ *
+ * Returns { funnel, rates, bySource, byDay, cohorts, byQuery, followUpEffect,
+ * followUps, recentActivity }.
+ * byDay and recentActivity (uncapped) are newest first; cohorts are oldest
+ * first, in chart order.
+ */
+export function computeAnalytics(state, { discovered = [], stepsFor = null, isSuppressed = () => false, now = new Date() } = {}) {
+  const handles = new Set(Object.keys(state).map((h) => h.toLowerCase()));
+  for (const c of discovered) if (c?.handle) handles.add(c.handle.toLowerCase());
+
+  const totals = emptyCounts();
+  const bySource = Object.fromEntries(Object.keys(SOURCES).map((s) => [s, emptyCounts()]));
+  const days = {};
+  const day = (iso) => (days[localDay(iso)] ||= { sent: [], screenedOut: [], replied: 0, bySource: {} });
+  const cohorts = {};
+  const queries = {};
+  const query = (record) => record.query && (queries[record.query] ||= { screened: 0, screenedOut: 0, sent: 0 });
+  const effect = { before: { sent: 0, replied: 0 }, after: { followedUp: 0, replied: 0 } };
+  const followUps = [];
+  const recentActivity = [];
+
+  for (const [handle, record] of Object.entries(state)) {
+    const source = sourceOf(record);
+    const counts = (bySource[source] ||= emptyCounts());
+
+    if (record.sent) {
+      totals.sent++;
+      counts.sent++;
+      if (record.replied) {
+        totals.replied++;
+        counts.replied++;
+        if (record.repliedAt) day(record.repliedAt).replied++;
+      }
+      if (isConverted(record)) {
+        totals.converted++;
+        counts.converted++;
+      }
+      // Untimestamped replies from followed-up creators count as answering the follow-up
+      const followedUp = (record.followUpStep || 0) > 0;
+      const repliedFirst = record.replied && (!followedUp || (record.repliedAt && record.followedUpAt && record.repliedAt < record.followedUpAt));
+      effect.before.sent++;
+      if (repliedFirst) effect.before.replied++;
+      else if (followedUp) {
+        effect.after.followedUp++;
+        if (record.replied) effect.after.replied++;
+      }
+
+      const q = query(record);
+      if (q) {
+        q.screened++;
+        q.sent++;
+      }
+
+      if (record.sentAt) {
+        const cohort = (cohorts[localDay(record.sentAt)] ||= { sent: 0, replied: 0 });
+        cohort.sent++;
+        if (record.replied) cohort.replied++;
+        const d = day(record.sentAt);
+        d.sent.push({ handle, source });
+        d.bySource[source] = (d.bySource[source] || 0) + 1;
+        recentActivity.push({ type: "sent", handle, time: record.sentAt, source, replyLabel: record.replyLabel || null });
+      }
+
+      if (stepsFor) {
+        const followUp = followUpStatus(record, stepsFor(record), { now, optedOut: isSuppressed(handle) });
+        if (followUp.state === "due") {
+          followUps.push({
+            handle,
+            sentAt: record.sentAt,
+            dueAt: followUp.dueAt,
+            daysSinceLastTouch: Math.floor(followUp.daysSinceLastTouch),
+            step: followUp.stepIndex + 1,
+          });
+        }
+      }
+    } else if (record.skippedReason === "screening") {
+      totals.screenedOut++;
+      counts.screenedOut++;
+      const q = query(record);
+      if (q) {
+        q.screened++;
+        q.screenedOut++;
+      }
+      if (record.skippedAt) {
+        day(record.skippedAt).screenedOut.push({ handle, source });
+        recentActivity.push({ type: "screened", handle, time: record.skippedAt, source });
+      }
+    } else if (record.skipped) {
+      totals.unreachable++;
+      counts.unreachable++;
+      const q = query(record);
+      if (q) q.screened++;
+    }
+  }
+
+  const screened = totals.sent + totals.screenedOut + totals.unreachable;
+  const funnel = { discovered: handles.size, screened, ...totals };
+
+  recentActivity.sort((a, b) => new Date(b.time) - new Date(a.time));
+  followUps.sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+
+  return {
+    funnel,
+    rates: {
+      screenPass: rate(screened - totals.screenedOut, screened),
+      reply: rate(totals.replied, totals.sent),
+      conversion: rate(totals.converted, totals.sent),
+    },
+    bySource: Object.fromEntries(Object.entries(bySource).map(([s, c]) => [s, withRates(c)])),
+    byDay: Object.fromEntries(Object.entries(days).sort(([a], [b]) => b.localeCompare(a))),
+    cohorts: Object.fromEntries(Object.entries(cohorts).sort(([a], [b]) => a.localeCompare(b))
+      .map(([d, c]) => [d, { ...c, replyRate: rate(c.replied, c.sent) }])),
+    byQuery: Object.fromEntries(Object.entries(queries).sort(([, a], [, b]) => b.screened - a.screened)
+      .map(([q, c]) => [q, { ...c, screenOutRate: rate(c.screenedOut, c.screened) }])),
+    followUpEffect: {
+      before: { ...effect.before, replyRate: rate(effect.before.replied, effect.before.sent) },
+      after: { ...effect.after, replyRate: rate(effect.after.replied, effect.after.followedUp) },
+    },
+    followUps,
+    recentActivity,
+  };
+}
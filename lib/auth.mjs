@@ -0,0 +1,169 @@
+/**
+ * ReachPilot — Dashboard access
+ *
+ * Where dashboard-server.mjs listens and who may use it. Settings come from
+ * the `dashboard` section of config.json (DASHBOARD_PASSWORD and
+ * DASHBOARD_TOKEN override it) and the server's --host / --port / --localhost
+ * flags, which win over both.
+ *
+ * With a password, browsers sign in at /login and get a session cookie. With
+ * a token, scripts send "Authorization: Bearer <token>". With neither, the
+ * server refuses to bind anywhere but loopback and only answers requests
+ * addressed to localhost, so a web page can't reach it by rebinding DNS.
+ *
+ * Anything that changes data and wasn't authenticated by bearer token must
+ * carry the page's CSRF token (X-CSRF-Token header, or a `csrf` form field),
+ * so another site can't post through a teammate's logged-in browser.
+ */
+
+import crypto from "crypto";
+
+export const DEFAULT_HOST = "127.0.0.1";
+export const DEFAULT_PORT = 3000;
+export const SESSION_COOKIE = "reachpilot_session";
+export const CSRF_HEADER = "x-csrf-token";
+export const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const LOOPBACK_NAMES = new Set(["localhost", "::1", "[::1]"]);
+
+export function isLoopback(host) {
+  return LOOPBACK_NAMES.has(host) || /^127\.\d+\.\d+\.\d+$/.test(host);
+}
+
+/**
+ * Listen address and credentials from config.dashboard plus the server's
+ * flags: --host <addr>, --port <n> and --localhost (same as --host
+ * 127.0.0.1). Throws on bad values, and on a non-loopback host without a
+ * password or token.
+ */
+export function dashboardSettings(config, args = []) {
+  const section = config?.dashboard || {};
+  const settings = {
+    host: section.host || DEFAULT_HOST,
+    port: section.port ?? DEFAULT_PORT,
+    password: section.password || null,
+    token: section.token || null,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inline] = args[i].split(/=(.*)/s);
+    const value = () => inline ?? args[++i];
+    if (flag === "--host") settings.host = value();
+    else if (flag === "--port") settings.port = Number(value());
+    else if (flag === "--localhost") settings.host = DEFAULT_HOST;
+    else throw new Error(`Unknown option ${flag} (usage: node dashboard-server.mjs [--host <addr>] [--port <n>] [--localhost])`);
+  }
+
+  if (!settings.host) throw new Error("--host expects an address, e.g. 0.0.0.0");
+  if (!Number.isInteger(settings.port) || settings.port < 0 || settings.port > 65535) {
+    throw new Error("--port expects a number from 0 to 65535");
+  }
+  if (!isLoopback(settings.host) && !settings.password && !settings.token) {
+    throw new Error(`Refusing to listen on ${settings.host} without a login: set dashboard.password (or DASHBOARD_PASSWORD) in config.json, or use --localhost`);
+  }
+  return settings;
+}
+
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+
+// Constant-time comparison of two strings of any length
+function safeEqual(a, b) {
+  const digest = (s) => crypto.createHash("sha256").update(String(s)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+// Cookies that don't decode are skipped: other apps on localhost can set them too
+function parseCookies(header = "") {
+  const cookies = {};
+  for (const part of header.split(";")) {
+    const [name, ...value] = part.trim().split("=");
+    if (!name) continue;
+    try {
+      cookies[name] = decodeURIComponent(value.join("="));
+    } catch {}
+  }
+  return cookies;
+}
+
+function requestHostname(req) {
+  try {
+    return new URL(`http://${req.headers.host}`).hostname;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Access control for one server process. Sessions live in memory, so a
+ * restart signs everyone out.
+ *
+ * identify(req) returns { via: "open" | "session" | "token", csrf } for a
+ * request that may proceed, or null.
+ */
+export function createAuth({ password = null, token = null, ttl = SESSION_TTL_MS, now = () => Date.now() } = {}) {
+  const sessions = new Map(); // id → { csrf, expires }
+  // Without a login there are no sessions; one token covers the whole process
+  const openCsrf = randomToken();
+
+  function dropExpired() {
+    for (const [id, session] of sessions) {
+      if (session.expires <= now()) sessions.delete(id);
+    }
+  }
+
+  return {
+    enabled: !!(password || token),
+    passwordLogin: !!password,
+
+    identify(req) {
+      const bearer = /^Bearer (.+)$/.exec(req.headers.authorization || "")?.[1];
+      if (token && bearer && safeEqual(bearer, token)) return { via: "token", csrf: null };
+
+      const id = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+      const session = id && sessions.get(id);
+      if (session && session.expires > now()) return { via: "session", id, csrf: session.csrf };
+      if (session) sessions.delete(id);
+
+      if (password || token) return null;
+      return isLoopback(requestHostname(req)) ? { via: "open", csrf: openCsrf } : null;
+    },
+
+    /** The Set-Cookie value for a new session, or null if the password is wrong. */
+    login(attempt) {
+      if (!password || !safeEqual(attempt || "", password)) return null;
+      dropExpired();
+      const id = randomToken();
+      sessions.set(id, { csrf: randomToken(), expires: now() + ttl });
+      return `${SESSION_COOKIE}=${id}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${Math.floor(ttl / 1000)}`;
+    },
+
+    /** Ends the session (if any); returns the Set-Cookie value that clears it. */
+    logout(access) {
+      if (access?.id) sessions.delete(access.id);
+      return `${SESSION_COOKIE}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`;
+    },
+
+    // Bearer tokens aren't sent by browsers on their own, so they need no CSRF token
+    checkCsrf(access, provided) {
+      return access.via === "token" || (!!provided && safeEqual(provided, access.csrf));
+    },
+  };
+}
+
+const REDIRECT_BASE = "http://reachpilot.invalid";
+
+/**
+ * Where to send a browser after login: `next` if it stays on this server,
+ * otherwise "/". Browsers read "/\evil.com" as "//evil.com", so backslashes
+ * and control characters are refused outright.
+ */
+export function safeRedirect(next) {
+  if (typeof next !== "string" || !next.startsWith("/") || /[\\\u0000-\u001f\u007f]/.test(next)) return "/";
+  let url;
+  try {
+    url = new URL(next, REDIRECT_BASE);
+  } catch {
+    return "/";
+  }
+  return url.origin === REDIRECT_BASE ? url.pathname + url.search + url.hash : "/";
+}
@@ -0,0 +1,104 @@
+/**
+ * ReachPilot — Campaigns
+ *
+ * A campaign is a named set of product messages, queries, hooks and
+ * screening settings under "campaigns" in config.json:
+ *
+ *   "campaigns": {
+ *     "resume-launch": {
+ *       "product": { "pitch": "..." },
+ *       "outreach": { "igSearchQueries": ["resume tips"] },
+ *       "screening": { "enabled": true }
+ *     }
+ *   }
+ *
+ * Each section is merged key-by-key over the top-level section of the same
+ * name, so a campaign only lists what it changes. The top-level config is
+ * itself the "default" campaign. Every creator record is tagged with the
+ * campaign it was contacted under; untagged (older) records count as default.
+ */
+
+import { isConverted } from "./experiments.mjs";
+import { getFollowUpSteps } from "./followups.mjs";
+
+export const DEFAULT_CAMPAIGN = "default";
+
+// Sections a campaign may override
+export const CAMPAIGN_SECTIONS = ["product", "outreach", "screening"];
+
+export function listCampaigns(config = {}) {
+  return [DEFAULT_CAMPAIGN, ...Object.keys(config?.campaigns || {}).filter((name) => name !== DEFAULT_CAMPAIGN)];
+}
+
+/**
+ * The effective config for campaign `name` (default when empty). Unknown
+ * names throw unless `strict` is false, in which case the top-level config
+ * is returned — reports use that for records whose campaign was since
+ * removed from config.
+ */
+export function resolveCampaign(config = {}, name = DEFAULT_CAMPAIGN, { strict = true } = {}) {
+  const base = config || {};
+  const campaign = name && name !== DEFAULT_CAMPAIGN ? base.campaigns?.[name] : null;
+  if (name && name !== DEFAULT_CAMPAIGN && !campaign) {
+    if (strict) throw new Error(`Unknown campaign "${name}" (configured: ${listCampaigns(base).join(", ")})`);
+    return base;
+  }
+  if (!campaign) return base;
+
+  const merged = { ...base };
+  for (const section of CAMPAIGN_SECTIONS) {
+    if (campaign[section]) merged[section] = { ...base[section], ...campaign[section] };
+  }
+  return merged;
+}
+
+export function campaignOf(record) {
+  return record?.campaign || DEFAULT_CAMPAIGN;
+}
+
+/**
+ * record → follow-up steps of the campaign it was contacted under, for code
+ * that looks at every creator at once (dashboards, reports).
+ */
+export function followUpStepsByCampaign(config) {
+  const cache = {};
+  return (record) => {
+    const name = campaignOf(record);
+    return (cache[name] ||= getFollowUpSteps(resolveCampaign(config, name, { strict: false })?.product));
+  };
+}
+
+/**
+ * Pull "--campaign <name>" or "--campaign=<name>" out of a mode's arguments.
+ * Returns { campaign, args } with the flag removed from args.
+ */
+export function parseCampaignFlag(args) {
+  const rest = [];
+  let campaign = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--campaign") campaign = args[++i] || null;
+    else if (args[i].startsWith("--campaign=")) campaign = args[i].slice("--campaign=".length) || null;
+    else rest.push(args[i]);
+  }
+  return { campaign, args: rest };
+}
+
+/** Sent / replied / converted counts per campaign for the dashboards and reports. */
+export function campaignStats(state) {
+  const stats = {};
+  for (const record of Object.values(state)) {
+    const name = campaignOf(record);
+    const s = (stats[name] ||= { sent: 0, replied: 0, converted: 0, screenedOut: 0 });
+    if (record.sent) {
+      s.sent++;
+      if (record.replied) s.replied++;
+      if (isConverted(record)) s.converted++;
+    } else if (record.skippedReason === "screening") {
+      s.screenedOut++;
+    }
+  }
+  for (const s of Object.values(stats)) {
+    s.replyRate = s.sent > 0 ? Math.round((s.replied / s.sent) * 100) : 0;
+  }
+  return stats;
+}
@@ -0,0 +1,287 @@
+/**
+ * ReachPilot — config.json schema
+ *
+ * Describes every section reachpilot.mjs reads. validateConfig() returns
+ * errors (wrong types, bad values) and warnings (unknown keys, usually typos
+ * that would otherwise silently fall back to a default), each pointing at
+ * the line in config.json it came from.
+ *
+ * Schema nodes are plain objects:
+ *   { type: "string" | "number" | "integer" | "boolean" | "array" | "object" | "message" }
+ *   plus `properties` (known keys of an object), `values` (schema for every
+ *   key of a free-form object), `items` (array elements), `enum`, `min`,
+ *   `nullable` and `open` (object may hold keys beyond `properties`).
+ */
+
+import { STOP_CONDITIONS } from "./followups.mjs";
+import { QUOTA_KINDS } from "./quota.mjs";
+
+const string = { type: "string" };
+const boolean = { type: "boolean" };
+const stringList = { type: "array", items: string };
+// A message template: one string, a list of variants or named variants
+const message = { type: "message" };
+
+const cap = { type: "integer", min: 0, nullable: true };
+
+const PRODUCT = {
+  type: "object",
+  // Any extra product field can be used in templates as {{product.<field>}}
+  open: true,
+  properties: {
+    name: string,
+    url: string,
+    opener: message,
+    pitch: message,
+    linkMessage: message,
+    askMessage: message,
+    followUps: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          delayDays: { type: "number", min: 0 },
+          message,
+          stopOn: { type: "array", items: { type: "string", enum: STOP_CONDITIONS } },
+        },
+      },
+    },
+    followUpMessage: message,
+    maxFollowUps: { type: "integer", min: 0 },
+  },
+};
+
+const OUTREACH = {
+  type: "object",
+  properties: {
+    pack: string,
+    searchQueries: stringList,
+    igSearchQueries: stringList,
+    openerStyle: string,
+    hooks: { type: "object", values: string },
+    selfIntro: string,
+    optOutPhrases: stringList,
+    relevanceKeywords: stringList,
+    delayScale: { type: "number", min: 0 },
+    limits: {
+      type: "object",
+      properties: Object.fromEntries(
+        Object.keys(QUOTA_KINDS).map((kind) => [kind, { type: "object", properties: { perHour: cap, perDay: cap } }])
+      ),
+    },
+  },
+};
+
+const SCREENING = {
+  type: "object",
+  properties: { enabled: boolean, targetAudience: string },
+};
+
+export const CONFIG_SCHEMA = {
+  type: "object",
+  properties: {
+    instagram: {
+      type: "object",
+      properties: { username: string, password: string, handle: string, baseUrl: string, headless: boolean },
+    },
+    trendsweep: { type: "object", properties: { apiKey: string } },
+    openai: { type: "object", properties: { apiKey: string } },
+    screening: SCREENING,
+    product: PRODUCT,
+    outreach: OUTREACH,
+    campaigns: {
+      type: "object",
+      values: { type: "object", properties: { product: PRODUCT, outreach: OUTREACH, screening: SCREENING } },
+    },
+    discovery: {
+      type: "object",
+      properties: {
+        // Names or { type, ...options }; createProviders checks the entries
+        providers: { type: "array" },
+        fixtures: {
+          type: "object",
+          properties: { mode: { type: "string", enum: ["record", "replay"] }, dir: string },
+        },
+      },
+    },
+    dashboard: {
+      type: "object",
+      properties: { host: string, port: { type: "integer", min: 0 }, password: string, token: string },
+    },
+    // Element names are checked by loadSelectors, which knows the registry
+    selectors: { type: "object", open: true },
+  },
+};
+
+/**
+ * Validate a parsed config against CONFIG_SCHEMA. Pass the file's text to
+ * get line numbers. Returns { errors, warnings }, each a list of
+ * { path, line, message }.
+ */
+export function validateConfig(config, text = null) {
+  const errors = [];
+  const warnings = [];
+  const lines = text ? locateKeys(text) : new Map();
+  const at = (path) => lines.get(path) ?? null;
+
+  function check(value, schema, path) {
+    if (value === null && schema.nullable) return;
+    const typeError = checkType(value, schema.type);
+    if (typeError) {
+      errors.push({ path, line: at(path), message: `expected ${typeError}, got ${describe(value)}` });
+      return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path, line: at(path), message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}` });
+    }
+    if (schema.min !== undefined && value < schema.min) {
+      errors.push({ path, line: at(path), message: `must be at least ${schema.min}` });
+    }
+    if (schema.type === "message") {
+      for (const [key, template] of messageEntries(value)) {
+        if (typeof template !== "string") {
+          errors.push({ path: `${path}${key}`, line: at(`${path}${key}`), message: `expected a template string, got ${describe(template)}` });
+        }
+      }
+    }
+    if (schema.type === "array" && schema.items) {
+      value.forEach((item, i) => check(item, schema.items, `${path}[${i}]`));
+    }
+    if (schema.type === "object") {
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = path ? `${path}.${key}` : key;
+        const childSchema = schema.properties?.[key] || schema.values;
+        if (childSchema) check(child, childSchema, childPath);
+        else if (!schema.open) {
+          const hint = closest(key, Object.keys(schema.properties || {}));
+          warnings.push({ path: childPath, line: at(childPath), message: `unknown key${hint ? ` (did you mean "${hint}"?)` : ""}` });
+        }
+      }
+    }
+  }
+
+  check(config, CONFIG_SCHEMA, "");
+  return { errors, warnings };
+}
+
+/** "line 12: outreach.igSearchQuery — unknown key" */
+export function formatIssue({ path, line, message }) {
+  return `${line ? `line ${line}: ` : ""}${path || "(top level)"} — ${message}`;
+}
+
+function checkType(value, type) {
+  switch (type) {
+    case "string": return typeof value === "string" ? null : "a string";
+    case "number": return typeof value === "number" && Number.isFinite(value) ? null : "a number";
+    case "integer": return Number.isInteger(value) ? null : "a whole number";
+    case "boolean": return typeof value === "boolean" ? null : "true or false";
+    case "array": return Array.isArray(value) ? null : "a list";
+    case "object": return isPlainObject(value) ? null : "an object";
+    case "message":
+      return typeof value === "string" || Array.isArray(value) || isPlainObject(value)
+        ? null : "a template string, a list of variants or an object of named variants";
+    default: return null;
+  }
+}
+
+function messageEntries(value) {
+  if (Array.isArray(value)) return value.map((v, i) => [`[${i}]`, v]);
+  if (isPlainObject(value)) return Object.entries(value).map(([k, v]) => [`.${k}`, v]);
+  return [];
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function describe(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "a list";
+  if (typeof value === "object") return "an object";
+  return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+// Nearest known key within a few edits, for "did you mean" hints
+function closest(key, known) {
+  let best = null;
+  let bestDistance = Math.max(2, Math.floor(key.length / 4)) + 1;
+  for (const candidate of known) {
+    const d = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (d < bestDistance) [best, bestDistance] = [candidate, d];
+  }
+  return best;
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Map every key path in a JSON document ("outreach.hooks.resume",
+ * "product.followUps[1].message") to the line it starts on. Expects text
+ * JSON.parse already accepted.
+ */
+export function locateKeys(text) {
+  const lines = new Map();
+  let i = 0;
+  let line = 1;
+
+  const skipSpace = () => {
+    while (i < text.length && /\s/.test(text[i])) {
+      if (text[i] === "\n") line++;
+      i++;
+    }
+  };
+  const readString = () => {
+    const start = i++;
+    while (text[i] !== '"') i += text[i] === "\\" ? 2 : 1;
+    i++;
+    return JSON.parse(text.slice(start, i));
+  };
+  const readValue = (path) => {
+    skipSpace();
+    if (!lines.has(path)) lines.set(path, line);
+    if (text[i] === "{") {
+      i++;
+      skipSpace();
+      while (text[i] !== "}") {
+        const keyLine = line;
+        const key = readString();
+        const keyPath = path ? `${path}.${key}` : key;
+        lines.set(keyPath, keyLine);
+        skipSpace();
+        i++; // :
+        readValue(keyPath);
+        skipSpace();
+        if (text[i] === ",") i++;
+        skipSpace();
+      }
+      i++;
+    } else if (text[i] === "[") {
+      i++;
+      skipSpace();
+      for (let n = 0; text[i] !== "]"; n++) {
+        readValue(`${path}[${n}]`);
+        skipSpace();
+        if (text[i] === ",") i++;
+        skipSpace();
+      }
+      i++;
+    } else if (text[i] === '"') {
+      readString();
+    } else {
+      while (i < text.length && !/[\s,}\]]/.test(text[i])) i++;
+    }
+  };
+
+  readValue("");
+  return lines;
+}
@@ -0,0 +1,154 @@
+/**
+ * ReachPilot — Config loading
+ *
+ * config.json lives next to reachpilot.mjs. The dashboards and report
+ * scripts read it too (for follow-up cadence etc.), so loading is shared here.
+ * Set REACHPILOT_CONFIG to load a different file (the test suite does).
+ * The schema lives in config-schema.mjs.
+ */
+
+import fs from "fs";
+import path from "path";
+
+const DIR = path.resolve(path.dirname(new URL(import.meta.url).pathname), "..");
+export const CONFIG_FILE = process.env.REACHPILOT_CONFIG || path.join(DIR, "config.json");
+
+// Environment variables that take precedence over config.json
+export const ENV_OVERRIDES = [
+  { env: "IG_USER", path: ["instagram", "username"] },
+  { env: "IG_PASS", path: ["instagram", "password"] },
+  { env: "IG_BASE_URL", path: ["instagram", "baseUrl"] },
+  { env: "TRENDSWEEP_KEY", path: ["trendsweep", "apiKey"] },
+  { env: "OPENAI_API_KEY", path: ["openai", "apiKey"] },
+  { env: "DASHBOARD_PASSWORD", path: ["dashboard", "password"] },
+  { env: "DASHBOARD_TOKEN", path: ["dashboard", "token"] },
+];
+
+// Returns the parsed config, or null when config.json doesn't exist.
+export function loadConfig() {
+  const text = readConfigText();
+  return text === null ? null : parseConfig(text);
+}
+
+export function readConfigText() {
+  return fs.existsSync(CONFIG_FILE) ? fs.readFileSync(CONFIG_FILE, "utf-8") : null;
+}
+
+/** JSON.parse with the syntax error position turned into a line and column. */
+export function parseConfig(text, file = CONFIG_FILE) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    const before = text.slice(0, syntaxErrorPosition(text)).split("\n");
+    // Node's wording without its position or the copy of the JSON it quotes
+    const reason = err.message
+      .replace(/ at position \d+[\s\S]*$/, "")
+      .replace(/ in JSON$/, "")
+      .replace(/, (?:\.\.\.)?"[\s\S]*" is not valid JSON$/, "");
+    throw new Error(`${path.basename(file)} line ${before.length}, column ${before.at(-1).length + 1}: ${reason}`);
+  }
+}
+
+/**
+ * Offset of the first JSON syntax error in `text`. Only some of Node's
+ * messages carry a position ("Unexpected token '}', ... is not valid JSON"
+ * doesn't), so this walks the text itself.
+ */
+function syntaxErrorPosition(text) {
+  let i = 0;
+  const fail = () => {
+    throw i;
+  };
+  const skipSpace = () => {
+    while (" \t\n\r".includes(text[i]) && i < text.length) i++;
+  };
+  const expect = (c) => {
+    skipSpace();
+    if (text[i] !== c) fail();
+    i++;
+  };
+
+  function string() {
+    expect('"');
+    while (text[i] !== '"') {
+      if (i >= text.length || text[i] < " ") fail();
+      if (text[i] === "\\") {
+        i++;
+        if (text[i] === "u" && /^[0-9a-f]{4}/i.test(text.slice(i + 1, i + 5))) i += 4;
+        else if (!'"\\/bfnrt'.includes(text[i]) || i >= text.length) fail();
+      }
+      i++;
+    }
+    i++;
+  }
+
+  // Containers are { key: value, ... } and [value, ...], closed by `close`
+  function members(close, member) {
+    skipSpace();
+    if (text[i] === close) return i++;
+    for (;;) {
+      member();
+      skipSpace();
+      if (text[i] === close) return i++;
+      expect(",");
+    }
+  }
+
+  function value() {
+    skipSpace();
+    if (text[i] === "{") {
+      i++;
+      return members("}", () => {
+        skipSpace();
+        string();
+        expect(":");
+        value();
+      });
+    }
+    if (text[i] === "[") {
+      i++;
+      return members("]", value);
+    }
+    if (text[i] === '"') return string();
+    const literal = /^(?:-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/.exec(text.slice(i));
+    if (!literal) fail();
+    i += literal[0].length;
+  }
+
+  try {
+    value();
+    skipSpace();
+    if (i < text.length) fail();
+  } catch (position) {
+    if (typeof position !== "number") throw position;
+    return position;
+  }
+  return text.length;
+}
+
+/**
+ * The config with environment overrides applied. Returns { config, overrides }
+ * where overrides lists the { env, path } entries that were set.
+ */
+export function applyEnvOverrides(config, env = process.env) {
+  const merged = structuredClone(config || {});
+  const overrides = [];
+  for (const override of ENV_OVERRIDES) {
+    if (!env[override.env]) continue;
+    const [section, key] = override.path;
+    merged[section] = { ...merged[section], [key]: env[override.env] };
+    overrides.push(override);
+  }
+  return { config: merged, overrides };
+}
+
+const SECRET_KEYS = new Set(["password", "apiKey", "token"]);
+
+/** Copy of `value` with passwords, API keys and tokens blanked out, for printing. */
+export function redactSecrets(value) {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, v]) => [key, SECRET_KEYS.has(key) && typeof v === "string" && v ? "********" : redactSecrets(v)])
+  );
+}
@@ -0,0 +1,112 @@
+/**
+ * ReachPilot — Creator CRM
+ *
+ * Everything known about one creator as a single timeline, for the
+ * dashboard's /creator/<handle> page and /api/creators/<handle>: how they
+ * were found (provider, search query, Instagram suggestion), screening,
+ * every message both ways, follow-ups, triage, suppression and team notes.
+ *
+ * The team can also set a status by hand (MANUAL_STATUSES in export.mjs).
+ * It wins over the automatic status everywhere: exports, conversion counts
+ * and the dashboards.
+ */
+
+import { findHandle, getCreator, getHistory, getSuppression, normalizeHandle, storeExists } from "./store.mjs";
+import { creatorStatus, MANUAL_STATUSES } from "./export.mjs";
+import { SOURCES, sourceOf } from "./analytics.mjs";
+import { campaignOf } from "./campaigns.mjs";
+
+export { MANUAL_STATUSES };
+
+export const MAX_NOTE_LENGTH = 2000;
+
+const NO_HISTORY = { createdAt: null, attempts: [], messages: [], screenings: [], followUps: [], notes: [] };
+
+/**
+ * Build the timeline from a store record (or null), its history (getHistory)
+ * and the discovered-creators.json entry (or null). Entries are
+ * { at, type, title, detail }: discovery first, then oldest first. `at` is
+ * null for creators only in discovered-creators.json.
+ */
+export function creatorTimeline(record, history, { candidate = null, suppression = null } = {}) {
+  const found = [];
+  const entries = [];
+  const add = (at, type, title, detail = null) => entries.push({ at: at || null, type, title, detail });
+
+  if (record || candidate) {
+    const how = [
+      record && `via ${SOURCES[sourceOf(record)] || record.source}`,
+      candidate?.providers?.length && `providers: ${candidate.providers.join(", ")}`,
+      (record?.query || candidate?.query) && `query "${record?.query || candidate.query}"`,
+      record?.suggestion && `suggestion "${record.suggestion}"`,
+      candidate?.relevanceScore != null && `relevance ${candidate.relevanceScore}`,
+    ].filter(Boolean).join(" · ");
+    found.push({ at: history.createdAt, type: "discovered", title: "Discovered", detail: [how, record?.reelUrl || candidate?.reelUrl].filter(Boolean).join("\n") || null });
+    if (candidate?.notes) found.push({ at: history.createdAt, type: "note", title: "Note from import", detail: candidate.notes });
+  }
+
+  for (const s of history.screenings) {
+    const detail = [s.reason, s.gender && s.gender !== "unknown" && `gender: ${s.gender}`].filter(Boolean).join(" · ");
+    add(s.screened_at, "screening", s.passes ? "Passed screening" : "Screened out", detail || null);
+  }
+
+  for (const a of history.attempts) {
+    if (!a.success) add(a.attempted_at, "attempt", "Couldn't send DM", "DMs closed or the message button was missing");
+  }
+
+  // Follow-up bodies are also stored as outgoing messages; show them once, as the follow-up
+  const followUpKeys = new Set(history.followUps.map((f) => `${f.sent_at}\n${f.body}`));
+  for (const m of history.messages) {
+    if (m.direction === "in") add(m.sent_at, "reply", "Reply received", m.body);
+    else if (!followUpKeys.has(`${m.sent_at}\n${m.body}`)) add(m.sent_at, "message", "Message sent", m.body);
+  }
+  for (const f of history.followUps) {
+    add(f.sent_at, "follow-up", `Follow-up${f.step ? ` ${f.step}` : ""} sent`, f.body);
+  }
+
+  if (record?.replyLabel) {
+    add(record.triagedAt || record.repliedAt, "triage", `Reply labeled ${record.replyLabel}`, record.replyLabelReason || null);
+  }
+  if (suppression) {
+    add(suppression.created_at, "suppressed", "Added to the suppression list", [suppression.source, suppression.reason].filter(Boolean).join(" · "));
+  }
+  for (const n of history.notes) {
+    add(n.created_at, n.kind === "status" ? "status" : "note", n.kind === "status" ? n.body : "Note", n.kind === "status" ? null : n.body);
+  }
+
+  // Discovery always leads: the row is created on first save, which can be a moment
+  // after the screening it records. Ties keep insertion order.
+  const sorted = entries
+    .map((entry, i) => ({ entry, i }))
+    .sort((a, b) => (a.entry.at || "").localeCompare(b.entry.at || "") || a.i - b.i)
+    .map(({ entry }) => entry);
+  return [...found, ...sorted];
+}
+
+/**
+ * Everything the creator page shows, or null when the handle is neither in
+ * the store nor in `discovered`. Handles match case-insensitively.
+ */
+export function creatorDetail(handle, { discovered = [] } = {}) {
+  const key = normalizeHandle(handle);
+  // Reading shouldn't create an empty store before the first run
+  const stored = storeExists();
+  const storedHandle = stored ? findHandle(handle) : null;
+  const record = storedHandle ? getCreator(storedHandle) : null;
+  const candidate = discovered.find((c) => normalizeHandle(c.handle) === key) || null;
+  if (!record && !candidate) return null;
+
+  const history = record ? getHistory(storedHandle) : NO_HISTORY;
+  const suppression = stored ? getSuppression(key) : null;
+  return {
+    handle: storedHandle || candidate.handle,
+    name: candidate?.name || null,
+    status: record ? creatorStatus(record) : "pending",
+    manualStatus: record?.manualStatus || null,
+    campaign: campaignOf(record),
+    source: record ? sourceOf(record) : null,
+    suppressed: !!suppression,
+    record,
+    timeline: creatorTimeline(record, history, { candidate, suppression }),
+  };
+}
@@ -0,0 +1,149 @@
+/**
+ * ReachPilot — Creator discovery providers
+ *
+ * A provider turns one source of creators into normalized candidates:
+ *
+ *   {
+ *     name: "trendsweep",
+ *     search(context)   → raw results, any JSON-serializable shape (may be async)
+ *     normalize(raw)    → { handle, name, platform, reelUrl, caption, description, transcript, query? } or null
+ *     score(candidate, pack)    → relevance; optional, defaults to keyword matches
+ *     minScore(pack)            → candidates scoring below are dropped; optional, defaults to pack.minScore
+ *     dedupeKey(candidate)      → optional, defaults to the lower-cased handle
+ *     local: true               → reads local data only, so fixtures are never used
+ *   }
+ *
+ * context is { queries, pack, log, sleep }. Providers are configured under
+ * discovery.providers (see createProviders) and run in order; a creator
+ * found by several of them is merged into one candidate.
+ *
+ * Fixtures: with discovery.fixtures.mode "record" every provider's raw
+ * results are written to <dir>/<name>.json, and "replay" reads them back
+ * instead of calling search() — so providers and scoring can be exercised
+ * offline and in tests without an API key.
+ */
+
+import fs from "fs";
+import path from "path";
+import { normalizeHandle } from "./store.mjs";
+import { relevanceScore } from "./packs.mjs";
+import { createTrendSweepProvider } from "./discovery/trendsweep.mjs";
+import { createFileImportProvider } from "./discovery/file-import.mjs";
+import { createSeedProvider } from "./discovery/seeds.mjs";
+
+export const DEFAULT_PROVIDERS = ["trendsweep"];
+
+// Where discovered candidates are cached between `discover` and `send`
+export const CREATORS_FILE =
+  process.env.REACHPILOT_CREATORS || path.resolve(path.dirname(new URL(import.meta.url).pathname), "..", "discovered-creators.json");
+
+/** Cached candidates from CREATORS_FILE, or [] before the first discovery run. */
+export function loadDiscoveredCreators(file = CREATORS_FILE) {
+  if (!fs.existsSync(file)) return [];
+  return JSON.parse(fs.readFileSync(file, "utf-8"));
+}
+
+const FACTORIES = {
+  trendsweep: createTrendSweepProvider,
+  import: createFileImportProvider,
+  seeds: createSeedProvider,
+};
+
+export const PROVIDER_TYPES = Object.keys(FACTORIES);
+
+/**
+ * Build providers from discovery.providers — names, or objects with a
+ * `type` and that provider's options:
+ *
+ *   "providers": ["trendsweep", { "type": "import", "file": "partners.csv" },
+ *                 { "type": "seeds", "handles": ["some_creator"] }]
+ *
+ * `deps` carries what adapters need from the caller (trendsweepKey, baseDir).
+ */
+export function createProviders(specs = DEFAULT_PROVIDERS, deps = {}) {
+  return specs.map((spec) => {
+    const { type, ...options } = typeof spec === "string" ? { type: spec } : spec;
+    const factory = FACTORIES[type];
+    if (!factory) throw new Error(`Unknown discovery provider "${type}" (available: ${PROVIDER_TYPES.join(", ")})`);
+    return factory(options, deps);
+  });
+}
+
+/**
+ * Run `providers` and return merged candidates, most relevant first. Each
+ * candidate is { handle, name, platform, reelUrl, caption, description,
+ * transcript, relevanceScore, appearances, providers }; text fields are
+ * scored in full but kept only as short previews.
+ */
+export async function discover(providers, { queries = [], pack, log = () => {}, sleep = async () => {}, fixtures = null } = {}) {
+  const context = { queries, pack, log, sleep };
+  const merged = new Map();
+
+  for (const provider of providers) {
+    const raw = await searchWithFixtures(provider, context, fixtures);
+    const minScore = provider.minScore ? provider.minScore(pack) : pack.minScore;
+    let kept = 0;
+
+    for (const item of raw) {
+      const candidate = provider.normalize(item);
+      if (!candidate?.handle) continue;
+      const score = provider.score ? provider.score(candidate, pack) : defaultScore(candidate, pack);
+      if (score < minScore) continue;
+      kept++;
+
+      const key = provider.dedupeKey ? provider.dedupeKey(candidate) : normalizeHandle(candidate.handle);
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, { ...trim(candidate), relevanceScore: score, appearances: 1, providers: [provider.name] });
+        continue;
+      }
+      existing.appearances++;
+      if (!existing.providers.includes(provider.name)) existing.providers.push(provider.name);
+      existing.name ||= candidate.name;
+      // Keep the reel with the best relevance score
+      if (score > existing.relevanceScore) {
+        Object.assign(existing, pick(trim(candidate), ["reelUrl", "caption", "description", "query"]), { relevanceScore: score });
+      }
+    }
+    log(`  ${provider.name}: ${raw.length} results, ${kept} relevant`);
+  }
+
+  // Most relevant first: appearances * relevance score, ties keep provider order
+  return [...merged.values()].sort((a, b) => b.appearances * b.relevanceScore - a.appearances * a.relevanceScore);
+}
+
+function defaultScore(candidate, pack) {
+  return relevanceScore([candidate.caption, candidate.description, candidate.transcript].join(" "), pack.keywords);
+}
+
+async function searchWithFixtures(provider, context, fixtures) {
+  if (!fixtures || provider.local) return provider.search(context);
+  const file = path.join(fixtures.dir, `${provider.name}.json`);
+  if (fixtures.mode === "replay") {
+    if (!fs.existsSync(file)) throw new Error(`No recorded fixture for provider "${provider.name}" at ${file}`);
+    context.log(`  ${provider.name}: replaying ${file}`);
+    return JSON.parse(fs.readFileSync(file, "utf-8")).results;
+  }
+
+  const results = await provider.search(context);
+  if (fixtures.mode === "record") {
+    fs.mkdirSync(fixtures.dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ provider: provider.name, recordedAt: new Date().toISOString(), queries: context.queries, results }, null, 2));
+    context.log(`  ${provider.name}: recorded ${results.length} results to ${file}`);
+  }
+  return results;
+}
+
+// Scored on the full text, but only a preview is kept in discovered-creators.json
+function trim(candidate) {
+  return {
+    ...candidate,
+    caption: (candidate.caption || "").slice(0, 200),
+    description: (candidate.description || "").slice(0, 200),
+    transcript: (candidate.transcript || "").slice(0, 100),
+  };
+}
+
+function pick(obj, keys) {
+  return Object.fromEntries(keys.filter((k) => obj[k]).map((k) => [k, obj[k]]));
+}
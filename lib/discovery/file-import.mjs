@@ -0,0 +1,98 @@
+/**
+ * CSV/JSON import adapter for creator lists partners send us.
+ *
+ *   .json — an array of handles, or of objects with at least `handle`
+ *   .csv  — a header row naming the columns; `handle` is required, and
+ *           name, notes, platform, url (or reelUrl), caption, description
+ *           and score are picked up when present
+ *
+ * Partner lists are already vetted, so rows are kept whatever their keyword
+ * score unless the provider sets its own minScore. A numeric `score` column
+ * wins over keyword matching.
+ */
+
+import fs from "fs";
+import path from "path";
+import { normalizeHandle, isValidHandle } from "../store.mjs";
+import { relevanceScore } from "../packs.mjs";
+
+export function createFileImportProvider({ file, minScore = 0 } = {}, { baseDir = process.cwd() } = {}) {
+  if (!file) throw new Error('The "import" discovery provider needs a "file"');
+  const fullPath = path.resolve(baseDir, file);
+
+  return {
+    name: "import",
+    local: true,
+
+    search({ log }) {
+      if (!fs.existsSync(fullPath)) throw new Error(`Creator import file not found: ${fullPath}`);
+      log(`Importing creators from ${fullPath}`);
+      return parseCreatorFile(fullPath);
+    },
+
+    normalize(row) {
+      const handle = normalizeHandle(row.handle);
+      if (!isValidHandle(handle)) return null;
+      return {
+        handle,
+        name: row.name || null,
+        platform: row.platform || "instagram",
+        reelUrl: row.url || row.reelurl || row.reelUrl || "",
+        caption: row.caption || "",
+        description: row.description || "",
+        transcript: "",
+        notes: row.notes || "",
+        partnerScore: row.score === undefined || row.score === "" ? null : Number(row.score),
+      };
+    },
+
+    score(candidate, pack) {
+      if (Number.isFinite(candidate.partnerScore)) return candidate.partnerScore;
+      return relevanceScore(`${candidate.caption} ${candidate.description}`, pack.keywords);
+    },
+
+    minScore: () => minScore,
+  };
+}
+
+/** Rows of { handle, ...columns } from a .json or .csv creator list. */
+export function parseCreatorFile(file) {
+  const raw = fs.readFileSync(file, "utf-8");
+  if (path.extname(file).toLowerCase() === ".json") {
+    return JSON.parse(raw).map((entry) => (typeof entry === "string" ? { handle: entry } : entry));
+  }
+
+  const [header, ...rows] = parseCsv(raw);
+  const columns = (header || []).map((c) => c.trim().toLowerCase());
+  if (!columns.includes("handle")) throw new Error(`${file}: the first row must name the columns, including "handle"`);
+  return rows.map((cells) => Object.fromEntries(columns.map((c, i) => [c, (cells[i] || "").trim()])));
+}
+
+// RFC 4180-ish: quoted fields may hold commas, newlines and "" escapes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') field += text[i++];
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some((cell) => cell.trim())) rows.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some((cell) => cell.trim())) rows.push(row);
+  return rows;
+}
@@ -0,0 +1,20 @@
+/**
+ * Seed-handles adapter: creators someone already picked by hand. Nothing to
+ * score them against, so every seed is kept.
+ */
+
+import { normalizeHandle } from "../store.mjs";
+
+export function createSeedProvider({ handles = [] } = {}) {
+  return {
+    name: "seeds",
+    local: true,
+    search: () => handles.map((handle) => ({ handle })),
+    normalize: ({ handle }) => {
+      const clean = normalizeHandle(handle);
+      return clean ? { handle: clean, name: null, platform: "instagram", reelUrl: "", caption: "", description: "", transcript: "" } : null;
+    },
+    score: () => 0,
+    minScore: () => 0,
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * TrendSweep adapter: one semantic video search per query. Results are
+ * scored against the niche pack's keywords like any other provider.
+ */
+
+import { normalizeHandle, isValidHandle } from "../store.mjs";
+
+const API_URL = "https://trendsweep.com/api/v1/atlas/search";
+
+export function createTrendSweepProvider({ resultsPerPage = 20 } = {}, { trendsweepKey = "", fetch = globalThis.fetch } = {}) {
+  return {
+    name: "trendsweep",
+
+    async search({ queries, log, sleep }) {
+      if (!trendsweepKey) throw new Error("TrendSweep discovery needs trendsweep.apiKey in config.json or TRENDSWEEP_KEY");
+      const videos = [];
+      for (const query of queries) {
+        log(`Querying: "${query.slice(0, 60)}..."`);
+        const res = await fetch(API_URL, {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${trendsweepKey}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({ query, results_per_page: resultsPerPage, include_transcript: true }),
+        });
+        const data = await res.json();
+        if (!data.success) {
+          log(`  API error for "${query.slice(0, 40)}...": ${data.error?.message}`);
+          continue;
+        }
+        log(`  → ${data.data.videos?.length || 0} videos`);
+        videos.push(...(data.data.videos || []).map((video) => ({ ...video, query })));
+        // Small delay between API calls
+        await sleep(500);
+      }
+      return videos;
+    },
+
+    normalize(video) {
+      // The API's creator field is free text; anything that isn't a handle is dropped
+      const handle = normalizeHandle(video.creator);
+      if (!isValidHandle(handle)) return null;
+      return {
+        handle,
+        name: guessName(video.transcript),
+        platform: video.platform || "",
+        reelUrl: video.original_url || "",
+        caption: video.caption || "",
+        description: video.description || "",
+        transcript: video.transcript || "",
+        query: video.query || null,
+      };
+    },
+  };
+}
+
+// First name from "hi I'm Riya" / "my name is Riya" style transcripts
+export function guessName(transcript) {
+  const patterns = [
+    /(?:hi,?\s*i'?m\s+)(\w+)/i,
+    /(?:my name is\s+)(\w+)/i,
+    /(?:i'?m\s+)(\w+)(?:,?\s+a\s+)/i,
+  ];
+  for (const pat of patterns) {
+    const m = (transcript || "").match(pat);
+    if (m) return m[1];
+  }
+  return null;
+}
@@ -0,0 +1,34 @@
+/**
+ * ReachPilot — Dry-run log
+ *
+ * With --dry-run, send/igsearch/followup do everything up to typing and write
+ * what they *would* have sent here instead: one JSON object per line in
+ * dry-runs/<mode>-<timestamp>.jsonl, so a campaign can be reviewed before it
+ * goes live. REACHPILOT_DRY_RUNS moves the directory.
+ */
+
+import fs from "fs";
+import path from "path";
+
+const DIR = path.resolve(path.dirname(new URL(import.meta.url).pathname), "..");
+export const DRY_RUN_DIR = process.env.REACHPILOT_DRY_RUNS || path.join(DIR, "dry-runs");
+
+export function createDryRunLog(mode, dir = DRY_RUN_DIR) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const file = path.join(dir, `${mode}-${stamp}.jsonl`);
+  let count = 0;
+
+  return {
+    file,
+    get count() {
+      return count;
+    },
+    // entry: { handle, outcome, messages?, ... } — outcome is "would-send",
+    // "would-follow-up", "screened-out", "dm-unavailable" or "template-error"
+    record(entry) {
+      if (count === 0) fs.mkdirSync(dir, { recursive: true });
+      fs.appendFileSync(file, JSON.stringify({ at: new Date().toISOString(), mode, ...entry }) + "\n");
+      count++;
+    },
+  };
+}
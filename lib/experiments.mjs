@@ -0,0 +1,48 @@
+/**
+ * ReachPilot — A/B variant reporting
+ *
+ * Each creator's record.variants maps message slot → variant name (assigned
+ * when their DMs go out, see buildMessages in reachpilot.mjs). This module
+ * turns those assignments into per-variant reply and conversion rates for
+ * the dashboard and reports.
+ */
+
+// A creator "converts" when their reply is triaged as interested, or when the
+// team marks them converted or posted by hand (which also overrides the label)
+export function isConverted(record) {
+  if (record.manualStatus) return record.manualStatus === "converted" || record.manualStatus === "posted";
+  return record.replyLabel === "interested";
+}
+
+function rate(n, d) {
+  return d > 0 ? Math.round((n / d) * 1000) / 10 : 0;
+}
+
+/**
+ * Returns { slot: { variant: { sent, replied, converted, replyRate, conversionRate } } }
+ * for every slot that has been sent with more than one variant. Rates are
+ * percentages with one decimal.
+ */
+export function variantStats(state) {
+  const slots = {};
+  for (const record of Object.values(state)) {
+    if (!record.sent || !record.variants) continue;
+    for (const [slot, variant] of Object.entries(record.variants)) {
+      slots[slot] ??= {};
+      const v = (slots[slot][variant] ??= { sent: 0, replied: 0, converted: 0 });
+      v.sent++;
+      if (record.replied) v.replied++;
+      if (isConverted(record)) v.converted++;
+    }
+  }
+
+  const result = {};
+  for (const [slot, variants] of Object.entries(slots)) {
+    if (Object.keys(variants).length < 2) continue;
+    result[slot] = {};
+    for (const [name, v] of Object.entries(variants)) {
+      result[slot][name] = { ...v, replyRate: rate(v.replied, v.sent), conversionRate: rate(v.converted, v.sent) };
+    }
+  }
+  return result;
+}
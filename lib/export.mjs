@@ -0,0 +1,136 @@
+/**
+ * ReachPilot — Creator export
+ *
+ * Turns the store (plus not-yet-contacted creators from
+ * discovered-creators.json) into rows for `node reachpilot.mjs export`.
+ * Columns are picked by name from EXPORT_COLUMNS; filters narrow rows by
+ * status, date, source and campaign.
+ */
+
+import { campaignOf } from "./campaigns.mjs";
+
+// Statuses only the team can set, from the dashboard's creator page
+export const MANUAL_STATUSES = ["converted", "posted", "not-interested"];
+
+export const STATUSES = ["pending", "sent", "followed-up", "replied", "screened-out", "skipped", ...MANUAL_STATUSES];
+
+/**
+ * One status per creator, most advanced first: a status set by hand beats a
+ * reply beats a follow-up beats a send.
+ */
+export function creatorStatus(record) {
+  if (record.manualStatus) return record.manualStatus;
+  if (record.replied) return "replied";
+  if (record.followedUp) return "followed-up";
+  if (record.sent) return "sent";
+  if (record.skippedReason === "screening") return "screened-out";
+  if (record.skipped) return "skipped";
+  return "pending";
+}
+
+// The date --since/--until compare against: when we messaged or skipped them
+export function creatorDate(row) {
+  return row.sentAt || row.skippedAt || null;
+}
+
+const countMessages = (row, direction) => (row.history?.messages || []).filter((m) => m.direction === direction).length;
+
+// column name → value for a row ({ handle, ...record, suppressed, history })
+export const EXPORT_COLUMNS = {
+  handle: (r) => r.handle,
+  name: (r) => r.name || "",
+  status: (r) => creatorStatus(r),
+  source: (r) => r.source || "",
+  campaign: (r) => campaignOf(r),
+  reelUrl: (r) => r.reelUrl || "",
+  query: (r) => r.query || "",
+  notes: (r) => r.notes || "",
+  sentAt: (r) => r.sentAt || "",
+  skippedReason: (r) => r.skippedReason || "",
+  skippedAt: (r) => r.skippedAt || "",
+  replied: (r) => (r.replied ? "yes" : "no"),
+  repliedAt: (r) => r.repliedAt || "",
+  replyLabel: (r) => r.replyLabel || "",
+  replyText: (r) => r.replyText || "",
+  followUpStep: (r) => r.followUpStep || 0,
+  followedUpAt: (r) => r.followedUpAt || "",
+  variants: (r) => Object.entries(r.variants || {}).map(([slot, name]) => `${slot}=${name}`).join(";"),
+  suppressed: (r) => (r.suppressed ? "yes" : "no"),
+  messagesOut: (r) => countMessages(r, "out"),
+  messagesIn: (r) => countMessages(r, "in"),
+  lastMessageAt: (r) => r.history?.messages?.at(-1)?.sent_at || "",
+};
+
+export const DEFAULT_COLUMNS = ["handle", "status", "source", "campaign", "sentAt", "replied", "replyLabel", "followUpStep", "reelUrl"];
+
+/**
+ * Parse export flags: --columns a,b  --status s1,s2  --since YYYY-MM-DD
+ * --until YYYY-MM-DD  --source s1,s2  --format csv|json. The first bare
+ * argument is the output file; its extension picks the format when --format
+ * isn't given. Throws on unknown columns, statuses or unparseable dates.
+ */
+export function parseExportArgs(args) {
+  const options = { file: null, format: null, columns: DEFAULT_COLUMNS, columnsGiven: false, filters: {} };
+  const list = (value) => (value || "").split(",").map((v) => v.trim()).filter(Boolean);
+
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inline] = args[i].startsWith("--") ? args[i].split(/=(.*)/s) : [args[i]];
+    const value = () => inline ?? args[++i];
+    if (flag === "--columns") [options.columns, options.columnsGiven] = [list(value()), true];
+    else if (flag === "--format") options.format = value();
+    else if (flag === "--status") options.filters.status = list(value());
+    else if (flag === "--source") options.filters.source = list(value());
+    else if (flag === "--since") options.filters.since = parseDay(value(), "--since");
+    else if (flag === "--until") options.filters.until = parseDay(value(), "--until", { endOfDay: true });
+    else if (flag.startsWith("--")) throw new Error(`Unknown export option ${flag}`);
+    else if (!options.file) options.file = flag;
+    else throw new Error(`Unexpected argument "${flag}"`);
+  }
+
+  options.format ||= options.file?.toLowerCase().endsWith(".json") ? "json" : "csv";
+  if (!["csv", "json"].includes(options.format)) throw new Error(`--format must be csv or json`);
+
+  const unknownColumns = options.columns.filter((c) => !(c in EXPORT_COLUMNS));
+  if (unknownColumns.length > 0 || options.columns.length === 0) {
+    throw new Error(`Unknown columns: ${unknownColumns.join(", ") || "(none given)"} (available: ${Object.keys(EXPORT_COLUMNS).join(", ")})`);
+  }
+  const unknownStatuses = (options.filters.status || []).filter((s) => !STATUSES.includes(s));
+  if (unknownStatuses.length > 0) throw new Error(`Unknown status: ${unknownStatuses.join(", ")} (available: ${STATUSES.join(", ")})`);
+  return options;
+}
+
+// Local-time day boundaries, so --until 2026-02-14 includes all of the 14th
+export function parseDay(value, flag, { endOfDay = false } = {}) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  if (!m) throw new Error(`${flag} expects a date like 2026-02-14`);
+  const day = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  if (endOfDay) day.setHours(23, 59, 59, 999);
+  return day;
+}
+
+/** Rows matching every filter given. `campaign` is a single name. */
+export function filterRows(rows, { status, source, since, until, campaign } = {}) {
+  return rows.filter((row) => {
+    if (status && !status.includes(creatorStatus(row))) return false;
+    if (source && !source.includes(row.source || "")) return false;
+    if (campaign && campaignOf(row) !== campaign) return false;
+    if (since || until) {
+      const date = creatorDate(row);
+      if (!date) return false;
+      const t = new Date(date).getTime();
+      if (since && t < since.getTime()) return false;
+      if (until && t > until.getTime()) return false;
+    }
+    return true;
+  });
+}
+
+export function toCsv(rows, columns) {
+  const escape = (value) => {
+    const s = String(value ?? "");
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [columns.join(",")];
+  for (const row of rows) lines.push(columns.map((c) => escape(EXPORT_COLUMNS[c](row))).join(","));
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,83 @@
+/**
+ * ReachPilot — Follow-up sequences
+ *
+ * product.followUps is an ordered list of steps:
+ *   { "delayDays": 3, "message": "...", "stopOn": ["replied"] }
+ * delayDays counts from the previous touch (the original DM for step 1, the
+ * last follow-up after that). stopOn defaults to ["replied"]; a step can
+ * leave it out to nudge creators who replied too. Opting out always ends the
+ * sequence, whatever stopOn says ("opted-out" is still accepted there for
+ * older configs).
+ * product.maxFollowUps optionally caps how many steps are ever sent.
+ *
+ * A creator's position is record.followUpStep — the number of steps already
+ * sent. followUpStatus() is the single place that decides what's due; the
+ * follow-up mode, the dashboards and the reports all call it.
+ */
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+export const STOP_CONDITIONS = ["replied", "opted-out"];
+
+const DEFAULT_FOLLOWUP_MESSAGE =
+  "hey just following up, did you get a chance to check it out? would love your honest thoughts. no pressure at all!";
+
+/**
+ * Normalize the configured steps. Configs that predate sequences (a single
+ * product.followUpMessage) become a one-step sequence after 3 days.
+ */
+export function getFollowUpSteps(product = {}) {
+  const steps = Array.isArray(product.followUps) && product.followUps.length > 0
+    ? product.followUps
+    : [{ delayDays: 3, message: product.followUpMessage || DEFAULT_FOLLOWUP_MESSAGE }];
+
+  const max = Number.isInteger(product.maxFollowUps) ? product.maxFollowUps : steps.length;
+  return steps.slice(0, Math.max(0, max)).map((step) => ({
+    delayDays: Number(step.delayDays ?? 3),
+    message: step.message,
+    stopOn: Array.isArray(step.stopOn) ? step.stopOn : ["replied"],
+  }));
+}
+
+/**
+ * Where a creator stands in the sequence. Returns one of:
+ *   { state: "not-sent" }
+ *   { state: "complete", stepsSent }
+ *   { state: "stopped", reason, stepsSent }            reason: "replied" | "opted-out"
+ *   { state: "waiting" | "due", step, stepIndex, stepsSent, lastTouchAt, dueAt, daysSinceLastTouch }
+ */
+export function followUpStatus(record, steps, { now = new Date(), optedOut = false } = {}) {
+  if (!record?.sent || !record.sentAt) return { state: "not-sent" };
+
+  const stepsSent = record.followUpStep || 0;
+  if (stepsSent >= steps.length) return { state: "complete", stepsSent };
+
+  const step = steps[stepsSent];
+  if (optedOut) return { state: "stopped", reason: "opted-out", stepsSent };
+  if (step.stopOn.includes("replied") && record.replied) return { state: "stopped", reason: "replied", stepsSent };
+
+  const lastTouchAt = stepsSent > 0 && record.followedUpAt ? record.followedUpAt : record.sentAt;
+  const lastTouch = new Date(lastTouchAt).getTime();
+  const dueAt = new Date(lastTouch + step.delayDays * DAY_MS);
+
+  return {
+    state: dueAt.getTime() <= now.getTime() ? "due" : "waiting",
+    step,
+    stepIndex: stepsSent,
+    stepsSent,
+    lastTouchAt,
+    dueAt: dueAt.toISOString(),
+    daysSinceLastTouch: (now.getTime() - lastTouch) / DAY_MS,
+  };
+}
+
+/**
+ * Where dueAt falls relative to today (local calendar days): "overdue"
+ * before today, "today", or "upcoming".
+ */
+export function dueDay(dueAt, now = new Date()) {
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const due = new Date(dueAt);
+  if (due < startOfToday) return "overdue";
+  if (due < new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1)) return "today";
+  return "upcoming";
+}
@@ -0,0 +1,163 @@
+/**
+ * ReachPilot — Run history
+ *
+ * send, igsearch and followup keep a tally of what happened to each creator
+ * they looked at, and store it with their row in the store's `runs` table, so
+ * the end-of-run summary outlives the terminal. The stored summary:
+ *
+ *   {
+ *     queries:   ["resume tips", ...],
+ *     creators:  [{ handle, outcome, reason? }, ...]      in the order examined
+ *     counts:    { examined, screenedOut, sent, failed, replied, optedOut, followedUp },
+ *     failures:  { "no-message-button": 2, ... }          failed creators by reason
+ *     quotaUsed: { newConversations, followUps },
+ *     quota:     { newConversations: { hour, day, perHour, perDay }, followUps: ... }
+ *     stoppedEarly, error                                  why it ended early, if it did
+ *   }
+ *
+ * A run is "running" until it ends as "finished", "failed" (an error ended
+ * it) or "stopped" (Ctrl+C or the dashboard's Stop). One still "running"
+ * after its process is gone was killed outright; its summary is as of the
+ * last creator.
+ */
+
+export const HISTORY_MODES = ["send", "igsearch", "followup"];
+export const RUN_STATUSES = ["running", "finished", "failed", "stopped"];
+export const STATUS_ICONS = { running: "🟢", finished: "✅", failed: "❌", stopped: "⏹" };
+
+export const OUTCOME_LABELS = {
+  examined: "EXAMINED",
+  "screened-out": "SCREENED OUT",
+  sent: "SENT",
+  failed: "FAILED",
+  replied: "REPLIED",
+  "opted-out": "OPTED OUT",
+  "followed-up": "FOLLOWED UP",
+};
+
+// Why a creator counted as failed
+export const FAILURE_REASONS = {
+  "no-message-button": "no Message button",
+  "no-message-input": "no message box",
+  "template-error": "message template error",
+  "thread-unreadable": "couldn't read the DM thread",
+  "follow-up-failed": "follow-up didn't go through",
+  error: "unexpected error",
+};
+
+const COUNTED = {
+  screenedOut: "screened-out",
+  sent: "sent",
+  failed: "failed",
+  replied: "replied",
+  optedOut: "opted-out",
+  followedUp: "followed-up",
+};
+
+/**
+ * What one run did, creator by creator. `onChange` is called after every
+ * update, so the stored summary can follow along.
+ */
+export function createRunTally({ onChange = () => {} } = {}) {
+  const queries = [];
+  const creators = new Map();
+
+  return {
+    query(query) {
+      if (queries.includes(query)) return;
+      queries.push(query);
+      onChange();
+    },
+    // First look at a creator; keeps any outcome already recorded
+    examine(handle) {
+      if (creators.has(handle)) return;
+      creators.set(handle, { handle, outcome: "examined" });
+      onChange();
+    },
+    // The latest outcome wins, e.g. a send that worked on a second try
+    record(handle, outcome, reason = null) {
+      creators.set(handle, reason ? { handle, outcome, reason } : { handle, outcome });
+      onChange();
+    },
+    creators: () => [...creators.values()],
+
+    /** The summary to store; `extra` adds quota, stoppedEarly and error at the end. */
+    summary(extra = {}) {
+      const list = [...creators.values()];
+      const counts = { examined: list.length };
+      for (const [key, outcome] of Object.entries(COUNTED)) counts[key] = list.filter((c) => c.outcome === outcome).length;
+      const failures = {};
+      for (const c of list) {
+        if (c.outcome === "failed") failures[c.reason || "error"] = (failures[c.reason || "error"] || 0) + 1;
+      }
+      return {
+        queries: [...queries],
+        creators: list,
+        counts,
+        failures,
+        quotaUsed: { newConversations: counts.sent, followUps: counts.followedUp },
+        ...extra,
+      };
+    },
+  };
+}
+
+/**
+ * Parse `history` arguments: an optional run id, then --mode <m>,
+ * --limit <n> and --json. Throws on anything else.
+ */
+export function parseHistoryArgs(args) {
+  const options = { id: null, mode: null, limit: 20, json: false };
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inline] = args[i].startsWith("--") ? args[i].split(/=(.*)/s) : [args[i]];
+    const value = () => inline ?? args[++i];
+    if (flag === "--mode") options.mode = value();
+    else if (flag === "--limit") options.limit = Number(value());
+    else if (flag === "--json") options.json = true;
+    else if (flag.startsWith("--")) throw new Error(`Unknown history option ${flag}`);
+    else if (!options.id) options.id = flag;
+    else throw new Error(`Unexpected argument "${flag}"`);
+  }
+  if (options.mode && !HISTORY_MODES.includes(options.mode)) throw new Error(`--mode must be one of ${HISTORY_MODES.join(", ")}`);
+  if (!Number.isInteger(options.limit) || options.limit < 1) throw new Error("--limit expects a positive number");
+  return options;
+}
+
+// e.g. "2 no Message button, 1 message template error"
+export function describeFailures(failures = {}) {
+  return Object.entries(failures)
+    .map(([reason, n]) => `${n} ${FAILURE_REASONS[reason] || reason}`)
+    .join(", ");
+}
+
+// e.g. "45s", "12m 05s", "1h 02m"; null while a run has no end
+export function formatDuration(run) {
+  if (!run.endedAt) return null;
+  const seconds = Math.max(0, Math.round((new Date(run.endedAt) - new Date(run.startedAt)) / 1000));
+  const pad = (n) => String(n).padStart(2, "0");
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${pad(seconds % 60)}s`;
+  return `${Math.floor(seconds / 3600)}h ${pad(Math.floor(seconds / 60) % 60)}m`;
+}
+
+// e.g. "14 examined, 3 screened out, 9 sent, 2 failed"; follow-up runs count replies instead
+export function describeCounts(run) {
+  const c = run.summary?.counts;
+  if (!c) return "no summary";
+  const parts = run.mode === "followup"
+    ? [`${c.examined} checked`, `${c.replied} replied`, `${c.optedOut} opted out`, `${c.followedUp} followed up`]
+    : [`${c.examined} examined`, `${c.screenedOut} screened out`, `${c.sent} sent`];
+  if (c.failed > 0) parts.push(`${c.failed} failed`);
+  return parts.join(", ");
+}
+
+/** One line per run for `history`. */
+export function formatRunLine(run) {
+  return [
+    `${STATUS_ICONS[run.status] || "•"} ${run.id}`,
+    run.mode.padEnd(9),
+    new Date(run.startedAt).toLocaleString(),
+    (formatDuration(run) || run.status).padEnd(8),
+    describeCounts(run),
+  ].join("  ");
+}
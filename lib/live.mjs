@@ -0,0 +1,72 @@
+/**
+ * ReachPilot — Live updates for the dashboard
+ *
+ * watchStore() polls a cheap change token (SQLite's data_version plus the
+ * discovered-creators.json mtime) and, only when it moves, reloads the state
+ * and turns the difference into events:
+ *
+ *   sent        { handle, source, campaign, at }
+ *   screened    { handle, source, at }
+ *   reply       { handle, label, at }
+ *   follow-up   { handle, step, at }
+ *
+ * Changes that don't map to one of those (a triage label, a suppression)
+ * still call onChange, with no events, so cached stats are dropped.
+ */
+
+import fs from "fs";
+import { loadState, storeExists, storeVersion } from "./store.mjs";
+import { sourceOf } from "./analytics.mjs";
+import { campaignOf } from "./campaigns.mjs";
+import { CREATORS_FILE } from "./discovery.mjs";
+
+/** Events for what changed between two state maps (handle → record). */
+export function stateEvents(prev, next) {
+  const events = [];
+  for (const [handle, record] of Object.entries(next)) {
+    const before = prev[handle] || {};
+    if (record.sent && !before.sent) {
+      events.push({ type: "sent", handle, source: sourceOf(record), campaign: campaignOf(record), at: record.sentAt });
+    }
+    if (record.skippedReason === "screening" && before.skippedReason !== "screening") {
+      events.push({ type: "screened", handle, source: sourceOf(record), at: record.skippedAt });
+    }
+    if (record.replied && !before.replied) {
+      events.push({ type: "reply", handle, label: record.replyLabel || null, at: record.repliedAt });
+    }
+    if ((record.followUpStep || 0) > (before.followUpStep || 0)) {
+      events.push({ type: "follow-up", handle, step: record.followUpStep, at: record.followedUpAt });
+    }
+  }
+  return events;
+}
+
+function changeToken(creatorsFile) {
+  const store = storeExists() ? storeVersion() : "none";
+  const creators = fs.existsSync(creatorsFile) ? fs.statSync(creatorsFile).mtimeMs : 0;
+  return `${store}:${creators}`;
+}
+
+/**
+ * Check for changes every `interval` ms and call onChange(events) when the
+ * store or discovered-creators.json has changed. Returns { stop, check };
+ * check() runs one poll immediately.
+ */
+export function watchStore({ onChange, interval = 1000, creatorsFile = CREATORS_FILE } = {}) {
+  let token = changeToken(creatorsFile);
+  let state = storeExists() ? loadState() : {};
+
+  const check = () => {
+    const current = changeToken(creatorsFile);
+    if (current === token) return;
+    token = current;
+    const next = storeExists() ? loadState() : {};
+    const events = stateEvents(state, next);
+    state = next;
+    onChange(events);
+  };
+
+  const timer = setInterval(check, interval);
+  timer.unref();
+  return { stop: () => clearInterval(timer), check };
+}
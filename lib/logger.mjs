@@ -0,0 +1,186 @@
+/**
+ * ReachPilot — Run logs
+ *
+ * Every run of a browser mode (send, igsearch, followup, discover, selftest)
+ * writes one JSON object per line to logs/<started>-<mode>-<runId>.jsonl:
+ *
+ *   { ts, level, runId, mode, msg, handle?, step?, outcome?, errorType?, error?, stack? }
+ *
+ * The console still gets the familiar "[10:42:01] message" lines; warnings
+ * and errors go to stderr. `handle` is filled in from the creator the run
+ * is working on (set()), so every line about a creator can be found again
+ * with `node reachpilot.mjs logs --handle <name>`.
+ *
+ * Set REACHPILOT_LOGS to write somewhere else, and REACHPILOT_LOG_LEVEL
+ * (debug, info, warn, error) to change what reaches the console. Files
+ * always get everything.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { parseDay } from "./export.mjs";
+
+const DIR = path.resolve(path.dirname(new URL(import.meta.url).pathname), "..");
+export const LOGS_DIR = process.env.REACHPILOT_LOGS || path.join(DIR, "logs");
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+export function newRunId() {
+  return crypto.randomUUID().slice(0, 8);
+}
+
+// An Error in fields.error becomes errorType / error / stack; undefined fields are dropped
+function entryFields(fields) {
+  const out = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    if (key === "error" && value instanceof Error) {
+      Object.assign(out, { errorType: value.name, error: value.message, stack: value.stack });
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * A logger for one run. `file: false` logs to the console only (offline
+ * modes). The run id comes from REACHPILOT_RUN_ID when the dashboard
+ * started the run, so its log and the dashboard's run share an id.
+ */
+export function createLogger({
+  mode,
+  runId = process.env.REACHPILOT_RUN_ID || newRunId(),
+  dir = LOGS_DIR,
+  file = true,
+  level = process.env.REACHPILOT_LOG_LEVEL || "info",
+  out = console,
+} = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+  const context = {};
+  let fd = null;
+  let logFile = null;
+  if (file) {
+    fs.mkdirSync(dir, { recursive: true });
+    const started = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
+    logFile = path.join(dir, `${started}-${mode}-${runId}.jsonl`);
+    fd = fs.openSync(logFile, "a");
+  }
+
+  function write(lvl, msg, fields = {}) {
+    const entry = { ts: new Date().toISOString(), level: lvl, runId, mode, msg: String(msg).trim(), ...context, ...entryFields(fields) };
+    if (fd !== null) fs.writeSync(fd, `${JSON.stringify(entry)}\n`);
+    if (LEVELS[lvl] < threshold) return;
+    // The raw message keeps its leading blank lines, which the console output relies on
+    const line = `[${new Date(entry.ts).toLocaleTimeString()}] ${msg}`;
+    if (lvl === "error") out.error(line);
+    else if (lvl === "warn") out.warn(line);
+    else out.log(line);
+  }
+
+  return {
+    runId,
+    mode,
+    file: logFile,
+    /** Fields added to every later entry, e.g. { handle }; null removes one. */
+    set(fields) {
+      for (const [key, value] of Object.entries(fields)) {
+        if (value === null || value === undefined) delete context[key];
+        else context[key] = value;
+      }
+    },
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+  };
+}
+
+// ── Reading logs ────────────────────────────────────────────────────────────
+
+/** Runs in `dir`, newest first: { runId, mode, file, startedAt }. */
+export function listRunLogs(dir = LOGS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map((name) => /^(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2})-([a-z]+)-(.+)\.jsonl$/.exec(name))
+    .filter(Boolean)
+    .map(([name, started, mode, runId]) => ({
+      runId,
+      mode,
+      file: path.join(dir, name),
+      startedAt: started.replace(/^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})$/, "$1:$2:$3Z"),
+    }))
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/** Parsed entries of one log file; lines that aren't JSON (a crash mid-write) are skipped. */
+export function readRunLog(file) {
+  const entries = [];
+  for (const line of fs.readFileSync(file, "utf-8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {}
+  }
+  return entries;
+}
+
+/**
+ * Parse `logs` flags: --handle <h>, --error <type>, --run <id>, --mode <m>,
+ * --level <l>, --since YYYY-MM-DD, --limit <n>, --json. Throws on anything else.
+ */
+export function parseLogsArgs(args) {
+  const options = { filters: {}, json: false, limit: 20 };
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inline] = args[i].split(/=(.*)/s);
+    const value = () => inline ?? args[++i];
+    if (flag === "--handle") options.filters.handle = value();
+    else if (flag === "--error") options.filters.error = value();
+    else if (flag === "--run") options.filters.runId = value();
+    else if (flag === "--mode") options.filters.mode = value();
+    else if (flag === "--level") options.filters.level = value();
+    else if (flag === "--since") options.filters.since = parseDay(value(), "--since");
+    else if (flag === "--limit") options.limit = Number(value());
+    else if (flag === "--json") options.json = true;
+    else throw new Error(`Unknown logs option ${flag}`);
+  }
+  if (options.filters.level && !(options.filters.level in LEVELS)) {
+    throw new Error(`--level must be one of ${Object.keys(LEVELS).join(", ")}`);
+  }
+  if (!Number.isInteger(options.limit) || options.limit < 1) throw new Error("--limit expects a positive number");
+  return options;
+}
+
+/**
+ * Entries matching every filter. `error` matches warnings and errors by
+ * errorType (e.g. TimeoutError) or outcome (e.g. dm-unavailable), ignoring case.
+ */
+export function filterEntries(entries, { handle, error, runId, mode, level, since } = {}) {
+  const wanted = (value, expected) => String(value || "").toLowerCase() === String(expected).toLowerCase().replace(/^@/, "");
+  return entries.filter((e) =>
+    (!handle || wanted(e.handle, handle)) &&
+    (!error || (LEVELS[e.level] >= LEVELS.warn && (wanted(e.errorType, error) || wanted(e.outcome, error)))) &&
+    (!runId || e.runId === runId) &&
+    (!mode || e.mode === mode) &&
+    (!level || LEVELS[e.level] >= LEVELS[level]) &&
+    (!since || new Date(e.ts) >= since)
+  );
+}
+
+const LEVEL_TAGS = { debug: "·", info: " ", warn: "⚠️", error: "❌" };
+
+/** One line for `logs` output: time, run, level, handle and message (plus the error, if the message lacks it). */
+export function formatEntry(entry) {
+  const firstLine = (text) => String(text).split("\n")[0];
+  const error = entry.error ? firstLine(entry.error) : null;
+  const msg = error && !entry.msg.includes(error) ? `${firstLine(entry.msg)} ${error}` : firstLine(entry.msg);
+  const details = [entry.step, entry.outcome, entry.errorType && entry.errorType !== "Error" ? entry.errorType : null].filter(Boolean);
+  return [
+    new Date(entry.ts).toLocaleString(),
+    `${entry.mode}:${entry.runId}`,
+    LEVEL_TAGS[entry.level] || entry.level,
+    entry.handle ? `@${entry.handle}` : null,
+    msg,
+    details.length > 0 ? `(${details.join(", ")})` : null,
+  ].filter(Boolean).join("  ");
+}
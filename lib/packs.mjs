@@ -0,0 +1,87 @@
+/**
+ * ReachPilot — Niche packs
+ *
+ * A pack bundles everything niche-specific about finding creators: API
+ * search queries, Instagram search keywords, opener hooks and the keywords
+ * discovery scores captions and transcripts against. Built-in packs live in
+ * packs/<name>.json; pick one with outreach.pack (a pack name, or a path to
+ * your own pack file relative to config.json):
+ *
+ *   "outreach": { "pack": "fitness" }
+ *
+ * outreach.searchQueries, igSearchQueries, hooks and relevanceKeywords still
+ * win over the pack when set, so a config can reuse a pack and tweak one list.
+ * Without outreach.pack the "career" pack is used, which holds the
+ * resume/job-search defaults ReachPilot started with.
+ */
+
+import fs from "fs";
+import path from "path";
+import { CONFIG_FILE } from "./config.mjs";
+
+export const PACKS_DIR = path.resolve(path.dirname(new URL(import.meta.url).pathname), "..", "packs");
+export const DEFAULT_PACK = "career";
+
+const LIST_FIELDS = ["searchQueries", "igSearchQueries", "keywords"];
+
+/** Built-in pack names, from packs/*.json. */
+export function listPacks(dir = PACKS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter((f) => f.endsWith(".json")).map((f) => f.slice(0, -".json".length)).sort();
+}
+
+/**
+ * Load and check a pack by name (packs/<name>.json) or by file path. Paths
+ * are resolved against the directory config.json is in. Throws with the
+ * reason when the pack is missing or malformed.
+ */
+export function loadPack(nameOrPath = DEFAULT_PACK, { dir = PACKS_DIR, baseDir = path.dirname(CONFIG_FILE) } = {}) {
+  const isPath = nameOrPath.endsWith(".json") || nameOrPath.includes("/");
+  const file = isPath ? path.resolve(baseDir, nameOrPath) : path.join(dir, `${nameOrPath}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Niche pack "${nameOrPath}" not found${isPath ? ` at ${file}` : ` (built-in: ${listPacks(dir).join(", ")})`}`);
+  }
+
+  let pack;
+  try {
+    pack = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new Error(`Niche pack ${file}: ${err.message}`);
+  }
+
+  const problems = [];
+  for (const field of LIST_FIELDS) {
+    if (!Array.isArray(pack[field]) || pack[field].length === 0 || !pack[field].every((s) => typeof s === "string")) {
+      problems.push(`${field} must be a non-empty list of strings`);
+    }
+  }
+  if (!pack.hooks || typeof pack.hooks.default !== "string") problems.push("hooks must include a default hook");
+  if (pack.minScore !== undefined && !(Number.isInteger(pack.minScore) && pack.minScore >= 0)) {
+    problems.push("minScore must be a whole number");
+  }
+  if (problems.length > 0) throw new Error(`Niche pack ${file}: ${problems.join("; ")}`);
+
+  return { name: path.basename(file, ".json"), minScore: 2, ...pack, file };
+}
+
+/**
+ * The active pack for a config, with outreach.* overrides applied. Returns
+ * { name, file, searchQueries, igSearchQueries, hooks, keywords, minScore }.
+ */
+export function resolvePack(config = {}, options) {
+  const outreach = config?.outreach || {};
+  const pack = loadPack(outreach.pack || DEFAULT_PACK, options);
+  return {
+    ...pack,
+    searchQueries: outreach.searchQueries || pack.searchQueries,
+    igSearchQueries: outreach.igSearchQueries || pack.igSearchQueries,
+    hooks: outreach.hooks || pack.hooks,
+    keywords: outreach.relevanceKeywords || pack.keywords,
+  };
+}
+
+/** How many of the pack's keywords appear in `text` (case-insensitive). */
+export function relevanceScore(text, keywords) {
+  const haystack = (text || "").toLowerCase();
+  return keywords.filter((kw) => haystack.includes(kw.toLowerCase())).length;
+}
@@ -0,0 +1,84 @@
+/**
+ * ReachPilot — Send caps
+ *
+ * outreach.limits caps how many new conversations and follow-ups go out:
+ *
+ *   "limits": {
+ *     "newConversations": { "perHour": 4, "perDay": 10 },
+ *     "followUps": { "perHour": 10, "perDay": 30 }
+ *   }
+ *
+ * A missing or null cap means unlimited. "Per hour" is the last 60 minutes,
+ * "per day" is since local midnight. Usage is counted from the store's
+ * contact_attempts and follow_ups tables (countOutreachSince), so it carries
+ * across runs and can't drift from what was actually sent.
+ */
+
+import { countOutreachSince } from "./store.mjs";
+
+export const QUOTA_KINDS = {
+  newConversations: "new conversations",
+  followUps: "follow-ups",
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function capValue(value) {
+  return Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+export function getSendLimits(config = {}) {
+  const limits = config?.outreach?.limits || {};
+  return Object.fromEntries(
+    Object.keys(QUOTA_KINDS).map((kind) => [
+      kind,
+      { perHour: capValue(limits[kind]?.perHour), perDay: capValue(limits[kind]?.perDay) },
+    ])
+  );
+}
+
+/**
+ * Current usage against `limits` (from getSendLimits). `extra` adds sends
+ * the store doesn't know about — dry runs record nothing but should still
+ * stop where a real run would. Returns, per kind:
+ *   { hour, day, perHour, perDay, blocked }
+ * where blocked is null or { window: "hour" | "day", limit, resetsAt }.
+ */
+export function getQuota(limits, { now = new Date(), extra = null } = {}) {
+  const hourStart = new Date(now.getTime() - HOUR_MS);
+  const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const nextDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  const hourUsage = countOutreachSince(hourStart.toISOString());
+  const dayUsage = countOutreachSince(dayStart.toISOString());
+
+  return Object.fromEntries(
+    Object.keys(QUOTA_KINDS).map((kind) => {
+      const { perHour, perDay } = limits[kind];
+      const hour = hourUsage[kind] + (extra?.[kind] || 0);
+      const day = dayUsage[kind] + (extra?.[kind] || 0);
+      let blocked = null;
+      if (perDay !== null && day >= perDay) blocked = { window: "day", limit: perDay, resetsAt: nextDay.toISOString() };
+      else if (perHour !== null && hour >= perHour) blocked = { window: "hour", limit: perHour, resetsAt: null };
+      return [kind, { hour, day, perHour, perDay, blocked }];
+    })
+  );
+}
+
+// e.g. "daily cap of 10 new conversations reached (resets at midnight)"
+export function describeCap(kind, status) {
+  const { window, limit } = status.blocked;
+  const when = window === "day" ? "resets at midnight" : "rolling 60-minute window";
+  return `${window === "day" ? "daily" : "hourly"} cap of ${limit} ${QUOTA_KINDS[kind]} reached (${when})`;
+}
+
+// e.g. "new conversations 3/10 today, 1/4 this hour · follow-ups 2 today (no cap), …"
+export function formatQuota(quota) {
+  return Object.entries(quota)
+    .map(([kind, q]) => {
+      const day = q.perDay === null ? `${q.day} today` : `${q.day}/${q.perDay} today`;
+      const hour = q.perHour === null ? `${q.hour} this hour` : `${q.hour}/${q.perHour} this hour`;
+      const uncapped = q.perDay === null && q.perHour === null ? " (no cap)" : "";
+      return `${QUOTA_KINDS[kind]} ${day}, ${hour}${uncapped}`;
+    })
+    .join(" · ");
+}
@@ -0,0 +1,203 @@
+/**
+ * ReachPilot — Managed runs
+ *
+ * Lets dashboard-server.mjs start `send`, `igsearch` or `followup` as a child
+ * process of reachpilot.mjs, then pause, resume or stop it. Only one run at a
+ * time, since they all share the Instagram account and its send caps.
+ *
+ * The child leads its own process group. Stopping sends it SIGTERM, which
+ * reachpilot.mjs handles by recording the run as stopped and exiting; on
+ * exit Playwright kills the browser. Only if that takes longer than the
+ * grace period is the group SIGKILLed. Chromium leads a process group of
+ * its own, so a SIGKILL (or a pause, which is SIGSTOP) reaches the script
+ * but not the browser: a paused run's browser stays open, idle, and a
+ * killed run's browser is left behind.
+ * Its output is kept as the last MAX_LOG_LINES lines, and reachpilot.mjs
+ * reports the creator it is working on over the IPC channel.
+ *
+ * subscribe() listeners get:
+ *
+ *   { type: "status",  run }              on every state change
+ *   { type: "log",     line }             per line of output ({ at, stream, text })
+ *   { type: "creator", handle, run }      when the run moves to another creator
+ */
+
+import { spawn } from "child_process";
+import crypto from "crypto";
+import path from "path";
+
+export const RUN_MODES = ["send", "igsearch", "followup"];
+export const MAX_LOG_LINES = 2000;
+export const STOP_GRACE_MS = 15_000;
+
+const SCRIPT = path.resolve(path.dirname(new URL(import.meta.url).pathname), "..", "reachpilot.mjs");
+const ACTIVE = new Set(["running", "paused", "stopping"]);
+
+export class RunError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RunError";
+  }
+}
+
+/**
+ * A manager for one run at a time. `script` and `env` are for tests; the
+ * child otherwise inherits this process's environment (REACHPILOT_DB etc.).
+ */
+export function createRunManager({ script = SCRIPT, env = process.env, graceMs = STOP_GRACE_MS } = {}) {
+  const listeners = new Set();
+  let run = null;
+  let child = null;
+  let lines = [];
+  let killTimer = null;
+
+  const snapshot = () => (run ? { ...run } : null);
+  const emit = (event) => {
+    for (const listener of listeners) listener(event);
+  };
+  const setStatus = (status) => {
+    run.status = status;
+    emit({ type: "status", run: snapshot() });
+  };
+
+  function addLine(stream, text) {
+    const line = { at: new Date().toISOString(), stream, text };
+    lines.push(line);
+    if (lines.length > MAX_LOG_LINES) lines = lines.slice(-MAX_LOG_LINES);
+    emit({ type: "log", line });
+  }
+
+  // Splits a stream into lines, holding back a trailing partial one
+  function collect(stream, name) {
+    let pending = "";
+    stream.setEncoding("utf-8");
+    stream.on("data", (chunk) => {
+      const parts = (pending + chunk).split(/\r?\n/);
+      pending = parts.pop();
+      for (const text of parts) addLine(name, text);
+    });
+    stream.on("end", () => {
+      if (pending) addLine(name, pending);
+    });
+  }
+
+  function signalGroup(signal) {
+    try {
+      process.kill(-child.pid, signal);
+    } catch {
+      // Already gone; the exit handler records it
+    }
+  }
+
+  // SIGTERM now, SIGKILL if it's still there after graceMs
+  function terminate() {
+    // A stopped process can't handle SIGTERM until it's continued
+    if (run.status === "paused") signalGroup("SIGCONT");
+    signalGroup("SIGTERM");
+    killTimer = setTimeout(() => signalGroup("SIGKILL"), graceMs);
+    killTimer.unref();
+    setStatus("stopping");
+  }
+
+  function requireStatus(allowed, action) {
+    if (!run || !allowed.includes(run.status)) {
+      throw new RunError(run ? `Can't ${action} a run that is ${run.status}` : `No run to ${action}`);
+    }
+  }
+
+  return {
+    current: snapshot,
+    log: () => lines.slice(),
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /** Start reachpilot.mjs <mode> [--campaign <name>] [--dry-run]. */
+    start({ mode, campaign = null, dryRun = false } = {}) {
+      if (!RUN_MODES.includes(mode)) throw new RunError(`mode must be one of ${RUN_MODES.join(", ")}`);
+      if (run && ACTIVE.has(run.status)) throw new RunError(`A ${run.mode} run is already ${run.status}`);
+
+      const args = [script, mode, ...(campaign ? ["--campaign", campaign] : []), ...(dryRun ? ["--dry-run"] : [])];
+      // The child logs under the same id (see lib/logger.mjs), so its log file can be found from here
+      const id = crypto.randomUUID().slice(0, 8);
+      child = spawn(process.execPath, args, {
+        env: { ...env, REACHPILOT_RUN_ID: id },
+        detached: true,
+        stdio: ["ignore", "pipe", "pipe", "ipc"],
+      });
+      lines = [];
+      run = {
+        id,
+        mode,
+        campaign,
+        dryRun,
+        status: "running",
+        pid: child.pid,
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        exitCode: null,
+        signal: null,
+        currentHandle: null,
+      };
+
+      const started = child;
+      collect(started.stdout, "stdout");
+      collect(started.stderr, "stderr");
+      started.on("message", (message) => {
+        if (message?.type !== "creator" || started !== child) return;
+        run.currentHandle = message.handle;
+        emit({ type: "creator", handle: message.handle, run: snapshot() });
+      });
+      started.on("error", (err) => addLine("stderr", `Could not start: ${err.message}`));
+      // "close" rather than "exit", so the last lines of output are in first
+      started.on("close", (code, signal) => {
+        clearTimeout(killTimer);
+        Object.assign(run, { endedAt: new Date().toISOString(), exitCode: code, signal, currentHandle: null });
+        setStatus(run.status === "stopping" ? "stopped" : code === 0 ? "finished" : "failed");
+      });
+
+      emit({ type: "status", run: snapshot() });
+      return snapshot();
+    },
+
+    pause() {
+      requireStatus(["running"], "pause");
+      signalGroup("SIGSTOP");
+      setStatus("paused");
+      return snapshot();
+    },
+
+    resume() {
+      requireStatus(["paused"], "resume");
+      signalGroup("SIGCONT");
+      setStatus("running");
+      return snapshot();
+    },
+
+    /** SIGTERM the run so it can record itself as stopped; SIGKILL it if it's still there after graceMs. */
+    stop() {
+      requireStatus(["running", "paused"], "stop");
+      terminate();
+      return snapshot();
+    },
+
+    /**
+     * For the server's own shutdown: stop the run as stop() does and resolve
+     * once it has exited, so no unmanaged run is left behind. `force`
+     * SIGKILLs it straight away (a second Ctrl+C).
+     */
+    shutdown({ force = false } = {}) {
+      if (!run || !ACTIVE.has(run.status)) return Promise.resolve();
+      const exited = new Promise((resolve) => child.once("close", () => resolve()));
+      if (force) {
+        signalGroup("SIGCONT");
+        signalGroup("SIGKILL");
+      } else if (run.status !== "stopping") {
+        terminate();
+      }
+      return exited;
+    },
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * ReachPilot — Instagram selector registry
+ *
+ * Every element the browser flows look for, in one place. Each entry is an
+ * ordered list of fallbacks: the first selector that matches wins, so put
+ * the most specific one first and older markup further down.
+ *
+ * Instagram changes its markup without notice. When something breaks, run
+ * `node reachpilot.mjs selftest` to see which entries no longer resolve and
+ * override them in config.json instead of editing code:
+ *
+ *   "selectors": {
+ *     "version": "2026.02",
+ *     "messageButton": ["div[role=\"button\"]:text-is(\"Send message\")"]
+ *   }
+ *
+ * An override replaces the whole list for that element. `{handle}` in a
+ * selector is filled in at lookup time.
+ */
+
+// Bump when the defaults change so stale config overrides get flagged
+export const SELECTORS_VERSION = "2026.02";
+
+export const DEFAULT_SELECTORS = {
+  homeLink: ['[aria-label="Home"]'],
+  notNowButton: ['button:has-text("Not Now")', 'div[role="button"]:has-text("Not Now")'],
+  cookieButton: [
+    'button:has-text("Allow all cookies")',
+    'button:has-text("Allow essential and optional cookies")',
+    'button:has-text("Accept")',
+    'button:has-text("Allow")',
+    'button:has-text("Only allow essential cookies")',
+  ],
+
+  // Instagram 2026 uses name="email" and name="pass" (not "username"/"password")
+  loginUsername: ['input[name="email"]', 'input[name="username"]', 'input[type="text"]'],
+  loginPassword: ['input[name="pass"]', 'input[name="password"]', 'input[type="password"]'],
+  loginSubmit: ['button:has-text("Log in")', 'button:has-text("Log In")', 'button[type="submit"]', 'input[type="submit"]'],
+
+  searchIcon: ['[aria-label="Search"]'],
+  searchInput: ['input[placeholder="Search"]'],
+  searchResult: ['a[href*="/{handle}/"]', 'span:has-text("{handle}")'],
+  keywordSuggestion: ['a[role="link"]:has(svg[aria-label="Keyword"])'],
+  postLink: ['a[href*="/p/"], a[href*="/reel/"]'],
+  postAuthor: [
+    'article header a[href^="/"]',
+    'div[role="dialog"] header a[href^="/"]',
+    'div[role="dialog"] a[href^="/"][role="link"]',
+    'section > main a[href^="/"][role="link"]',
+  ],
+
+  messageButton: ['div[role="button"]:text-is("Message")', 'a:text-is("Message")', 'button:text-is("Message")'],
+  messageInput: [
+    'div[aria-label="Message"][contenteditable="true"]',
+    'div[role="textbox"][aria-label*="Message"]',
+    'textarea[placeholder*="Message"]',
+  ],
+  // Used inside page.evaluate, so plain CSS only (no :has-text / :text-is)
+  threadRow: ['div[role="row"]'],
+  messageBubble: ['div[dir="auto"]', 'span[dir="auto"]'],
+};
+
+/**
+ * Merge config overrides into the defaults. Returns { selectors, version,
+ * warnings } — warnings cover unknown element names, malformed entries and
+ * overrides written against a different registry version.
+ */
+export function loadSelectors(overrides = {}) {
+  const { version, ...entries } = overrides || {};
+  const selectors = { ...DEFAULT_SELECTORS };
+  const warnings = [];
+
+  for (const [name, value] of Object.entries(entries)) {
+    if (!(name in DEFAULT_SELECTORS)) {
+      warnings.push(`selectors.${name}: unknown element (known: ${Object.keys(DEFAULT_SELECTORS).join(", ")})`);
+      continue;
+    }
+    const list = typeof value === "string" ? [value] : value;
+    if (!Array.isArray(list) || list.length === 0 || !list.every((s) => typeof s === "string" && s.trim())) {
+      warnings.push(`selectors.${name}: expected a selector string or a non-empty array of them`);
+      continue;
+    }
+    selectors[name] = list;
+  }
+
+  if (Object.keys(entries).length > 0 && version !== SELECTORS_VERSION) {
+    warnings.push(
+      `selectors: overrides were written for version ${version || "(none)"}, built-in selectors are ${SELECTORS_VERSION} — re-run selftest and drop overrides you no longer need`
+    );
+  }
+
+  return { selectors, version: SELECTORS_VERSION, warnings };
+}
+
+/** The fallback list for `name`, with {handle} etc. filled in from `vars`. */
+export function selectorList(selectors, name, vars = {}) {
+  const list = selectors[name];
+  if (!list) throw new Error(`Unknown selector "${name}"`);
+  return list.map((sel) => sel.replace(/\{(\w+)\}/g, (m, key) => (key in vars ? vars[key] : m)));
+}
@@ -0,0 +1,541 @@
+/**
+ * ReachPilot — Local SQLite store
+ *
+ * Shared data-access layer for reachpilot.mjs, the dashboards and the
+ * report generator. Creators live in one row each; everything that happens
+ * to them (contact attempts, messages, screenings, follow-ups, team notes)
+ * is appended to its own table so history is never overwritten. Each
+ * send / igsearch / followup run also leaves a row in `runs`.
+ *
+ * Callers still work with the flat handle → record map that
+ * outreach-state.json used to hold (see loadState / saveCreator), so the
+ * record shape stays { sent, sentAt, skipped, skippedReason, ... }.
+ *
+ * The database defaults to outreach.db next to reachpilot.mjs; set
+ * REACHPILOT_DB to point somewhere else.
+ */
+
+import Database from "better-sqlite3";
+import fs from "fs";
+import path from "path";
+
+const DIR = path.resolve(path.dirname(new URL(import.meta.url).pathname), "..");
+export const DB_FILE = process.env.REACHPILOT_DB || path.join(DIR, "outreach.db");
+export const LEGACY_STATE_FILE = process.env.REACHPILOT_LEGACY_STATE || path.join(DIR, "outreach-state.json");
+
+// ── Schema ──────────────────────────────────────────────────────────────────
+
+// Each entry upgrades the schema by one version (tracked in PRAGMA user_version).
+// Never edit a shipped migration — append a new one.
+const MIGRATIONS = [
+  `
+  CREATE TABLE creators (
+    handle          TEXT PRIMARY KEY,
+    source          TEXT,
+    reel_url        TEXT,
+    sent            INTEGER NOT NULL DEFAULT 0,
+    sent_at         TEXT,
+    skipped         INTEGER NOT NULL DEFAULT 0,
+    skipped_reason  TEXT,
+    skipped_at      TEXT,
+    replied         INTEGER NOT NULL DEFAULT 0,
+    followed_up     INTEGER NOT NULL DEFAULT 0,
+    followed_up_at  TEXT,
+    created_at      TEXT NOT NULL,
+    updated_at      TEXT NOT NULL
+  );
+
+  CREATE TABLE contact_attempts (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    handle        TEXT NOT NULL REFERENCES creators(handle),
+    attempted_at  TEXT NOT NULL,
+    success       INTEGER NOT NULL,
+    source        TEXT
+  );
+
+  CREATE TABLE messages (
+    id         INTEGER PRIMARY KEY AUTOINCREMENT,
+    handle     TEXT NOT NULL REFERENCES creators(handle),
+    direction  TEXT NOT NULL CHECK (direction IN ('out', 'in')),
+    body       TEXT NOT NULL,
+    sent_at    TEXT NOT NULL
+  );
+
+  CREATE TABLE screenings (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    handle       TEXT NOT NULL REFERENCES creators(handle),
+    screened_at  TEXT NOT NULL,
+    passes       INTEGER NOT NULL,
+    gender       TEXT,
+    reason       TEXT
+  );
+
+  CREATE TABLE follow_ups (
+    id       INTEGER PRIMARY KEY AUTOINCREMENT,
+    handle   TEXT NOT NULL REFERENCES creators(handle),
+    sent_at  TEXT NOT NULL,
+    body     TEXT
+  );
+
+  CREATE INDEX idx_contact_attempts_handle ON contact_attempts(handle);
+  CREATE INDEX idx_messages_handle ON messages(handle);
+  CREATE INDEX idx_screenings_handle ON screenings(handle);
+  CREATE INDEX idx_follow_ups_handle ON follow_ups(handle);
+  `,
+  `
+  CREATE TABLE suppressions (
+    handle      TEXT PRIMARY KEY,
+    reason      TEXT,
+    source      TEXT NOT NULL,
+    created_at  TEXT NOT NULL
+  );
+  `,
+  `
+  ALTER TABLE creators ADD COLUMN replied_at TEXT;
+  ALTER TABLE creators ADD COLUMN reply_text TEXT;
+  `,
+  `
+  ALTER TABLE creators ADD COLUMN reply_label TEXT;
+  ALTER TABLE creators ADD COLUMN reply_label_reason TEXT;
+  ALTER TABLE creators ADD COLUMN triaged_at TEXT;
+  CREATE INDEX idx_creators_reply_label ON creators(reply_label);
+  `,
+  `
+  ALTER TABLE creators ADD COLUMN followup_step INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE follow_ups ADD COLUMN step INTEGER;
+  UPDATE creators SET followup_step = 1 WHERE followed_up = 1;
+  UPDATE follow_ups SET step = 1;
+  `,
+  `
+  ALTER TABLE creators ADD COLUMN variants TEXT;
+  `,
+  `
+  ALTER TABLE creators ADD COLUMN campaign TEXT;
+  ALTER TABLE contact_attempts ADD COLUMN campaign TEXT;
+  CREATE INDEX idx_creators_campaign ON creators(campaign);
+  `,
+  `
+  ALTER TABLE creators ADD COLUMN query TEXT;
+  `,
+  `
+  ALTER TABLE creators ADD COLUMN suggestion TEXT;
+  ALTER TABLE creators ADD COLUMN manual_status TEXT;
+  ALTER TABLE creators ADD COLUMN manual_status_at TEXT;
+  CREATE TABLE notes (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    handle      TEXT NOT NULL REFERENCES creators(handle),
+    kind        TEXT NOT NULL,
+    body        TEXT NOT NULL,
+    created_at  TEXT NOT NULL
+  );
+  CREATE INDEX idx_notes_handle ON notes(handle);
+  `,
+  `
+  CREATE TABLE runs (
+    id          TEXT PRIMARY KEY,
+    mode        TEXT NOT NULL,
+    campaign    TEXT,
+    status      TEXT NOT NULL,
+    started_at  TEXT NOT NULL,
+    ended_at    TEXT,
+    summary     TEXT
+  );
+  CREATE INDEX idx_runs_started_at ON runs(started_at);
+  `,
+];
+
+// State record field → creators column. Boolean columns are stored as 0/1.
+const FIELDS = {
+  source: "source",
+  reelUrl: "reel_url",
+  sent: "sent",
+  sentAt: "sent_at",
+  skipped: "skipped",
+  skippedReason: "skipped_reason",
+  skippedAt: "skipped_at",
+  replied: "replied",
+  repliedAt: "replied_at",
+  replyText: "reply_text",
+  replyLabel: "reply_label",
+  replyLabelReason: "reply_label_reason",
+  triagedAt: "triaged_at",
+  followedUp: "followed_up",
+  followedUpAt: "followed_up_at",
+  followUpStep: "followup_step",
+  variants: "variants",
+  campaign: "campaign",
+  query: "query",
+  suggestion: "suggestion",
+  manualStatus: "manual_status",
+  manualStatusAt: "manual_status_at",
+};
+const BOOLEAN_FIELDS = new Set(["sent", "skipped", "replied", "followedUp"]);
+// Stored as JSON text
+const JSON_FIELDS = new Set(["variants"]);
+
+// ── Connection ──────────────────────────────────────────────────────────────
+
+let db = null;
+
+function migrate(conn) {
+  const version = conn.pragma("user_version", { simple: true });
+  for (let v = version; v < MIGRATIONS.length; v++) {
+    conn.transaction(() => {
+      conn.exec(MIGRATIONS[v]);
+      conn.pragma(`user_version = ${v + 1}`);
+    })();
+  }
+}
+
+export function openStore() {
+  if (db) return db;
+  db = new Database(DB_FILE);
+  // WAL keeps readers (dashboard) off the writer's back, and a killed process
+  // can only lose the transaction in flight — never the whole file.
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  migrate(db);
+  return db;
+}
+
+export function closeStore() {
+  if (db) db.close();
+  db = null;
+}
+
+export function storeExists() {
+  return fs.existsSync(DB_FILE);
+}
+
+/**
+ * Changes whenever anything is committed to the store, by this process
+ * (total_changes) or another one (data_version) — so a reader can tell
+ * whether its cached view is stale without reloading.
+ */
+export function storeVersion() {
+  const conn = openStore();
+  return `${conn.pragma("data_version", { simple: true })}.${conn.prepare("SELECT total_changes() AS n").get().n}`;
+}
+
+// ── Creators ────────────────────────────────────────────────────────────────
+
+function rowToRecord(row) {
+  const record = {};
+  for (const [field, column] of Object.entries(FIELDS)) {
+    if (BOOLEAN_FIELDS.has(field)) record[field] = row[column] === 1;
+    else if (JSON_FIELDS.has(field)) record[field] = row[column] ? JSON.parse(row[column]) : null;
+    else record[field] = row[column];
+  }
+  return record;
+}
+
+function toColumnValue(field, value) {
+  if (BOOLEAN_FIELDS.has(field)) return value ? 1 : 0;
+  if (JSON_FIELDS.has(field)) return value == null ? null : JSON.stringify(value);
+  return value ?? null;
+}
+
+export function loadState() {
+  const rows = openStore().prepare("SELECT * FROM creators ORDER BY created_at").all();
+  const state = {};
+  for (const row of rows) state[row.handle] = rowToRecord(row);
+  return state;
+}
+
+export function getCreator(handle) {
+  const row = openStore().prepare("SELECT * FROM creators WHERE handle = ?").get(handle);
+  return row ? rowToRecord(row) : null;
+}
+
+// The stored spelling of a handle ("@Foo" finds "foo"), or null if it isn't stored
+export function findHandle(handle) {
+  const key = String(handle || "").trim().replace(/^@/, "");
+  const row = openStore()
+    .prepare("SELECT handle FROM creators WHERE handle = ? COLLATE NOCASE ORDER BY handle = ? DESC LIMIT 1")
+    .get(key, key);
+  return row?.handle || null;
+}
+
+export function countCreators() {
+  return openStore().prepare("SELECT COUNT(*) AS n FROM creators").get().n;
+}
+
+/**
+ * Insert or replace one creator's record. Only fields present on `record`
+ * are written, so callers can pass a partial update for an existing handle.
+ */
+export function saveCreator(handle, record) {
+  const conn = openStore();
+  const now = new Date().toISOString();
+  const fields = Object.keys(FIELDS).filter((f) => f in record);
+  const columns = fields.map((f) => FIELDS[f]);
+  const values = fields.map((f) => toColumnValue(f, record[f]));
+
+  const updates = columns.map((c) => `${c} = excluded.${c}`).concat("updated_at = excluded.updated_at");
+  conn.prepare(`
+    INSERT INTO creators (handle, ${columns.concat("created_at", "updated_at").join(", ")})
+    VALUES (?, ${values.map(() => "?").concat("?", "?").join(", ")})
+    ON CONFLICT(handle) DO UPDATE SET ${updates.join(", ")}
+  `).run(handle, ...values, now, now);
+}
+
+// ── History ─────────────────────────────────────────────────────────────────
+
+export function recordScreening(handle, { passes, gender = null, reason = null, at = new Date().toISOString() }) {
+  ensureCreator(handle);
+  openStore()
+    .prepare("INSERT INTO screenings (handle, screened_at, passes, gender, reason) VALUES (?, ?, ?, ?, ?)")
+    .run(handle, at, passes ? 1 : 0, gender, reason);
+}
+
+/**
+ * Log one attempt to open a conversation. `messages` are the bodies that were
+ * actually delivered (empty when the attempt failed).
+ */
+export function recordAttempt(handle, { success, source = null, campaign = null, messages = [], at = new Date().toISOString() }) {
+  const conn = openStore();
+  ensureCreator(handle);
+  conn.transaction(() => {
+    conn
+      .prepare("INSERT INTO contact_attempts (handle, attempted_at, success, source, campaign) VALUES (?, ?, ?, ?, ?)")
+      .run(handle, at, success ? 1 : 0, source, campaign);
+    const insertMessage = conn.prepare(
+      "INSERT INTO messages (handle, direction, body, sent_at) VALUES (?, 'out', ?, ?)"
+    );
+    for (const body of messages) insertMessage.run(handle, body, at);
+  })();
+}
+
+/**
+ * Store the creator's side of the thread. `replies` are parsed messages
+ * ({ text, timestamp }); ones already stored (same text and time) are
+ * skipped so re-checking a thread doesn't duplicate them. Returns the
+ * number of new messages.
+ */
+export function recordReplies(handle, replies) {
+  const conn = openStore();
+  ensureCreator(handle);
+  // Untimestamped replies get stamped with "now", so they can only be matched on text
+  const exists = conn.prepare(
+    "SELECT 1 FROM messages WHERE handle = ? AND direction = 'in' AND body = ? AND (? IS NULL OR sent_at = ?)"
+  );
+  const insert = conn.prepare("INSERT INTO messages (handle, direction, body, sent_at) VALUES (?, 'in', ?, ?)");
+  let added = 0;
+  conn.transaction(() => {
+    for (const r of replies) {
+      const at = r.timestamp || null;
+      if (exists.get(handle, r.text, at, at)) continue;
+      insert.run(handle, r.text, at || new Date().toISOString());
+      added++;
+    }
+  })();
+  return added;
+}
+
+// `step` is the 1-based position in the follow-up sequence
+export function recordFollowUp(handle, { body = null, step = null, at = new Date().toISOString() }) {
+  const conn = openStore();
+  ensureCreator(handle);
+  conn.transaction(() => {
+    conn.prepare("INSERT INTO follow_ups (handle, sent_at, body, step) VALUES (?, ?, ?, ?)").run(handle, at, body, step);
+    if (body) {
+      conn.prepare("INSERT INTO messages (handle, direction, body, sent_at) VALUES (?, 'out', ?, ?)").run(handle, body, at);
+    }
+  })();
+}
+
+/**
+ * Successful new conversations and follow-ups sent at or after `since`
+ * (ISO string). Send caps are counted from these tables, so usage survives
+ * restarts without a separate counter.
+ */
+export function countOutreachSince(since) {
+  const conn = openStore();
+  return {
+    newConversations: conn.prepare("SELECT COUNT(*) AS n FROM contact_attempts WHERE success = 1 AND attempted_at >= ?").get(since).n,
+    followUps: conn.prepare("SELECT COUNT(*) AS n FROM follow_ups WHERE sent_at >= ?").get(since).n,
+  };
+}
+
+export function getHistory(handle) {
+  const conn = openStore();
+  return {
+    createdAt: conn.prepare("SELECT created_at FROM creators WHERE handle = ?").get(handle)?.created_at || null,
+    attempts: conn.prepare("SELECT * FROM contact_attempts WHERE handle = ? ORDER BY attempted_at").all(handle),
+    messages: conn.prepare("SELECT * FROM messages WHERE handle = ? ORDER BY sent_at, id").all(handle),
+    screenings: conn.prepare("SELECT * FROM screenings WHERE handle = ? ORDER BY screened_at").all(handle),
+    followUps: conn.prepare("SELECT * FROM follow_ups WHERE handle = ? ORDER BY sent_at").all(handle),
+    notes: conn.prepare("SELECT * FROM notes WHERE handle = ? ORDER BY created_at, id").all(handle),
+  };
+}
+
+/**
+ * A team member's note on a creator. `kind` is "note", or "status" for the
+ * entry setManualStatus leaves behind.
+ */
+export function addNote(handle, body, { kind = "note", at = new Date().toISOString() } = {}) {
+  ensureCreator(handle);
+  const { lastInsertRowid } = openStore()
+    .prepare("INSERT INTO notes (handle, kind, body, created_at) VALUES (?, ?, ?, ?)")
+    .run(handle, kind, body, at);
+  return { id: Number(lastInsertRowid), handle, kind, body, created_at: at };
+}
+
+/**
+ * Set (or clear, with null) a status the team decided by hand, e.g. "posted".
+ * The change is also logged as a "status" note so it shows in the timeline.
+ */
+export function setManualStatus(handle, status, { at = new Date().toISOString() } = {}) {
+  const conn = openStore();
+  conn.transaction(() => {
+    saveCreator(handle, { manualStatus: status, manualStatusAt: status ? at : null });
+    addNote(handle, status ? `Status set to ${status}` : "Manual status cleared", { kind: "status", at });
+  })();
+}
+
+function ensureCreator(handle) {
+  const now = new Date().toISOString();
+  openStore()
+    .prepare("INSERT OR IGNORE INTO creators (handle, created_at, updated_at) VALUES (?, ?, ?)")
+    .run(handle, now, now);
+}
+
+// ── Suppression list ────────────────────────────────────────────────────────
+
+// Instagram handles are case-insensitive; suppressions are keyed on the
+// lowercase form so "@Foo" and "foo" are the same entry.
+export function normalizeHandle(handle) {
+  return String(handle || "").trim().replace(/^@/, "").toLowerCase();
+}
+
+const HANDLE_RE = /^[a-z0-9._]{1,30}$/;
+
+// Instagram's handle syntax: 1–30 letters, digits, periods and underscores
+export function isValidHandle(handle) {
+  return HANDLE_RE.test(normalizeHandle(handle));
+}
+
+/**
+ * Add a handle to the never-contact list. `source` is where the entry came
+ * from: "manual", "import" or "reply" (auto opt-out). Returns false if the
+ * handle was already suppressed.
+ */
+export function addSuppression(handle, { reason = null, source = "manual" } = {}) {
+  const result = openStore()
+    .prepare("INSERT OR IGNORE INTO suppressions (handle, reason, source, created_at) VALUES (?, ?, ?, ?)")
+    .run(normalizeHandle(handle), reason, source, new Date().toISOString());
+  return result.changes > 0;
+}
+
+export function removeSuppression(handle) {
+  return openStore().prepare("DELETE FROM suppressions WHERE handle = ?").run(normalizeHandle(handle)).changes > 0;
+}
+
+export function getSuppression(handle) {
+  return openStore().prepare("SELECT * FROM suppressions WHERE handle = ?").get(normalizeHandle(handle)) || null;
+}
+
+export function isSuppressed(handle) {
+  return getSuppression(handle) !== null;
+}
+
+export function listSuppressions() {
+  return openStore().prepare("SELECT * FROM suppressions ORDER BY created_at").all();
+}
+
+// ── Runs ────────────────────────────────────────────────────────────────────
+
+function rowToRun(row) {
+  return {
+    id: row.id,
+    mode: row.mode,
+    campaign: row.campaign,
+    status: row.status,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    summary: row.summary ? JSON.parse(row.summary) : null,
+  };
+}
+
+// status starts as "running"; see lib/history.mjs for the rest and the summary's shape
+export function startRun({ id, mode, campaign = null, startedAt = new Date().toISOString() }) {
+  openStore()
+    .prepare("INSERT INTO runs (id, mode, campaign, status, started_at) VALUES (?, ?, ?, 'running', ?)")
+    .run(id, mode, campaign, startedAt);
+}
+
+/** Update a run's status, end time and/or summary; fields left out are kept. */
+export function updateRun(id, { status, endedAt, summary }) {
+  openStore().prepare(`
+    UPDATE runs SET
+      status = COALESCE(?, status),
+      ended_at = COALESCE(?, ended_at),
+      summary = COALESCE(?, summary)
+    WHERE id = ?
+  `).run(status ?? null, endedAt ?? null, summary === undefined ? null : JSON.stringify(summary), id);
+}
+
+export function getRun(id) {
+  const row = openStore().prepare("SELECT * FROM runs WHERE id = ?").get(id);
+  return row ? rowToRun(row) : null;
+}
+
+// Newest first
+export function listRuns({ limit = 50, mode = null } = {}) {
+  return openStore()
+    .prepare("SELECT * FROM runs WHERE ? IS NULL OR mode = ? ORDER BY started_at DESC, rowid DESC LIMIT ?")
+    .all(mode, mode, limit)
+    .map(rowToRun);
+}
+
+// ── Legacy JSON import ──────────────────────────────────────────────────────
+
+export function legacyStatePending() {
+  return fs.existsSync(LEGACY_STATE_FILE) && countCreators() === 0;
+}
+
+/**
+ * Import an outreach-state.json object. Handles already in the database are
+ * left untouched so the import can be re-run safely.
+ * Returns { imported, skipped }.
+ */
+export function importLegacyState(state) {
+  const conn = openStore();
+  let imported = 0;
+  let skipped = 0;
+
+  conn.transaction(() => {
+    for (const [handle, s] of Object.entries(state)) {
+      if (getCreator(handle)) { skipped++; continue; }
+      // Older dashboard code wrote skipReason; reachpilot.mjs always wrote skippedReason
+      const skippedReason = s.skippedReason || s.skipReason || null;
+
+      saveCreator(handle, {
+        source: s.source || null,
+        reelUrl: s.reelUrl || null,
+        sent: !!s.sent,
+        sentAt: s.sentAt || null,
+        skipped: !!s.skipped,
+        skippedReason,
+        skippedAt: s.skippedAt || null,
+        replied: !!s.replied,
+        followedUp: !!s.followedUp,
+        followedUpAt: s.followedUpAt || null,
+      });
+
+      if (s.sent && s.sentAt) {
+        recordAttempt(handle, { success: true, source: s.source || null, at: s.sentAt });
+      }
+      if (skippedReason === "screening") {
+        recordScreening(handle, { passes: false, at: s.skippedAt || s.sentAt || new Date().toISOString() });
+      }
+      if (s.followedUp) {
+        saveCreator(handle, { followUpStep: 1 });
+        recordFollowUp(handle, { step: 1, at: s.followedUpAt || s.sentAt || new Date().toISOString() });
+      }
+      imported++;
+    }
+  })();
+
+  return { imported, skipped };
+}
@@ -0,0 +1,96 @@
+/**
+ * ReachPilot — Opt-out detection and suppression-list import
+ *
+ * The list itself lives in the store (addSuppression / isSuppressed); this
+ * module decides when a reply means "leave me alone" and parses the files
+ * teams hand us for bulk suppression.
+ */
+
+import fs from "fs";
+import path from "path";
+import { normalizeHandle, isValidHandle } from "./store.mjs";
+
+// Matched case-insensitively as whole words, so "stop messaging me" opts out
+// but "unstoppable" or "stopped by" don't. A polite "no thanks" is a decline
+// (see lib/triage.mjs), not a request to never hear from us again.
+export const OPT_OUT_PHRASES = [
+  "unsubscribe",
+  "not interested",
+  "don't message me",
+  "dont message me",
+  "do not message me",
+  "don't contact me",
+  "do not contact me",
+  "leave me alone",
+  "remove me",
+  "stop messaging me",
+  "stop texting me",
+  "stop contacting me",
+  "stop dming me",
+  "stop dm'ing me",
+  "stop sending me",
+];
+
+// Only opt-outs when they are a whole message: "STOP" is, "can't stop watching" isn't
+export const WHOLE_MESSAGE_OPT_OUTS = ["stop", "please stop", "pls stop", "stop please", "stop pls"];
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Return the first opt-out phrase found in `text`, or null. Each line of
+ * `text` counts as a message for WHOLE_MESSAGE_OPT_OUTS.
+ * `extraPhrases` come from config (outreach.optOutPhrases).
+ */
+export function findOptOut(text, extraPhrases = []) {
+  const haystack = String(text || "").toLowerCase().replace(/[’‘]/g, "'");
+  const lines = haystack.split("\n").map((line) => line.replace(/[^a-z0-9']+/g, " ").trim());
+  for (const phrase of WHOLE_MESSAGE_OPT_OUTS) {
+    if (lines.includes(phrase)) return phrase;
+  }
+  for (const phrase of [...OPT_OUT_PHRASES, ...extraPhrases]) {
+    const re = new RegExp(`(^|[^a-z0-9'])${escapeRegExp(phrase.toLowerCase())}($|[^a-z0-9'])`);
+    if (re.test(haystack)) return phrase;
+  }
+  return null;
+}
+
+/**
+ * Parse a suppression file into [{ handle, reason }]. Accepts:
+ *   - .json: an array of handles, or of { handle, reason } objects
+ *   - anything else: one handle per line, optionally "handle,reason" (CSV);
+ *     a header row starting with "handle" and #-comments are ignored.
+ * Entries that aren't valid Instagram handles are returned in `invalid`.
+ * A handle listed twice keeps its first entry (and the first reason given).
+ */
+export function parseSuppressionFile(file) {
+  const raw = fs.readFileSync(file, "utf-8");
+  let rows;
+
+  if (path.extname(file).toLowerCase() === ".json") {
+    rows = JSON.parse(raw).map((entry) =>
+      typeof entry === "string" ? { handle: entry, reason: null } : { handle: entry.handle, reason: entry.reason || null }
+    );
+  } else {
+    rows = raw
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#"))
+      .map((line) => {
+        const [handle, ...rest] = line.split(",");
+        return { handle: handle.trim().replace(/^"|"$/g, ""), reason: rest.join(",").trim().replace(/^"|"$/g, "") || null };
+      })
+      .filter((row, i) => !(i === 0 && row.handle.toLowerCase() === "handle"));
+  }
+
+  const entries = new Map();
+  const invalid = [];
+  for (const row of rows) {
+    const handle = normalizeHandle(row.handle);
+    if (!isValidHandle(handle)) invalid.push(row.handle);
+    else if (!entries.has(handle)) entries.set(handle, { handle, reason: row.reason });
+    else entries.get(handle).reason ||= row.reason;
+  }
+  return { entries: [...entries.values()], invalid };
+}
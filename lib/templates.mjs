@@ -0,0 +1,228 @@
+/**
+ * ReachPilot — Message templates
+ *
+ * Every outbound message (opener, pitch, link, ask, follow-ups) is a template:
+ *
+ *   {{name}}                        variable; dotted paths like {{product.url}} work
+ *   {{name | "there"}}              fallback when the variable is empty
+ *   {{#if name}}…{{else}}…{{/if}}   conditional block ({{else}} optional)
+ *   {{#if gender == "male"}}…{{/if}} equality test (also !=)
+ *   {{#unless reelUrl}}…{{/unless}} negated conditional
+ *
+ * A message slot may also hold several variants — an array of templates, or
+ * an object of named templates ({ "casual": "...", "direct": "..." }) for A/B
+ * tests. One variant is picked per creator, deterministically from the
+ * handle, so re-runs say the same thing.
+ *
+ * Rendering an empty variable that has no fallback throws a TemplateError
+ * rather than sending "Hey !" to someone.
+ */
+
+export class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TemplateError";
+  }
+}
+
+const TOKEN_RE = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+const PATH_RE = /^[a-zA-Z_][a-zA-Z0-9_]*(\.[a-zA-Z0-9_]+)*$/;
+
+function unquote(s) {
+  const m = s.match(/^"(.*)"$/s) || s.match(/^'(.*)'$/s);
+  return m ? m[1] : s;
+}
+
+function parsePath(path, source) {
+  if (!PATH_RE.test(path)) throw new TemplateError(`Invalid variable "${path}" in template: ${source}`);
+  return path;
+}
+
+function parseCondition(expr, source) {
+  const m = expr.match(/^(\S+)\s*(==|!=)\s*(.+)$/);
+  if (m) return { path: parsePath(m[1], source), op: m[2], value: unquote(m[3].trim()) };
+  return { path: parsePath(expr.trim(), source), op: null, value: null };
+}
+
+// ── Parsing ─────────────────────────────────────────────────────────────────
+
+/**
+ * Parse a template string into a node tree. Throws TemplateError on
+ * unbalanced blocks or malformed tags.
+ */
+export function compileTemplate(source) {
+  if (typeof source !== "string") throw new TemplateError(`Template must be a string, got ${typeof source}`);
+
+  const root = { type: "root", children: [] };
+  const stack = [root];
+  const target = () => {
+    const top = stack[stack.length - 1];
+    if (top.type === "root") return top.children;
+    return top.otherwise ?? top.then;
+  };
+
+  let last = 0;
+  for (const match of source.matchAll(TOKEN_RE)) {
+    if (match.index > last) target().push({ type: "text", value: source.slice(last, match.index) });
+    last = match.index + match[0].length;
+    const tag = match[1];
+
+    const open = tag.match(/^#(if|unless)\s+(.+)$/s);
+    if (open) {
+      const node = { type: "if", keyword: open[1], negate: open[1] === "unless", cond: parseCondition(open[2], source), then: [], otherwise: null };
+      target().push(node);
+      stack.push(node);
+    } else if (tag === "else") {
+      const top = stack[stack.length - 1];
+      if (top.type !== "if" || top.otherwise) throw new TemplateError(`Unexpected {{else}} in template: ${source}`);
+      top.otherwise = [];
+    } else if (/^\/(if|unless)$/.test(tag)) {
+      const top = stack.pop();
+      if (top.type !== "if" || `/${top.keyword}` !== tag) throw new TemplateError(`Unexpected {{${tag}}} in template: ${source}`);
+    } else {
+      const pipe = tag.indexOf("|");
+      const path = parsePath((pipe === -1 ? tag : tag.slice(0, pipe)).trim(), source);
+      const fallback = pipe === -1 ? null : unquote(tag.slice(pipe + 1).trim());
+      target().push({ type: "var", path, fallback });
+    }
+  }
+  if (last < source.length) target().push({ type: "text", value: source.slice(last) });
+
+  if (stack.length > 1) throw new TemplateError(`Unclosed {{#${stack[stack.length - 1].keyword}}} in template: ${source}`);
+  return root;
+}
+
+function lookup(context, path) {
+  let value = context;
+  for (const key of path.split(".")) {
+    if (value == null || typeof value !== "object") return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === "";
+}
+
+// ── Rendering ───────────────────────────────────────────────────────────────
+
+function renderNodes(nodes, context, source) {
+  let out = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      out += node.value;
+    } else if (node.type === "var") {
+      const value = lookup(context, node.path);
+      if (!isEmpty(value)) out += String(value);
+      else if (node.fallback !== null) out += node.fallback;
+      else throw new TemplateError(`{{${node.path}}} is empty and has no fallback in template: ${source}`);
+    } else if (node.type === "if") {
+      const value = lookup(context, node.cond.path);
+      let truthy;
+      if (node.cond.op === "==") truthy = String(value ?? "") === node.cond.value;
+      else if (node.cond.op === "!=") truthy = String(value ?? "") !== node.cond.value;
+      else truthy = !isEmpty(value) && value !== false;
+      if (node.negate) truthy = !truthy;
+      out += renderNodes(truthy ? node.then : node.otherwise || [], context, source);
+    }
+  }
+  return out;
+}
+
+export function renderTemplate(source, context) {
+  return renderNodes(compileTemplate(source).children, context, source);
+}
+
+// ── Variants ────────────────────────────────────────────────────────────────
+
+// FNV-1a — tiny, stable across runs and Node versions
+export function hashString(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Normalize a slot into [{ name, template }]. A plain string is the single
+ * variant "default"; arrays are named "v1", "v2", …; objects keep their keys.
+ */
+export function slotVariants(slot) {
+  if (Array.isArray(slot)) return slot.map((template, i) => ({ name: `v${i + 1}`, template }));
+  if (slot && typeof slot === "object") return Object.entries(slot).map(([name, template]) => ({ name, template }));
+  return [{ name: "default", template: slot }];
+}
+
+/** Name of the variant `seed` (usually "<handle>:<slot>") gets for this slot. */
+export function pickVariant(slot, seed) {
+  const variants = slotVariants(slot);
+  return variants[hashString(String(seed)) % variants.length].name;
+}
+
+/**
+ * Render one variant of a slot. `variant` is a name from pickVariant (or a
+ * previously persisted assignment); unknown names fall back to the first.
+ */
+export function renderSlot(slot, context, variant) {
+  const variants = slotVariants(slot);
+  const chosen = variants.find((v) => v.name === variant) || variants[0];
+  return renderTemplate(chosen.template, context);
+}
+
+// ── Validation ──────────────────────────────────────────────────────────────
+
+function collectPaths(nodes, paths = []) {
+  for (const node of nodes) {
+    if (node.type === "var") paths.push({ path: node.path, hasFallback: node.fallback !== null });
+    else if (node.type === "if") {
+      paths.push({ path: node.cond.path, hasFallback: true });
+      collectPaths(node.then, paths);
+      if (node.otherwise) collectPaths(node.otherwise, paths);
+    }
+  }
+  return paths;
+}
+
+/**
+ * Check every template in `slots` ({ name: slot }) before any
+ * browser opens. `variables` lists the per-creator variable names that will
+ * exist at render time; `context` holds the static values (e.g. product) so
+ * {{product.url}} can be checked against the actual config.
+ * Returns a list of error strings (empty when everything is fine).
+ */
+export function validateTemplates(slots, { variables = [], context = {} } = {}) {
+  const errors = [];
+  const known = new Set([...variables, ...Object.keys(context)]);
+
+  for (const [name, slot] of Object.entries(slots)) {
+    const variants = slotVariants(slot);
+    if (variants.length === 0) errors.push(`${name}: variant list is empty`);
+
+    variants.forEach(({ name: variant, template: source }) => {
+      const label = variants.length > 1 ? `${name}.${variant}` : name;
+      if (isEmpty(source)) {
+        errors.push(`${label}: template is missing`);
+        return;
+      }
+      let tree;
+      try {
+        tree = compileTemplate(source);
+      } catch (err) {
+        errors.push(`${label}: ${err.message}`);
+        return;
+      }
+      for (const { path, hasFallback } of collectPaths(tree.children)) {
+        const root = path.split(".")[0];
+        if (!known.has(root)) {
+          errors.push(`${label}: unknown variable {{${path}}} (available: ${[...known].join(", ")})`);
+        } else if (root in context && !hasFallback && isEmpty(lookup(context, path))) {
+          errors.push(`${label}: {{${path}}} is not set in config`);
+        }
+      }
+    });
+  }
+  return errors;
+}
@@ -0,0 +1,130 @@
+/**
+ * ReachPilot — DM thread parsing
+ *
+ * reachpilot.mjs scrapes the open conversation into raw rows (see
+ * scrapeThread there); this module turns them into structured messages
+ * and decides which of them are replies from the creator.
+ *
+ * Raw row shape:
+ *   { text, datetime, outgoing, authorHandle, separator }
+ *     text          visible text of the row
+ *     datetime      ISO string from a <time datetime> inside the row, if any
+ *     outgoing      true when the bubble sits on our (right-hand) side
+ *     authorHandle  handle from the avatar/profile link beside the bubble, if any
+ *     separator     true for date/time divider rows with no message bubble
+ */
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+function applyClock(date, clock) {
+  const m = clock?.match(/(\d{1,2}):(\d{2})\s*([ap]m)?/i);
+  if (!m) return date;
+  let hours = Number(m[1]) % 24;
+  const meridiem = m[3]?.toLowerCase();
+  if (meridiem === "pm" && hours < 12) hours += 12;
+  if (meridiem === "am" && hours === 12) hours = 0;
+  date.setHours(hours, Number(m[2]), 0, 0);
+  return date;
+}
+
+/**
+ * Parse the date dividers Instagram renders between messages, e.g.
+ * "Today 3:45 PM", "Yesterday 10:02", "Mon 3:45 PM", "Oct 12, 3:45 PM",
+ * "Oct 12, 2026, 3:45 PM" or "10/12/26, 3:45 PM". Returns an ISO string,
+ * or null if the text isn't a timestamp.
+ */
+export function parseThreadTimestamp(text, now = new Date()) {
+  const t = String(text || "").trim().toLowerCase();
+  if (!t || t.length > 40) return null;
+
+  let m = t.match(/^(today|yesterday)\b,?\s*(.*)$/);
+  if (m) {
+    const d = new Date(now);
+    if (m[1] === "yesterday") d.setDate(d.getDate() - 1);
+    d.setHours(0, 0, 0, 0);
+    return applyClock(d, m[2]).toISOString();
+  }
+
+  m = t.match(/^(sun|mon|tue|wed|thu|fri|sat)[a-z]*\b,?\s*(.*)$/);
+  if (m) {
+    const d = new Date(now);
+    const back = (d.getDay() - WEEKDAYS.indexOf(m[1]) + 7) % 7 || 7;
+    d.setDate(d.getDate() - back);
+    d.setHours(0, 0, 0, 0);
+    return applyClock(d, m[2]).toISOString();
+  }
+
+  m = t.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2})(?:,\s*(\d{4}))?,?\s*(.*)$/);
+  if (m && MONTHS.includes(m[1])) {
+    const year = m[3] ? Number(m[3]) : now.getFullYear();
+    const d = new Date(year, MONTHS.indexOf(m[1]), Number(m[2]));
+    // Without a year, a date "in the future" belongs to last year
+    if (!m[3] && d > now) d.setFullYear(year - 1);
+    return applyClock(d, m[4]).toISOString();
+  }
+
+  m = t.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4}),?\s*(.*)$/);
+  if (m) {
+    const year = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+    const d = new Date(year, Number(m[1]) - 1, Number(m[2]));
+    return applyClock(d, m[4]).toISOString();
+  }
+
+  return null;
+}
+
+/**
+ * Turn raw scraped rows into [{ author, text, timestamp }]. Messages inherit
+ * the timestamp of the most recent divider above them unless they carry
+ * their own <time> element. `author` is ownHandle or creatorHandle.
+ */
+export function parseThread(rows, { ownHandle, creatorHandle, now = new Date() }) {
+  const messages = [];
+  let currentTimestamp = null;
+
+  for (const row of rows) {
+    const text = String(row.text || "").trim();
+
+    if (row.separator) {
+      currentTimestamp = row.datetime || parseThreadTimestamp(text, now) || currentTimestamp;
+      continue;
+    }
+    if (!text) continue;
+
+    let author;
+    if (row.authorHandle) {
+      author = row.authorHandle.toLowerCase() === String(ownHandle || "").toLowerCase() ? ownHandle : creatorHandle;
+    } else {
+      author = row.outgoing ? ownHandle : creatorHandle;
+    }
+
+    messages.push({
+      author,
+      text,
+      timestamp: row.datetime || currentTimestamp,
+    });
+  }
+
+  return messages;
+}
+
+// Dividers are minute-granular, so a divider printed for our own DM can read
+// a few seconds *before* sentAt.
+const TIMESTAMP_SLACK_MS = 60 * 1000;
+
+/**
+ * Messages from the creator that arrived after our DM went out: they must
+ * come after our first outgoing message at/after sentAt in thread order, and
+ * when they carry a timestamp it must not predate sentAt.
+ */
+export function findReplies(messages, { ownHandle, sentAt }) {
+  const cutoff = sentAt ? new Date(sentAt).getTime() - TIMESTAMP_SLACK_MS : null;
+  const afterCutoff = (m) => cutoff === null || !m.timestamp || new Date(m.timestamp).getTime() >= cutoff;
+  const isOurs = (m) => m.author === ownHandle;
+
+  const start = messages.findIndex((m) => isOurs(m) && afterCutoff(m));
+  if (start === -1) return [];
+
+  return messages.filter((m, i) => i > start && !isOurs(m) && afterCutoff(m));
+}
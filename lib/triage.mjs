@@ -0,0 +1,112 @@
+/**
+ * ReachPilot — Reply classification
+ *
+ * Labels a creator's reply so the team only has to read the ones that matter.
+ * Uses the same OpenAI chat endpoint as profile screening when a key is set,
+ * and a deterministic keyword classifier otherwise (or when the API fails).
+ */
+
+import { findOptOut } from "./suppression.mjs";
+
+export const REPLY_LABELS = ["interested", "question", "declined", "opt-out", "auto-reply"];
+
+const AUTO_REPLY_PATTERNS = [
+  /thanks? (you )?for (your|the) (message|dm|reaching out)/,
+  /(i'?ll|we'?ll|will) get back to you/,
+  /auto(matic|mated)?[- ]?(reply|response|message)/,
+  /for (business|collab|brand|partnership)s?( inquiries| enquiries)?,? (please )?(email|contact|dm)/,
+  /\b[\w.+-]+@[\w-]+\.[\w.]+\b/,
+  /(link in bio|check out my page|follow (me|my page)|promo code)/,
+];
+
+const DECLINE_PATTERNS = [
+  /\bno,? thanks?( you)?\b/,
+  /\b(i'?ll|i will|gonna) pass\b/,
+  /\bnot (a )?(good )?fit\b/,
+  /\bnot (right )?now\b/,
+  /\bmaybe (later|another time|next time)\b/,
+  /\b(don'?t|do not) (really )?(do|accept) (promos?|promotions?|collabs?|sponsored)\b/,
+  /\b(can'?t|cannot|won'?t) (help|do|share|post)\b/,
+  /\btoo busy\b/,
+];
+
+// A question mark, or a price question asked without one. Openers like
+// "do" or "can" alone aren't enough: "Do it, sounds great" isn't a question.
+const QUESTION_PATTERNS = [
+  /\?/,
+  /\b(how much|what'?s the (price|cost)|is it (free|paid))\b/,
+];
+
+/**
+ * Deterministic fallback: opt-out beats everything, then auto-replies,
+ * declines and questions. Any other reply is counted as interested — a
+ * creator who wrote back without pushing back is worth a human look.
+ */
+export function classifyByKeywords(text, { optOutPhrases = [] } = {}) {
+  const t = String(text || "").toLowerCase().replace(/[’‘]/g, "'").trim();
+
+  const optOut = findOptOut(t, optOutPhrases);
+  if (optOut) return { label: "opt-out", reason: `contains "${optOut}"`, method: "keywords" };
+
+  for (const re of AUTO_REPLY_PATTERNS) {
+    if (re.test(t)) return { label: "auto-reply", reason: "looks like an auto-reply or promo", method: "keywords" };
+  }
+  for (const re of DECLINE_PATTERNS) {
+    if (re.test(t)) return { label: "declined", reason: "polite decline", method: "keywords" };
+  }
+  for (const re of QUESTION_PATTERNS) {
+    if (re.test(t)) return { label: "question", reason: "asks a question", method: "keywords" };
+  }
+  return { label: "interested", reason: "no negative signals", method: "keywords" };
+}
+
+async function classifyWithOpenAI(text, apiKey) {
+  const res = await fetch("https://api.openai.com/v1/chat/completions", {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      model: "gpt-4o-mini",
+      max_tokens: 60,
+      messages: [
+        {
+          role: "user",
+          content: `We DMed an Instagram creator about our product. Classify their reply into exactly one label:
+- interested: positive, wants to try it or share it
+- question: asks something before deciding
+- declined: politely says no
+- opt-out: asks us to stop contacting them
+- auto-reply: automated response, promo or spam
+
+Reply: """${String(text).slice(0, 1000)}"""
+
+Format your response as: LABEL: <label> | REASON: (brief reason, max 12 words)`,
+        },
+      ],
+    }),
+  });
+
+  const data = await res.json();
+  const answer = data.choices?.[0]?.message?.content?.trim() || "";
+  const label = answer.match(/LABEL:\s*([a-z-]+)/i)?.[1]?.toLowerCase();
+  if (!REPLY_LABELS.includes(label)) throw new Error(`unexpected answer: ${answer.slice(0, 80) || data.error?.message}`);
+  const reason = answer.match(/REASON:\s*(.+)$/i)?.[1]?.trim() || null;
+  return { label, reason, method: "openai" };
+}
+
+/**
+ * Classify one reply. Returns { label, reason, method } where method is
+ * "openai" or "keywords". API errors fall back to keywords rather than throw.
+ */
+export async function classifyReply(text, { apiKey = "", optOutPhrases = [], onError = () => {} } = {}) {
+  if (apiKey) {
+    try {
+      return await classifyWithOpenAI(text, apiKey);
+    } catch (err) {
+      onError(err);
+    }
+  }
+  return classifyByKeywords(text, { optOutPhrases });
+}
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/**
+ * One-shot import of outreach-state.json into the SQLite store (outreach.db).
+ *
+ * Usage:
+ *   node migrate-state.mjs                 # import ./outreach-state.json
+ *   node migrate-state.mjs path/to/state.json
+ *
+ * Safe to re-run: handles already in the database are skipped. The JSON file
+ * is left in place — delete or archive it once you've checked the import.
+ */
+
+import fs from "fs";
+import { DB_FILE, LEGACY_STATE_FILE, importLegacyState, countCreators, closeStore } from "./lib/store.mjs";
+
+const source = process.argv[2] || LEGACY_STATE_FILE;
+
+if (!fs.existsSync(source)) {
+  console.log(`No state file at ${source}. Nothing to migrate.`);
+  process.exit(0);
+}
+
+let state;
+try {
+  state = JSON.parse(fs.readFileSync(source, "utf-8"));
+} catch (err) {
+  console.error(`Could not parse ${source}: ${err.message}`);
+  console.error("If the file was truncated by an interrupted write, fix the trailing JSON and re-run.");
+  process.exit(1);
+}
+
+const { imported, skipped } = importLegacyState(state);
+const total = countCreators();
+closeStore();
+
+console.log(`✅ Imported ${imported} creators from ${source}`);
+if (skipped > 0) console.log(`   Skipped ${skipped} already in the database`);
+console.log(`📦 ${DB_FILE} now holds ${total} creators`);
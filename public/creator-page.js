@@ -0,0 +1,44 @@
+/**
+ * ReachPilot — Creator page actions
+ *
+ * Status buttons and the note form on /creator/<handle>. Both POST JSON to
+ * /api/creators/<handle>/… with the page's CSRF token; the page reloads so
+ * the timeline shows the change.
+ */
+
+(function () {
+  const root = document.getElementById("creator");
+  if (!root) return;
+  const api = `/api/creators/${encodeURIComponent(root.dataset.handle)}`;
+  const csrf = document.querySelector('meta[name="csrf-token"]')?.content || "";
+  const form = root.querySelector(".note-form");
+  const error = root.querySelector(".form-error");
+
+  async function post(path, body, controls) {
+    controls.forEach((el) => (el.disabled = true));
+    error.textContent = "";
+    try {
+      const res = await fetch(`${api}/${path}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "X-CSRF-Token": csrf },
+        body: JSON.stringify(body),
+      });
+      if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || `HTTP ${res.status}`);
+      window.location.reload();
+    } catch (err) {
+      error.textContent = `Couldn't save: ${err.message}`;
+      controls.forEach((el) => (el.disabled = false));
+    }
+  }
+
+  for (const button of root.querySelectorAll("[data-status]")) {
+    button.addEventListener("click", () => {
+      post("status", { status: button.dataset.status || null }, [...root.querySelectorAll("[data-status]")]);
+    });
+  }
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    post("notes", { body: form.elements.body.value }, [form.querySelector("button")]);
+  });
+})();
@@ -0,0 +1,154 @@
+/**
+ * ReachPilot — Live dashboard charts
+ *
+ * Plain SVG drawn in the browser from /api/stats (with the page's own
+ * ?label= / ?campaign= filters), so the dashboard needs no chart library
+ * or CDN and works offline. Each chart renders into the element with the
+ * matching data-chart attribute.
+ */
+
+(function () {
+  const WIDTH = 600;
+  const HEIGHT = 180;
+  const PAD = { top: 18, right: 8, bottom: 28, left: 34 };
+  const COLORS = { primary: "#667eea", accent: "#764ba2", warn: "#e65100", ok: "#2e7d32" };
+  const DAYS_SHOWN = 30;
+
+  const escape = (s) => String(s).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+  const pct = (n) => `${n}%`;
+
+  function localDay(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+  }
+
+  // Every day from the first key to today (at most DAYS_SHOWN), so gaps show as zero
+  function dayRange(keys) {
+    if (keys.length === 0) return [];
+    const days = [];
+    const first = keys.slice().sort()[0];
+    const cursor = new Date();
+    for (let i = 0; i < DAYS_SHOWN; i++) {
+      const day = localDay(cursor);
+      days.unshift(day);
+      if (day <= first) break;
+      cursor.setDate(cursor.getDate() - 1);
+    }
+    return days;
+  }
+
+  function empty(el, message) {
+    el.innerHTML = `<div class="empty-state">${escape(message)}</div>`;
+  }
+
+  // Vertical bars; points are { label, value, title }
+  function columnChart(el, points, { format = String, max = null, color = COLORS.primary } = {}) {
+    const top = max ?? Math.max(1, ...points.map((p) => p.value));
+    const plotW = WIDTH - PAD.left - PAD.right;
+    const plotH = HEIGHT - PAD.top - PAD.bottom;
+    const step = plotW / points.length;
+    const barW = Math.max(2, step * 0.7);
+    const labelEvery = Math.ceil(points.length / 8);
+
+    const bars = points.map((p, i) => {
+      const h = (p.value / top) * plotH;
+      const x = PAD.left + i * step + (step - barW) / 2;
+      const y = PAD.top + plotH - h;
+      return `<g><title>${escape(p.title || `${p.label}: ${format(p.value)}`)}</title>
+        <rect x="${x}" y="${y}" width="${barW}" height="${Math.max(h, 0.5)}" rx="2" fill="${color}"></rect>
+        ${i % labelEvery === 0 ? `<text x="${x + barW / 2}" y="${HEIGHT - 10}" text-anchor="middle" class="chart-axis">${escape(p.label)}</text>` : ""}
+      </g>`;
+    });
+
+    el.innerHTML = `<svg viewBox="0 0 ${WIDTH} ${HEIGHT}" class="chart" role="img">
+      <line x1="${PAD.left}" y1="${PAD.top + plotH}" x2="${WIDTH - PAD.right}" y2="${PAD.top + plotH}" class="chart-baseline"></line>
+      <text x="${PAD.left - 6}" y="${PAD.top + 4}" text-anchor="end" class="chart-axis">${escape(format(top))}</text>
+      <text x="${PAD.left - 6}" y="${PAD.top + plotH}" text-anchor="end" class="chart-axis">${escape(format(0))}</text>
+      ${bars.join("")}
+    </svg>`;
+  }
+
+  // Horizontal bars with a label on the left and the value on the right; rows are { label, value, note }
+  function barList(el, rows, { format = String, max = null, color = COLORS.primary } = {}) {
+    const top = max ?? Math.max(1, ...rows.map((r) => r.value));
+    el.innerHTML = rows.map((r) => `
+      <div class="bar-row" title="${escape(r.note || "")}">
+        <div class="bar-label">${escape(r.label)}</div>
+        <div class="bar-track"><div class="bar-fill" style="width: ${(r.value / top) * 100}%; background: ${r.color || color};"></div></div>
+        <div class="bar-value">${escape(format(r.value))}${r.note ? ` <span class="bar-note">${escape(r.note)}</span>` : ""}</div>
+      </div>
+    `).join("");
+  }
+
+  const CHARTS = {
+    "sent-per-day"(el, stats) {
+      const days = dayRange(Object.keys(stats.byDay));
+      if (days.length === 0) return empty(el, "No DMs sent yet");
+      columnChart(el, days.map((day) => ({ label: day.slice(5), value: stats.byDay[day]?.sent.length || 0, title: `${day}: ${stats.byDay[day]?.sent.length || 0} sent` })));
+    },
+
+    "reply-cohorts"(el, stats) {
+      const cohorts = Object.entries(stats.cohorts).slice(-DAYS_SHOWN);
+      if (cohorts.length === 0) return empty(el, "No DMs sent yet");
+      columnChart(el, cohorts.map(([day, c]) => ({
+        label: day.slice(5),
+        value: c.replyRate,
+        title: `Sent ${day}: ${c.replied} of ${c.sent} replied (${c.replyRate}%)`,
+      })), { format: pct, max: 100, color: COLORS.accent });
+    },
+
+    funnel(el, stats) {
+      const f = stats.funnel;
+      const stages = [
+        ["Discovered", f.discovered],
+        ["Screened", f.screened],
+        ["Passed screening", f.screened - f.screenedOut],
+        ["Sent", f.sent],
+        ["Replied", f.replied],
+        ["Converted", f.converted],
+      ];
+      barList(el, stages.map(([label, value], i) => ({
+        label,
+        value,
+        note: i > 0 && stages[i - 1][1] > 0 ? `${Math.round((value / stages[i - 1][1]) * 1000) / 10}%` : "",
+      })), { max: Math.max(1, f.discovered, f.screened) });
+    },
+
+    "screen-out-by-query"(el, stats) {
+      const queries = Object.entries(stats.byQuery).slice(0, 10);
+      if (queries.length === 0) return empty(el, "No screened creators with a recorded search query yet");
+      barList(el, queries.map(([query, q]) => ({
+        label: query,
+        value: q.screenOutRate,
+        note: `${q.screenedOut}/${q.screened}`,
+      })), { format: pct, max: 100, color: COLORS.warn });
+    },
+
+    "follow-up-effect"(el, stats) {
+      const { before, after } = stats.followUpEffect;
+      if (before.sent === 0) return empty(el, "No DMs sent yet");
+      barList(el, [
+        { label: "First DM", value: before.replyRate, note: `${before.replied}/${before.sent} replied`, color: COLORS.primary },
+        { label: "After follow-up", value: after.replyRate, note: `${after.replied}/${after.followedUp} replied`, color: COLORS.ok },
+      ], { format: pct, max: 100 });
+    },
+  };
+
+  async function render() {
+    const res = await fetch(`/api/stats${window.location.search}`);
+    const stats = await res.json();
+    for (const el of document.querySelectorAll("[data-chart]")) {
+      const draw = CHARTS[el.dataset.chart];
+      if (draw) draw(el, stats);
+    }
+  }
+
+  function renderOrExplain() {
+    return render().catch((err) => {
+      for (const el of document.querySelectorAll("[data-chart]")) empty(el, `Couldn't load stats: ${err.message}`);
+    });
+  }
+
+  // dashboard-live.js redraws after each change
+  window.ReachPilotCharts = { render: renderOrExplain };
+  renderOrExplain();
+})();
@@ -0,0 +1,80 @@
+/**
+ * ReachPilot — Live dashboard updates
+ *
+ * Listens to /api/events (Server-Sent Events) and, after each change,
+ * re-fetches this page and swaps in every [data-live] region, then redraws
+ * the charts — so counters and lists update in place without a reload.
+ * Sends, screenings, replies and follow-ups also pop up as a short toast.
+ */
+
+(function () {
+  const TOAST_MS = 6000;
+  const MAX_TOASTS = 4;
+
+  const escape = (s) => String(s).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+  const DESCRIBE = {
+    sent: (e) => `✅ DM sent to <strong>@${escape(e.handle)}</strong>`,
+    screened: (e) => `❌ <strong>@${escape(e.handle)}</strong> screened out`,
+    reply: (e) => `💬 <strong>@${escape(e.handle)}</strong> replied${e.label ? ` (${escape(e.label)})` : ""}`,
+    "follow-up": (e) => `⏰ Follow-up ${escape(e.step)} sent to <strong>@${escape(e.handle)}</strong>`,
+  };
+
+  function toast(html) {
+    const box = document.getElementById("live-toasts");
+    if (!box) return;
+    const el = document.createElement("div");
+    el.className = "live-toast";
+    el.innerHTML = html;
+    box.appendChild(el);
+    while (box.children.length > MAX_TOASTS) box.firstChild.remove();
+    setTimeout(() => {
+      el.style.opacity = "0";
+      setTimeout(() => el.remove(), 500);
+    }, TOAST_MS);
+  }
+
+  // Changes can arrive in bursts during a run; refresh at most one at a time
+  let refreshing = null;
+  let again = false;
+
+  async function refresh() {
+    if (refreshing) {
+      again = true;
+      return;
+    }
+    refreshing = (async () => {
+      const html = await fetch(window.location.href).then((r) => r.text());
+      const fresh = new DOMParser().parseFromString(html, "text/html");
+      for (const el of document.querySelectorAll("[data-live]")) {
+        const replacement = fresh.querySelector(`[data-live="${el.dataset.live}"]`);
+        if (replacement) el.innerHTML = replacement.innerHTML;
+      }
+      await window.ReachPilotCharts?.render();
+    })();
+    try {
+      await refreshing;
+    } finally {
+      refreshing = null;
+      if (again) {
+        again = false;
+        refresh();
+      }
+    }
+  }
+
+  function setOnline(online) {
+    document.querySelector(".live-indicator")?.classList.toggle("offline", !online);
+    const status = document.getElementById("live-status");
+    if (status) status.textContent = online ? "🔄 Live updates" : "⚠️ Reconnecting…";
+  }
+
+  const events = new EventSource("/api/events");
+  events.onopen = () => setOnline(true);
+  // EventSource reconnects by itself; a refresh on reconnect catches up on anything missed
+  events.onerror = () => setOnline(false);
+  for (const [type, describe] of Object.entries(DESCRIBE)) {
+    events.addEventListener(type, (e) => toast(describe(JSON.parse(e.data))));
+  }
+  events.addEventListener("change", () => refresh().catch(() => {}));
+})();
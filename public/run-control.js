@@ -0,0 +1,100 @@
+/**
+ * ReachPilot — Run control
+ *
+ * Start, pause, resume and stop a send / igsearch / followup run from the
+ * dashboard (see lib/runs.mjs). Status, the creator being worked on and the
+ * run's output arrive over /api/run/log (Server-Sent Events).
+ */
+
+(function () {
+  const root = document.getElementById("run-control");
+  if (!root) return;
+  const MAX_LINES = 500;
+  const csrf = document.querySelector('meta[name="csrf-token"]')?.content || "";
+  const statusEl = root.querySelector('[data-run="status"]');
+  const logEl = root.querySelector('[data-run="log"]');
+  const error = root.querySelector(".form-error");
+  const button = (action) => root.querySelector(`[data-action="${action}"]`);
+
+  // Which buttons make sense in each state
+  const ENABLED = {
+    none: ["start"],
+    running: ["pause", "stop"],
+    paused: ["resume", "stop"],
+    stopping: [],
+    finished: ["start"],
+    stopped: ["start"],
+    failed: ["start"],
+  };
+  const LABELS = { running: "🟢 Running", paused: "⏸ Paused", stopping: "⏹ Stopping…", finished: "✅ Finished", stopped: "⏹ Stopped", failed: "❌ Failed" };
+
+  function showStatus(run) {
+    const state = run ? run.status : "none";
+    for (const action of ["start", "pause", "resume", "stop"]) {
+      button(action).disabled = !ENABLED[state].includes(action);
+    }
+    if (!run) {
+      statusEl.textContent = "No run yet";
+      return;
+    }
+    const parts = [`${LABELS[run.status] || run.status}: ${run.mode}`];
+    if (run.campaign) parts.push(`campaign ${run.campaign}`);
+    if (run.dryRun) parts.push("dry run");
+    if (run.currentHandle) parts.push(`working on @${run.currentHandle}`);
+    if (run.status === "failed") parts.push(`exit code ${run.exitCode ?? run.signal}`);
+    statusEl.textContent = parts.join(" · ");
+  }
+
+  function appendLine(line) {
+    const atBottom = logEl.scrollTop + logEl.clientHeight >= logEl.scrollHeight - 5;
+    const el = document.createElement("div");
+    el.className = line.stream;
+    el.textContent = line.text;
+    logEl.appendChild(el);
+    while (logEl.children.length > MAX_LINES) logEl.firstChild.remove();
+    if (atBottom) logEl.scrollTop = logEl.scrollHeight;
+  }
+
+  async function post(path, body) {
+    error.textContent = "";
+    const res = await fetch(path, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-CSRF-Token": csrf },
+      body: JSON.stringify(body || {}),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) error.textContent = data.error || `HTTP ${res.status}`;
+  }
+
+  button("start").addEventListener("click", () => {
+    post("/api/run", {
+      mode: root.querySelector('[name="mode"]').value,
+      campaign: root.querySelector('[name="campaign"]').value,
+      dryRun: root.querySelector('[name="dryRun"]').checked,
+    });
+  });
+  for (const action of ["pause", "resume", "stop"]) {
+    button(action).addEventListener("click", () => post(`/api/run/${action}`));
+  }
+
+  // The log on screen belongs to this run; a new one starts a fresh log
+  let shownRun = null;
+
+  const events = new EventSource("/api/run/log");
+  // The stream starts with the status and full log, including after a reconnect
+  events.onopen = () => {
+    logEl.textContent = "";
+    shownRun = null;
+  };
+  events.addEventListener("status", (e) => {
+    const { run } = JSON.parse(e.data);
+    if (run && run.id !== shownRun) {
+      logEl.textContent = "";
+      shownRun = run.id;
+    }
+    showStatus(run);
+  });
+  events.addEventListener("log", (e) => appendLine(JSON.parse(e.data).line));
+  events.addEventListener("creator", (e) => showStatus(JSON.parse(e.data).run));
+  showStatus(null);
+})();
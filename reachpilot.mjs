@@ -9,35 +9,125 @@
  *   node reachpilot.mjs send        # Discover + send DMs
  *   node reachpilot.mjs igsearch    # Search Instagram directly + send DMs
  *   node reachpilot.mjs followup    # Check replies + follow up
+ *   (add --dry-run to send/igsearch/followup to preview without typing anything)
+ *   (add --campaign <name> to run with a campaign from config.json "campaigns")
+ *   node reachpilot.mjs triage      # Classify creator replies
+ *   node reachpilot.mjs suppress    # Manage the never-contact list
+ *   node reachpilot.mjs selftest    # Check which selectors still match Instagram
+ *   node reachpilot.mjs config check # Validate config.json, show effective config
+ *   node reachpilot.mjs packs       # List niche packs
+ *   node reachpilot.mjs import <file>  # Add creators from a CSV/JSON list
+ *   node reachpilot.mjs export [file]  # Export creators and their history
+ *   node reachpilot.mjs logs        # List past runs, or search their logs
+ *   node reachpilot.mjs history [id]  # Past send/igsearch/followup runs and their summaries
  *
  * Config: Copy config.example.json → config.json and fill in your details.
- * Env vars (IG_USER, IG_PASS, TRENDSWEEP_KEY) override config if set.
+ * Env vars (IG_USER, IG_PASS, IG_BASE_URL, TRENDSWEEP_KEY) override config if set.
+ * REACHPILOT_CONFIG, REACHPILOT_DB, REACHPILOT_SESSION and REACHPILOT_CREATORS
+ * relocate config.json, outreach.db, ig-session.json and discovered-creators.json.
+ * Browser runs log to logs/ as JSON lines (REACHPILOT_LOGS, REACHPILOT_LOG_LEVEL).
  */
 
 import { chromium } from "playwright";
 import fs from "fs";
 import path from "path";
+import {
+  loadState, saveCreator, recordAttempt, recordScreening, recordFollowUp, recordReplies,
+  legacyStatePending, addSuppression, removeSuppression, getSuppression,
+  isSuppressed, listSuppressions, normalizeHandle, isValidHandle, storeExists, getHistory, findHandle,
+  startRun, updateRun, getRun, listRuns,
+} from "./lib/store.mjs";
+import { findOptOut, parseSuppressionFile } from "./lib/suppression.mjs";
+import { parseThread, findReplies } from "./lib/thread.mjs";
+import { classifyReply, REPLY_LABELS } from "./lib/triage.mjs";
+import { CONFIG_FILE, loadConfig, readConfigText, applyEnvOverrides, redactSecrets } from "./lib/config.mjs";
+import { validateConfig, formatIssue } from "./lib/config-schema.mjs";
+import { listPacks, loadPack, resolvePack } from "./lib/packs.mjs";
+import { DEFAULT_PROVIDERS, CREATORS_FILE, createProviders, discover, loadDiscoveredCreators } from "./lib/discovery.mjs";
+import { createFileImportProvider, parseCreatorFile } from "./lib/discovery/file-import.mjs";
+import { EXPORT_COLUMNS, parseExportArgs, filterRows, creatorStatus, toCsv } from "./lib/export.mjs";
+import { getFollowUpSteps, followUpStatus } from "./lib/followups.mjs";
+import { createDryRunLog } from "./lib/dryrun.mjs";
+import { loadSelectors, selectorList } from "./lib/selectors.mjs";
+import { getSendLimits, getQuota, describeCap, formatQuota } from "./lib/quota.mjs";
+import { DEFAULT_CAMPAIGN, listCampaigns, resolveCampaign, campaignOf, parseCampaignFlag } from "./lib/campaigns.mjs";
+import { renderSlot, pickVariant, slotVariants, validateTemplates, TemplateError } from "./lib/templates.mjs";
+import {
+  HISTORY_MODES, STATUS_ICONS, OUTCOME_LABELS, FAILURE_REASONS, createRunTally, parseHistoryArgs,
+  describeFailures, describeCounts, formatDuration, formatRunLine,
+} from "./lib/history.mjs";
+import { LOGS_DIR, LEVELS, createLogger, listRunLogs, readRunLog, parseLogsArgs, filterEntries, formatEntry } from "./lib/logger.mjs";
 
 const DIR = path.dirname(new URL(import.meta.url).pathname);
-const CONFIG_FILE = path.join(DIR, "config.json");
-const STATE_FILE = path.join(DIR, "outreach-state.json");
-const SESSION_FILE = path.join(DIR, "ig-session.json");
-const CREATORS_FILE = path.join(DIR, "discovered-creators.json");
+const SESSION_FILE = process.env.REACHPILOT_SESSION || path.join(DIR, "ig-session.json");
+
+const [mode, ...rawArgs] = process.argv.slice(2);
+// --campaign <name> picks a campaign from config.campaigns (see lib/campaigns.mjs)
+const { campaign: CAMPAIGN_FLAG, args: modeArgs } = parseCampaignFlag(rawArgs);
+const CAMPAIGN = CAMPAIGN_FLAG || DEFAULT_CAMPAIGN;
+// Modes that only touch local data and don't need a product section or browser
+const OFFLINE_MODES = new Set(["suppress", "triage", "config", "packs", "import", "export", "logs", "history"]);
+// Modes that never message anyone, so don't need a product section either
+const NO_PRODUCT_MODES = new Set([...OFFLINE_MODES, "selftest"]);
+// Modes that message creators, and so must not run before outreach-state.json is imported
+const SENDING_MODES = new Set(["send", "igsearch", "followup"]);
+// --dry-run: resolve, screen and render everything but never type, send or write state
+const DRY_RUN = modeArgs.includes("--dry-run");
 
 // ── Load config ─────────────────────────────────────────────────────────────
 
-let CONFIG = {};
-if (fs.existsSync(CONFIG_FILE)) {
-  CONFIG = JSON.parse(fs.readFileSync(CONFIG_FILE, "utf-8"));
-} else {
+let CONFIG;
+try {
+  CONFIG = loadConfig();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+if (!CONFIG) {
+  CONFIG = {};
   console.warn("No config.json found. Using environment variables only.");
   console.warn("Run: cp config.example.json config.json  — then fill in your details.\n");
+} else if (mode !== "config") {
+  // `config check` reports these itself, next to the effective config
+  const { errors, warnings } = validateConfig(CONFIG, readConfigText());
+  for (const warning of warnings) console.warn(`⚠️ config.json ${formatIssue(warning)}`);
+  if (errors.length > 0) {
+    console.error("Errors in config.json:");
+    for (const error of errors) console.error(`  - ${formatIssue(error)}`);
+    console.error("Run: node reachpilot.mjs config check");
+    process.exit(1);
+  }
+}
+
+// Send caps protect the account, so they come from here whatever the campaign
+const ACCOUNT_CONFIG = CONFIG;
+
+// From here on CONFIG is the active campaign's view of config.json
+let PACK;
+try {
+  CONFIG = resolveCampaign(CONFIG, CAMPAIGN);
+  // Queries, hooks and relevance keywords for the campaign's niche (see lib/packs.mjs)
+  PACK = resolvePack(CONFIG);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
 }
 
 const TRENDSWEEP_KEY = process.env.TRENDSWEEP_KEY || CONFIG.trendsweep?.apiKey || "";
 const OPENAI_KEY = process.env.OPENAI_API_KEY || CONFIG.openai?.apiKey || "";
 const SCREENING_ENABLED = CONFIG.screening?.enabled ?? false;
 const TARGET_AUDIENCE = CONFIG.screening?.targetAudience || "Indian or South Asian";
+const OPT_OUT_PHRASES = CONFIG.outreach?.optOutPhrases || [];
+// Author label for our side of a DM thread when instagram.handle isn't configured
+const OWN_HANDLE = CONFIG.instagram?.handle || "me";
+// Point at test/fake-instagram to run the browser flows offline
+const IG_BASE_URL = (process.env.IG_BASE_URL || CONFIG.instagram?.baseUrl || "https://www.instagram.com").replace(/\/+$/, "");
+const HEADLESS = CONFIG.instagram?.headless ?? false;
+// Multiplies every human-like pause; 0 makes runs against the fake site instant
+const DELAY_SCALE = CONFIG.outreach?.delayScale ?? 1;
+
+const { selectors: SELECTORS, version: SELECTORS_VERSION, warnings: selectorWarnings } = loadSelectors(CONFIG.selectors);
+for (const warning of selectorWarnings) console.warn(`⚠️ ${warning}`);
 
 // ── Debug Helper ─────────────────────────────────────────────────────────────
 
@@ -65,14 +155,14 @@ async function debugCapture(page, label) {
         .slice(0, 20);
     });
     if (links.length > 0) {
-      log(`      🔗 Profile-like links found: ${links.join(', ')}`);
+      logger.debug(`      🔗 Profile-like links found: ${links.join(', ')}`);
     } else {
-      log(`      🔗 No profile-like links found on page`);
+      logger.debug(`      🔗 No profile-like links found on page`);
     }
 
     return { screenshotPath, htmlPath, links };
   } catch (err) {
-    log(`      ⚠️ Debug capture failed: ${err.message}`);
+    warn(`      ⚠️ Debug capture failed: ${err.message}`, { error: err });
     return null;
   }
 }
@@ -80,7 +170,7 @@ async function debugCapture(page, label) {
 // ── Profile Screening via OpenAI Vision ─────────────────────────────────────
 
 async function screenProfile(page, handle) {
-  if (!SCREENING_ENABLED || !OPENAI_KEY) return { passes: true, gender: "unknown" }; // skip screening if disabled
+  if (!SCREENING_ENABLED || !OPENAI_KEY) return { passes: true, gender: "unknown", screened: false }; // skip screening if disabled
 
   // Scroll to top so profile pic + bio are visible
   await page.evaluate(() => window.scrollTo({ top: 0, behavior: "smooth" }));
@@ -133,175 +223,133 @@ Format your response as: MATCH: YES/NO | GENDER: male/female/unknown | REASON: (
     if (genderMatch) {
       gender = genderMatch[1].toLowerCase();
     }
+    const reason = answer.match(/REASON:\s*(.+)$/i)?.[1]?.trim() || null;
 
-    log(`  Screening @${handle}: ${answer} → ${isMatch ? "MATCH" : "SKIP"} (${gender})`);
+    log(`  Screening @${handle}: ${answer} → ${isMatch ? "MATCH" : "SKIP"} (${gender})`, {
+      handle, step: "screen", outcome: isMatch ? "passed" : "screened-out",
+    });
 
     // Clean up screenshot
     try { fs.unlinkSync(screenshotPath); } catch {}
 
-    return { passes: isMatch, gender };
+    return { passes: isMatch, gender, reason, screened: true };
   } catch (err) {
-    log(`  Screening error for @${handle}: ${err.message}. Proceeding anyway.`);
+    warn(`  Screening error for @${handle}: ${err.message}. Proceeding anyway.`, { handle, step: "screen", error: err });
     try { fs.unlinkSync(screenshotPath); } catch {}
-    return { passes: true, gender: "unknown" }; // on error, don't skip
+    return { passes: true, gender: "unknown", screened: false }; // on error, don't skip
   }
 }
 
-// ── Creator Discovery API ───────────────────────────────────────────────────
+// ── Creator Discovery ───────────────────────────────────────────────────────
 
-const SEARCH_QUERIES = CONFIG.outreach?.searchQueries || [
-  "resume tips job application career advice for job seekers",
-  "how to improve your resume get hired linkedin profile tips",
-  "job search coaching career coach resume review interview prep",
-  "H1B visa OPT job hunting resume career tips south asian",
-  "job market 2026 resume ATS tips women career advice hiring",
-  "resume finetuning AI resume builder job application tools",
-];
-
-async function queryTrendSweep(query, resultsPerPage = 20) {
-  const res = await fetch("https://trendsweep.com/api/v1/atlas/search", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${TRENDSWEEP_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      query,
-      results_per_page: resultsPerPage,
-      include_transcript: true,
-    }),
-  });
-  const data = await res.json();
-  if (!data.success) {
-    log(`  API error for "${query.slice(0, 40)}...": ${data.error?.message}`);
-    return [];
-  }
-  return data.data.videos || [];
-}
-
-const HOOKS = CONFIG.outreach?.hooks || {
-  resume: "your resume tips are so real",
-  interview: "your interview advice is actually so good",
-  visa: "your visa stuff is literally what people need rn",
-  linkedin: "your linkedin tips are fire honestly",
-  "job search": "your job search content hit different",
-  career: "your career content is genuinely helpful",
-  hiring: "your hiring takes are so on point",
-  layoff: "your take on the layoff stuff is so real",
-  default: "your content is genuinely helpful",
-};
+const SEARCH_QUERIES = PACK.searchQueries;
+// Where candidates come from (see lib/discovery.mjs); TrendSweep unless configured
+const DISCOVERY = CONFIG.discovery || {};
 
-function generateFirstLine(creator, gender = "unknown") {
-  const desc = (creator.description || creator.caption || "").slice(0, 150).toLowerCase();
+const HOOKS = PACK.hooks;
 
-  let hook = HOOKS.default;
-  for (const [keyword, text] of Object.entries(HOOKS)) {
+function pickHook(text) {
+  const desc = (text || "").slice(0, 150).toLowerCase();
+  for (const [keyword, hook] of Object.entries(HOOKS)) {
     if (keyword === "default") continue;
-    if (desc.includes(keyword)) { hook = text; break; }
+    if (desc.includes(keyword)) return hook;
   }
+  return HOOKS.default;
+}
+
+// Variables every message template can use (besides {{product.*}})
+const TEMPLATE_VARIABLES = ["name", "hook", "query", "handle", "gender", "reelUrl", "selfIntro"];
+
+function messageContext(creator, { gender = "unknown", query = "" } = {}) {
+  return {
+    name: creator.name || "",
+    hook: pickHook(creator.description || creator.caption || query),
+    query,
+    handle: creator.handle,
+    gender,
+    reelUrl: creator.reelUrl || "",
+    selfIntro: CONFIG.outreach?.selfIntro || "",
+    product: CONFIG.product || {},
+  };
+}
 
-  const name = creator.name || "";
-  let greeting;
+// A/B assignment: keep a creator's earlier variant if it still exists,
+// otherwise pick one deterministically from the handle.
+function assignVariant(slotName, slot, handle, previous) {
+  const names = slotVariants(slot).map((v) => v.name);
+  return names.includes(previous) ? previous : pickVariant(slot, `${handle}:${slotName}`);
+}
 
-  if (name) {
-    greeting = `Hey ${name}!`;
-  } else if (gender === "male") {
-    greeting = "Hey bro!";
-  } else {
-    greeting = "Hey!";
+function generateFirstLine(creator, gender = "unknown") {
+  const variant = assignVariant("opener", MESSAGE_SLOTS.opener, creator.handle);
+  return renderSlot(MESSAGE_SLOTS.opener, messageContext(creator, { gender }), variant);
+}
+
+/**
+ * Render the full opening sequence (opener, pitch, link, ask) for one creator.
+ * Returns { messages, variants } where variants maps each slot that has more
+ * than one variant to the name this creator got — persist it on the state
+ * record so replies can be attributed. Pass options.variants to reuse an
+ * earlier assignment. Throws TemplateError if a required variable is empty.
+ */
+function buildMessages(creator, { variants: previous = {}, ...options } = {}) {
+  const context = messageContext(creator, options);
+  const variants = {};
+  const messages = OPENING_SLOTS.map((slotName) => {
+    const slot = MESSAGE_SLOTS[slotName];
+    const variant = assignVariant(slotName, slot, creator.handle, previous?.[slotName]);
+    if (slotVariants(slot).length > 1) variants[slotName] = variant;
+    return renderSlot(slot, context, variant);
+  });
+  return { messages, variants };
+}
+
+// Fill in the fields `send` expects on every discovered-creators.json entry
+function prepareCreator(c) {
+  try {
+    c.firstLine = generateFirstLine(c);
+  } catch (err) {
+    if (!(err instanceof TemplateError)) throw err;
+    c.firstLine = null; // rendered again at send time, once screening has filled in gender
   }
+  c.searchTerm = c.handle.replace(/^_+/, ""); // strip leading underscores for search
+  return c;
+}
 
-  const selfIntro = CONFIG.outreach?.selfIntro || "";
+// Handles are case-insensitive but discovery lower-cases them, so state is
+// looked up under the spelling the store already has ("coach.ana" → "Coach.Ana")
+function storedHandle(handle) {
+  return (storeExists() && findHandle(handle)) || handle;
+}
 
-  return `${greeting} just came across your reel and ${hook}${selfIntro ? ". " + selfIntro : ""}`;
+function withStoredHandles(creators) {
+  return creators.map((c) => {
+    const handle = storedHandle(c.handle);
+    return handle === c.handle ? c : { ...c, handle };
+  });
 }
 
 async function discoverCreators() {
-  log("=== Phase 1: Discovering creators via API ===\n");
-
-  const allVideos = [];
-
-  for (const query of SEARCH_QUERIES) {
-    log(`Querying: "${query.slice(0, 60)}..."`);
-    const videos = await queryTrendSweep(query);
-    log(`  → ${videos.length} videos`);
-    allVideos.push(...videos);
-    // Small delay between API calls
-    await sleep(500);
-  }
-
-  log(`\nTotal raw results: ${allVideos.length}`);
-
-  // Deduplicate by creator handle and filter relevant ones
-  const creatorMap = {};
-
-  for (const v of allVideos) {
-    const handle = (v.creator || "").replace(/^@/, "").trim();
-    if (!handle) continue;
-
-    const caption = v.caption || "";
-    const desc = v.description || "";
-    const transcript = v.transcript || "";
-    const combined = (caption + " " + desc + " " + transcript).toLowerCase();
-
-    // Filter: must have at least 2 career-related keywords
-    const careerKeywords = [
-      "resume", "job", "career", "hire", "interview", "linkedin",
-      "recruiter", "application", "salary", "corporate", "professional",
-      "networking", "h1b", "visa", "opt", "layoff", "employment", "ats",
-      "internship", "offer", "shortlist",
-    ];
-    const score = careerKeywords.filter((kw) => combined.includes(kw)).length;
-    if (score < 2) continue;
-
-    // Skip if already tracked with more appearances
-    if (!creatorMap[handle]) {
-      // Try to extract a first name from the caption/description
-      let name = null;
-      const namePatterns = [
-        /(?:hi,?\s*i'?m\s+)(\w+)/i,
-        /(?:my name is\s+)(\w+)/i,
-        /(?:i'?m\s+)(\w+)(?:,?\s+a\s+)/i,
-      ];
-      for (const pat of namePatterns) {
-        const m = transcript.match(pat);
-        if (m) { name = m[1]; break; }
-      }
+  log(`=== Phase 1: Discovering creators (niche pack "${PACK.name}") ===\n`);
 
-      creatorMap[handle] = {
-        handle,
-        name,
-        platform: v.platform,
-        reelUrl: v.original_url || "",
-        caption: caption.slice(0, 200),
-        description: desc ? desc.slice(0, 200) : "",
-        transcript: transcript ? transcript.slice(0, 100) : "",
-        careerScore: score,
-        appearances: 0,
-      };
-    }
-    creatorMap[handle].appearances++;
-    // Keep the reel with the best career score
-    if (score > creatorMap[handle].careerScore) {
-      creatorMap[handle].careerScore = score;
-      creatorMap[handle].reelUrl = v.original_url || creatorMap[handle].reelUrl;
-      creatorMap[handle].caption = caption.slice(0, 200);
-      creatorMap[handle].description = desc ? desc.slice(0, 200) : "";
-    }
+  let creators;
+  try {
+    const providers = createProviders(DISCOVERY.providers || DEFAULT_PROVIDERS, {
+      trendsweepKey: TRENDSWEEP_KEY,
+      baseDir: path.dirname(CONFIG_FILE),
+    });
+    const fixtures = DISCOVERY.fixtures
+      ? { mode: DISCOVERY.fixtures.mode, dir: path.resolve(path.dirname(CONFIG_FILE), DISCOVERY.fixtures.dir || "discovery-fixtures") }
+      : null;
+    creators = await discover(providers, { queries: SEARCH_QUERIES, pack: PACK, log, sleep, fixtures });
+  } catch (err) {
+    logger.error(`Discovery failed: ${err.message}`, { step: "discover", error: err });
+    process.exit(1);
   }
 
-  // Sort by appearances * career score (most relevant first)
-  let creators = Object.values(creatorMap).sort(
-    (a, b) => b.appearances * b.careerScore - a.appearances * a.careerScore
-  );
-
-  // Generate personalized first lines
-  for (const c of creators) {
-    c.firstLine = generateFirstLine(c);
-    c.searchTerm = c.handle.replace(/^_+/, ""); // strip leading underscores for search
-  }
+  creators.forEach(prepareCreator);
 
-  log(`\nDiscovered ${creators.length} unique career creators.\n`);
+  log(`\nDiscovered ${creators.length} unique ${PACK.name} creators.\n`);
 
   // Save to file
   fs.writeFileSync(CREATORS_FILE, JSON.stringify(creators, null, 2));
@@ -311,7 +359,7 @@ async function discoverCreators() {
   log("Top creators:");
   for (const c of creators.slice(0, 20)) {
     log(
-      `  @${c.handle.padEnd(25)} | ${c.platform.padEnd(10)} | score=${c.careerScore} | x${c.appearances} | ${c.reelUrl}`
+      `  @${c.handle.padEnd(25)} | ${c.platform.padEnd(10)} | score=${c.relevanceScore} | x${c.appearances} | ${c.providers.join("+")} | ${c.reelUrl}`
     );
   }
 
@@ -320,43 +368,223 @@ async function discoverCreators() {
 
 // ── Message templates ───────────────────────────────────────────────────────
 
-if (!CONFIG.product) {
+if (!CONFIG.product && !NO_PRODUCT_MODES.has(mode)) {
   console.error("Missing 'product' section in config.json. Add your product pitch, URL, and messages.");
   console.error("See config.example.json for the template.");
   process.exit(1);
 }
 
-const MESSAGES_AFTER_FIRST = [
-  CONFIG.product.pitch,
-  CONFIG.product.linkMessage,
-  CONFIG.product.askMessage,
-];
+// Reproduces the original hard-coded greeting: name if known, "bro" for men, else plain "Hey!"
+const DEFAULT_OPENER =
+  '{{#if name}}Hey {{name}}!{{else}}{{#if gender == "male"}}Hey bro!{{else}}Hey!{{/if}}{{/if}} ' +
+  "just came across your reel and {{hook}}{{#if selfIntro}}. {{selfIntro}}{{/if}}";
+
+// Sent in this order as separate DMs when opening a conversation
+const OPENING_SLOTS = ["opener", "pitch", "link", "ask"];
+
+function messageSlots(product) {
+  return {
+    opener: product?.opener || DEFAULT_OPENER,
+    pitch: product?.pitch,
+    link: product?.linkMessage,
+    ask: product?.askMessage,
+  };
+}
 
-const FOLLOWUP_MESSAGE = CONFIG.product.followUpMessage ||
-  "hey just following up, did you get a chance to check it out? would love your honest thoughts. no pressure at all!";
+function checkTemplates(product) {
+  return validateTemplates(
+    {
+      ...messageSlots(product),
+      ...Object.fromEntries(getFollowUpSteps(product).map((step, i) => [`followUps[${i}]`, step.message])),
+    },
+    { variables: TEMPLATE_VARIABLES, context: { product: product || {} } }
+  );
+}
 
-// ── Utility ─────────────────────────────────────────────────────────────────
+const MESSAGE_SLOTS = messageSlots(CONFIG.product);
+const FOLLOWUP_STEPS = getFollowUpSteps(CONFIG.product);
 
-function loadState() {
-  if (fs.existsSync(STATE_FILE)) return JSON.parse(fs.readFileSync(STATE_FILE, "utf-8"));
-  return {};
-}
-function saveState(s) {
-  fs.writeFileSync(STATE_FILE, JSON.stringify(s, null, 2));
+if (!NO_PRODUCT_MODES.has(mode)) {
+  const templateErrors = checkTemplates(CONFIG.product);
+  if (templateErrors.length > 0) {
+    console.error("Message template errors in config.json:");
+    for (const err of templateErrors) console.error(`  - ${err}`);
+    process.exit(1);
+  }
 }
-function loadCreators() {
-  if (fs.existsSync(CREATORS_FILE))
-    return JSON.parse(fs.readFileSync(CREATORS_FILE, "utf-8"));
-  return [];
+
+// ── Utility ─────────────────────────────────────────────────────────────────
+
+if (SENDING_MODES.has(mode) && legacyStatePending()) {
+  console.error("Found outreach-state.json but the database is empty.");
+  console.error("Run: node migrate-state.mjs  — to import it before sending, or creators will be messaged twice.");
+  process.exit(1);
 }
+
 function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
+  return new Promise((r) => setTimeout(r, ms * DELAY_SCALE));
 }
 function rand(min, max) {
   return min + Math.random() * (max - min);
 }
-function log(msg) {
-  console.log(`[${new Date().toLocaleTimeString()}] ${msg}`);
+// Browser runs keep a JSON log per run in logs/ (see lib/logger.mjs); the other modes only print
+const LOGGED_MODES = new Set(["discover", "send", "igsearch", "followup", "selftest"]);
+const logger = createLogger({ mode, file: LOGGED_MODES.has(mode) });
+
+// fields: { handle, step, outcome, error } for the log file; the console shows msg
+function log(msg, fields) {
+  logger.info(msg, fields);
+}
+function warn(msg, fields) {
+  logger.warn(msg, fields);
+}
+
+// Runs started from the dashboard (lib/runs.mjs) show which creator is being worked on,
+// and log entries carry the handle until the next one (null once past the creators)
+function reportCreator(handle) {
+  logger.set({ handle });
+  if (handle) tally.examine(handle);
+  process.send?.({ type: "creator", handle });
+}
+
+// ── Persistence ─────────────────────────────────────────────────────────────
+
+const dryRunLog = DRY_RUN ? createDryRunLog(mode) : null;
+
+// In --dry-run these write to the dry-run log instead of the store. Records
+// are tagged with the active campaign.
+function saveScreening(handle, screenResult) {
+  if (!DRY_RUN && screenResult.screened) recordScreening(handle, screenResult);
+}
+
+function saveScreenOut(handle, record, details = {}) {
+  tally.record(handle, "screened-out");
+  record.campaign = CAMPAIGN;
+  if (details.query) record.query = details.query;
+  if (details.suggestion) record.suggestion = details.suggestion;
+  if (DRY_RUN) dryRunLog.record({ handle, outcome: "screened-out", campaign: CAMPAIGN, ...details });
+  else saveCreator(handle, record);
+}
+
+// ── Run history ─────────────────────────────────────────────────────────────
+
+// Each send / igsearch / followup run is stored in outreach.db with its summary,
+// kept up to date creator by creator (see lib/history.mjs). Dry runs tally for
+// their own summary but store nothing.
+const RECORD_RUN = HISTORY_MODES.includes(mode) && !DRY_RUN;
+const tally = createRunTally({
+  onChange: () => {
+    if (RECORD_RUN) updateRun(logger.runId, { summary: tally.summary() });
+  },
+});
+if (RECORD_RUN) startRun({ id: logger.runId, mode, campaign: CAMPAIGN });
+
+let runEnded = false;
+// Once per run: at the end of the mode's main function, or on the way out for any other exit
+function endRun(status, err = null) {
+  if (!RECORD_RUN || runEnded) return;
+  runEnded = true;
+  updateRun(logger.runId, {
+    status,
+    endedAt: new Date().toISOString(),
+    summary: tally.summary({ quota: currentQuota(), stoppedEarly: capReached, error: err?.message || null }),
+  });
+}
+
+if (RECORD_RUN) {
+  process.on("exit", (code) => endRun(code === 0 ? "finished" : "failed"));
+  // Ctrl+C, or Stop on the dashboard (lib/runs.mjs)
+  for (const [signal, code] of [["SIGINT", 130], ["SIGTERM", 143]]) {
+    process.on(signal, () => {
+      warn(`\n⏹ Stopped (${signal}).`);
+      endRun("stopped");
+      process.exit(code);
+    });
+  }
+}
+
+// ── Send caps ───────────────────────────────────────────────────────────────
+
+const SEND_LIMITS = getSendLimits(ACCOUNT_CONFIG);
+// Dry runs record nothing, so their would-be sends are counted here instead
+const dryRunSends = { newConversations: 0, followUps: 0 };
+// Set once a cap stops the run; checked by the loops so they unwind cleanly
+let capReached = null;
+
+function currentQuota() {
+  return getQuota(SEND_LIMITS, { extra: DRY_RUN ? dryRunSends : null });
+}
+
+// True (and remembers why) when no more of `kind` may go out right now
+function atCap(kind) {
+  const quota = currentQuota()[kind];
+  if (!quota.blocked) return false;
+  if (!capReached) log(`\n🛑 Stopping: ${describeCap(kind, quota)}.`);
+  capReached = describeCap(kind, quota);
+  return true;
+}
+
+function logQuotaSummary() {
+  log(`\nQuota: ${formatQuota(currentQuota())}`);
+  if (capReached) log(`Stopped early: ${capReached}`);
+}
+
+function logRunCounts() {
+  const summary = tally.summary();
+  const failures = summary.counts.failed > 0 ? ` (${describeFailures(summary.failures)})` : "";
+  log(`This run: ${describeCounts({ mode, summary })}${failures}`);
+}
+
+function logDryRunSummary() {
+  if (!DRY_RUN) return;
+  log(`\n[dry run] Nothing was typed, sent or saved. ${dryRunLog.count} entries written to ${dryRunLog.file}`);
+}
+
+function saveSendResult(handle, record, { messages, ...details }) {
+  // Failures were tallied with their reason by sendMessages
+  if (record.sent) tally.record(handle, "sent");
+  record.campaign = CAMPAIGN;
+  if (details.query) record.query = details.query;
+  if (details.suggestion) record.suggestion = details.suggestion;
+  if (DRY_RUN) {
+    dryRunLog.record({
+      handle, outcome: record.sent ? "would-send" : "dm-unavailable", campaign: CAMPAIGN,
+      messages, variants: record.variants, ...details,
+    });
+    if (record.sent) dryRunSends.newConversations++;
+    return;
+  }
+  saveCreator(handle, record);
+  recordAttempt(handle, {
+    success: record.sent, source: record.source || null, campaign: CAMPAIGN, messages: record.sent ? messages : [],
+  });
+}
+
+// ── Selectors ───────────────────────────────────────────────────────────────
+
+// Locator matching any fallback for `name` — for visibility checks and waits
+function anyOf(page, name, vars) {
+  return selectorList(SELECTORS, name, vars)
+    .map((sel) => page.locator(sel))
+    .reduce((a, b) => a.or(b));
+}
+
+// First fallback, in registry order, that matches right now — or null
+async function resolveSelector(page, name, vars) {
+  for (const selector of selectorList(SELECTORS, name, vars)) {
+    const locator = page.locator(selector);
+    if ((await locator.count()) > 0) return { selector, locator };
+  }
+  return null;
+}
+
+// Wait up to `timeout` for any fallback to appear, then return the first
+// matching one in order. Throws like locator.waitFor when nothing shows up.
+async function findElement(page, name, { timeout = 5000, vars } = {}) {
+  await anyOf(page, name, vars).first().waitFor({ timeout });
+  const found = await resolveSelector(page, name, vars);
+  if (!found) throw new Error(`${name} disappeared before it could be used`);
+  return found.locator.first();
 }
 
 // ── Human-like micro-behaviors ──────────────────────────────────────────────
@@ -373,8 +601,8 @@ async function humanScroll(page, times = null) {
 
 async function browseFeed(page) {
   log("  Browsing feed...");
-  await page.locator('[aria-label="Home"]').first().click().catch(() =>
-    page.goto("https://www.instagram.com/", { waitUntil: "domcontentloaded" })
+  await findElement(page, "homeLink").then((home) => home.click()).catch(() =>
+    page.goto(`${IG_BASE_URL}/`, { waitUntil: "domcontentloaded" })
   );
   await sleep(rand(1500, 3000));
   await dismissPopups(page);
@@ -416,9 +644,7 @@ async function dismissPopups(page) {
   // Dismiss any "Turn on Notifications", "Not Now", "Save Info" popups
   for (let i = 0; i < 3; i++) {
     try {
-      const notNow = page.locator(
-        'button:has-text("Not Now"), div[role="button"]:has-text("Not Now")'
-      );
+      const notNow = anyOf(page, "notNowButton");
       if (await notNow.first().isVisible({ timeout: 2000 })) {
         await notNow.first().click();
         log("  Dismissed popup (Not Now).");
@@ -434,15 +660,13 @@ async function dismissPopups(page) {
 
 async function login(page, username, password) {
   log("Navigating to Instagram...");
-  await page.goto("https://www.instagram.com/accounts/login/", {
+  await page.goto(`${IG_BASE_URL}/accounts/login/`, {
     waitUntil: "networkidle",
   });
   await sleep(rand(2000, 4000));
 
   try {
-    const cookieBtn = page.locator(
-      'button:has-text("Allow all cookies"), button:has-text("Allow essential and optional cookies"), button:has-text("Accept"), button:has-text("Allow"), button:has-text("Only allow essential cookies")'
-    );
+    const cookieBtn = anyOf(page, "cookieButton");
     if (await cookieBtn.first().isVisible({ timeout: 3000 }))
       await cookieBtn.first().click();
     await sleep(rand(1000, 2000));
@@ -450,29 +674,22 @@ async function login(page, username, password) {
 
   // Screenshot to debug what's on screen
   await page.screenshot({ path: path.join(DIR, "debug-login.png") });
-  log("Screenshot saved to debug-login.png");
+  logger.debug("Screenshot saved to debug-login.png");
 
   // Dump all input elements on the page to figure out the right selectors
-  log("Scanning page for input fields...");
+  logger.debug("Scanning page for input fields...");
   const inputs = await page.locator('input').all();
   for (const inp of inputs) {
     const attrs = await inp.evaluate((el) => ({
       name: el.name, type: el.type, placeholder: el.placeholder,
       ariaLabel: el.getAttribute("aria-label"), id: el.id,
     }));
-    log(`  input: name="${attrs.name}" type="${attrs.type}" placeholder="${attrs.placeholder}" aria="${attrs.ariaLabel}" id="${attrs.id}"`);
+    logger.debug(`  input: name="${attrs.name}" type="${attrs.type}" placeholder="${attrs.placeholder}" aria="${attrs.ariaLabel}" id="${attrs.id}"`);
   }
 
-  // Instagram 2026 uses name="email" and name="pass" (not "username"/"password")
-  const usernameInput = page.locator(
-    'input[name="email"], input[name="username"], input[type="text"]'
-  ).first();
-  const passwordInput = page.locator(
-    'input[name="pass"], input[name="password"], input[type="password"]'
-  ).first();
-
   log("Waiting for login form...");
-  await usernameInput.waitFor({ timeout: 15000 });
+  const usernameInput = await findElement(page, "loginUsername", { timeout: 15000 });
+  const passwordInput = await findElement(page, "loginPassword");
 
   log("Typing credentials...");
   await usernameInput.click();
@@ -486,7 +703,7 @@ async function login(page, username, password) {
   await sleep(rand(500, 1200));
 
   // Submit — could be button or input[type="submit"]
-  await page.locator('button:has-text("Log in"), button:has-text("Log In"), button[type="submit"], input[type="submit"]').first().click();
+  await (await findElement(page, "loginSubmit")).click();
   log("Submitted login...");
 
   await page.waitForURL((url) => !url.pathname.includes("/accounts/login"), {
@@ -503,43 +720,34 @@ async function login(page, username, password) {
 async function searchAndOpenProfile(page, searchTerm, handle) {
   log(`  Searching for "${searchTerm}"...`);
   await dismissPopups(page);
-  const searchIcon = page.locator('[aria-label="Search"]');
   try {
-    await searchIcon.first().waitFor({ timeout: 5000 });
-    await searchIcon.first().click();
+    await (await findElement(page, "searchIcon")).click();
   } catch {
     log("  Search icon not found, navigating directly...");
-    await page.goto(`https://www.instagram.com/${handle}/`, { waitUntil: "domcontentloaded" });
+    await page.goto(`${IG_BASE_URL}/${handle}/`, { waitUntil: "domcontentloaded" });
     await sleep(rand(2000, 3500));
     return true;
   }
 
   await sleep(rand(800, 1500));
 
-  const searchInput = page.locator('input[placeholder="Search"]');
   try {
-    await searchInput.first().waitFor({ timeout: 5000 });
-    await searchInput.first().click();
+    const searchInput = await findElement(page, "searchInput");
+    await searchInput.click();
     await sleep(rand(300, 600));
-    await searchInput.first().fill("");
+    await searchInput.fill("");
     await sleep(rand(200, 400));
     await humanType(page, searchTerm);
     await sleep(rand(1500, 3000));
 
-    const resultLink = page.locator(`a[href*="/${handle}/"]`);
     try {
-      await resultLink.first().waitFor({ timeout: 5000 });
-      await resultLink.first().click();
+      await (await findElement(page, "searchResult", { vars: { handle } })).click();
     } catch {
-      try {
-        await page.locator(`span:has-text("${handle}")`).first().click();
-      } catch {
-        log(`  @${handle} not in results, navigating directly...`);
-        await page.goto(`https://www.instagram.com/${handle}/`, { waitUntil: "domcontentloaded" });
-      }
+      log(`  @${handle} not in results, navigating directly...`);
+      await page.goto(`${IG_BASE_URL}/${handle}/`, { waitUntil: "domcontentloaded" });
     }
   } catch {
-    await page.goto(`https://www.instagram.com/${handle}/`, { waitUntil: "domcontentloaded" });
+    await page.goto(`${IG_BASE_URL}/${handle}/`, { waitUntil: "domcontentloaded" });
   }
 
   await sleep(rand(2000, 4000));
@@ -567,17 +775,14 @@ async function sendMessages(page, handle, messages) {
   await sleep(rand(500, 1000));
 
   log(`  Looking for Message button...`);
-  const messageBtn = page.locator(
-    'div[role="button"]:text-is("Message"), a:text-is("Message"), button:text-is("Message")'
-  );
-
   try {
-    await messageBtn.first().waitFor({ timeout: 8000 });
+    const messageBtn = await findElement(page, "messageButton", { timeout: 8000 });
     await sleep(rand(500, 1200));
-    await messageBtn.first().click();
+    await messageBtn.click();
     log(`  Clicked Message button.`);
   } catch {
-    log(`  !! No Message button for @${handle}. Capturing debug...`);
+    warn(`  !! No Message button for @${handle}. Capturing debug...`, { handle, step: "send", outcome: "no-message-button" });
+    tally.record(handle, "failed", "no-message-button");
     await debugCapture(page, `no-msg-btn-${handle}`);
     return false;
   }
@@ -588,18 +793,21 @@ async function sendMessages(page, handle, messages) {
 
   await sleep(rand(2500, 4500));
 
-  const msgInput = page.locator(
-    'div[aria-label="Message"][contenteditable="true"], div[role="textbox"][aria-label*="Message"], textarea[placeholder*="Message"]'
-  );
-
+  let msgInput;
   try {
-    await msgInput.first().waitFor({ timeout: 10000 });
+    msgInput = await findElement(page, "messageInput", { timeout: 10000 });
   } catch {
-    log(`  !! No message input for @${handle}. Capturing debug...`);
+    warn(`  !! No message input for @${handle}. Capturing debug...`, { handle, step: "send", outcome: "no-message-input" });
+    tally.record(handle, "failed", "no-message-input");
     await debugCapture(page, `no-msg-input-${handle}`);
     return false;
   }
 
+  if (DRY_RUN) {
+    log(`  [dry run] Message input found — not typing ${messages.length} messages to @${handle}.`, { handle, step: "send", outcome: "would-send" });
+    return true;
+  }
+
   if (Math.random() > 0.3) {
     await page.mouse.wheel(0, -200);
     await sleep(rand(800, 2000));
@@ -609,7 +817,7 @@ async function sendMessages(page, handle, messages) {
 
   for (let i = 0; i < messages.length; i++) {
     log(`  Typing message ${i + 1}/${messages.length}...`);
-    await msgInput.first().click();
+    await msgInput.click();
     await sleep(rand(300, 700));
     await humanType(page, messages[i]);
     await sleep(rand(400, 1000));
@@ -621,36 +829,77 @@ async function sendMessages(page, handle, messages) {
     }
   }
 
-  log(`  All messages sent to @${handle}.`);
+  log(`  All messages sent to @${handle}.`, { handle, step: "send", outcome: "sent" });
   return true;
 }
 
-async function checkReply(page, handle) {
+// Read the open DM thread into raw rows for lib/thread.mjs. Our bubbles are
+// right-aligned; the creator's are left-aligned and usually carry their avatar link.
+async function scrapeThread(page) {
+  const css = {
+    row: selectorList(SELECTORS, "threadRow").join(", "),
+    bubble: selectorList(SELECTORS, "messageBubble").join(", "),
+  };
+  return page.evaluate(({ row: rowSelector, bubble: bubbleSelector }) => {
+    const rows = [...document.querySelectorAll(rowSelector)];
+    return rows.map((row) => {
+      const text = (row.innerText || "").trim();
+      const time = row.querySelector("time[datetime]");
+      const bubble = row.querySelector(bubbleSelector);
+      const avatarLink = [...row.querySelectorAll('a[href^="/"]')]
+        .map((a) => a.getAttribute("href").match(/^\/([a-zA-Z0-9._]{1,30})\/?$/))
+        .find(Boolean);
+
+      let outgoing = false;
+      if (bubble) {
+        const rowBox = row.getBoundingClientRect();
+        const box = bubble.getBoundingClientRect();
+        outgoing = box.left + box.width / 2 > rowBox.left + rowBox.width / 2;
+      }
+
+      return {
+        text: bubble ? (bubble.innerText || "").trim() : text,
+        datetime: time ? time.getAttribute("datetime") : null,
+        outgoing,
+        authorHandle: avatarLink ? avatarLink[1] : null,
+        separator: !bubble && !!text,
+      };
+    });
+  }, css);
+}
+
+async function checkReply(page, handle, sentAt) {
   log(`  Checking DMs with @${handle}...`);
   await searchAndOpenProfile(page, handle, handle);
   await sleep(rand(1000, 2000));
 
-  const messageBtn = page.locator(
-    'div[role="button"]:text-is("Message"), a:text-is("Message"), button:text-is("Message")'
-  );
   try {
-    await messageBtn.first().waitFor({ timeout: 6000 });
-    await messageBtn.first().click();
+    await (await findElement(page, "messageButton", { timeout: 6000 })).click();
   } catch {
-    return { replied: false, error: true };
+    return { replied: false, error: true, replies: [] };
   }
 
   await sleep(rand(2500, 4000));
 
   try {
-    const rows = await page.locator('div[role="row"]').all();
-    log(`  Found ${rows.length} message rows.`);
-    return { replied: rows.length > 6, error: false };
-  } catch {
-    return { replied: false, error: true };
+    const rows = await scrapeThread(page);
+    const messages = parseThread(rows, { ownHandle: OWN_HANDLE, creatorHandle: handle });
+    const replies = findReplies(messages, { ownHandle: OWN_HANDLE, sentAt });
+    log(`  Found ${messages.length} messages, ${replies.length} from @${handle} since ${sentAt}.`);
+
+    const optOut = findOptOut(replies.map((r) => r.text).join("\n"), OPT_OUT_PHRASES);
+    return { replied: replies.length > 0, error: false, replies, optOut };
+  } catch (err) {
+    warn(`  Could not read thread: ${err.message}`, { handle, step: "check-reply", error: err });
+    return { replied: false, error: true, replies: [] };
   }
 }
 
+function logSuppressed(handle, indent = "  ") {
+  const entry = getSuppression(handle);
+  log(`${indent}⊗ @${handle} is on the suppression list${entry?.reason ? ` (${entry.reason})` : ""}, skipping.`, { handle, outcome: "suppressed" });
+}
+
 // ── Main: Discover ──────────────────────────────────────────────────────────
 
 async function runDiscover() {
@@ -659,10 +908,12 @@ async function runDiscover() {
   for (const c of creators.slice(0, 5)) {
     log(`@${c.handle} (${c.platform})`);
     log(`  Reel: ${c.reelUrl}`);
-    log(`  Msg 1: ${c.firstLine}`);
-    log(`  Msg 2: ${MESSAGES_AFTER_FIRST[0].slice(0, 80)}...`);
-    log(`  Msg 3: ${MESSAGES_AFTER_FIRST[1]}`);
-    log(`  Msg 4: ${MESSAGES_AFTER_FIRST[2].slice(0, 80)}...`);
+    try {
+      buildMessages(c).messages.forEach((msg, i) => log(`  Msg ${i + 1}: ${msg.length > 80 ? msg.slice(0, 80) + "..." : msg}`));
+    } catch (err) {
+      if (!(err instanceof TemplateError)) throw err;
+      warn(`  ⚠️ ${err.message}`, { handle: c.handle, outcome: "template-error", error: err });
+    }
     log("");
   }
   log(`Total: ${creators.length} creators ready. Run with 'send' to DM them.`);
@@ -675,25 +926,30 @@ async function runSend() {
   const password = process.env.IG_PASS || CONFIG.instagram?.password;
 
   if (!username || !password) {
-    console.error("Set IG_USER/IG_PASS env vars or add instagram credentials to config.json");
+    logger.error("Set IG_USER/IG_PASS env vars or add instagram credentials to config.json");
     process.exit(1);
   }
 
   // Phase 1: Discover creators (or reuse existing)
-  let creators = loadCreators();
+  let creators = loadDiscoveredCreators();
   if (creators.length === 0) {
     creators = await discoverCreators();
   } else {
     log(`Loaded ${creators.length} creators from cache. Delete ${CREATORS_FILE} to re-discover.\n`);
   }
+  creators = withStoredHandles(creators);
 
   // Phase 2: Send DMs
-  log("=== Phase 2: Sending DMs via Instagram ===\n");
+  log(`=== Phase 2: Sending DMs via Instagram (campaign "${CAMPAIGN}") ===\n`);
+  if (atCap("newConversations")) {
+    logQuotaSummary();
+    return;
+  }
 
   const state = loadState();
   const hasSession = fs.existsSync(SESSION_FILE);
 
-  const browser = await chromium.launch({ headless: false, slowMo: 30 });
+  const browser = await chromium.launch({ headless: HEADLESS, slowMo: HEADLESS ? 0 : 30 });
   const context = await browser.newContext({
     ...(hasSession ? { storageState: SESSION_FILE } : {}),
     viewport: { width: 1280, height: 900 },
@@ -706,10 +962,9 @@ async function runSend() {
   try {
     if (hasSession) {
       log("Reusing saved session...");
-      await page.goto("https://www.instagram.com/", { waitUntil: "domcontentloaded" });
+      await page.goto(`${IG_BASE_URL}/`, { waitUntil: "domcontentloaded" });
       await sleep(3000);
-      const isLoggedIn = await page
-        .locator('[aria-label="Home"]').first()
+      const isLoggedIn = await anyOf(page, "homeLink").first()
         .isVisible({ timeout: 5000 }).catch(() => false);
       if (!isLoggedIn) await login(page, username, password);
       else log("Session valid.");
@@ -724,15 +979,23 @@ async function runSend() {
       const c = creators[ci];
 
       if (state[c.handle]?.sent) {
-        log(`Skipping @${c.handle} — already sent.`);
+        log(`Skipping @${c.handle} — already sent.`, { handle: c.handle });
         continue;
       }
       if (state[c.handle]?.skippedReason === "screening") {
-        log(`Skipping @${c.handle} — failed screening.`);
+        log(`Skipping @${c.handle} — failed screening.`, { handle: c.handle });
+        continue;
+      }
+      if (isSuppressed(c.handle)) {
+        logSuppressed(c.handle, "");
         continue;
       }
 
+      if (atCap("newConversations")) break;
+
       log(`\n── Creator ${ci + 1}/${creators.length}: @${c.handle} ──`);
+      reportCreator(c.handle);
+      if (c.query) tally.query(c.query);
       log(`  Reel: ${c.reelUrl}`);
 
       // Browse feed between creators
@@ -746,28 +1009,35 @@ async function runSend() {
 
       // Screen profile (nationality check via vision API)
       const screenResult = await screenProfile(page, c.handle);
+      saveScreening(c.handle, screenResult);
       if (!screenResult.passes) {
         log(`  Skipping @${c.handle} — does not match target audience.`);
         state[c.handle] = {
           sent: false, sentAt: null, skipped: true, skippedReason: "screening",
+          skippedAt: new Date().toISOString(),
           replied: false, followedUp: false, reelUrl: c.reelUrl,
         };
-        saveState(state);
+        saveScreenOut(c.handle, state[c.handle], { screening: screenResult, query: c.query, reelUrl: c.reelUrl });
         continue;
       }
 
       // Build messages with personalized greeting based on gender
-      const firstLine = generateFirstLine({
-        handle: c.handle,
-        name: c.name,
-        description: c.description,
-        caption: c.caption,
-      }, screenResult.gender);
-
-      const allMessages = [
-        firstLine,
-        ...MESSAGES_AFTER_FIRST,
-      ];
+      let allMessages, variants;
+      try {
+        ({ messages: allMessages, variants } = buildMessages({
+          handle: c.handle,
+          name: c.name,
+          description: c.description,
+          caption: c.caption,
+          reelUrl: c.reelUrl,
+        }, { gender: screenResult.gender, variants: state[c.handle]?.variants }));
+      } catch (err) {
+        if (!(err instanceof TemplateError)) throw err;
+        warn(`  Skipping @${c.handle} — ${err.message}`, { outcome: "template-error", error: err });
+        tally.record(c.handle, "failed", "template-error");
+        if (DRY_RUN) dryRunLog.record({ handle: c.handle, outcome: "template-error", error: err.message });
+        continue;
+      }
 
       // Send
       const success = await sendMessages(page, c.handle, allMessages);
@@ -779,14 +1049,15 @@ async function runSend() {
         replied: false,
         followedUp: false,
         reelUrl: c.reelUrl,
+        variants,
       };
-      saveState(state);
+      saveSendResult(c.handle, state[c.handle], { messages: allMessages, screening: screenResult, query: c.query, reelUrl: c.reelUrl });
 
       // Go back to feed
       if (success) {
         log("  Back to feed...");
-        await page.locator('[aria-label="Home"]').first().click().catch(() =>
-          page.goto("https://www.instagram.com/", { waitUntil: "domcontentloaded" })
+        await findElement(page, "homeLink").then((home) => home.click()).catch(() =>
+          page.goto(`${IG_BASE_URL}/`, { waitUntil: "domcontentloaded" })
         );
         await sleep(rand(2000, 4000));
         await humanScroll(page, Math.floor(rand(2, 4)));
@@ -795,16 +1066,25 @@ async function runSend() {
 
     await context.storageState({ path: SESSION_FILE });
 
+    reportCreator(null);
     log("\n========== SUMMARY ==========");
     for (const c of creators) {
       const s = state[c.handle];
-      const status = s?.sent ? "SENT" : s?.skippedReason === "screening" ? "SCREENED OUT" : s?.skipped ? "SKIPPED" : "PENDING";
+      const status = s?.sent ? "SENT"
+        : s?.skippedReason === "screening" ? "SCREENED OUT"
+        : s?.skipped ? "SKIPPED"
+        : isSuppressed(c.handle) ? "SUPPRESSED"
+        : "PENDING";
       log(`  @${c.handle.padEnd(25)} — ${status}`);
     }
+    logRunCounts();
+    logQuotaSummary();
+    logDryRunSummary();
   } catch (err) {
-    console.error("Error:", err.message);
-    saveState(state);
+    logger.error(`Error: ${err.message}`, { error: err });
+    endRun("failed", err);
   } finally {
+    endRun("finished");
     log("Done. Closing in 10s...");
     await sleep(10000);
     await browser.close();
@@ -818,20 +1098,27 @@ async function runFollowup() {
   const password = process.env.IG_PASS || CONFIG.instagram?.password;
 
   if (!username || !password) {
-    console.error("Set IG_USER/IG_PASS env vars or add instagram credentials to config.json");
+    logger.error("Set IG_USER/IG_PASS env vars or add instagram credentials to config.json");
     process.exit(1);
   }
 
-  const creators = loadCreators();
+  let creators = withStoredHandles(loadDiscoveredCreators());
   if (creators.length === 0) {
-    console.error("No creators found. Run 'discover' or 'send' first.");
+    logger.error("No creators found. Run 'discover' or 'send' first.");
     process.exit(1);
   }
 
   const state = loadState();
   const hasSession = fs.existsSync(SESSION_FILE);
 
-  const browser = await chromium.launch({ headless: false, slowMo: 30 });
+  // Each campaign follows up with its own sequence, so a run only covers one
+  const inCampaign = (c) => !state[c.handle] || campaignOf(state[c.handle]) === CAMPAIGN;
+  const otherCampaigns = creators.filter((c) => !inCampaign(c)).length;
+  creators = creators.filter(inCampaign);
+  log(`=== Follow-up: campaign "${CAMPAIGN}" ===`);
+  if (otherCampaigns > 0) log(`Skipping ${otherCampaigns} creators from other campaigns — run again with --campaign <name>.`);
+
+  const browser = await chromium.launch({ headless: HEADLESS, slowMo: HEADLESS ? 0 : 30 });
   const context = await browser.newContext({
     ...(hasSession ? { storageState: SESSION_FILE } : {}),
     viewport: { width: 1280, height: 900 },
@@ -843,10 +1130,9 @@ async function runFollowup() {
 
   try {
     if (hasSession) {
-      await page.goto("https://www.instagram.com/", { waitUntil: "domcontentloaded" });
+      await page.goto(`${IG_BASE_URL}/`, { waitUntil: "domcontentloaded" });
       await sleep(3000);
-      const isLoggedIn = await page
-        .locator('[aria-label="Home"]').first()
+      const isLoggedIn = await anyOf(page, "homeLink").first()
         .isVisible({ timeout: 5000 }).catch(() => false);
       if (!isLoggedIn) await login(page, username, password);
     } else {
@@ -861,61 +1147,122 @@ async function runFollowup() {
     for (const c of creators) {
       const s = state[c.handle];
       if (!s?.sent) continue;
+      if (isSuppressed(c.handle)) {
+        logSuppressed(c.handle);
+        continue;
+      }
 
+      reportCreator(c.handle);
       await browseFeed(page);
-      const result = await checkReply(page, c.handle);
+      const result = await checkReply(page, c.handle, s.sentAt);
+      if (result.error) tally.record(c.handle, "failed", "thread-unreadable");
 
       if (result.replied) {
-        log(`  @${c.handle} — REPLIED!`);
+        // New reply text needs a fresh triage label
+        if (!DRY_RUN && recordReplies(c.handle, result.replies) > 0) state[c.handle].replyLabel = null;
         state[c.handle].replied = true;
-      } else if (!result.error && !s.followedUp) {
-        // Only follow up after 3 days
-        const sentDate = new Date(s.sentAt);
-        const daysSinceSent = (Date.now() - sentDate.getTime()) / (1000 * 60 * 60 * 24);
-        if (daysSinceSent < 3) {
-          log(`  @${c.handle} — No reply yet, but only ${daysSinceSent.toFixed(1)} days since sent. Waiting for 3 days.`);
+        state[c.handle].repliedAt = s.repliedAt || result.replies[0].timestamp || new Date().toISOString();
+        state[c.handle].replyText = result.replies.map((r) => r.text).join("\n");
+      }
+
+      if (result.optOut) {
+        log(`  @${c.handle} — OPTED OUT ("${result.optOut}"). Adding to suppression list.`, { step: "check-reply", outcome: "opted-out" });
+        tally.record(c.handle, "opted-out");
+        if (!DRY_RUN) addSuppression(c.handle, { reason: `replied "${result.optOut}"`, source: "reply" });
+      } else if (result.replied) {
+        log(`  @${c.handle} — REPLIED: "${state[c.handle].replyText.slice(0, 80)}"`, { step: "check-reply", outcome: "replied" });
+        tally.record(c.handle, "replied");
+      }
+
+      const status = result.error
+        ? { state: "error" }
+        : followUpStatus(s, FOLLOWUP_STEPS, { optedOut: !!result.optOut || isSuppressed(c.handle) });
+      const stepLabel = status.step ? `step ${status.stepIndex + 1}/${FOLLOWUP_STEPS.length}` : "";
+
+      if (status.state === "waiting") {
+        log(`  @${c.handle} — ${stepLabel} not due until ${new Date(status.dueAt).toLocaleString()} (${status.daysSinceLastTouch.toFixed(1)} days since last message).`);
+      } else if (status.state === "complete") {
+        log(`  @${c.handle} — Sequence complete (${status.stepsSent} follow-ups sent).`);
+      } else if (status.state === "stopped" && !result.replied && !result.optOut) {
+        log(`  @${c.handle} — Sequence stopped (${status.reason}).`);
+      } else if (status.state === "due" && (capReached || atCap("followUps"))) {
+        log(`  @${c.handle} — ${stepLabel} due, but the follow-up cap is reached. Skipping (only checking replies from here).`);
+      } else if (status.state === "due") {
+        log(`  @${c.handle} — No reply after ${status.daysSinceLastTouch.toFixed(1)} days. Sending follow-up ${stepLabel}...`);
+        const slotName = `followUp${status.stepIndex + 1}`;
+        const variant = assignVariant(slotName, status.step.message, c.handle, s.variants?.[slotName]);
+        let followUpMessage;
+        try {
+          followUpMessage = renderSlot(status.step.message, messageContext(c), variant);
+        } catch (err) {
+          if (!(err instanceof TemplateError)) throw err;
+          warn(`  Could not render follow-up: ${err.message}`, { step: "follow-up", outcome: "template-error", error: err });
+          tally.record(c.handle, "failed", "template-error");
+          if (DRY_RUN) dryRunLog.record({ handle: c.handle, outcome: "template-error", error: err.message });
+          else saveCreator(c.handle, state[c.handle]);
+          continue;
+        }
+        if (DRY_RUN) {
+          log(`  [dry run] Would send follow-up ${stepLabel}: "${followUpMessage.slice(0, 80)}"`, { step: "follow-up", outcome: "would-follow-up" });
+          tally.record(c.handle, "followed-up");
+          dryRunLog.record({
+            handle: c.handle, outcome: "would-follow-up", step: status.stepIndex + 1,
+            messages: [followUpMessage], variants: { [slotName]: variant },
+          });
+          dryRunSends.followUps++;
           continue;
         }
-        log(`  @${c.handle} — No reply after ${daysSinceSent.toFixed(1)} days. Sending follow-up...`);
-        const msgInput = page.locator(
-          'div[aria-label="Message"][contenteditable="true"], div[role="textbox"][aria-label*="Message"], textarea[placeholder*="Message"]'
-        );
         try {
-          await msgInput.first().waitFor({ timeout: 5000 });
-          await msgInput.first().click();
+          const msgInput = await findElement(page, "messageInput");
+          await msgInput.click();
           await sleep(rand(300, 700));
-          await humanType(page, FOLLOWUP_MESSAGE);
+          await humanType(page, followUpMessage);
           await sleep(rand(400, 900));
           await page.keyboard.press("Enter");
-          log(`  Follow-up sent.`);
+          log(`  Follow-up sent.`, { step: "follow-up", outcome: "followed-up" });
+          tally.record(c.handle, "followed-up");
           state[c.handle].followedUp = true;
           state[c.handle].followedUpAt = new Date().toISOString();
-        } catch {
-          log(`  Could not send follow-up.`);
+          state[c.handle].followUpStep = status.stepIndex + 1;
+          if (slotVariants(status.step.message).length > 1) {
+            state[c.handle].variants = { ...s.variants, [slotName]: variant };
+          }
+          recordFollowUp(c.handle, {
+            body: followUpMessage,
+            step: status.stepIndex + 1,
+            at: state[c.handle].followedUpAt,
+          });
+        } catch (err) {
+          warn(`  Could not send follow-up.`, { step: "follow-up", outcome: "follow-up-failed", error: err });
+          tally.record(c.handle, "failed", "follow-up-failed");
         }
-      } else if (s.followedUp) {
-        log(`  @${c.handle} — Already followed up.`);
       }
-      saveState(state);
+      if (!DRY_RUN) saveCreator(c.handle, state[c.handle]);
     }
 
     await context.storageState({ path: SESSION_FILE });
 
+    reportCreator(null);
     log("\n========== FOLLOW-UP SUMMARY ==========");
     for (const c of creators) {
       const s = state[c.handle];
       if (!s) continue;
       let status = "NOT SENT";
-      if (s.replied) status = "REPLIED";
-      else if (s.followedUp) status = "FOLLOWED UP";
+      if (isSuppressed(c.handle)) status = "SUPPRESSED";
+      else if (s.replied) status = "REPLIED";
+      else if (s.followedUp) status = `FOLLOWED UP (${s.followUpStep}/${FOLLOWUP_STEPS.length})`;
       else if (s.sent) status = "SENT (awaiting)";
       else if (s.skipped) status = "SKIPPED";
       log(`  @${c.handle.padEnd(25)} — ${status}`);
     }
+    logRunCounts();
+    logQuotaSummary();
+    logDryRunSummary();
   } catch (err) {
-    console.error("Error:", err.message);
-    saveState(state);
+    logger.error(`Error: ${err.message}`, { error: err });
+    endRun("failed", err);
   } finally {
+    endRun("finished");
     log("Done. Closing in 10s...");
     await sleep(10000);
     await browser.close();
@@ -925,12 +1272,7 @@ async function runFollowup() {
 // ── Instagram Search: extract creator handle from post/reel dialog ──────────
 
 async function extractCreatorHandle(page) {
-  const selectors = [
-    'article header a[href^="/"]',
-    'div[role="dialog"] header a[href^="/"]',
-    'div[role="dialog"] a[href^="/"][role="link"]',
-    'section > main a[href^="/"][role="link"]',
-  ];
+  const selectors = selectorList(SELECTORS, "postAuthor");
   const skip = new Set([
     "explore", "reels", "reel", "accounts", "direct",
     "stories", "p", "about", "legal", "privacy", "terms",
@@ -959,26 +1301,23 @@ async function searchInstagramForCreators(page, query, state) {
   await dismissPopups(page);
 
   // Click search icon
-  const searchIcon = page.locator('[aria-label="Search"]');
   try {
-    await searchIcon.first().waitFor({ timeout: 5000 });
-    await searchIcon.first().click();
+    await (await findElement(page, "searchIcon")).click();
   } catch {
-    log(`  ⚠️ Search icon not found`);
+    warn(`  ⚠️ Search icon not found`, { query });
     return found;
   }
   await sleep(rand(800, 1500));
 
   // Type the query
-  const searchInput = page.locator('input[placeholder="Search"]');
   try {
-    await searchInput.first().waitFor({ timeout: 5000 });
-    await searchInput.first().click();
-    await searchInput.first().fill("");
+    const searchInput = await findElement(page, "searchInput");
+    await searchInput.click();
+    await searchInput.fill("");
     await humanType(page, query);
     await sleep(rand(2500, 3500));
   } catch (err) {
-    log(`  ⚠️ Could not type in search: ${err.message}`);
+    warn(`  ⚠️ Could not type in search: ${err.message}`, { query, error: err });
     return found;
   }
 
@@ -988,8 +1327,9 @@ async function searchInstagramForCreators(page, query, state) {
   const suggestionUrls = [];
 
   try {
-    // Find all keyword suggestion links using correct selector from HTML
-    const suggestionLinks = await page.locator('a[role="link"]:has(svg[aria-label="Keyword"])').all();
+    // Find all keyword suggestion links
+    const suggestions = await resolveSelector(page, "keywordSuggestion");
+    const suggestionLinks = suggestions ? await suggestions.locator.all() : [];
 
     log(`  ✓ Found ${suggestionLinks.length} suggestions`);
 
@@ -997,13 +1337,13 @@ async function searchInstagramForCreators(page, query, state) {
     for (let i = 0; i < Math.min(suggestionLinks.length, 5); i++) {
       const href = await suggestionLinks[i].getAttribute('href');
       if (href) {
-        const fullUrl = href.startsWith('http') ? href : `https://www.instagram.com${href}`;
+        const fullUrl = href.startsWith('http') ? href : `${IG_BASE_URL}${href}`;
         suggestionUrls.push(fullUrl);
         log(`    → ${fullUrl}`);
       }
     }
   } catch (err) {
-    log(`  ⚠️ Could not extract suggestions: ${err.message}`);
+    warn(`  ⚠️ Could not extract suggestions: ${err.message}`, { query, error: err });
   }
 
   // Close search panel
@@ -1011,16 +1351,19 @@ async function searchInstagramForCreators(page, query, state) {
   await sleep(rand(500, 1000));
 
   if (suggestionUrls.length === 0) {
-    log(`  ⚠️ No suggestions found, using original query only`);
+    warn(`  ⚠️ No suggestions found, using original query only`, { query });
     const encodedQuery = encodeURIComponent(query);
-    suggestionUrls.push(`https://www.instagram.com/explore/search/keyword/?q=${encodedQuery}`);
+    suggestionUrls.push(`${IG_BASE_URL}/explore/search/keyword/?q=${encodedQuery}`);
   }
 
   // ── Step 3: Open each suggestion in NEW TAB and process reels ──
   const context = page.context();
 
   for (let i = 0; i < suggestionUrls.length; i++) {
+    if (capReached) break;
     let suggestionTab = null;
+    // The suggestion's keyword, kept on each creator found through it
+    const suggestion = new URL(suggestionUrls[i]).searchParams.get("q") || null;
 
     try {
       log(`\n  🔎 [${i + 1}/${suggestionUrls.length}] Opening suggestion in new tab...`);
@@ -1032,12 +1375,13 @@ async function searchInstagramForCreators(page, query, state) {
       await dismissPopups(suggestionTab);
 
       // Find posts on this suggestion's results page (Instagram shows reels as /p/ or /reel/ links in search)
-      const reelLinks = await suggestionTab.locator('a[href*="/p/"], a[href*="/reel/"]').all();
+      const posts = await resolveSelector(suggestionTab, "postLink");
+      const reelLinks = posts ? await posts.locator.all() : [];
       log(`    Found ${reelLinks.length} posts in suggestion ${i + 1}`);
 
       // Debug: capture suggestion page if no posts found
       if (reelLinks.length === 0) {
-        log(`    ⚠️ No posts found on suggestion page, capturing debug...`);
+        warn(`    ⚠️ No posts found on suggestion page, capturing debug...`, { query });
         await debugCapture(suggestionTab, `suggestion-${i + 1}-empty`);
       }
 
@@ -1047,7 +1391,7 @@ async function searchInstagramForCreators(page, query, state) {
       for (let j = 0; j < Math.min(reelLinks.length, 24); j++) {
         const href = await reelLinks[j].getAttribute('href');
         if (href) {
-          const fullUrl = href.startsWith('http') ? href : `https://www.instagram.com${href}`;
+          const fullUrl = href.startsWith('http') ? href : `${IG_BASE_URL}${href}`;
           if (!seenUrls.has(fullUrl)) {
             seenUrls.add(fullUrl);
             reelUrls.push(fullUrl);
@@ -1138,20 +1482,22 @@ async function searchInstagramForCreators(page, query, state) {
           // Strategy 3: Check the page URL itself (some reels redirect to /reel/ with username in content)
           if (!handle) {
             try {
-              const pageUrl = postTab.url();
+              const pageUrl = new URL(postTab.url());
               // Instagram reel URLs sometimes have /username/reel/xxx pattern
-              const urlMatch = pageUrl.match(/instagram\.com\/([a-zA-Z0-9._]{1,30})\/(?:reel|p)\//);
+              const urlMatch = pageUrl.pathname.match(/^\/([a-zA-Z0-9._]{1,30})\/(?:reel|p)\//);
               if (urlMatch) handle = urlMatch[1];
             } catch {}
           }
 
           if (!handle) {
-            log(`      ⚠️ Could not find username on post page, capturing debug...`);
+            warn(`      ⚠️ Could not find username on post page, capturing debug...`, { query });
             await debugCapture(postTab, `post-no-username-${j + 1}`);
             await postTab.close();
             continue;
           }
+          handle = storedHandle(handle);
 
+          logger.set({ handle });
           log(`      ✓ Found username: @${handle}`);
 
           // Skip own profile (can't message yourself!)
@@ -1184,11 +1530,23 @@ async function searchInstagramForCreators(page, query, state) {
             continue;
           }
 
+          if (isSuppressed(handle)) {
+            logSuppressed(handle, "      ");
+            await postTab.close();
+            continue;
+          }
+
+          if (atCap("newConversations")) {
+            await postTab.close();
+            break;
+          }
+
           // Open profile in NEW TAB by navigating to it
           try {
             log(`      Opening profile for @${handle} in new tab...`);
+            reportCreator(handle);
             profileTab = await context.newPage();
-            await profileTab.goto(`https://www.instagram.com/${handle}/`, {
+            await profileTab.goto(`${IG_BASE_URL}/${handle}/`, {
               waitUntil: "domcontentloaded",
             });
             await sleep(rand(2500, 4000));
@@ -1201,6 +1559,7 @@ async function searchInstagramForCreators(page, query, state) {
 
             // Screen profile with gender detection
             const screenResult = await screenProfile(profileTab, handle);
+            saveScreening(handle, screenResult);
             if (!screenResult.passes) {
               log(`      Skipping @${handle} — does not match target audience.`);
               state[handle] = {
@@ -1214,7 +1573,7 @@ async function searchInstagramForCreators(page, query, state) {
                 reelUrl: reelUrls[j],
                 source: "ig",
               };
-              saveState(state);
+              saveScreenOut(handle, state[handle], { screening: screenResult, source: "ig", query, suggestion, reelUrl: reelUrls[j] });
 
               // Close profile and post tabs
               await profileTab.close();
@@ -1224,14 +1583,14 @@ async function searchInstagramForCreators(page, query, state) {
             }
 
             // Generate personalized first line with gender
-            const firstLine = generateFirstLine({
+            // Throws TemplateError on an empty required variable — caught below and logged
+            const { messages: allMessages, variants } = buildMessages({
               handle,
               name: null,
               description: "",
               caption: "",
-            }, screenResult.gender);
-
-            const allMessages = [firstLine, ...MESSAGES_AFTER_FIRST];
+              reelUrl: reelUrls[j],
+            }, { gender: screenResult.gender, query, variants: state[handle]?.variants });
 
             // Send DMs on profile tab
             const success = await sendMessages(profileTab, handle, allMessages);
@@ -1244,11 +1603,14 @@ async function searchInstagramForCreators(page, query, state) {
               followedUp: false,
               reelUrl: reelUrls[j],
               source: "ig",
+              variants,
             };
-            saveState(state);
+            saveSendResult(handle, state[handle], {
+              messages: allMessages, screening: screenResult, source: "ig", query, suggestion, reelUrl: reelUrls[j],
+            });
 
             if (success) {
-              log(`      ✅ DMs sent to @${handle}`);
+              log(`      ✅ DMs sent to @${handle}`, { step: "send", outcome: "sent" });
               found.push(handle);
             }
 
@@ -1257,7 +1619,8 @@ async function searchInstagramForCreators(page, query, state) {
             await sleep(rand(800, 1500));
 
           } catch (err) {
-            log(`      ⚠️ Error processing profile for @${handle}: ${err.message}`);
+            warn(`      ⚠️ Error processing profile for @${handle}: ${err.message}`, { error: err });
+            tally.record(handle, "failed", err instanceof TemplateError ? "template-error" : "error");
             if (profileTab) {
               await debugCapture(profileTab, `profile-error-${handle}`).catch(() => {});
               await profileTab.close().catch(() => {});
@@ -1269,7 +1632,7 @@ async function searchInstagramForCreators(page, query, state) {
           await sleep(rand(1000, 2000));
 
         } catch (err) {
-          log(`      Error processing post ${j + 1}: ${err.message}`);
+          warn(`      Error processing post ${j + 1}: ${err.message}`, { query, suggestion, error: err });
           // Capture debug from post tab if still open
           if (postTab) {
             await debugCapture(postTab, `post-error-${j + 1}`).catch(() => {});
@@ -1286,7 +1649,7 @@ async function searchInstagramForCreators(page, query, state) {
       await sleep(rand(1000, 2000));
 
     } catch (err) {
-      log(`    ⚠️ Error with suggestion ${i + 1}: ${err.message}`);
+      warn(`    ⚠️ Error with suggestion ${i + 1}: ${err.message}`, { query, suggestion, error: err });
       // Make sure we close the suggestion tab even on error
       if (suggestionTab) {
         await suggestionTab.close().catch(() => {});
@@ -1306,16 +1669,20 @@ async function runIGSearch() {
   const password = process.env.IG_PASS || CONFIG.instagram?.password;
 
   if (!username || !password) {
-    console.error("Set IG_USER/IG_PASS env vars or add instagram credentials to config.json");
+    logger.error("Set IG_USER/IG_PASS env vars or add instagram credentials to config.json");
     process.exit(1);
   }
 
-  log("=== Instagram Search Mode: Discover + DM ===\n");
+  log(`=== Instagram Search Mode: Discover + DM (campaign "${CAMPAIGN}") ===\n`);
+  if (atCap("newConversations")) {
+    logQuotaSummary();
+    return;
+  }
 
   const state = loadState();
   const hasSession = fs.existsSync(SESSION_FILE);
 
-  const browser = await chromium.launch({ headless: false, slowMo: 30 });
+  const browser = await chromium.launch({ headless: HEADLESS, slowMo: HEADLESS ? 0 : 30 });
   const context = await browser.newContext({
     ...(hasSession ? { storageState: SESSION_FILE } : {}),
     viewport: { width: 1280, height: 900 },
@@ -1328,12 +1695,11 @@ async function runIGSearch() {
   try {
     if (hasSession) {
       log("Reusing saved session...");
-      await page.goto("https://www.instagram.com/", {
+      await page.goto(`${IG_BASE_URL}/`, {
         waitUntil: "domcontentloaded",
       });
       await sleep(3000);
-      const isLoggedIn = await page
-        .locator('[aria-label="Home"]')
+      const isLoggedIn = await anyOf(page, "homeLink")
         .first()
         .isVisible({ timeout: 5000 })
         .catch(() => false);
@@ -1346,24 +1712,16 @@ async function runIGSearch() {
     await context.storageState({ path: SESSION_FILE });
     await browseFeed(page);
 
-    const queries = CONFIG.outreach?.igSearchQueries || [
-      "resume tips",
-      "job search advice",
-      "career coach",
-      "h1b visa tips",
-      "interview tips",
-      "ats resume",
-    ];
-
-    let totalDiscovered = 0;
-    let totalSent = 0;
+    const queries = PACK.igSearchQueries;
 
     for (const query of queries) {
+      if (capReached) break;
       log(`\n══ Searching Instagram: "${query}" ══`);
+      tally.query(query);
       const newHandles = await searchInstagramForCreators(page, query, state);
-      totalDiscovered += newHandles.length;
 
-      for (const handle of newHandles) {
+      for (const found of newHandles) {
+        const handle = storedHandle(found);
         // Skip own profile (can't message yourself!)
         const ownHandle = CONFIG.instagram?.handle || "";
         if (ownHandle && handle.toLowerCase() === ownHandle.toLowerCase()) {
@@ -1374,25 +1732,33 @@ async function runIGSearch() {
         // Skip only if successfully sent OR properly screened out
         if (state[handle]) {
           if (state[handle].sent) {
-            log(`  Already sent DM to @${handle}, skipping.`);
+            log(`  Already sent DM to @${handle}, skipping.`, { handle });
             continue;
           } else if (state[handle].skippedReason === "screening") {
-            log(`  @${handle} failed screening, skipping.`);
+            log(`  @${handle} failed screening, skipping.`, { handle });
             continue;
           } else {
             // Entry exists but DM failed previously - retry it
-            log(`  @${handle} found in state but DM not sent, retrying...`);
+            log(`  @${handle} found in state but DM not sent, retrying...`, { handle });
           }
         }
 
+        if (isSuppressed(handle)) {
+          logSuppressed(handle);
+          continue;
+        }
+
+        if (atCap("newConversations")) break;
+
         log(`\n  ─ New creator: @${handle} ─`);
+        reportCreator(handle);
 
         // Open profile in NEW TAB for screening and DMing
         const profileTab = await context.newPage();
 
         try {
           // Navigate to profile in new tab
-          await profileTab.goto(`https://www.instagram.com/${handle}/`, {
+          await profileTab.goto(`${IG_BASE_URL}/${handle}/`, {
             waitUntil: "domcontentloaded",
           });
           await sleep(rand(2000, 3000));
@@ -1401,6 +1767,7 @@ async function runIGSearch() {
 
           // Screen profile in new tab with gender detection
           const screenResult = await screenProfile(profileTab, handle);
+          saveScreening(handle, screenResult);
           if (!screenResult.passes) {
             log(`  Skipping @${handle} — does not match target audience.`);
             state[handle] = {
@@ -1414,19 +1781,18 @@ async function runIGSearch() {
               reelUrl: "",
               source: "ig-search",
             };
-            saveState(state);
+            saveScreenOut(handle, state[handle], { screening: screenResult, source: "ig-search", query });
             await profileTab.close();
             continue;
           }
 
           // Generate first line using query keywords for hook matching with gender-based greeting
-          const firstLine = generateFirstLine({
+          const { messages: allMessages, variants } = buildMessages({
             handle,
             name: null,
             description: query,
             caption: query,
-          }, screenResult.gender);
-          const allMessages = [firstLine, ...MESSAGES_AFTER_FIRST];
+          }, { gender: screenResult.gender, query, variants: state[handle]?.variants });
 
           // Send DMs in new tab
           const success = await sendMessages(profileTab, handle, allMessages);
@@ -1438,12 +1804,9 @@ async function runIGSearch() {
             followedUp: false,
             reelUrl: "",
             source: "ig-search",
+            variants,
           };
-          saveState(state);
-
-          if (success) {
-            totalSent++;
-          }
+          saveSendResult(handle, state[handle], { messages: allMessages, screening: screenResult, source: "ig-search", query });
 
           // Close profile tab and return to main search page
           await profileTab.close();
@@ -1453,7 +1816,8 @@ async function runIGSearch() {
           await browseFeed(page);
 
         } catch (err) {
-          log(`  Error processing @${handle}: ${err.message}`);
+          warn(`  Error processing @${handle}: ${err.message}`, { error: err });
+          tally.record(handle, "failed", err instanceof TemplateError ? "template-error" : "error");
           await profileTab.close().catch(() => {});
           continue;
         }
@@ -1465,37 +1829,558 @@ async function runIGSearch() {
 
     await context.storageState({ path: SESSION_FILE });
 
+    reportCreator(null);
     log("\n========== IG SEARCH SUMMARY ==========");
-    log(`Discovered: ${totalDiscovered} | Sent: ${totalSent}`);
-    const igCreators = Object.entries(state).filter(
-      ([, s]) => s.source === "ig-search"
-    );
-    for (const [handle, s] of igCreators) {
-      const status = s.sent
-        ? "SENT"
-        : s.skippedReason === "screening"
-          ? "SCREENED OUT"
-          : "SKIPPED";
-      log(`  @${handle.padEnd(25)} — ${status}`);
+    // Only the creators this run looked at, from the search results and the suggestion pages
+    for (const { handle, outcome, reason } of tally.creators()) {
+      log(`  @${handle.padEnd(25)} — ${OUTCOME_LABELS[outcome]}${reason ? ` (${FAILURE_REASONS[reason] || reason})` : ""}`);
     }
+    logRunCounts();
+    logQuotaSummary();
+    logDryRunSummary();
   } catch (err) {
-    console.error("Error:", err.message);
-    saveState(state);
+    logger.error(`Error: ${err.message}`, { error: err });
+    endRun("failed", err);
   } finally {
+    endRun("finished");
     log("Done. Closing in 10s...");
     await sleep(10000);
     await browser.close();
   }
 }
 
+// ── Main: Selector self-test ────────────────────────────────────────────────
+
+// Only appear on some accounts/regions, so not finding them isn't a failure
+const OPTIONAL_SELECTORS = new Set(["cookieButton", "notNowButton"]);
+
+// Report, for each element, which fallback (if any) matches on the current page
+async function checkSelectors(page, names, results, vars) {
+  for (const name of names) {
+    const list = selectorList(SELECTORS, name, vars);
+    await anyOf(page, name, vars).first().waitFor({ timeout: 3000 }).catch(() => {});
+    const found = await resolveSelector(page, name, vars).catch(() => null);
+    const index = found ? list.indexOf(found.selector) : -1;
+    const count = found ? await found.locator.count() : 0;
+    results.push({ name, index, optional: OPTIONAL_SELECTORS.has(name) });
+
+    if (index === 0) log(`  ✅ ${name.padEnd(18)} ${found.selector} (${count})`);
+    else if (index > 0) warn(`  ⚠️ ${name.padEnd(18)} fallback ${index + 1}/${list.length}: ${found.selector} (${count})`);
+    else if (OPTIONAL_SELECTORS.has(name)) log(`  ·  ${name.padEnd(18)} not shown (optional)`);
+    else log(`  ❌ ${name.padEnd(18)} none of ${list.length} selectors matched`);
+  }
+}
+
+async function runSelftest(args) {
+  const username = process.env.IG_USER || CONFIG.instagram?.username;
+  const password = process.env.IG_PASS || CONFIG.instagram?.password;
+
+  if (!username || !password) {
+    logger.error("Set IG_USER/IG_PASS env vars or add instagram credentials to config.json");
+    process.exit(1);
+  }
+
+  // Optional profile to test DMs against; otherwise the author of the first post found
+  let handle = args[0] ? normalizeHandle(args[0]) : null;
+  const query = PACK.igSearchQueries[0];
+  const overridden = Object.keys(CONFIG.selectors || {}).filter((k) => k !== "version");
+
+  log(`=== Selector self-test (registry ${SELECTORS_VERSION}) ===`);
+  if (overridden.length > 0) log(`Overridden in config: ${overridden.join(", ")}`);
+  log("Nothing is typed into DMs or sent.\n");
+
+  const results = [];
+  const browser = await chromium.launch({ headless: HEADLESS, slowMo: HEADLESS ? 0 : 30 });
+
+  try {
+    // Logged-out context for the login form
+    log("Login page:");
+    const loginContext = await browser.newContext({ locale: "en-US" });
+    const loginPage = await loginContext.newPage();
+    await loginPage.goto(`${IG_BASE_URL}/accounts/login/`, { waitUntil: "domcontentloaded" });
+    await checkSelectors(loginPage, ["cookieButton", "loginUsername", "loginPassword", "loginSubmit"], results);
+    await loginContext.close();
+
+    const hasSession = fs.existsSync(SESSION_FILE);
+    const context = await browser.newContext({
+      ...(hasSession ? { storageState: SESSION_FILE } : {}),
+      viewport: { width: 1280, height: 900 },
+      locale: "en-US",
+    });
+    const page = await context.newPage();
+    await page.goto(`${IG_BASE_URL}/`, { waitUntil: "domcontentloaded" });
+    await sleep(3000);
+    const isLoggedIn = await anyOf(page, "homeLink").first().isVisible().catch(() => false);
+    if (!isLoggedIn) {
+      await login(page, username, password);
+      await context.storageState({ path: SESSION_FILE });
+    }
+
+    log("\nHome:");
+    await checkSelectors(page, ["homeLink", "searchIcon"], results);
+    await findElement(page, "searchIcon").then((icon) => icon.click()).catch(() => {});
+    await sleep(1000);
+
+    log(`\nSearch panel ("${query}"):`);
+    await checkSelectors(page, ["searchInput"], results);
+    await findElement(page, "searchInput").then((input) => input.fill(query)).catch(() => {});
+    await sleep(3000);
+    await checkSelectors(page, ["keywordSuggestion"], results);
+    const suggestion = await resolveSelector(page, "keywordSuggestion");
+    const suggestionHref = suggestion ? await suggestion.locator.first().getAttribute("href") : null;
+    await page.keyboard.press("Escape").catch(() => {});
+
+    log("\nKeyword results:");
+    await page.goto(
+      suggestionHref ? new URL(suggestionHref, IG_BASE_URL).href : `${IG_BASE_URL}/explore/search/keyword/?q=${encodeURIComponent(query)}`,
+      { waitUntil: "domcontentloaded" }
+    );
+    await sleep(3000);
+    await checkSelectors(page, ["postLink"], results);
+    const posts = await resolveSelector(page, "postLink");
+    const postHref = posts ? await posts.locator.first().getAttribute("href") : null;
+
+    if (postHref) {
+      log("\nPost page:");
+      await page.goto(new URL(postHref, IG_BASE_URL).href, { waitUntil: "domcontentloaded" });
+      await sleep(2000);
+      await checkSelectors(page, ["postAuthor"], results);
+      handle ||= await extractCreatorHandle(page);
+    }
+
+    if (!handle) {
+      log("\nNo profile to test — pass one: node reachpilot.mjs selftest <handle>");
+    } else {
+      log(`\nSearch for @${handle}:`);
+      await page.goto(`${IG_BASE_URL}/`, { waitUntil: "domcontentloaded" });
+      await findElement(page, "searchIcon").then((icon) => icon.click()).catch(() => {});
+      await findElement(page, "searchInput").then((input) => input.fill(handle)).catch(() => {});
+      await sleep(2000);
+      await checkSelectors(page, ["searchResult"], results, { handle });
+
+      log(`\nProfile @${handle}:`);
+      await page.goto(`${IG_BASE_URL}/${handle}/`, { waitUntil: "domcontentloaded" });
+      await sleep(2000);
+      await checkSelectors(page, ["messageButton"], results);
+
+      log("\nDM thread:");
+      await findElement(page, "messageButton").then((btn) => btn.click()).catch(() => {});
+      await sleep(3000);
+      await dismissPopups(page);
+      await checkSelectors(page, ["messageInput", "threadRow", "messageBubble"], results);
+    }
+
+    await context.close();
+  } catch (err) {
+    logger.error(`Error: ${err.message}`, { error: err });
+    process.exitCode = 1;
+  } finally {
+    await browser.close();
+  }
+
+  const checked = new Set(results.map((r) => r.name));
+  const missing = results.filter((r) => r.index === -1 && !r.optional);
+  const fallbacks = results.filter((r) => r.index > 0);
+  const unchecked = Object.keys(SELECTORS).filter((name) => !checked.has(name));
+
+  log("\n========== SELFTEST SUMMARY ==========");
+  log(`Resolved: ${results.filter((r) => r.index === 0).length} | Via fallback: ${fallbacks.length} | Missing: ${missing.length}`);
+  if (fallbacks.length > 0) log(`Fallback in use (consider reordering): ${fallbacks.map((r) => r.name).join(", ")}`);
+  if (missing.length > 0) log(`Broken — override under "selectors" in config.json: ${missing.map((r) => r.name).join(", ")}`);
+  if (unchecked.length > 0) log(`Not checked: ${unchecked.join(", ")}`);
+  if (missing.length > 0) process.exitCode = 1;
+}
+
+// ── Main: Reply triage ──────────────────────────────────────────────────────
+
+async function runTriage(args) {
+  const reclassify = args.includes("--all");
+  const state = loadState();
+  const pending = Object.entries(state).filter(
+    ([, s]) => s.replied && s.replyText && (reclassify || !s.replyLabel) && (!CAMPAIGN_FLAG || campaignOf(s) === CAMPAIGN)
+  );
+
+  log(`=== Triage: ${pending.length} replies to classify (${OPENAI_KEY ? "OpenAI" : "keyword fallback"}) ===\n`);
+
+  const counts = Object.fromEntries(REPLY_LABELS.map((l) => [l, 0]));
+  for (const [handle, s] of pending) {
+    const result = await classifyReply(s.replyText, {
+      apiKey: OPENAI_KEY,
+      optOutPhrases: OPT_OUT_PHRASES,
+      onError: (err) => log(`  Classification error for @${handle}: ${err.message}. Using keywords.`),
+    });
+
+    s.replyLabel = result.label;
+    s.replyLabelReason = result.reason;
+    s.triagedAt = new Date().toISOString();
+    saveCreator(handle, s);
+    counts[result.label]++;
+
+    log(`  @${handle.padEnd(25)} ${result.label.padEnd(11)} ${result.reason || ""}`);
+    log(`    "${s.replyText.replace(/\s+/g, " ").slice(0, 100)}"`);
+
+    if (result.label === "opt-out" && addSuppression(handle, { reason: "triaged as opt-out", source: "reply" })) {
+      log(`    Added @${handle} to the suppression list.`);
+    }
+  }
+
+  log("\n========== TRIAGE SUMMARY ==========");
+  for (const [label, n] of Object.entries(counts)) log(`  ${label.padEnd(11)} ${n}`);
+}
+
+// ── Main: Suppression list ──────────────────────────────────────────────────
+
+function runSuppress([action, ...args]) {
+  if (action === "add" && args[0]) {
+    const handle = normalizeHandle(args[0]);
+    const reason = args.slice(1).join(" ") || null;
+    if (addSuppression(handle, { reason, source: "manual" })) log(`Suppressed @${handle}.`);
+    else log(`@${handle} is already suppressed.`);
+  } else if (action === "remove" && args[0]) {
+    const handle = normalizeHandle(args[0]);
+    if (removeSuppression(handle)) log(`Removed @${handle} from the suppression list.`);
+    else log(`@${handle} was not on the suppression list.`);
+  } else if (action === "import" && args[0]) {
+    if (!fs.existsSync(args[0])) {
+      console.error(`File not found: ${args[0]}`);
+      process.exit(1);
+    }
+    const { entries, invalid } = parseSuppressionFile(args[0]);
+    let added = 0;
+    for (const { handle, reason } of entries) {
+      if (addSuppression(handle, { reason, source: "import" })) added++;
+    }
+    log(`Imported ${added} new handles (${entries.length - added} already suppressed).`);
+    if (invalid.length > 0) log(`Ignored ${invalid.length} invalid entries: ${invalid.slice(0, 10).join(", ")}`);
+  } else if (action === "list") {
+    const rows = listSuppressions();
+    for (const r of rows) {
+      log(`  @${r.handle.padEnd(25)} ${r.source.padEnd(7)} ${r.created_at.slice(0, 10)}${r.reason ? `  ${r.reason}` : ""}`);
+    }
+    log(`${rows.length} suppressed handles.`);
+  } else {
+    console.error("Usage: node reachpilot.mjs suppress <add <handle> [reason] | remove <handle> | import <file> | list>");
+    process.exit(1);
+  }
+}
+
+// ── Main: Config check ──────────────────────────────────────────────────────
+
+function runConfig([action]) {
+  if (action !== "check") {
+    console.error("Usage: node reachpilot.mjs config check [--campaign <name>]");
+    process.exit(1);
+  }
+
+  log(`=== Config check: ${CONFIG_FILE} ===`);
+  const text = readConfigText();
+  if (text === null) {
+    console.error("No config file found. Run: cp config.example.json config.json");
+    process.exit(1);
+  }
+
+  const { errors, warnings } = validateConfig(ACCOUNT_CONFIG, text);
+  try {
+    createProviders(DISCOVERY.providers || DEFAULT_PROVIDERS);
+  } catch (err) {
+    errors.push({ path: "discovery.providers", line: null, message: err.message });
+  }
+  // Every campaign's messages have to render, not just the one selected.
+  // Skipped on schema errors, which usually garble the templates anyway.
+  const campaignNames = errors.length === 0 ? listCampaigns(ACCOUNT_CONFIG) : [];
+  for (const name of campaignNames) {
+    const { product } = resolveCampaign(ACCOUNT_CONFIG, name);
+    if (!product) continue;
+    for (const message of checkTemplates(product)) {
+      errors.push({ path: name === DEFAULT_CAMPAIGN ? "product" : `campaigns.${name}.product`, line: null, message });
+    }
+  }
+
+  for (const error of errors) log(`❌ ${formatIssue(error)}`);
+  for (const warning of warnings) log(`⚠️  ${formatIssue(warning)}`);
+
+  const { config: effective, overrides } = applyEnvOverrides(CONFIG);
+  const { campaigns, ...shown } = effective;
+  log(`Campaign: ${CAMPAIGN} (configured: ${listCampaigns(ACCOUNT_CONFIG).join(", ")})`);
+  log(`Niche pack: ${PACK.name} (${PACK.file})`);
+  log(`Environment overrides: ${overrides.length > 0 ? overrides.map((o) => `${o.env} → ${o.path.join(".")}`).join(", ") : "none"}`);
+  log("Effective configuration (secrets hidden, unset keys use built-in defaults):");
+  console.log(JSON.stringify(redactSecrets(shown), null, 2));
+
+  log(`${errors.length > 0 ? "❌" : "✅"} ${errors.length} errors, ${warnings.length} warnings`);
+  if (errors.length > 0) process.exitCode = 1;
+}
+
+// ── Main: Creator import / export ───────────────────────────────────────────
+
+function runImport([file]) {
+  if (!file) {
+    console.error("Usage: node reachpilot.mjs import <creators.csv|creators.json>");
+    process.exit(1);
+  }
+  if (!fs.existsSync(file)) {
+    console.error(`File not found: ${file}`);
+    process.exit(1);
+  }
+
+  let rows;
+  try {
+    rows = parseCreatorFile(file);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  const provider = createFileImportProvider({ file });
+  const creators = loadDiscoveredCreators();
+  const byHandle = new Map(creators.map((c) => [normalizeHandle(c.handle), c]));
+  const state = loadState();
+  const invalid = [];
+  let added = 0;
+  let updated = 0;
+  let contacted = 0;
+
+  rows.forEach((row, i) => {
+    const candidate = isValidHandle(row.handle) ? provider.normalize(row) : null;
+    if (!candidate) {
+      invalid.push(`${String(row.handle ?? "").trim() || "(empty)"} (row ${i + 1})`);
+      return;
+    }
+    if (state[storedHandle(candidate.handle)]?.sent) contacted++;
+
+    const existing = byHandle.get(candidate.handle);
+    if (!existing) {
+      const { partnerScore, ...fields } = candidate;
+      const creator = prepareCreator({ ...fields, relevanceScore: 0, appearances: 1, providers: ["import"] });
+      creators.push(creator);
+      byHandle.set(candidate.handle, creator);
+      added++;
+      return;
+    }
+    // Fill in what discovery didn't know; never overwrite what it did
+    let changed = false;
+    for (const field of ["name", "reelUrl", "notes"]) {
+      if (candidate[field] && !existing[field]) {
+        existing[field] = candidate[field];
+        changed = true;
+      }
+    }
+    if (changed) {
+      prepareCreator(existing);
+      updated++;
+    }
+  });
+
+  fs.writeFileSync(CREATORS_FILE, JSON.stringify(creators, null, 2));
+  log(`Imported ${file} into ${CREATORS_FILE}: ${added} added, ${updated} updated, ${rows.length - added - updated - invalid.length} unchanged.`);
+  if (contacted > 0) log(`${contacted} of them were already messaged and will be skipped by send.`);
+  if (invalid.length > 0) {
+    log(`Skipped ${invalid.length} invalid handles: ${invalid.slice(0, 10).join(", ")}${invalid.length > 10 ? ", …" : ""}`);
+  }
+}
+
+function runExport(args) {
+  let options;
+  try {
+    options = parseExportArgs(args);
+  } catch (err) {
+    console.error(err.message);
+    console.error("Usage: node reachpilot.mjs export [file.csv|file.json] [--format csv|json] [--columns a,b] [--status s]");
+    console.error("       [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--source s] [--campaign name]");
+    process.exit(1);
+  }
+  const { file, filters } = options;
+
+  // Contacted or screened creators come from the store; discovered-but-untouched ones are "pending"
+  const state = storeExists() ? loadState() : {};
+  const discovered = new Map(withStoredHandles(loadDiscoveredCreators()).map((c) => [c.handle, c]));
+  const handles = [...new Set([...Object.keys(state), ...discovered.keys()])];
+  const rows = filterRows(
+    handles.map((handle) => {
+      const c = discovered.get(handle) || {};
+      return {
+        handle,
+        ...state[handle],
+        name: c.name || null,
+        notes: c.notes || null,
+        reelUrl: state[handle]?.reelUrl || c.reelUrl || null,
+        suppressed: isSuppressed(handle),
+        history: state[handle] ? getHistory(handle) : null,
+      };
+    }),
+    { ...filters, campaign: CAMPAIGN_FLAG }
+  );
+
+  let output;
+  if (options.format === "json") {
+    // Everything we know, history included, unless specific columns were asked for
+    const records = options.columnsGiven
+      ? rows.map((row) => Object.fromEntries(options.columns.map((c) => [c, EXPORT_COLUMNS[c](row)])))
+      : rows.map((row) => ({ ...row, status: creatorStatus(row), campaign: campaignOf(row) }));
+    output = JSON.stringify(records, null, 2) + "\n";
+  } else {
+    output = toCsv(rows, options.columns);
+  }
+
+  if (!file) {
+    process.stdout.write(output);
+    return;
+  }
+  fs.writeFileSync(file, output);
+  log(`Exported ${rows.length} creators to ${file}.`);
+}
+
+// ── Main: Niche packs ───────────────────────────────────────────────────────
+
+function runPacks() {
+  log(`=== Niche packs (active: ${PACK.name}) ===\n`);
+  for (const name of listPacks()) {
+    const pack = loadPack(name);
+    log(`  ${name === PACK.name ? "▶" : " "} ${name.padEnd(12)} ${pack.description || ""}`);
+    log(`    ${pack.searchQueries.length} API queries, ${pack.igSearchQueries.length} IG queries, ` +
+      `${Object.keys(pack.hooks).length} hooks, ${pack.keywords.length} keywords (min score ${pack.minScore})`);
+  }
+  log('\nSet "outreach": { "pack": "<name>" } in config.json, or point it at your own pack file.');
+}
+
+// ── Main: Logs ──────────────────────────────────────────────────────────────
+
+function runLogs(args) {
+  let options;
+  try {
+    options = parseLogsArgs(args);
+  } catch (err) {
+    console.error(err.message);
+    console.error("Usage: node reachpilot.mjs logs [--handle h] [--error type] [--run id] [--mode m]");
+    console.error("       [--level warn] [--since YYYY-MM-DD] [--limit n] [--json]");
+    process.exit(1);
+  }
+  const { filters } = options;
+  const runs = listRunLogs();
+
+  // No filters: an overview of the most recent runs
+  if (Object.keys(filters).length === 0) {
+    if (runs.length === 0) {
+      log(`No run logs in ${LOGS_DIR} yet.`);
+      return;
+    }
+    log(`=== Recent runs (${Math.min(runs.length, options.limit)} of ${runs.length}) ===\n`);
+    for (const run of runs.slice(0, options.limit)) {
+      const entries = readRunLog(run.file);
+      const count = (level) => entries.filter((e) => e.level === level).length;
+      log(`  ${run.runId}  ${run.mode.padEnd(9)} ${new Date(run.startedAt).toLocaleString()}  ` +
+        `${entries.length} entries (warnings: ${count("warn")}, errors: ${count("error")})`);
+    }
+    log("\nShow one run with --run <id>, or search all of them with --handle / --error.");
+    return;
+  }
+
+  // Oldest first, so a creator's story reads top to bottom
+  const matching = runs
+    .filter((run) => (!filters.runId || run.runId === filters.runId) && (!filters.mode || run.mode === filters.mode))
+    .reverse()
+    .flatMap((run) => filterEntries(readRunLog(run.file), filters));
+
+  if (options.json) {
+    process.stdout.write(matching.map((e) => JSON.stringify(e) + "\n").join(""));
+    return;
+  }
+  if (matching.length === 0) {
+    log("No matching log entries.");
+    return;
+  }
+  for (const entry of matching) console.log(formatEntry(entry));
+  const errors = matching.filter((e) => LEVELS[e.level] >= LEVELS.error).length;
+  log(`\n${matching.length} entries (errors: ${errors}).`);
+}
+
+// ── Main: Run history ───────────────────────────────────────────────────────
+
+function runHistory(args) {
+  let options;
+  try {
+    options = parseHistoryArgs(args);
+  } catch (err) {
+    console.error(err.message);
+    console.error("Usage: node reachpilot.mjs history [run id] [--mode send|igsearch|followup] [--limit n] [--json]");
+    process.exit(1);
+  }
+  const runs = storeExists() ? listRuns({ limit: options.limit, mode: options.mode }) : [];
+
+  if (!options.id) {
+    if (options.json) {
+      process.stdout.write(JSON.stringify(runs, null, 2) + "\n");
+      return;
+    }
+    if (runs.length === 0) {
+      log("No runs recorded yet. send, igsearch and followup runs show up here.");
+      return;
+    }
+    log(`=== Run history (latest ${runs.length}) ===\n`);
+    for (const run of runs) log(`  ${formatRunLine(run)}`);
+    log("\nDetails: node reachpilot.mjs history <run id>");
+    return;
+  }
+
+  const run = storeExists() ? getRun(options.id) : null;
+  if (!run) {
+    console.error(`No run ${options.id}. Run: node reachpilot.mjs history`);
+    process.exit(1);
+  }
+  if (options.json) {
+    process.stdout.write(JSON.stringify(run, null, 2) + "\n");
+    return;
+  }
+  const summary = run.summary || {};
+  const duration = formatDuration(run);
+  log(`=== Run ${run.id}: ${run.mode}${run.campaign ? ` (campaign "${run.campaign}")` : ""} ===`);
+  log(`Status:   ${STATUS_ICONS[run.status] || ""} ${run.status}`);
+  log(`Started:  ${new Date(run.startedAt).toLocaleString()}`);
+  if (run.endedAt) log(`Ended:    ${new Date(run.endedAt).toLocaleString()} (${duration})`);
+  if (summary.queries?.length > 0) log(`Queries:  ${summary.queries.join(", ")}`);
+  log(`Counts:   ${describeCounts(run)}`);
+  if (summary.counts?.failed > 0) log(`Failed:   ${describeFailures(summary.failures)}`);
+  if (summary.quota) log(`Quota:    ${formatQuota(summary.quota)}`);
+  if (summary.stoppedEarly) log(`Stopped early: ${summary.stoppedEarly}`);
+  if (summary.error) log(`Error:    ${summary.error}`);
+  if (summary.creators?.length > 0) {
+    log("\nCreators:");
+    for (const { handle, outcome, reason } of summary.creators) {
+      log(`  @${handle.padEnd(25)} — ${OUTCOME_LABELS[outcome] || outcome}${reason ? ` (${FAILURE_REASONS[reason] || reason})` : ""}`);
+    }
+  }
+  log(`\nFull log: node reachpilot.mjs logs --run ${run.id}`);
+}
+
 // ── Entry ───────────────────────────────────────────────────────────────────
 
-const mode = process.argv[2];
+// Anything a mode doesn't catch itself still ends up in the run's log
+function crash(reason) {
+  const err = reason instanceof Error ? reason : new Error(String(reason));
+  // The stack repeats the message, so the console line only says what happened
+  logger.error("Crashed:", { error: err });
+  console.error(err.stack);
+  endRun("failed", err);
+  process.exit(1);
+}
+process.on("uncaughtException", crash);
+process.on("unhandledRejection", crash);
+
+if (logger.file) log(`📝 Run ${logger.runId}: logging to ${logger.file}`);
 
 if (mode === "discover") runDiscover();
 else if (mode === "send") runSend();
 else if (mode === "igsearch") runIGSearch();
 else if (mode === "followup") runFollowup();
+else if (mode === "triage") runTriage(modeArgs);
+else if (mode === "suppress") runSuppress(modeArgs);
+else if (mode === "selftest") runSelftest(modeArgs);
+else if (mode === "config") runConfig(modeArgs);
+else if (mode === "packs") runPacks();
+else if (mode === "import") runImport(modeArgs);
+else if (mode === "export") runExport(modeArgs);
+else if (mode === "logs") runLogs(modeArgs);
+else if (mode === "history") runHistory(modeArgs);
 else {
   console.log(`
 ReachPilot — Automated Instagram DM Outreach
@@ -1505,10 +2390,34 @@ ReachPilot — Automated Instagram DM Outreach
   node reachpilot.mjs send         → Discover creators + send DMs
   node reachpilot.mjs igsearch     → Search Instagram natively + screen + DM
   node reachpilot.mjs followup     → Check replies + send follow-ups
+  node reachpilot.mjs triage       → Label replies (add --all to re-label everything)
+  node reachpilot.mjs selftest [handle] → Check which Instagram selectors still resolve
+  node reachpilot.mjs config check → Validate config.json and print the effective config
+  node reachpilot.mjs packs        → List niche packs (queries, hooks, keywords per niche)
+  node reachpilot.mjs import <file> → Merge a CSV/JSON creator list into discovered-creators.json
+  node reachpilot.mjs export [file] → Dump creators + history as CSV/JSON (see README for filters)
+  node reachpilot.mjs logs         → List recent runs (--run <id>, --handle <h>, --error <type> to search)
+  node reachpilot.mjs history [id] → Past send/igsearch/followup runs: counts, failures and quota used
+
+  Add --dry-run to send, igsearch or followup to go through login, search,
+  screening and message rendering without typing anything. Would-be sends
+  are logged to dry-runs/<mode>-<timestamp>.jsonl.
+
+  Add --campaign <name> to send, igsearch, followup or triage to use that
+  campaign's product messages, queries, hooks and screening from the
+  "campaigns" section of config.json. Without it the top-level settings
+  are the "default" campaign.
+
+  node reachpilot.mjs suppress add <handle> [reason]   → Never contact this handle
+  node reachpilot.mjs suppress remove <handle>         → Take a handle off the list
+  node reachpilot.mjs suppress import <file>           → Bulk add from .txt/.csv/.json
+  node reachpilot.mjs suppress list                    → Show the suppression list
 
 Files:
   discovered-creators.json  — Cached creator list from discovery
-  outreach-state.json       — Tracks sent/replied/followed-up per creator
+  outreach.db               — SQLite store: creators, messages, screenings, follow-ups
   ig-session.json           — Instagram session cookies (auto-login)
+  dry-runs/                 — Logs of --dry-run runs
+  logs/                     — One JSON-lines log per run (discover, send, igsearch, followup, selftest)
   `);
 }
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { computeAnalytics, sourceOf } from "../lib/analytics.mjs";
+import { getFollowUpSteps } from "../lib/followups.mjs";
+
+// Day buckets are local calendar days; pin them so the fixture dates don't shift
+process.env.TZ = "UTC";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "analytics");
+const readFixture = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURES, name), "utf-8"));
+const STATE = readFixture("state.json");
+const DISCOVERED = readFixture("discovered.json");
+
+const steps = getFollowUpSteps({ followUps: [{ delayDays: 3, message: "nudge" }] });
+const analytics = computeAnalytics(STATE, {
+  discovered: DISCOVERED,
+  stepsFor: () => steps,
+  isSuppressed: (handle) => handle === "search_followed_up",
+  now: new Date("2026-02-14T12:00:00.000Z"),
+});
+
+test("the funnel runs from discovered to converted", () => {
+  assert.deepEqual(analytics.funnel, {
+    discovered: 11,
+    screened: 9,
+    sent: 6,
+    replied: 3,
+    converted: 1,
+    screenedOut: 2,
+    unreachable: 1,
+  });
+  assert.deepEqual(analytics.rates, { screenPass: 77.8, reply: 50, conversion: 16.7 });
+});
+
+test("sources keep IG reels and IG search apart; sends without a source are API discovery", () => {
+  assert.equal(sourceOf({ source: null }), "api");
+  const counts = Object.fromEntries(Object.entries(analytics.bySource).map(([s, c]) => [s, [c.sent, c.replied, c.screenedOut, c.unreachable, c.replyRate]]));
+  assert.deepEqual(counts, {
+    api: [2, 1, 1, 0, 50],
+    ig: [1, 0, 1, 1, 0],
+    "ig-search": [3, 2, 0, 0, 66.7],
+  });
+});
+
+test("days bucket sends, screen-outs and replies, newest first", () => {
+  const days = Object.fromEntries(Object.entries(analytics.byDay).map(([day, d]) => [
+    day, { sent: d.sent.map((c) => c.handle), screenedOut: d.screenedOut.map((c) => c.handle), replied: d.replied },
+  ]));
+  assert.deepEqual(days, {
+    "2026-02-13": { sent: ["reel_waiting"], screenedOut: ["reel_screened"], replied: 1 },
+    "2026-02-11": { sent: ["search_question"], screenedOut: [], replied: 2 },
+    "2026-02-10": { sent: ["api_replied", "api_legacy"], screenedOut: ["api_screened"], replied: 0 },
+    "2026-02-09": { sent: ["search_due", "search_followed_up"], screenedOut: [], replied: 0 },
+  });
+  assert.deepEqual(analytics.byDay["2026-02-10"].bySource, { api: 2 });
+});
+
+test("cohorts, queries and follow-ups each get their own rates", () => {
+  assert.deepEqual(Object.entries(analytics.cohorts).map(([day, c]) => [day, c.sent, c.replied, c.replyRate]), [
+    ["2026-02-09", 2, 1, 50],
+    ["2026-02-10", 2, 1, 50],
+    ["2026-02-11", 1, 1, 100],
+    ["2026-02-13", 1, 0, 0],
+  ]);
+  assert.deepEqual(analytics.byQuery, {
+    "resume tips": { screened: 2, screenedOut: 1, sent: 1, screenOutRate: 50 },
+    "job hunt": { screened: 1, screenedOut: 1, sent: 0, screenOutRate: 100 },
+  });
+  assert.deepEqual(analytics.followUpEffect, {
+    before: { sent: 6, replied: 2, replyRate: 33.3 },
+    after: { followedUp: 1, replied: 1, replyRate: 100 },
+  });
+});
+
+test("due follow-ups skip replies and opt-outs, oldest due first", () => {
+  assert.deepEqual(analytics.followUps.map((f) => [f.handle, f.step, f.daysSinceLastTouch]), [
+    ["search_due", 1, 5],
+    ["api_legacy", 1, 4],
+  ]);
+  assert.deepEqual(analytics.recentActivity.slice(0, 2).map((a) => [a.type, a.handle, a.source]), [
+    ["screened", "reel_screened", "ig"],
+    ["sent", "reel_waiting", "ig"],
+  ]);
+});
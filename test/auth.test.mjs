@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { dashboardSettings, createAuth, safeRedirect, SESSION_COOKIE } from "../lib/auth.mjs";
+
+const request = (headers = {}) => ({ headers: { host: "localhost:3000", ...headers } });
+
+test("settings come from config, flags win, and only loopback may go without a login", () => {
+  assert.deepEqual(dashboardSettings(null), { host: "127.0.0.1", port: 3000, password: null, token: null });
+
+  const config = { dashboard: { host: "0.0.0.0", port: 8080, password: "pw" } };
+  assert.deepEqual(dashboardSettings(config, ["--port=9000"]), { host: "0.0.0.0", port: 9000, password: "pw", token: null });
+  assert.equal(dashboardSettings(config, ["--localhost"]).host, "127.0.0.1");
+
+  assert.throws(() => dashboardSettings({ dashboard: { host: "0.0.0.0" } }), /Refusing to listen on 0\.0\.0\.0 without a login/);
+  assert.throws(() => dashboardSettings(null, ["--port", "http"]), /--port expects a number/);
+  assert.throws(() => dashboardSettings(null, ["--open"]), /Unknown option --open/);
+});
+
+test("without a login, only requests addressed to localhost get in", () => {
+  const auth = createAuth();
+  assert.equal(auth.enabled, false);
+  const access = auth.identify(request());
+  assert.equal(access.via, "open");
+  assert.equal(auth.identify(request({ host: "rebound.example:3000" })), null);
+  assert.equal(auth.identify(request({ cookie: "x=%E0" })).via, "open");
+
+  assert.equal(auth.checkCsrf(access, access.csrf), true);
+  assert.equal(auth.checkCsrf(access, "forged"), false);
+  assert.equal(auth.checkCsrf(access, undefined), false);
+});
+
+test("a password login issues a session cookie with its own CSRF token, until it expires or logs out", () => {
+  let clock = 0;
+  const auth = createAuth({ password: "s3cret", ttl: 1000, now: () => clock });
+  assert.equal(auth.identify(request()), null, "loopback is no exception once a password is set");
+  assert.equal(auth.login("wrong"), null);
+
+  const cookie = auth.login("s3cret");
+  assert.match(cookie, new RegExp(`^${SESSION_COOKIE}=[\\w-]+; HttpOnly; SameSite=Strict`));
+  const session = request({ cookie: `theme=dark; x=%E0; ${cookie.split(";")[0]}` });
+  const access = auth.identify(session);
+  assert.equal(access.via, "session", "a cookie that doesn't decode is skipped");
+  assert.equal(auth.checkCsrf(access, access.csrf), true);
+
+  clock = 999;
+  assert.ok(auth.identify(session));
+  auth.logout(access);
+  assert.equal(auth.identify(session), null);
+
+  const again = request({ cookie: auth.login("s3cret").split(";")[0] });
+  clock = 3000;
+  assert.equal(auth.identify(again), null, "sessions expire");
+});
+
+test("bearer tokens authenticate scripts and skip the CSRF check", () => {
+  const auth = createAuth({ token: "tok" });
+  assert.equal(auth.passwordLogin, false);
+  assert.equal(auth.identify(request({ authorization: "Bearer nope" })), null);
+  const access = auth.identify(request({ authorization: "Bearer tok" }));
+  assert.equal(access.via, "token");
+  assert.equal(auth.checkCsrf(access, undefined), true);
+});
+
+test("login redirects only go to paths on this server", () => {
+  assert.equal(safeRedirect("/creator/maya?tab=notes#timeline"), "/creator/maya?tab=notes#timeline");
+  assert.equal(safeRedirect("/%5Cevil.com"), "/%5Cevil.com", "an encoded backslash stays a path here");
+  for (const next of ["//evil.com", "/\\evil.com", "/\\/evil.com", "/\t/evil.com", "https://evil.com", "evil.com", "", null, ["/runs"]]) {
+    assert.equal(safeRedirect(next), "/", JSON.stringify(next));
+  }
+});
@@ -0,0 +1,69 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "reachpilot-campaigns-"));
+process.env.REACHPILOT_DB = path.join(TMP, "outreach.db");
+const { loadState, saveCreator, closeStore } = await import("../lib/store.mjs");
+const { resolveCampaign, parseCampaignFlag, campaignStats, followUpStepsByCampaign, listCampaigns } =
+  await import("../lib/campaigns.mjs");
+
+after(() => {
+  closeStore();
+  fs.rmSync(TMP, { recursive: true, force: true });
+});
+
+const CONFIG = {
+  instagram: { handle: "me" },
+  product: { name: "Resume Tool", pitch: "resume pitch", followUps: [{ delayDays: 3, message: "nudge" }] },
+  outreach: { igSearchQueries: ["resume tips"], hooks: { default: "love it" } },
+  campaigns: {
+    interview: {
+      product: { pitch: "interview pitch", followUps: [{ delayDays: 2, message: "a" }, { delayDays: 5, message: "b" }] },
+      outreach: { igSearchQueries: ["interview tips"] },
+    },
+  },
+};
+
+test("a campaign overrides only the keys it lists", () => {
+  const config = resolveCampaign(CONFIG, "interview");
+  assert.equal(config.product.name, "Resume Tool");
+  assert.equal(config.product.pitch, "interview pitch");
+  assert.deepEqual(config.outreach.igSearchQueries, ["interview tips"]);
+  assert.deepEqual(config.outreach.hooks, { default: "love it" });
+  assert.equal(config.instagram, CONFIG.instagram);
+  assert.equal(resolveCampaign(CONFIG, "default"), CONFIG);
+  assert.deepEqual(listCampaigns(CONFIG), ["default", "interview"]);
+});
+
+test("unknown campaigns throw unless strict is off", () => {
+  assert.throws(() => resolveCampaign(CONFIG, "nope"), /Unknown campaign "nope" \(configured: default, interview\)/);
+  assert.equal(resolveCampaign(CONFIG, "nope", { strict: false }), CONFIG);
+});
+
+test("--campaign is taken out of the mode arguments in either form", () => {
+  assert.deepEqual(parseCampaignFlag(["--dry-run", "--campaign", "interview"]), { campaign: "interview", args: ["--dry-run"] });
+  assert.deepEqual(parseCampaignFlag(["--campaign=interview", "x"]), { campaign: "interview", args: ["x"] });
+  assert.deepEqual(parseCampaignFlag(["--all"]), { campaign: null, args: ["--all"] });
+});
+
+test("records keep their campaign tag and are counted per campaign", () => {
+  const sentAt = new Date().toISOString();
+  saveCreator("old_creator", { sent: true, sentAt, replied: true, replyLabel: "interested" });
+  saveCreator("new_creator", { sent: true, sentAt, campaign: "interview" });
+  saveCreator("skipped_creator", { sent: false, skipped: true, skippedReason: "screening", campaign: "interview" });
+
+  const state = loadState();
+  assert.equal(state.new_creator.campaign, "interview");
+  assert.deepEqual(campaignStats(state), {
+    default: { sent: 1, replied: 1, converted: 1, screenedOut: 0, replyRate: 100 },
+    interview: { sent: 1, replied: 0, converted: 0, screenedOut: 1, replyRate: 0 },
+  });
+
+  const stepsFor = followUpStepsByCampaign(CONFIG);
+  assert.equal(stepsFor(state.old_creator).length, 1);
+  assert.equal(stepsFor(state.new_creator).length, 2);
+  assert.equal(stepsFor({ campaign: "removed-since" }).length, 1);
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { parseConfig, applyEnvOverrides, redactSecrets } from "../lib/config.mjs";
+import { validateConfig, formatIssue, locateKeys } from "../lib/config-schema.mjs";
+
+const json = (value) => JSON.stringify(value, null, 2);
+
+test("config.example.json passes the schema", () => {
+  const text = fs.readFileSync(new URL("../config.example.json", import.meta.url), "utf-8");
+  assert.deepEqual(validateConfig(JSON.parse(text), text), { errors: [], warnings: [] });
+});
+
+test("unknown keys are warned about with the line and a likely fix", () => {
+  const text = json({ outreach: { igSearchQuery: ["resume tips"], hooks: { anything: "goes" } }, extra: true });
+  const { errors, warnings } = validateConfig(JSON.parse(text), text);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings.map(formatIssue), [
+    'line 3: outreach.igSearchQuery — unknown key (did you mean "igSearchQueries"?)',
+    "line 10: extra — unknown key",
+  ]);
+});
+
+test("wrong types and values are errors pointing at their line", () => {
+  const text = json({
+    instagram: { headless: "yes" },
+    product: {
+      pitch: ["one", 2],
+      discountCode: "SAVE10",
+      followUps: [{ delayDays: -1, message: "hi", stopOn: ["bored"] }],
+    },
+    outreach: { limits: { newConversations: { perDay: "10", perHour: null } } },
+    campaigns: { launch: { product: { pitch: "ok" }, instagram: {} } },
+  });
+  const { errors, warnings } = validateConfig(JSON.parse(text), text);
+  assert.deepEqual(errors.map(formatIssue), [
+    'line 3: instagram.headless — expected true or false, got string "yes"',
+    "line 8: product.pitch[1] — expected a template string, got number 2",
+    "line 13: product.followUps[0].delayDays — must be at least 0",
+    'line 16: product.followUps[0].stopOn[0] — must be one of "replied", "opted-out"',
+    'line 24: outreach.limits.newConversations.perDay — expected a whole number, got string "10"',
+  ]);
+  assert.deepEqual(warnings.map(formatIssue), ["line 34: campaigns.launch.instagram — unknown key"]);
+});
+
+test("locateKeys maps nested keys and array elements to lines", () => {
+  const lines = locateKeys('{\n  "a": {\n    "b": [\n      1,\n      { "c": "x\\"y" }\n    ]\n  }\n}');
+  assert.equal(lines.get("a.b"), 3);
+  assert.equal(lines.get("a.b[1].c"), 5);
+});
+
+test("syntax errors name the line and column", () => {
+  assert.throws(() => parseConfig('{\n  "a": 1,\n}', "config.json"), /^Error: config\.json line 3, column 1: Expected double-quoted property name/);
+  assert.throws(() => parseConfig('{\n  "a": ', "config.json"), /config\.json line 2, column 8: Unexpected end of JSON input/);
+  assert.throws(() => parseConfig('{\n "a": 1,\n "b": }\n\n\n', "config.json"), (err) => {
+    assert.match(err.message, /^config\.json line 3, column 7: Unexpected token/);
+    assert.doesNotMatch(err.message, /"a"|not valid JSON/, "no copy of the file in the message");
+    return true;
+  });
+  assert.throws(() => parseConfig('{\n  "on": tru\n}', "config.json"), /line 2, column 9: Unexpected token/);
+  assert.throws(() => parseConfig('{ "a": [1 2] }', "config.json"), /line 1, column 11: Expected ',' or '\]' after array element$/);
+});
+
+test("environment overrides are applied and reported; secrets are hidden", () => {
+  const config = { instagram: { username: "file@example.com", password: "hunter2" } };
+  const { config: effective, overrides } = applyEnvOverrides(config, { IG_USER: "env@example.com", OPENAI_API_KEY: "sk-1" });
+  assert.equal(effective.instagram.username, "env@example.com");
+  assert.equal(effective.openai.apiKey, "sk-1");
+  assert.equal(config.instagram.username, "file@example.com");
+  assert.deepEqual(overrides.map((o) => o.env), ["IG_USER", "OPENAI_API_KEY"]);
+  assert.deepEqual(redactSecrets(effective), {
+    instagram: { username: "env@example.com", password: "********" },
+    openai: { apiKey: "********" },
+  });
+});
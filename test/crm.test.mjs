@@ -0,0 +1,89 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "reachpilot-crm-"));
+process.env.REACHPILOT_DB = path.join(TMP, "outreach.db");
+const store = await import("../lib/store.mjs");
+const { creatorDetail, creatorTimeline } = await import("../lib/crm.mjs");
+const { creatorStatus } = await import("../lib/export.mjs");
+const { isConverted } = await import("../lib/experiments.mjs");
+
+after(() => {
+  store.closeStore();
+  fs.rmSync(TMP, { recursive: true, force: true });
+});
+
+test("the timeline runs from discovery to notes, showing each follow-up once", () => {
+  store.saveCreator("Coach.Ana", {
+    sent: true, sentAt: "2026-03-01T10:00:00Z", source: "ig", query: "resume tips", suggestion: "resume tips for nurses",
+    reelUrl: "https://www.instagram.com/reel/abc/", replied: true, repliedAt: "2026-03-05T09:00:00Z",
+    replyLabel: "interested", triagedAt: "2026-03-05T09:05:00Z",
+  });
+  store.recordScreening("Coach.Ana", { passes: true, gender: "female", reason: "career coach", at: "2026-03-01T09:59:00Z" });
+  store.recordAttempt("Coach.Ana", { success: true, source: "ig", messages: ["Hi!"], at: "2026-03-01T10:00:00Z" });
+  store.recordFollowUp("Coach.Ana", { body: "Just checking in", step: 1, at: "2026-03-04T10:00:00Z" });
+  store.recordReplies("Coach.Ana", [{ text: "Sounds great", timestamp: "2026-03-05T09:00:00Z" }]);
+  store.addNote("Coach.Ana", "Wants the March promo", { at: "2026-03-06T12:00:00Z" });
+
+  const detail = creatorDetail("coach.ana", { discovered: [{ handle: "coach.ana", name: "Ana", providers: ["tiktok"] }] });
+  assert.equal(detail.handle, "Coach.Ana");
+  assert.equal(detail.name, "Ana");
+  assert.deepEqual(detail.timeline.map((e) => [e.type, e.title]), [
+    ["discovered", "Discovered"],
+    ["screening", "Passed screening"],
+    ["message", "Message sent"],
+    ["follow-up", "Follow-up 1 sent"],
+    ["reply", "Reply received"],
+    ["triage", "Reply labeled interested"],
+    ["note", "Note"],
+  ]);
+  assert.match(detail.timeline[0].detail, /via IG Reels · providers: tiktok · query "resume tips" · suggestion "resume tips for nurses"/);
+  assert.equal(detail.timeline[1].detail, "career coach · gender: female");
+});
+
+test("creators only in discovered-creators.json get a page; unknown handles don't", () => {
+  const detail = creatorDetail("@New_Find", { discovered: [{ handle: "new_find", query: "job hunt", notes: "Met at a meetup" }] });
+  assert.equal(detail.status, "pending");
+  assert.deepEqual(detail.timeline.map((e) => [e.at, e.type]), [[null, "discovered"], [null, "note"]]);
+  assert.equal(creatorDetail("nobody", { discovered: [] }), null);
+});
+
+test("a manual status overrides the automatic one and is logged on the timeline", () => {
+  store.saveCreator("waiting", { sent: true, sentAt: "2026-03-01T10:00:00Z" });
+  store.setManualStatus("waiting", "posted", { at: "2026-03-10T10:00:00Z" });
+
+  const record = store.getCreator("waiting");
+  assert.equal(record.manualStatus, "posted");
+  assert.equal(creatorStatus(record), "posted");
+  assert.equal(isConverted(record), true);
+
+  store.setManualStatus("waiting", null, { at: "2026-03-11T10:00:00Z" });
+  const cleared = store.getCreator("waiting");
+  assert.equal(creatorStatus(cleared), "sent");
+  assert.equal(isConverted(cleared), false);
+  assert.deepEqual(creatorDetail("waiting").timeline.filter((e) => e.type === "status").map((e) => e.title), [
+    "Status set to posted",
+    "Manual status cleared",
+  ]);
+
+  // "not-interested" beats an "interested" reply label
+  assert.equal(isConverted({ replyLabel: "interested", manualStatus: "not-interested" }), false);
+});
+
+test("outgoing messages that match a follow-up aren't listed twice", () => {
+  const history = {
+    createdAt: "2026-03-01T09:00:00Z",
+    attempts: [],
+    screenings: [],
+    notes: [],
+    followUps: [{ sent_at: "2026-03-04T10:00:00Z", body: "Nudge", step: 1 }],
+    messages: [
+      { direction: "out", sent_at: "2026-03-01T10:00:00Z", body: "Hi" },
+      { direction: "out", sent_at: "2026-03-04T10:00:00Z", body: "Nudge" },
+    ],
+  };
+  assert.deepEqual(creatorTimeline({ source: null }, history).map((e) => e.type), ["discovered", "message", "follow-up"]);
+});
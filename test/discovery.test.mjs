@@ -0,0 +1,93 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createProviders, discover } from "../lib/discovery.mjs";
+import { loadPack } from "../lib/packs.mjs";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "discovery");
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "reachpilot-discovery-"));
+const career = loadPack("career");
+
+after(() => fs.rmSync(TMP, { recursive: true, force: true }));
+
+test("TrendSweep results replay from a recorded fixture, filtered, merged and ranked", async () => {
+  const creators = await discover(createProviders(["trendsweep"]), {
+    pack: career,
+    fixtures: { mode: "replay", dir: FIXTURES },
+  });
+
+  assert.deepEqual(creators.map((c) => [c.handle, c.appearances, c.relevanceScore]), [
+    ["resumewithriya", 2, 5],
+    ["careercoach.arjun", 1, 3],
+  ]);
+  const [riya, arjun] = creators;
+  assert.equal(riya.name, "Riya");
+  assert.equal(riya.reelUrl, "https://www.instagram.com/reel/C5resume/", "keeps the best-scoring reel");
+  assert.equal(arjun.name, "Arjun");
+  assert.equal(arjun.platform, "tiktok");
+  assert.deepEqual(arjun.providers, ["trendsweep"]);
+  assert.ok(arjun.transcript.length <= 100);
+});
+
+test("recording saves raw TrendSweep responses that replay to the same candidates", async () => {
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES, "trendsweep.json"), "utf-8"));
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push(JSON.parse(init.body).query);
+    return { json: async () => ({ success: true, data: { videos: fixture.results } }) };
+  };
+  const providers = createProviders(["trendsweep"], { trendsweepKey: "test-key", fetch });
+  const options = { queries: ["resume tips"], pack: career, fixtures: { mode: "record", dir: TMP } };
+
+  const live = await discover(providers, options);
+  assert.deepEqual(requests, ["resume tips"]);
+  const replayed = await discover(createProviders(["trendsweep"]), { ...options, fixtures: { mode: "replay", dir: TMP } });
+  assert.deepEqual(replayed, live);
+});
+
+test("TrendSweep creators that aren't Instagram handles are dropped", async () => {
+  const video = { platform: "instagram", caption: "Resume tips for your job application", transcript: "" };
+  const creators = ["@Resume.Pro", "<img src=x onerror=alert(1)>", "Career Coach Maya", "a".repeat(31)];
+  const fetch = async () => ({ json: async () => ({ success: true, data: { videos: creators.map((creator) => ({ ...video, creator })) } }) });
+  const found = await discover(createProviders(["trendsweep"], { trendsweepKey: "test-key", fetch }), { queries: ["resume tips"], pack: career });
+  assert.deepEqual(found.map((c) => c.handle), ["resume.pro"]);
+});
+
+test("TrendSweep refuses to run without an API key", async () => {
+  await assert.rejects(discover(createProviders(["trendsweep"]), { queries: ["x"], pack: career }), /needs trendsweep\.apiKey/);
+});
+
+test("partner CSVs import with quoted fields; a score column overrides keyword matching", async () => {
+  fs.writeFileSync(path.join(TMP, "partners.csv"), [
+    "Handle,Name,URL,Caption,Score",
+    '@Partner_One,Priya,https://example.com/p1,"Fitness, food and ""life""",',
+    "partner.two,,,,7",
+    "not a handle!,,,,",
+  ].join("\n"));
+
+  const providers = createProviders(
+    [{ type: "import", file: "partners.csv" }, { type: "seeds", handles: ["@partner_one", "seed_only"] }],
+    { baseDir: TMP }
+  );
+  const creators = await discover(providers, { pack: career });
+
+  assert.deepEqual(creators.map((c) => [c.handle, c.relevanceScore, c.appearances, c.providers.join("+")]), [
+    ["partner.two", 7, 1, "import"],
+    ["partner_one", 0, 2, "import+seeds"],
+    ["seed_only", 0, 1, "seeds"],
+  ]);
+  assert.equal(creators[1].name, "Priya");
+  assert.equal(creators[1].caption, 'Fitness, food and "life"');
+});
+
+test("JSON creator lists import too, and unknown provider types are rejected", async () => {
+  fs.writeFileSync(path.join(TMP, "partners.json"), JSON.stringify(["one_creator", { handle: "two_creator", name: "Two" }]));
+  const creators = await discover(createProviders([{ type: "import", file: "partners.json" }], { baseDir: TMP }), { pack: career });
+  assert.deepEqual(creators.map((c) => c.handle), ["one_creator", "two_creator"]);
+
+  assert.throws(() => createProviders(["youtube"]), /Unknown discovery provider "youtube" \(available: trendsweep, import, seeds\)/);
+  assert.throws(() => createProviders([{ type: "import" }]), /needs a "file"/);
+});
@@ -0,0 +1,28 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createDryRunLog } from "../lib/dryrun.mjs";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "reachpilot-dryrun-"));
+
+after(() => fs.rmSync(TMP, { recursive: true, force: true }));
+
+test("a dry-run log appends one JSON line per would-be action, creating its directory on the first", () => {
+  const dir = path.join(TMP, "dry-runs");
+  const log = createDryRunLog("igsearch", dir);
+  assert.match(path.basename(log.file), /^igsearch-\d{4}-\d{2}-\d{2}T[\d-]+Z\.jsonl$/);
+  assert.equal(fs.existsSync(dir), false, "nothing is written until there is something to record");
+
+  log.record({ handle: "maya", outcome: "would-send", messages: ["Hey Maya!", "check it out"], variants: { opener: "casual" } });
+  log.record({ handle: "raj", outcome: "screened-out", reason: "not career content" });
+  assert.equal(log.count, 2);
+
+  const entries = fs.readFileSync(log.file, "utf-8").trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(entries.map(({ at, ...rest }) => rest), [
+    { mode: "igsearch", handle: "maya", outcome: "would-send", messages: ["Hey Maya!", "check it out"], variants: { opener: "casual" } },
+    { mode: "igsearch", handle: "raj", outcome: "screened-out", reason: "not career content" },
+  ]);
+  assert.ok(entries.every((e) => !Number.isNaN(Date.parse(e.at))));
+});
@@ -0,0 +1,205 @@
+/**
+ * End-to-end runs of reachpilot.mjs against the fake Instagram in
+ * test/fake-instagram. Each test spawns the real CLI with a throwaway
+ * config, database, session and creators file, headless and with
+ * delayScale 0. Skipped when Playwright's Chromium isn't installed
+ * (npx playwright install chromium).
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { chromium } from "playwright";
+import { startFakeInstagram } from "./fake-instagram/server.mjs";
+import { DEFAULT_FIXTURE } from "./fake-instagram/fixture.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "reachpilot-e2e-"));
+const DAY_MS = 24 * 60 * 60 * 1000;
+const skip = fs.existsSync(chromium.executablePath()) ? false : "Chromium not installed";
+
+process.env.REACHPILOT_DB = path.join(TMP, "outreach.db");
+const { loadState, saveCreator, getHistory, listRuns, closeStore } = await import("../lib/store.mjs");
+
+const daysAgo = (n) => new Date(Date.now() - n * DAY_MS).toISOString();
+const SENT_AT = daysAgo(4);
+
+// Two extra creators whose threads already hold our opener from 4 days ago
+const FIXTURE = {
+  ...DEFAULT_FIXTURE,
+  creators: {
+    ...DEFAULT_FIXTURE.creators,
+    quiet_creator: { name: "Quiet" },
+    chatty_creator: { name: "Chatty" },
+  },
+  threads: {
+    quiet_creator: [{ from: "me", text: "Hey! loved your reel", at: SENT_AT }],
+    chatty_creator: [
+      { from: "me", text: "Hey! loved your reel", at: SENT_AT },
+      { from: "creator", text: "omg thanks, what is it exactly?", at: daysAgo(3) },
+    ],
+  },
+};
+
+let fake;
+
+function writeConfig(overrides = {}) {
+  const { username, password, handle } = FIXTURE.account;
+  const config = {
+    instagram: { username, password, handle, baseUrl: fake.url, headless: true },
+    product: {
+      name: "Test Product",
+      url: "https://example.com/",
+      pitch: "i built a tool that rewrites resumes",
+      linkMessage: "check it out: {{product.url}}",
+      askMessage: "a story mention would mean a lot",
+      followUps: [{ delayDays: 3, message: "just following up!" }],
+    },
+    outreach: { igSearchQueries: ["resume tips"], delayScale: 0 },
+    ...overrides,
+  };
+  const file = path.join(TMP, "config.json");
+  fs.writeFileSync(file, JSON.stringify(config, null, 2));
+  return file;
+}
+
+function runCli(args, { config = {}, creators = [] } = {}) {
+  const creatorsFile = path.join(TMP, "discovered-creators.json");
+  fs.writeFileSync(creatorsFile, JSON.stringify(creators));
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ["reachpilot.mjs", ...args], {
+      cwd: ROOT,
+      env: {
+        ...process.env,
+        REACHPILOT_CONFIG: writeConfig(config),
+        REACHPILOT_SESSION: path.join(TMP, "ig-session.json"),
+        REACHPILOT_CREATORS: creatorsFile,
+        REACHPILOT_LOGS: path.join(TMP, "logs"),
+        REACHPILOT_DRY_RUNS: path.join(TMP, "dry-runs"),
+      },
+    });
+    let output = "";
+    child.stdout.on("data", (d) => (output += d));
+    child.stderr.on("data", (d) => (output += d));
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`reachpilot ${args.join(" ")} timed out:\n${output}`));
+    }, 120_000);
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+}
+
+const sentTexts = (handle) => (fake.threads[handle] || []).filter((m) => m.from === "me").map((m) => m.text);
+
+before(async () => {
+  fake = await startFakeInstagram({ fixture: FIXTURE });
+});
+
+after(async () => {
+  await fake.close();
+  closeStore();
+  fs.rmSync(TMP, { recursive: true, force: true });
+});
+
+test("igsearch logs in, follows keyword suggestions and DMs each post author once", { skip }, async () => {
+  const { code, output } = await runCli(["igsearch"]);
+  assert.equal(code, 0, output);
+  assert.ok(fake.sessions.size > 0, "logged in through the form");
+
+  for (const handle of ["resumewithriya", "careercoach.arjun"]) {
+    assert.deepEqual(sentTexts(handle), [
+      "Hey! just came across your reel and your resume tips are so real",
+      "i built a tool that rewrites resumes",
+      "check it out: https://example.com/",
+      "a story mention would mean a lot",
+    ], `messages to @${handle}`);
+  }
+
+  const state = loadState();
+  assert.equal(state.resumewithriya.sent, true);
+  assert.equal(state.resumewithriya.source, "ig");
+  assert.equal(state.closed_dms_creator.sent, false);
+  assert.equal(state.closed_dms_creator.skipped, true);
+  assert.deepEqual(sentTexts("closed_dms_creator"), []);
+});
+
+test("igsearch --dry-run goes as far as the message box, types nothing and writes only its log", { skip }, async () => {
+  const before = { state: loadState(), runs: listRuns() };
+  const { code, output } = await runCli(["igsearch", "--dry-run"], {
+    config: { outreach: { igSearchQueries: ["interview tips"], delayScale: 0 } },
+  });
+  assert.equal(code, 0, output);
+  assert.deepEqual(sentTexts("interviewdiaries"), []);
+  assert.deepEqual({ state: loadState(), runs: listRuns() }, before, "the store is untouched");
+
+  const logFile = output.match(/entries written to (\S+\.jsonl)/)?.[1];
+  assert.equal(path.dirname(logFile || ""), path.join(TMP, "dry-runs"), output);
+  const entries = fs.readFileSync(logFile, "utf-8").trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(entries.map((e) => [e.handle, e.outcome]), [["interviewdiaries", "would-send"]]);
+  assert.equal(entries[0].messages.length, 4);
+});
+
+test("followup records replies from the thread and sends the due step to everyone else", { skip }, async () => {
+  for (const handle of ["quiet_creator", "chatty_creator"]) {
+    saveCreator(handle, { sent: true, sentAt: SENT_AT, source: "api" });
+  }
+
+  const { code, output } = await runCli(["followup"], {
+    creators: [{ handle: "quiet_creator" }, { handle: "chatty_creator" }],
+  });
+  assert.equal(code, 0, output);
+
+  const state = loadState();
+  assert.equal(state.chatty_creator.replied, true);
+  assert.equal(state.chatty_creator.replyText, "omg thanks, what is it exactly?");
+  assert.equal(state.chatty_creator.followedUp, false);
+  assert.deepEqual(sentTexts("chatty_creator"), ["Hey! loved your reel"]);
+
+  assert.equal(state.quiet_creator.followedUp, true);
+  assert.equal(state.quiet_creator.followUpStep, 1);
+  assert.deepEqual(sentTexts("quiet_creator"), ["Hey! loved your reel", "just following up!"]);
+  assert.equal(getHistory("quiet_creator").followUps.length, 1);
+});
+
+test("selftest resolves every selector on the fake site", { skip }, async () => {
+  const { code, output } = await runCli(["selftest"]);
+  assert.equal(code, 0, output);
+  assert.match(output, /Missing: 0/);
+  assert.doesNotMatch(output, /❌/);
+});
+
+test("selftest fails and names the element when an override stops matching", { skip }, async () => {
+  const { code, output } = await runCli(["selftest", "resumewithriya"], {
+    config: { selectors: { version: "2026.02", messageButton: ['div[role="button"]:text-is("Send message")'] } },
+  });
+  assert.equal(code, 1, output);
+  assert.match(output, /❌ messageButton/);
+  assert.match(output, /Broken — override under "selectors" in config.json: messageButton, messageInput/);
+});
+
+test("igsearch stops cleanly at the daily cap on new conversations", { skip }, async () => {
+  const { code, output } = await runCli(["igsearch"], {
+    config: { outreach: { igSearchQueries: ["interview tips"], delayScale: 0, limits: { newConversations: { perDay: 0 } } } },
+  });
+  assert.equal(code, 0, output);
+  assert.match(output, /Stopped early: daily cap of 0 new conversations reached/);
+  assert.deepEqual(sentTexts("interviewdiaries"), []);
+});
+
+test("send skips a creator already messaged under a different case", { skip }, async () => {
+  saveCreator("InterviewDiaries", { sent: true, sentAt: SENT_AT, source: "api" });
+
+  const { code, output } = await runCli(["send"], { creators: [{ handle: "interviewdiaries", searchTerm: "interviewdiaries" }] });
+  assert.equal(code, 0, output);
+  assert.match(output, /Skipping @InterviewDiaries — already sent/);
+  assert.deepEqual(sentTexts("interviewdiaries"), []);
+  assert.equal(loadState().interviewdiaries, undefined);
+});
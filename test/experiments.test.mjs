@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { variantStats } from "../lib/experiments.mjs";
+
+test("variant stats count sends, replies and conversions per slot and variant", () => {
+  const state = {
+    maya: { sent: true, variants: { pitch: "casual", ask: "short" }, replied: true, replyLabel: "interested" },
+    raj: { sent: true, variants: { pitch: "casual", ask: "long" }, replied: true, replyLabel: "declined" },
+    li: { sent: true, variants: { pitch: "casual", ask: "short" } },
+    sam: { sent: true, variants: { pitch: "direct", ask: "long" }, replied: true, replyLabel: "question", manualStatus: "posted" },
+    noor: { sent: true, variants: { pitch: "direct" } },
+    ana: { sent: true },
+    pending: { variants: { pitch: "direct" }, replied: true },
+  };
+
+  assert.deepEqual(variantStats(state), {
+    pitch: {
+      casual: { sent: 3, replied: 2, converted: 1, replyRate: 66.7, conversionRate: 33.3 },
+      direct: { sent: 2, replied: 1, converted: 1, replyRate: 50, conversionRate: 50 },
+    },
+    ask: {
+      short: { sent: 2, replied: 1, converted: 1, replyRate: 50, conversionRate: 50 },
+      long: { sent: 2, replied: 2, converted: 1, replyRate: 100, conversionRate: 50 },
+    },
+  });
+});
+
+test("variant stats stay finite when a variant has no sends or no replies yet", () => {
+  const state = {
+    maya: { sent: true, variants: { pitch: "casual" } },
+    raj: { sent: true, variants: { pitch: "direct", opener: "warm" } },
+    // assigned but never sent: counts for nothing, not as a 0/0 rate
+    li: { sent: false, variants: { pitch: "bold", opener: "cold" } },
+  };
+
+  const stats = variantStats(state);
+  assert.deepEqual(Object.keys(stats), ["pitch"], "a slot with one sent variant isn't an experiment yet");
+  assert.deepEqual(Object.keys(stats.pitch), ["casual", "direct"]);
+  for (const v of Object.values(stats.pitch)) {
+    assert.deepEqual(v, { sent: 1, replied: 0, converted: 0, replyRate: 0, conversionRate: 0 });
+  }
+  assert.deepEqual(variantStats({}), {});
+});
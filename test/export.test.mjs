@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseExportArgs, filterRows, creatorStatus, toCsv, DEFAULT_COLUMNS } from "../lib/export.mjs";
+
+const ROWS = [
+  { handle: "replied_one", sent: true, sentAt: "2026-02-10T10:00:00Z", source: "ig", replied: true, replyText: 'sure, "send it"' },
+  { handle: "nudged", sent: true, sentAt: "2026-02-12T10:00:00Z", source: "api", followedUp: true, followUpStep: 1, campaign: "fitness" },
+  { handle: "screened", skipped: true, skippedReason: "screening", skippedAt: "2026-02-11T10:00:00Z", source: "ig" },
+  { handle: "untouched" },
+];
+
+test("each creator gets its most advanced status", () => {
+  assert.deepEqual(ROWS.map(creatorStatus), ["replied", "followed-up", "screened-out", "pending"]);
+});
+
+test("flags parse into columns, format and filters", () => {
+  const options = parseExportArgs(["out.json", "--columns", "handle,status", "--status=sent,replied", "--source", "ig", "--since", "2026-02-10"]);
+  assert.equal(options.file, "out.json");
+  assert.equal(options.format, "json");
+  assert.deepEqual(options.columns, ["handle", "status"]);
+  assert.deepEqual(options.filters.status, ["sent", "replied"]);
+  assert.deepEqual(options.filters.source, ["ig"]);
+  assert.equal(options.filters.since.getTime(), new Date(2026, 1, 10).getTime());
+
+  assert.deepEqual(parseExportArgs([]).columns, DEFAULT_COLUMNS);
+  assert.equal(parseExportArgs([]).format, "csv");
+  assert.throws(() => parseExportArgs(["--columns", "handle,shoeSize"]), /Unknown columns: shoeSize/);
+  assert.throws(() => parseExportArgs(["--status", "ghosted"]), /Unknown status: ghosted/);
+  assert.throws(() => parseExportArgs(["--since", "Feb 10"]), /--since expects a date like 2026-02-14/);
+  assert.throws(() => parseExportArgs(["--verbose"]), /Unknown export option --verbose/);
+});
+
+test("filters combine; --until covers the whole day and undated creators drop out of date ranges", () => {
+  const handles = (filters) => filterRows(ROWS, filters).map((r) => r.handle);
+  const { filters } = parseExportArgs(["--since", "2026-02-11", "--until", "2026-02-12"]);
+  assert.deepEqual(handles(filters), ["nudged", "screened"]);
+  assert.deepEqual(handles({ source: ["ig"] }), ["replied_one", "screened"]);
+  assert.deepEqual(handles({ status: ["pending", "replied"] }), ["replied_one", "untouched"]);
+  assert.deepEqual(handles({ campaign: "default" }), ["replied_one", "screened", "untouched"]);
+  assert.deepEqual(handles({ campaign: "fitness", source: ["ig"] }), []);
+});
+
+test("CSV output quotes fields that need it", () => {
+  assert.equal(
+    toCsv(ROWS.slice(0, 2), ["handle", "status", "campaign", "replyText", "followUpStep"]),
+    'handle,status,campaign,replyText,followUpStep\nreplied_one,replied,default,"sure, ""send it""",0\nnudged,followed-up,fitness,,1\n'
+  );
+});
@@ -0,0 +1,86 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startFakeInstagram } from "./fake-instagram/server.mjs";
+import { DEFAULT_FIXTURE } from "./fake-instagram/fixture.mjs";
+
+let fake;
+let cookie;
+
+async function get(pathname) {
+  const res = await fetch(fake.url + pathname, { headers: { cookie }, redirect: "manual" });
+  return { status: res.status, location: res.headers.get("location"), body: await res.text() };
+}
+
+before(async () => {
+  fake = await startFakeInstagram();
+});
+
+after(() => fake.close());
+
+test("pages require a session and redirect to the login form", async () => {
+  const res = await fetch(fake.url + "/resumewithriya/", { redirect: "manual" });
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get("location"), "/accounts/login/");
+});
+
+test("wrong password stays on the login form", async () => {
+  const res = await fetch(fake.url + "/accounts/login/", {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ email: DEFAULT_FIXTURE.account.username, pass: "nope" }),
+    redirect: "manual",
+  });
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), /password was incorrect/);
+});
+
+test("logging in sets a session cookie and lands on the save-login interstitial", async () => {
+  const { username, password } = DEFAULT_FIXTURE.account;
+  const res = await fetch(fake.url + "/accounts/login/", {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ email: username, pass: password }),
+    redirect: "manual",
+  });
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get("location"), "/accounts/onetap/");
+  cookie = res.headers.get("set-cookie").split(";")[0];
+  assert.match((await get("/accounts/onetap/")).body, /Not Now/);
+});
+
+test("search returns keyword suggestions and matching profiles", async () => {
+  const data = JSON.parse((await get("/api/search?q=resume")).body);
+  assert.deepEqual(data.keywords, ["resume tips", "resume tips for freshers"]);
+  assert.deepEqual(data.users.map((u) => u.handle), ["resumewithriya"]);
+});
+
+test("keyword results link to posts and reels, which name their author", async () => {
+  const { body } = await get("/explore/search/keyword/?q=resume%20tips");
+  const links = [...body.matchAll(/href="(\/(?:p|reel)\/[^"]+)"/g)].map((m) => m[1]);
+  assert.deepEqual(links, ["/reel/C1resume/", "/reel/C2resume/", "/p/C3resume/"]);
+
+  const post = await get("/reel/C2resume/");
+  assert.match(post.body, /<title>@careercoach\.arjun on Instagram/);
+  assert.match(post.body, /<a href="\/careercoach\.arjun\/" role="link"><span>careercoach\.arjun<\/span><\/a>/);
+});
+
+test("profiles show a Message button unless DMs are closed", async () => {
+  assert.match((await get("/resumewithriya/")).body, /<div role="button" [^>]*>Message<\/div>/);
+  assert.doesNotMatch((await get("/closed_dms_creator/")).body, />Message</);
+  assert.equal((await get("/direct/t/closed_dms_creator/")).status, 404);
+});
+
+test("DM threads record sent messages and render replies as rows", async () => {
+  await fetch(fake.url + "/api/direct/interviewdiaries", {
+    method: "POST",
+    headers: { cookie, "Content-Type": "application/json" },
+    body: JSON.stringify({ text: "hey!" }),
+  });
+  fake.reply("interviewdiaries", "hi, what is it?");
+
+  assert.deepEqual(fake.threads.interviewdiaries.map((m) => [m.from, m.text]), [["me", "hey!"], ["creator", "hi, what is it?"]]);
+  const { body } = await get("/direct/t/interviewdiaries/");
+  assert.match(body, /<div role="row" class="out"><div dir="auto">hey!<\/div><\/div>/);
+  assert.match(body, /<div role="row" class="in"><a href="\/interviewdiaries\/" class="avatar"><\/a><div dir="auto">hi, what is it\?<\/div><\/div>/);
+  assert.match(body, /<div role="textbox" aria-label="Message" contenteditable="true">/);
+});
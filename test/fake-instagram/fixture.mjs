@@ -0,0 +1,33 @@
+/**
+ * Default data for the fake Instagram: one account to log in with, a few
+ * creators (one with DMs closed), posts and the keyword suggestions that
+ * lead to them. Tests can pass their own fixture of the same shape.
+ */
+
+export const DEFAULT_FIXTURE = {
+  account: { username: "tester@example.com", password: "correct-horse", handle: "reachpilot_tester" },
+
+  creators: {
+    resumewithriya: { name: "Riya Sharma", bio: "Resume tips for new grads 📄" },
+    "careercoach.arjun": { name: "Arjun Mehta", bio: "Career coach • ex-recruiter" },
+    interviewdiaries: { name: "Neha", bio: "Interview prep, every day" },
+    closed_dms_creator: { name: "Closed DMs", bio: "No DMs please", canMessage: false },
+  },
+
+  posts: {
+    C1resume: { author: "resumewithriya", caption: "3 resume tips recruiters actually notice", type: "reel" },
+    C2resume: { author: "careercoach.arjun", caption: "Fixing your resume summary in 60 seconds", type: "reel" },
+    C3resume: { author: "closed_dms_creator", caption: "My resume tips thread", type: "post" },
+    C4interview: { author: "interviewdiaries", caption: "Interview tips: the STAR method", type: "reel" },
+  },
+
+  // keyword → post ids shown on /explore/search/keyword/?q=<keyword>
+  keywords: {
+    "resume tips": ["C1resume", "C2resume", "C3resume"],
+    "resume tips for freshers": ["C1resume"],
+    "interview tips": ["C4interview"],
+  },
+
+  // handle → [{ from: "me" | "creator", text, at }]
+  threads: {},
+};
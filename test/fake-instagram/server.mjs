@@ -0,0 +1,345 @@
+/**
+ * ReachPilot — Fake Instagram
+ *
+ * A tiny stand-in for the parts of instagram.com that reachpilot.mjs drives:
+ * the login form (plus the "Save your login info?" interstitial), the search
+ * panel with Keyword suggestions, keyword results grids, post pages, profiles
+ * with a Message button and DM threads. Markup mirrors the selectors the real
+ * flows use, so pointing instagram.baseUrl (or IG_BASE_URL) here lets every
+ * Playwright path run offline.
+ *
+ *   node test/fake-instagram/server.mjs [port]   # manual runs, default 4477
+ *
+ * Tests start it in-process with startFakeInstagram() and inspect `threads`
+ * to see what was "sent".
+ */
+
+import http from "http";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { DEFAULT_FIXTURE } from "./fixture.mjs";
+
+function esc(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+function parseCookies(req) {
+  return Object.fromEntries(
+    (req.headers.cookie || "").split(";").map((c) => c.trim().split("=")).filter(([k]) => k)
+  );
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => resolve(body));
+  });
+}
+
+// ── Pages ───────────────────────────────────────────────────────────────────
+
+const STYLE = `
+  body { font-family: -apple-system, sans-serif; margin: 0; display: flex; }
+  nav { width: 200px; padding: 16px; border-right: 1px solid #ddd; min-height: 100vh; }
+  nav a, nav div[role="button"] { display: block; padding: 8px 0; color: #000; cursor: pointer; text-decoration: none; }
+  main { flex: 1; padding: 24px; }
+  #search-panel { position: fixed; left: 232px; top: 0; width: 360px; height: 100vh; background: #fff; border-right: 1px solid #ddd; padding: 16px; }
+  #search-panel[hidden] { display: none; }
+  #search-results a { display: flex; gap: 8px; padding: 8px 0; color: #000; text-decoration: none; }
+  .grid { display: grid; grid-template-columns: repeat(3, 200px); gap: 4px; }
+  .grid a { display: block; height: 200px; background: #eee; }
+  .feed { height: 3000px; }
+  div[role="button"] { display: inline-block; padding: 6px 16px; background: #efefef; border-radius: 8px; cursor: pointer; }
+  .thread { width: 600px; }
+  div[role="row"] { display: flex; width: 100%; margin: 4px 0; align-items: flex-end; gap: 6px; }
+  div[role="row"].out { justify-content: flex-end; }
+  div[role="row"].sep { justify-content: center; color: #888; font-size: 12px; }
+  div[role="row"] div[dir="auto"] { max-width: 60%; padding: 8px 12px; border-radius: 18px; background: #efefef; white-space: pre-wrap; }
+  div[role="row"].out div[dir="auto"] { background: #3797f0; color: #fff; }
+  .avatar { width: 28px; height: 28px; border-radius: 50%; background: #ccc; display: block; }
+  div[role="textbox"] { border: 1px solid #ddd; border-radius: 22px; padding: 10px 16px; min-height: 20px; }
+`;
+
+// Search panel: typing fetches /api/search and renders Keyword suggestions
+// (a[role=link] with svg[aria-label=Keyword]) and matching profiles.
+const SEARCH_SCRIPT = `
+  const panel = document.getElementById("search-panel");
+  const input = panel.querySelector("input");
+  const results = document.getElementById("search-results");
+  let latest = 0;
+  document.querySelector('nav [aria-label="Search"]').addEventListener("click", () => {
+    panel.hidden = false;
+    input.focus();
+  });
+  document.addEventListener("keydown", (e) => { if (e.key === "Escape") panel.hidden = true; });
+  input.addEventListener("input", async () => {
+    const id = ++latest;
+    const res = await fetch("/api/search?q=" + encodeURIComponent(input.value));
+    const data = await res.json();
+    if (id !== latest) return;
+    results.innerHTML = "";
+    for (const k of data.keywords) {
+      const a = document.createElement("a");
+      a.setAttribute("role", "link");
+      a.href = "/explore/search/keyword/?q=" + encodeURIComponent(k);
+      a.innerHTML = '<svg aria-label="Keyword" width="16" height="16"><circle cx="8" cy="8" r="6"/></svg>';
+      a.append(document.createTextNode(k));
+      results.append(a);
+    }
+    for (const u of data.users) {
+      const a = document.createElement("a");
+      a.setAttribute("role", "link");
+      a.href = "/" + u.handle + "/";
+      const span = document.createElement("span");
+      span.textContent = u.handle;
+      a.append(span, document.createTextNode(" " + u.name));
+      results.append(a);
+    }
+  });
+`;
+
+function layout(title, body, { script = "" } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>${esc(title)}</title><style>${STYLE}</style></head>
+<body>
+<nav>
+  <a href="/" aria-label="Home">Home</a>
+  <div role="button" tabindex="0" aria-label="Search">Search</div>
+  <a href="/direct/inbox/">Messages</a>
+</nav>
+<div id="search-panel" hidden>
+  <input type="text" placeholder="Search" autocomplete="off">
+  <div id="search-results"></div>
+</div>
+<main>${body}</main>
+<script>${SEARCH_SCRIPT}${script}</script>
+</body></html>`;
+}
+
+function loginPage(error) {
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>Login • Instagram</title></head>
+<body>
+<form method="post" action="/accounts/login/">
+  <input name="email" type="text" aria-label="Phone number, username, or email">
+  <input name="pass" type="password" aria-label="Password">
+  <button type="submit">Log in</button>
+  ${error ? `<p role="alert">${esc(error)}</p>` : ""}
+</form>
+</body></html>`;
+}
+
+const ONETAP_PAGE = `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>Instagram</title></head>
+<body>
+<h2>Save your login info?</h2>
+<button type="button" onclick="location.href='/'">Save info</button>
+<div role="button" tabindex="0" onclick="location.href='/'">Not Now</div>
+</body></html>`;
+
+function postGrid(ids, posts) {
+  return `<div class="grid">${ids
+    .filter((id) => posts[id])
+    .map((id) => `<a href="/${posts[id].type === "reel" ? "reel" : "p"}/${esc(id)}/" aria-label="${esc(posts[id].caption)}"></a>`)
+    .join("")}</div>`;
+}
+
+function threadRows(handle, messages) {
+  let lastAt = 0;
+  return messages
+    .map((m) => {
+      const at = new Date(m.at).getTime();
+      let html = "";
+      // Instagram prints a divider when the conversation resumes after a gap
+      if (at - lastAt > 60 * 60 * 1000) {
+        const label = new Date(m.at).toLocaleString("en-US", { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+        html += `<div role="row" class="sep"><time datetime="${esc(new Date(m.at).toISOString())}">${esc(label)}</time></div>`;
+      }
+      lastAt = at;
+      if (m.from === "me") {
+        html += `<div role="row" class="out"><div dir="auto">${esc(m.text)}</div></div>`;
+      } else {
+        html += `<div role="row" class="in"><a href="/${esc(handle)}/" class="avatar"></a><div dir="auto">${esc(m.text)}</div></div>`;
+      }
+      return html;
+    })
+    .join("\n");
+}
+
+// Enter sends, Shift+Enter is a newline — same as the real composer
+const COMPOSER_SCRIPT = `
+  const box = document.querySelector('div[role="textbox"]');
+  const thread = document.querySelector(".thread");
+  box.addEventListener("keydown", async (e) => {
+    if (e.key !== "Enter" || e.shiftKey) return;
+    e.preventDefault();
+    const text = box.innerText.trim();
+    if (!text) return;
+    box.innerHTML = "";
+    const row = document.createElement("div");
+    row.setAttribute("role", "row");
+    row.className = "out";
+    const bubble = document.createElement("div");
+    bubble.dir = "auto";
+    bubble.textContent = text;
+    row.append(bubble);
+    thread.append(row);
+    await fetch(location.pathname.replace("/direct/t/", "/api/direct/"), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ text }),
+    });
+  });
+`;
+
+// ── Server ──────────────────────────────────────────────────────────────────
+
+/**
+ * Start the fake site. Returns { url, threads, sessions, reply(handle, text), close() }.
+ * `threads` maps handle → [{ from: "me" | "creator", text, at }] and is
+ * updated live as the browser sends messages.
+ */
+export async function startFakeInstagram({ port = 0, fixture = DEFAULT_FIXTURE } = {}) {
+  const { account, creators, posts, keywords } = structuredClone(fixture);
+  const threads = structuredClone(fixture.threads || {});
+  const sessions = new Set();
+
+  function searchResults(q) {
+    const query = q.trim().toLowerCase();
+    if (!query) return { keywords: [], users: [] };
+    return {
+      keywords: Object.keys(keywords).filter((k) => k.includes(query)).slice(0, 8),
+      users: Object.entries(creators)
+        .filter(([handle, c]) => handle.includes(query) || (c.name || "").toLowerCase().includes(query))
+        .map(([handle, c]) => ({ handle, name: c.name || "" })),
+    };
+  }
+
+  function keywordPosts(q) {
+    const query = q.trim().toLowerCase();
+    if (keywords[query]) return keywords[query];
+    // Unknown keyword — fall back to a caption search like Instagram does
+    return Object.keys(posts).filter((id) => posts[id].caption.toLowerCase().includes(query));
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { "Content-Type": "text/html; charset=utf-8", ...headers });
+      res.end(body);
+    };
+    const json = (status, data) => send(status, JSON.stringify(data), { "Content-Type": "application/json" });
+    const redirect = (location, headers = {}) => send(302, "", { Location: location, ...headers });
+
+    if (url.pathname === "/accounts/login/") {
+      if (req.method === "POST") {
+        const form = new URLSearchParams(await readBody(req));
+        if (form.get("email") !== account.username || form.get("pass") !== account.password) {
+          return send(200, loginPage("Sorry, your password was incorrect."));
+        }
+        const sid = crypto.randomUUID();
+        sessions.add(sid);
+        return redirect("/accounts/onetap/", { "Set-Cookie": `sessionid=${sid}; Path=/; HttpOnly` });
+      }
+      return send(200, loginPage());
+    }
+
+    if (!sessions.has(parseCookies(req).sessionid)) {
+      if (url.pathname.startsWith("/api/")) return json(401, { error: "login required" });
+      return redirect("/accounts/login/");
+    }
+
+    if (url.pathname === "/accounts/onetap/") return send(200, ONETAP_PAGE);
+
+    if (url.pathname === "/") {
+      const feed = Object.keys(posts).slice(0, 9);
+      return send(200, layout("Instagram", `<div class="feed">${postGrid(feed, posts)}</div>`));
+    }
+
+    if (url.pathname === "/api/search") return json(200, searchResults(url.searchParams.get("q") || ""));
+
+    if (url.pathname === "/explore/search/keyword/") {
+      const q = url.searchParams.get("q") || "";
+      return send(200, layout(`${q} • Instagram`, `<h1>${esc(q)}</h1>${postGrid(keywordPosts(q), posts)}`));
+    }
+
+    let m = url.pathname.match(/^\/(p|reel)\/([^/]+)\/?$/);
+    if (m) {
+      const post = posts[m[2]];
+      if (!post) return send(404, layout("Page not found", "<h2>Sorry, this page isn't available.</h2>"));
+      return send(200, layout(`@${post.author} on Instagram: "${post.caption}"`, `
+        <article>
+          <header><a href="/${esc(post.author)}/" role="link"><span>${esc(post.author)}</span></a></header>
+          <p>${esc(post.caption)}</p>
+        </article>`));
+    }
+
+    m = url.pathname.match(/^\/api\/direct\/([^/]+)\/?$/);
+    if (m && req.method === "POST") {
+      const { text } = JSON.parse((await readBody(req)) || "{}");
+      (threads[m[1]] ||= []).push({ from: "me", text, at: new Date().toISOString() });
+      return json(200, { ok: true });
+    }
+
+    m = url.pathname.match(/^\/direct\/t\/([^/]+)\/?$/);
+    if (m && creators[m[1]]?.canMessage !== false) {
+      const who = m[1];
+      return send(200, layout(`${who} • Direct`, `
+        <h2>${esc(creators[who]?.name || who)}</h2>
+        <div class="thread">${threadRows(who, threads[who] || [])}</div>
+        <div role="textbox" aria-label="Message" contenteditable="true"></div>`, { script: COMPOSER_SCRIPT }));
+    }
+
+    if (url.pathname === "/direct/inbox/") {
+      const list = Object.keys(threads).map((h) => `<a href="/direct/t/${esc(h)}/">${esc(h)}</a>`).join("<br>");
+      return send(200, layout("Inbox • Direct", list || "<p>No messages</p>"));
+    }
+
+    m = url.pathname.match(/^\/([a-zA-Z0-9._]{1,30})\/?$/);
+    if (m && creators[m[1]]) {
+      const who = m[1];
+      const c = creators[who];
+      const own = Object.keys(posts).filter((id) => posts[id].author === who);
+      return send(200, layout(`${c.name || who} (@${who}) • Instagram`, `
+        <header>
+          <h2>${esc(who)}</h2>
+          <p>${esc(c.name || "")}</p>
+          <p>${esc(c.bio || "")}</p>
+          <div role="button" tabindex="0">Follow</div>
+          ${c.canMessage === false ? "" : `<div role="button" tabindex="0" onclick="location.href='/direct/t/${esc(who)}/'">Message</div>`}
+        </header>
+        ${postGrid(own, posts)}`));
+    }
+
+    return send(404, layout("Page not found", "<h2>Sorry, this page isn't available.</h2>"));
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      res.writeHead(500);
+      res.end(err.message);
+    });
+  });
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    threads,
+    sessions,
+    // Simulate the creator writing back
+    reply(handle, text, at = new Date().toISOString()) {
+      (threads[handle] ||= []).push({ from: "creator", text, at });
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const fake = await startFakeInstagram({ port: Number(process.argv[2]) || 4477 });
+  console.log(`Fake Instagram running at ${fake.url}`);
+  console.log(`Log in as ${DEFAULT_FIXTURE.account.username} / ${DEFAULT_FIXTURE.account.password}`);
+}
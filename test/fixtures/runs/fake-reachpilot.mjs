@@ -0,0 +1,29 @@
+// Stands in for reachpilot.mjs in test/runs.test.mjs.
+//   send      logs, reports two creators, then waits until it's killed
+//   followup  logs its arguments and run id, and exits 0
+//   igsearch  writes to stderr and exits 2
+// With FAKE_CLEANUP set, SIGTERM is handled like reachpilot.mjs does: log, then exit 143.
+const [mode, ...args] = process.argv.slice(2);
+
+if (mode === "followup") {
+  console.log(`followup ${args.join(" ")}`);
+  console.log(`run ${process.env.REACHPILOT_RUN_ID}`);
+  process.exit(0);
+}
+if (mode === "igsearch") {
+  console.error("Error: no session");
+  process.exit(2);
+}
+
+if (process.env.FAKE_CLEANUP) {
+  process.on("SIGTERM", () => {
+    console.log("\nrecorded as stopped");
+    process.exit(143);
+  });
+}
+
+console.log("starting send");
+process.stdout.write("partial line");
+process.send({ type: "creator", handle: "first_one" });
+process.send({ type: "creator", handle: "second_one" });
+setInterval(() => {}, 1000);
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getFollowUpSteps, followUpStatus, dueDay, DAY_MS } from "../lib/followups.mjs";
+
+const SENT_AT = "2026-02-01T10:00:00.000Z";
+const daysAfter = (iso, days) => new Date(new Date(iso).getTime() + days * DAY_MS);
+
+const product = {
+  followUps: [
+    { delayDays: 3, message: "nudge" },
+    { delayDays: 7, message: "last nudge", stopOn: [] },
+    { delayDays: 14, message: "one more" },
+  ],
+};
+
+test("steps fall back to a single 3-day follow-up and respect maxFollowUps", () => {
+  assert.deepEqual(getFollowUpSteps({ followUpMessage: "hey" }), [{ delayDays: 3, message: "hey", stopOn: ["replied"] }]);
+  assert.equal(getFollowUpSteps({}).length, 1);
+
+  const steps = getFollowUpSteps({ ...product, maxFollowUps: 2 });
+  assert.deepEqual(steps.map((s) => [s.delayDays, s.stopOn]), [[3, ["replied"]], [7, []]]);
+  assert.equal(getFollowUpSteps({ ...product, maxFollowUps: 0 }).length, 0);
+});
+
+test("each step is due delayDays after the previous touch", () => {
+  const steps = getFollowUpSteps(product);
+  const record = { sent: true, sentAt: SENT_AT, followUpStep: 0 };
+
+  assert.deepEqual(followUpStatus({ sent: false }, steps), { state: "not-sent" });
+
+  const early = followUpStatus(record, steps, { now: daysAfter(SENT_AT, 2) });
+  assert.equal(early.state, "waiting");
+  assert.equal(early.dueAt, daysAfter(SENT_AT, 3).toISOString());
+  assert.equal(early.daysSinceLastTouch, 2);
+  assert.equal(followUpStatus(record, steps, { now: daysAfter(SENT_AT, 3) }).state, "due");
+
+  // Step 2 counts from the first follow-up, not the original DM
+  const followedUpAt = daysAfter(SENT_AT, 4).toISOString();
+  const second = { ...record, followUpStep: 1, followedUpAt };
+  const status = followUpStatus(second, steps, { now: daysAfter(SENT_AT, 10) });
+  assert.deepEqual([status.state, status.stepIndex, status.step.message], ["waiting", 1, "last nudge"]);
+  assert.equal(followUpStatus(second, steps, { now: daysAfter(followedUpAt, 7) }).state, "due");
+
+  assert.deepEqual(followUpStatus({ ...record, followUpStep: 3 }, steps), { state: "complete", stepsSent: 3 });
+  assert.equal(followUpStatus({ ...record, followUpStep: 2 }, getFollowUpSteps({ ...product, maxFollowUps: 2 })).state, "complete");
+});
+
+test("a reply stops the steps that stop on it; opting out stops every step", () => {
+  const steps = getFollowUpSteps(product);
+  const now = daysAfter(SENT_AT, 30);
+  const replied = { sent: true, sentAt: SENT_AT, followUpStep: 0, replied: true };
+
+  assert.deepEqual(followUpStatus(replied, steps, { now }), { state: "stopped", reason: "replied", stepsSent: 0 });
+  assert.equal(followUpStatus({ ...replied, followUpStep: 1, followedUpAt: SENT_AT }, steps, { now }).state, "due", "stopOn: [] keeps going");
+
+  const optedOut = { ...replied, replied: false, followUpStep: 1, followedUpAt: SENT_AT };
+  assert.deepEqual(followUpStatus(optedOut, steps, { now, optedOut: true }), { state: "stopped", reason: "opted-out", stepsSent: 1 });
+  const legacy = getFollowUpSteps({ followUps: [{ delayDays: 1, message: "hi", stopOn: ["replied"] }] });
+  assert.equal(followUpStatus({ ...replied, replied: false }, legacy, { now, optedOut: true }).reason, "opted-out");
+});
+
+test("due dates are placed on local calendar days", () => {
+  const now = new Date(2026, 1, 14, 12);
+  assert.equal(dueDay(new Date(2026, 1, 13, 23), now), "overdue");
+  assert.equal(dueDay(new Date(2026, 1, 14, 0), now), "today");
+  assert.equal(dueDay(new Date(2026, 1, 14, 23, 59), now), "today");
+  assert.equal(dueDay(new Date(2026, 1, 15), now), "upcoming");
+});
@@ -0,0 +1,42 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "reachpilot-handles-"));
+process.env.REACHPILOT_DB = path.join(TMP, "outreach.db");
+const { saveCreator, closeStore } = await import("../lib/store.mjs");
+
+after(() => {
+  closeStore();
+  fs.rmSync(TMP, { recursive: true, force: true });
+});
+
+function cli(...args) {
+  const result = spawnSync(process.execPath, ["reachpilot.mjs", ...args], {
+    cwd: new URL("..", import.meta.url),
+    env: {
+      ...process.env,
+      REACHPILOT_CONFIG: new URL("../config.example.json", import.meta.url).pathname,
+      REACHPILOT_CREATORS: path.join(TMP, "discovered-creators.json"),
+    },
+    encoding: "utf-8",
+    timeout: 30_000,
+  });
+  assert.equal(result.status, 0, result.stderr);
+  return result.stdout;
+}
+
+test("discovered handles find creators stored under another case", () => {
+  saveCreator("Coach.Ana", { sent: true, sentAt: "2026-02-10T10:00:00.000Z", source: "api" });
+  fs.writeFileSync(path.join(TMP, "partners.csv"), "handle,name\ncoach.ana,Ana\n@New_One,Nia\n");
+
+  assert.match(cli("import", path.join(TMP, "partners.csv")), /1 of them were already messaged and will be skipped by send/);
+
+  cli("export", path.join(TMP, "export.json"));
+  const rows = JSON.parse(fs.readFileSync(path.join(TMP, "export.json"), "utf-8"));
+  assert.deepEqual(rows.map((r) => [r.handle, r.status]).sort(), [["Coach.Ana", "sent"], ["new_one", "pending"]]);
+  assert.equal(rows.find((r) => r.handle === "Coach.Ana").name, "Ana", "the imported details join the stored creator");
+});
@@ -0,0 +1,77 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "reachpilot-history-"));
+process.env.REACHPILOT_DB = path.join(TMP, "outreach.db");
+const { startRun, updateRun, getRun, listRuns, closeStore } = await import("../lib/store.mjs");
+const { createRunTally, parseHistoryArgs, describeCounts, describeFailures, formatDuration, formatRunLine } =
+  await import("../lib/history.mjs");
+
+after(() => {
+  closeStore();
+  fs.rmSync(TMP, { recursive: true, force: true });
+});
+
+test("a tally keeps each creator's latest outcome and counts failures by reason", () => {
+  let changes = 0;
+  const tally = createRunTally({ onChange: () => changes++ });
+  tally.query("resume tips");
+  tally.query("resume tips");
+  for (const handle of ["maya", "raj", "li", "sam"]) tally.examine(handle);
+  tally.record("maya", "sent");
+  tally.record("raj", "failed", "no-message-button");
+  tally.record("li", "screened-out");
+  tally.record("sam", "failed", "no-message-input");
+  tally.record("sam", "sent");
+  tally.examine("maya");
+
+  const summary = tally.summary({ stoppedEarly: null });
+  assert.deepEqual(summary.queries, ["resume tips"]);
+  assert.deepEqual(summary.creators.map((c) => [c.handle, c.outcome]), [["maya", "sent"], ["raj", "failed"], ["li", "screened-out"], ["sam", "sent"]]);
+  assert.deepEqual(summary.counts, { examined: 4, screenedOut: 1, sent: 2, failed: 1, replied: 0, optedOut: 0, followedUp: 0 });
+  assert.deepEqual(summary.failures, { "no-message-button": 1 });
+  assert.deepEqual(summary.quotaUsed, { newConversations: 2, followUps: 0 });
+  assert.equal(summary.stoppedEarly, null);
+  assert.equal(changes, 10, "repeated queries and second looks don't count as changes");
+
+  assert.equal(describeCounts({ mode: "igsearch", summary }), "4 examined, 1 screened out, 2 sent, 1 failed");
+  assert.equal(describeFailures({ "no-message-button": 2, "template-error": 1 }), "2 no Message button, 1 message template error");
+});
+
+test("runs are stored with their summary and listed newest first", () => {
+  startRun({ id: "run-a", mode: "send", campaign: "default", startedAt: "2026-02-14T10:00:00.000Z" });
+  startRun({ id: "run-b", mode: "followup", startedAt: "2026-02-14T12:00:00.000Z" });
+  assert.equal(getRun("run-a").status, "running");
+
+  const tally = createRunTally();
+  tally.examine("maya");
+  tally.record("maya", "replied");
+  updateRun("run-b", { summary: tally.summary() });
+  updateRun("run-b", { status: "stopped", endedAt: "2026-02-14T13:02:00.000Z" });
+
+  const run = getRun("run-b");
+  assert.equal(run.status, "stopped");
+  assert.equal(run.summary.counts.replied, 1, "a status update keeps the summary");
+  assert.equal(formatDuration(run), "1h 02m");
+  assert.equal(describeCounts(run), "1 checked, 1 replied, 0 opted out, 0 followed up");
+  assert.match(formatRunLine(run), /^⏹ run-b +followup +.+ +1h 02m +1 checked, 1 replied/);
+
+  assert.deepEqual(listRuns().map((r) => r.id), ["run-b", "run-a"]);
+  assert.deepEqual(listRuns({ mode: "send" }).map((r) => r.id), ["run-a"]);
+  assert.deepEqual(listRuns({ limit: 1 }).map((r) => r.id), ["run-b"]);
+  assert.equal(describeCounts(getRun("run-a")), "no summary");
+  assert.equal(formatDuration(getRun("run-a")), null);
+  assert.equal(getRun("missing"), null);
+});
+
+test("history arguments are checked", () => {
+  assert.deepEqual(parseHistoryArgs([]), { id: null, mode: null, limit: 20, json: false });
+  assert.deepEqual(parseHistoryArgs(["abc123", "--json"]), { id: "abc123", mode: null, limit: 20, json: true });
+  assert.equal(parseHistoryArgs(["--mode=igsearch", "--limit", "5"]).limit, 5);
+  assert.throws(() => parseHistoryArgs(["--mode", "discover"]), /--mode must be one of send, igsearch, followup/);
+  assert.throws(() => parseHistoryArgs(["--limit", "-1"]), /--limit expects a positive number/);
+  assert.throws(() => parseHistoryArgs(["a", "b"]), /Unexpected argument "b"/);
+});
@@ -0,0 +1,57 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "reachpilot-live-"));
+process.env.REACHPILOT_DB = path.join(TMP, "outreach.db");
+const { saveCreator, addSuppression, closeStore } = await import("../lib/store.mjs");
+const { stateEvents, watchStore } = await import("../lib/live.mjs");
+
+after(() => {
+  closeStore();
+  fs.rmSync(TMP, { recursive: true, force: true });
+});
+
+test("state differences become send, screening, reply and follow-up events", () => {
+  const prev = {
+    waiting: { sent: true, sentAt: "2026-02-10T10:00:00Z", source: "ig" },
+    nudged: { sent: true, sentAt: "2026-02-09T10:00:00Z", followUpStep: 1 },
+  };
+  const next = {
+    ...prev,
+    waiting: { ...prev.waiting, replied: true, repliedAt: "2026-02-11T10:00:00Z", replyLabel: "question" },
+    nudged: { ...prev.nudged, followUpStep: 2, followedUpAt: "2026-02-12T10:00:00Z" },
+    fresh: { sent: true, sentAt: "2026-02-12T11:00:00Z", source: "ig-search", campaign: "fitness" },
+    nope: { skipped: true, skippedReason: "screening", skippedAt: "2026-02-12T12:00:00Z" },
+  };
+
+  assert.deepEqual(stateEvents(prev, next), [
+    { type: "reply", handle: "waiting", label: "question", at: "2026-02-11T10:00:00Z" },
+    { type: "follow-up", handle: "nudged", step: 2, at: "2026-02-12T10:00:00Z" },
+    { type: "sent", handle: "fresh", source: "ig-search", campaign: "fitness", at: "2026-02-12T11:00:00Z" },
+    { type: "screened", handle: "nope", source: "api", at: "2026-02-12T12:00:00Z" },
+  ]);
+  assert.deepEqual(stateEvents(next, next), []);
+});
+
+test("the watcher only reports when the store actually changes", () => {
+  const changes = [];
+  const watcher = watchStore({ onChange: (events) => changes.push(events), creatorsFile: path.join(TMP, "none.json") });
+  try {
+    watcher.check();
+    assert.equal(changes.length, 0);
+
+    saveCreator("new_one", { sent: true, sentAt: "2026-02-12T11:00:00Z" });
+    watcher.check();
+    watcher.check();
+    assert.deepEqual(changes.map((events) => events.map((e) => `${e.type} ${e.handle}`)), [["sent new_one"]]);
+
+    addSuppression("someone");
+    watcher.check();
+    assert.deepEqual(changes.at(-1), [], "other changes still report, with no events");
+  } finally {
+    watcher.stop();
+  }
+});
@@ -0,0 +1,88 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createLogger, listRunLogs, readRunLog, parseLogsArgs, filterEntries, formatEntry } from "../lib/logger.mjs";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "reachpilot-logs-"));
+
+after(() => fs.rmSync(TMP, { recursive: true, force: true }));
+
+// Collects console output instead of printing it
+function fakeConsole() {
+  const lines = [];
+  const push = (stream) => (line) => lines.push([stream, line]);
+  return { lines, log: push("out"), warn: push("err"), error: push("err") };
+}
+
+test("a run writes every level to its own JSON-lines file and prints from the console threshold up", () => {
+  const out = fakeConsole();
+  const logger = createLogger({ mode: "send", runId: "run1", dir: TMP, level: "info", out });
+  assert.match(path.basename(logger.file), /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-send-run1\.jsonl$/);
+
+  logger.debug("input fields");
+  logger.set({ handle: "maya" });
+  logger.info("\n── Creator 1/2: @maya ──");
+  logger.warn("  !! No Message button", { step: "send", outcome: "no-message-button" });
+  logger.set({ handle: null });
+  logger.error("Error: boom", { error: new TypeError("boom") });
+
+  const entries = readRunLog(logger.file);
+  assert.deepEqual(entries.map((e) => [e.level, e.msg, e.handle]), [
+    ["debug", "input fields", undefined],
+    ["info", "── Creator 1/2: @maya ──", "maya"],
+    ["warn", "!! No Message button", "maya"],
+    ["error", "Error: boom", undefined],
+  ]);
+  assert.equal(entries[2].outcome, "no-message-button");
+  assert.equal(entries[3].errorType, "TypeError");
+  assert.match(entries[3].stack, /^TypeError: boom\n/);
+  assert.ok(entries.every((e) => e.runId === "run1" && e.mode === "send"));
+
+  assert.equal(out.lines.length, 3, "debug stays out of the console");
+  assert.match(out.lines[0][1], /^\[.+\] \n── Creator 1\/2: @maya ──$/);
+  assert.deepEqual(out.lines.map(([stream]) => stream), ["out", "err", "err"]);
+});
+
+test("logs can be listed and searched by handle, error type, run and day", () => {
+  const dir = path.join(TMP, "search");
+  const quiet = fakeConsole();
+  const first = createLogger({ mode: "igsearch", runId: "aaa", dir, out: quiet });
+  first.info("Screening @Maya", { handle: "Maya", step: "screen", outcome: "passed" });
+  first.warn("Timed out", { handle: "Maya", error: Object.assign(new Error("waiting for selector"), { name: "TimeoutError" }) });
+  first.warn("!! No message input", { handle: "raj", outcome: "no-message-input" });
+  const second = createLogger({ mode: "followup", runId: "bbb", dir, out: quiet });
+  second.info("Follow-up sent.", { handle: "maya", outcome: "followed-up" });
+  fs.appendFileSync(second.file, "{ half a line");
+
+  const runs = listRunLogs(dir);
+  assert.deepEqual(runs.map((r) => [r.runId, r.mode]).sort(), [["aaa", "igsearch"], ["bbb", "followup"]]);
+  assert.match(runs[0].startedAt, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/);
+  assert.deepEqual(listRunLogs(path.join(TMP, "missing")), []);
+
+  const entries = runs.flatMap((r) => readRunLog(r.file));
+  assert.equal(entries.length, 4, "the torn last line is skipped");
+  assert.equal(filterEntries(entries, { handle: "@maya" }).length, 3);
+  assert.deepEqual(filterEntries(entries, { error: "timeouterror" }).map((e) => e.msg), ["Timed out"]);
+  assert.deepEqual(filterEntries(entries, { error: "no-message-input" }).map((e) => e.handle), ["raj"]);
+  assert.equal(filterEntries(entries, { error: "passed" }).length, 0, "outcomes of info entries aren't errors");
+  assert.equal(filterEntries(entries, { runId: "bbb", level: "info" }).length, 1);
+  assert.equal(filterEntries(entries, { since: new Date(Date.now() + 86_400_000) }).length, 0);
+
+  const timeout = entries.find((e) => e.errorType === "TimeoutError");
+  assert.match(formatEntry(timeout), /igsearch:aaa {2}⚠️ {2}@Maya {2}Timed out waiting for selector {2}\(TimeoutError\)$/);
+});
+
+test("logs flags are checked", () => {
+  const options = parseLogsArgs(["--handle", "maya", "--error=TimeoutError", "--since", "2026-02-14", "--json"]);
+  assert.equal(options.filters.handle, "maya");
+  assert.equal(options.filters.error, "TimeoutError");
+  assert.equal(options.filters.since.getDate(), 14);
+  assert.equal(options.json, true);
+  assert.deepEqual(parseLogsArgs([]), { filters: {}, json: false, limit: 20 });
+
+  assert.throws(() => parseLogsArgs(["--level", "loud"]), /--level must be one of debug, info, warn, error/);
+  assert.throws(() => parseLogsArgs(["--limit", "0"]), /--limit expects a positive number/);
+  assert.throws(() => parseLogsArgs(["--verbose"]), /Unknown logs option --verbose/);
+});
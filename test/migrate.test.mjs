@@ -0,0 +1,64 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "reachpilot-migrate-"));
+process.env.REACHPILOT_DB = path.join(TMP, "outreach.db");
+process.env.REACHPILOT_LEGACY_STATE = path.join(ROOT, "test", "fixtures", "legacy-state.json");
+const { loadState, getHistory, legacyStatePending, importLegacyState, countCreators, closeStore } = await import("../lib/store.mjs");
+
+after(() => {
+  closeStore();
+  fs.rmSync(TMP, { recursive: true, force: true });
+});
+
+// The child inherits REACHPILOT_DB and REACHPILOT_LEGACY_STATE from above
+function run(script, ...args) {
+  return spawnSync(process.execPath, [script, ...args], {
+    cwd: ROOT,
+    env: { ...process.env, REACHPILOT_CONFIG: path.join(ROOT, "config.example.json"), REACHPILOT_LOGS: path.join(TMP, "logs") },
+    encoding: "utf-8",
+    timeout: 30_000,
+  });
+}
+
+test("sending waits for an un-imported outreach-state.json; other commands don't", () => {
+  assert.equal(legacyStatePending(), true);
+
+  const send = run("reachpilot.mjs", "send");
+  assert.equal(send.status, 1);
+  assert.match(send.stderr, /Found outreach-state\.json but the database is empty\.\nRun: node migrate-state\.mjs/);
+  assert.equal(fs.existsSync(path.join(TMP, "logs")), false, "no run was started");
+
+  const history = run("reachpilot.mjs", "history");
+  assert.equal(history.status, 0, history.stderr);
+});
+
+test("migrate-state imports every record once, old skipReason spelling included", () => {
+  const first = run("migrate-state.mjs");
+  assert.equal(first.status, 0, first.stderr);
+  assert.match(first.stdout, /Imported 4 creators from .+legacy-state\.json/);
+  assert.equal(legacyStatePending(), false);
+
+  const state = loadState();
+  assert.equal(state.resumewithriya.sent, true);
+  assert.equal(state.resumewithriya.followUpStep, 1);
+  assert.equal(state.old_dashboard_skip.skippedReason, "screening");
+  assert.deepEqual(getHistory("resumewithriya").attempts.map((a) => [a.success, a.attempted_at]), [[1, "2026-01-10T09:00:00.000Z"]]);
+  assert.equal(getHistory("resumewithriya").followUps.length, 1);
+  for (const handle of ["pastaqueen", "old_dashboard_skip"]) {
+    assert.deepEqual(getHistory(handle).screenings.map((s) => s.passes), [0], `@${handle} was screened out`);
+  }
+
+  const again = run("migrate-state.mjs");
+  assert.match(again.stdout, /Imported 0 creators[\s\S]*Skipped 4 already in the database/);
+  const fixture = JSON.parse(fs.readFileSync(process.env.REACHPILOT_LEGACY_STATE, "utf-8"));
+  assert.deepEqual(importLegacyState(fixture), { imported: 0, skipped: 4 });
+  assert.equal(countCreators(), 4);
+  assert.equal(getHistory("pastaqueen").screenings.length, 1, "nothing is recorded twice");
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { listPacks, loadPack, resolvePack, relevanceScore, DEFAULT_PACK } from "../lib/packs.mjs";
+
+test("every built-in pack loads and the default is career", () => {
+  assert.deepEqual(listPacks(), ["career", "cooking", "fitness"]);
+  for (const name of listPacks()) assert.equal(loadPack(name).name, name);
+  assert.equal(resolvePack({}).name, DEFAULT_PACK);
+});
+
+test("config lists override the pack's, one at a time", () => {
+  const pack = resolvePack({ outreach: { pack: "fitness", igSearchQueries: ["kettlebell"] } });
+  assert.deepEqual(pack.igSearchQueries, ["kettlebell"]);
+  assert.deepEqual(pack.searchQueries, loadPack("fitness").searchQueries);
+  assert.equal(pack.hooks.default, "your fitness content is genuinely helpful");
+});
+
+test("custom packs load from a path and are checked", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reachpilot-packs-"));
+  try {
+    const pack = { searchQueries: ["a"], igSearchQueries: ["b"], hooks: { default: "nice" }, keywords: ["knit"] };
+    fs.writeFileSync(path.join(dir, "knitting.json"), JSON.stringify(pack));
+    assert.deepEqual(
+      { ...loadPack("./knitting.json", { baseDir: dir }), file: null },
+      { name: "knitting", minScore: 2, ...pack, file: null }
+    );
+
+    fs.writeFileSync(path.join(dir, "broken.json"), JSON.stringify({ ...pack, keywords: [], hooks: {} }));
+    assert.throws(() => loadPack("broken.json", { baseDir: dir }), /keywords must be a non-empty list of strings; hooks must include a default hook/);
+    assert.throws(() => loadPack("knitting"), /Niche pack "knitting" not found \(built-in: career, cooking, fitness\)/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("relevance counts distinct keywords, case-insensitively", () => {
+  const { keywords } = loadPack("cooking");
+  assert.equal(relevanceScore("Easy one-pot PASTA recipe for dinner", keywords), 3);
+  assert.equal(relevanceScore("resume tips for freshers", keywords), 0);
+  assert.equal(relevanceScore("resume tips for freshers", loadPack("career").keywords), 1);
+});
@@ -0,0 +1,60 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "reachpilot-quota-"));
+process.env.REACHPILOT_DB = path.join(TMP, "outreach.db");
+const { recordAttempt, recordFollowUp, closeStore } = await import("../lib/store.mjs");
+const { getSendLimits, getQuota, describeCap, formatQuota } = await import("../lib/quota.mjs");
+
+after(() => {
+  closeStore();
+  fs.rmSync(TMP, { recursive: true, force: true });
+});
+
+const NOW = new Date(2026, 9, 19, 15, 0); // 3 PM local
+const minutesAgo = (n) => new Date(NOW.getTime() - n * 60 * 1000).toISOString();
+
+test("limits default to unlimited and ignore junk values", () => {
+  assert.deepEqual(getSendLimits({}), {
+    newConversations: { perHour: null, perDay: null },
+    followUps: { perHour: null, perDay: null },
+  });
+  const limits = getSendLimits({ outreach: { limits: { newConversations: { perHour: "4", perDay: 10 }, followUps: { perDay: -1 } } } });
+  assert.deepEqual(limits.newConversations, { perHour: null, perDay: 10 });
+  assert.deepEqual(limits.followUps, { perHour: null, perDay: null });
+});
+
+test("usage counts successful sends in the last hour and since midnight", () => {
+  recordAttempt("a", { success: true, at: minutesAgo(10) });
+  recordAttempt("b", { success: true, at: minutesAgo(120) });
+  recordAttempt("c", { success: false, at: minutesAgo(5) });
+  recordAttempt("d", { success: true, at: minutesAgo(16 * 60) }); // yesterday
+  recordFollowUp("a", { body: "nudge", step: 1, at: minutesAgo(30) });
+
+  const limits = getSendLimits({ outreach: { limits: { newConversations: { perHour: 2, perDay: 3 } } } });
+  const quota = getQuota(limits, { now: NOW });
+  assert.deepEqual(quota.newConversations, { hour: 1, day: 2, perHour: 2, perDay: 3, blocked: null });
+  assert.deepEqual(quota.followUps, { hour: 1, day: 1, perHour: null, perDay: null, blocked: null });
+  assert.equal(
+    formatQuota(quota),
+    "new conversations 2/3 today, 1/2 this hour · follow-ups 1 today, 1 this hour (no cap)"
+  );
+});
+
+test("the daily cap wins over the hourly one and says when it resets", () => {
+  const limits = getSendLimits({ outreach: { limits: { newConversations: { perHour: 2, perDay: 3 } } } });
+  const quota = getQuota(limits, { now: NOW, extra: { newConversations: 1 } });
+  assert.equal(quota.newConversations.blocked.window, "day");
+  assert.equal(quota.newConversations.blocked.resetsAt, new Date(2026, 9, 20).toISOString());
+  assert.equal(describeCap("newConversations", quota.newConversations), "daily cap of 3 new conversations reached (resets at midnight)");
+});
+
+test("the hourly cap blocks while the day still has room", () => {
+  const limits = getSendLimits({ outreach: { limits: { followUps: { perHour: 1, perDay: 30 } } } });
+  const quota = getQuota(limits, { now: NOW });
+  assert.equal(quota.followUps.blocked.window, "hour");
+  assert.equal(describeCap("followUps", quota.followUps), "hourly cap of 1 follow-ups reached (rolling 60-minute window)");
+});
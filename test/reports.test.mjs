@@ -0,0 +1,62 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "reachpilot-reports-"));
+process.env.REACHPILOT_DB = path.join(TMP, "outreach.db");
+const { saveCreator, addSuppression, closeStore } = await import("../lib/store.mjs");
+const { dueDay } = await import("../lib/followups.mjs");
+
+after(() => {
+  closeStore();
+  fs.rmSync(TMP, { recursive: true, force: true });
+});
+
+const NOW = new Date(2026, 1, 14, 12);
+
+test("due dates bucket by local calendar day", () => {
+  assert.equal(dueDay(new Date(2026, 1, 13, 23, 59), NOW), "overdue");
+  assert.equal(dueDay(new Date(2026, 1, 14, 0, 0), NOW), "today");
+  assert.equal(dueDay(new Date(2026, 1, 14, 23, 59), NOW), "today");
+  assert.equal(dueDay(new Date(2026, 1, 15), NOW), "upcoming");
+});
+
+test("reports show each creator's own follow-up date and state", () => {
+  const sent = (at, extra = {}) => ({ sent: true, sentAt: at, source: "api", ...extra });
+  const now = Date.now();
+  const ago = (days) => new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+  saveCreator("late_one", sent(ago(10)));
+  saveCreator("soon_one", sent(ago(1)));
+  saveCreator("happy_one", sent(ago(5), { replied: true, replyLabel: "interested" }));
+  saveCreator("gone_one", sent(ago(5)));
+  saveCreator("too_old", sent(ago(400)));
+  addSuppression("gone_one");
+  closeStore();
+
+  const config = path.join(TMP, "config.json");
+  fs.writeFileSync(config, JSON.stringify({ product: { followUps: [{ delayDays: 3, message: "nudge" }] } }));
+  const out = path.join(TMP, "reports");
+  const since = new Date(now - 30 * 24 * 60 * 60 * 1000);
+  const sinceDay = `${since.getFullYear()}-${String(since.getMonth() + 1).padStart(2, "0")}-${String(since.getDate()).padStart(2, "0")}`;
+  execFileSync(process.execPath, ["generate-reports.mjs", "--out", out, "--since", sinceDay], {
+    cwd: ROOT,
+    env: { ...process.env, REACHPILOT_CONFIG: config },
+    timeout: 30_000,
+  });
+
+  const rows = fs.readFileSync(path.join(out, "sent-dms.csv"), "utf-8").trim().split("\n");
+  assert.equal(rows.length, 5, "--since drops creators messaged before the range");
+  const status = Object.fromEntries(rows.slice(1).map((r) => [r.split(",")[0], r.split(",").at(-4)]));
+  assert.deepEqual(status, { "@late_one": "overdue", "@soon_one": "upcoming", "@happy_one": "replied", "@gone_one": "opted-out" });
+
+  const summary = fs.readFileSync(path.join(out, "results-summary.md"), "utf-8");
+  assert.match(summary, /\*\*Follow-ups:\*\* 1 overdue, 0 due today, 1 upcoming/);
+  assert.match(summary, /\| \*\*Overdue\*\* \| 1 \| @late_one \|/);
+  assert.doesNotMatch(summary, /Feb 14/);
+  assert.match(fs.readFileSync(path.join(out, "pending-followup.txt"), "utf-8"), /@late_one .*step 1 \(overdue\)\n@soon_one/);
+});
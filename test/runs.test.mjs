@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { createRunManager, RunError } from "../lib/runs.mjs";
+
+const script = fileURLToPath(new URL("./fixtures/runs/fake-reachpilot.mjs", import.meta.url));
+
+// Resolves with the first event matching `predicate`, or rejects after 5s
+function nextEvent(runs, predicate) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("timed out waiting for a run event")), 5000);
+    const unsubscribe = runs.subscribe((event) => {
+      if (!predicate(event)) return;
+      clearTimeout(timer);
+      unsubscribe();
+      resolve(event);
+    });
+  });
+}
+
+const statusIs = (status) => (e) => e.type === "status" && e.run.status === status;
+
+test("a run can be paused, resumed and stopped, and reports its creator and output", async () => {
+  const runs = createRunManager({ script, graceMs: 2000 });
+  const reachedSecond = nextEvent(runs, (e) => e.type === "creator" && e.handle === "second_one");
+  const run = runs.start({ mode: "send" });
+  assert.equal(run.status, "running");
+
+  const { run: working } = await reachedSecond;
+  assert.equal(working.currentHandle, "second_one");
+  assert.throws(() => runs.start({ mode: "followup" }), (err) => err instanceof RunError && /already running/.test(err.message));
+
+  assert.equal(runs.pause().status, "paused");
+  assert.throws(() => runs.pause(), /Can't pause a run that is paused/);
+  assert.equal(runs.resume().status, "running");
+
+  const stopped = nextEvent(runs, statusIs("stopped"));
+  runs.stop();
+  const { run: done } = await stopped;
+  assert.equal(done.signal, "SIGTERM");
+  assert.equal(done.currentHandle, null);
+  assert.deepEqual(runs.log().map((l) => l.text), ["starting send", "partial line"]);
+});
+
+test("runs that exit on their own finish or fail, with their arguments passed through", async () => {
+  const runs = createRunManager({ script });
+  assert.throws(() => runs.start({ mode: "discover" }), /mode must be one of send, igsearch, followup/);
+  assert.throws(() => runs.stop(), /No run to stop/);
+
+  const finished = nextEvent(runs, statusIs("finished"));
+  const { id } = runs.start({ mode: "followup", campaign: "launch", dryRun: true });
+  await finished;
+  assert.deepEqual(runs.log().map((l) => l.text), ["followup --campaign launch --dry-run", `run ${id}`]);
+
+  const failed = nextEvent(runs, statusIs("failed"));
+  runs.start({ mode: "igsearch" });
+  const { run } = await failed;
+  assert.equal(run.exitCode, 2);
+  assert.deepEqual(runs.log().map((l) => [l.stream, l.text]), [["stderr", "Error: no session"]]);
+});
+
+test("shutting down lets the run handle SIGTERM before it is killed", async () => {
+  const runs = createRunManager({ script, env: { ...process.env, FAKE_CLEANUP: "1" }, graceMs: 5000 });
+  const working = nextEvent(runs, (e) => e.type === "creator" && e.handle === "second_one");
+  runs.start({ mode: "send" });
+  await working;
+
+  await runs.shutdown();
+  const run = runs.current();
+  assert.deepEqual([run.status, run.exitCode, run.signal], ["stopped", 143, null]);
+  assert.deepEqual(runs.log().map((l) => l.text), ["starting send", "partial line", "recorded as stopped"]);
+  await runs.shutdown();
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_SELECTORS, SELECTORS_VERSION, loadSelectors, selectorList } from "../lib/selectors.mjs";
+
+test("defaults are used when config has no overrides", () => {
+  const { selectors, warnings } = loadSelectors(undefined);
+  assert.deepEqual(selectors, DEFAULT_SELECTORS);
+  assert.deepEqual(warnings, []);
+});
+
+test("an override replaces the whole fallback list; strings become one-item lists", () => {
+  const { selectors, warnings } = loadSelectors({
+    version: SELECTORS_VERSION,
+    messageButton: 'div[role="button"]:text-is("Send message")',
+    searchInput: ['input[aria-label="Search input"]', 'input[placeholder="Search"]'],
+  });
+  assert.deepEqual(selectors.messageButton, ['div[role="button"]:text-is("Send message")']);
+  assert.deepEqual(selectors.searchInput, ['input[aria-label="Search input"]', 'input[placeholder="Search"]']);
+  assert.deepEqual(selectors.messageInput, DEFAULT_SELECTORS.messageInput);
+  assert.deepEqual(warnings, []);
+});
+
+test("unknown names, malformed entries and stale versions are warned about", () => {
+  const { selectors, warnings } = loadSelectors({ version: "2025.01", messageButon: "button", searchIcon: [] });
+  assert.deepEqual(selectors.searchIcon, DEFAULT_SELECTORS.searchIcon);
+  assert.equal(warnings.length, 3);
+  assert.match(warnings[0], /^selectors\.messageButon: unknown element/);
+  assert.match(warnings[1], /^selectors\.searchIcon: expected a selector string/);
+  assert.match(warnings[2], /written for version 2025\.01/);
+});
+
+test("selectorList fills in {handle}", () => {
+  assert.deepEqual(selectorList(DEFAULT_SELECTORS, "searchResult", { handle: "riya" }), [
+    'a[href*="/riya/"]',
+    'span:has-text("riya")',
+  ]);
+  assert.throws(() => selectorList(DEFAULT_SELECTORS, "nope"), /Unknown selector "nope"/);
+});
@@ -0,0 +1,76 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { findOptOut, parseSuppressionFile } from "../lib/suppression.mjs";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "reachpilot-suppression-"));
+
+after(() => fs.rmSync(TMP, { recursive: true, force: true }));
+
+function writeFile(name, text) {
+  const file = path.join(TMP, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+test("opt-out phrases are found as whole words", () => {
+  assert.equal(findOptOut("Not interested, thanks"), "not interested");
+  assert.equal(findOptOut("please stop messaging me"), "stop messaging me");
+  assert.equal(findOptOut("Don’t message me again"), "don't message me");
+  assert.equal(findOptOut("I'm unstoppable"), null);
+  assert.equal(findOptOut("Sounds good, bye for now", ["bye for now"]), "bye for now");
+});
+
+test("\"stop\" only opts out as a whole message", () => {
+  assert.equal(findOptOut("STOP"), "stop");
+  assert.equal(findOptOut("Stop."), "stop");
+  assert.equal(findOptOut("hey!\nPls stop!!"), "pls stop");
+  assert.equal(findOptOut("Love this! Cant stop watching your reels"), null);
+  assert.equal(findOptOut("Omg yes, I can't stop using resume tools"), null);
+  assert.equal(findOptOut("Stop by my page sometime"), null);
+});
+
+test("\"spam\" alone isn't an opt-out", () => {
+  assert.equal(findOptOut("This is not spam right?"), null);
+  assert.equal(findOptOut("Haha I thought this was spam at first, tell me more"), null);
+});
+
+test("\"no thanks\" is a decline, not an opt-out", () => {
+  assert.equal(findOptOut("No thanks, good luck with it!"), null);
+  assert.equal(findOptOut("no thank you"), null);
+  assert.equal(findOptOut("No thanks. Please stop messaging me"), "stop messaging me");
+});
+
+test("suppression CSVs skip comments, blank lines and the header; handles are normalized and deduplicated", () => {
+  const file = writeFile("optouts.csv", [
+    "handle,reason",
+    "# exported from the partner CRM",
+    "",
+    "@Maya_Creates,asked by email",
+    "  raj.k  ",
+    '"li.wei","brand conflict, Q3"',
+    "",
+    "maya_creates,duplicate",
+    "RAJ.K,second reason wins only when the first had none",
+    "not a handle!,x",
+  ].join("\r\n"));
+
+  assert.deepEqual(parseSuppressionFile(file), {
+    entries: [
+      { handle: "maya_creates", reason: "asked by email" },
+      { handle: "raj.k", reason: "second reason wins only when the first had none" },
+      { handle: "li.wei", reason: "brand conflict, Q3" },
+    ],
+    invalid: ["not a handle!"],
+  });
+});
+
+test("suppression JSON takes handles or { handle, reason } objects", () => {
+  const file = writeFile("optouts.json", JSON.stringify(["@Maya_Creates", { handle: "raj.k", reason: "opted out" }, "maya_creates", "bad handle"]));
+  assert.deepEqual(parseSuppressionFile(file), {
+    entries: [{ handle: "maya_creates", reason: null }, { handle: "raj.k", reason: "opted out" }],
+    invalid: ["bad handle"],
+  });
+});
@@ -0,0 +1,90 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { renderTemplate, renderSlot, pickVariant, slotVariants, validateTemplates, TemplateError } from "../lib/templates.mjs";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "reachpilot-templates-"));
+
+after(() => fs.rmSync(TMP, { recursive: true, force: true }));
+
+test("variables render with dotted paths and fallbacks; an empty one without a fallback throws", () => {
+  const context = { name: "Maya", hook: "", product: { url: "https://example.com" } };
+  assert.equal(renderTemplate("Hey {{ name }}! {{product.url}}", context), "Hey Maya! https://example.com");
+  assert.equal(renderTemplate('Hey {{handle | "there"}}, {{hook | \'nice reel\'}}', context), "Hey there, nice reel");
+  assert.throws(
+    () => renderTemplate("Hey {{hook}}!", context),
+    (err) => err instanceof TemplateError && /\{\{hook\}\} is empty and has no fallback/.test(err.message)
+  );
+});
+
+test("#if, #unless, else and comparisons pick the right branch", () => {
+  const opener = '{{#if name}}Hey {{name}}!{{else}}Hey!{{/if}}{{#if gender == "female"}} queen{{/if}}{{#unless reelUrl}} (no reel){{/unless}}';
+  assert.equal(renderTemplate(opener, { name: "Maya", gender: "female", reelUrl: "x" }), "Hey Maya! queen");
+  assert.equal(renderTemplate(opener, { name: "", gender: "male" }), "Hey! (no reel)");
+  assert.equal(renderTemplate('{{#if gender != "male"}}hi{{/if}}', {}), "hi");
+  assert.equal(renderTemplate("{{#if flag}}on{{else}}off{{/if}}", { flag: false }), "off");
+
+  assert.throws(() => renderTemplate("{{#if name}}Hey", {}), /Unclosed \{\{#if\}\}/);
+  assert.throws(() => renderTemplate("{{#if name}}a{{/unless}}", {}), /Unexpected \{\{\/unless\}\}/);
+  assert.throws(() => renderTemplate("{{else}}", {}), /Unexpected \{\{else\}\}/);
+  assert.throws(() => renderTemplate("{{na me}}", {}), /Invalid variable "na me"/);
+});
+
+test("variants are named, picked per creator deterministically, and fall back to the first", () => {
+  assert.deepEqual(slotVariants("hi").map((v) => v.name), ["default"]);
+  assert.deepEqual(slotVariants(["a", "b"]).map((v) => v.name), ["v1", "v2"]);
+  const slot = { casual: "hey {{name}}", direct: "Hi {{name}}." };
+  assert.deepEqual(slotVariants(slot).map((v) => v.name), ["casual", "direct"]);
+
+  const picks = new Set(["a", "b", "c", "d", "e", "f", "g", "h"].map((h) => pickVariant(slot, `${h}:opener`)));
+  assert.deepEqual([...picks].sort(), ["casual", "direct"]);
+  assert.equal(pickVariant(slot, "maya:opener"), pickVariant(slot, "maya:opener"));
+
+  assert.equal(renderSlot(slot, { name: "Maya" }, "direct"), "Hi Maya.");
+  assert.equal(renderSlot(slot, { name: "Maya" }, "retired"), "hey Maya");
+});
+
+test("validation catches unknown variables, unset config values and broken templates", () => {
+  const errors = validateTemplates(
+    {
+      opener: "Hey {{nmae}}!",
+      pitch: { a: "{{#if name}}hi", b: "" },
+      link: "{{product.url}} {{product.code}} {{product.code | \"\"}}",
+      ask: [],
+      "followUps[0]": "{{#if product.discount}}{{product.discount}} off{{/if}} {{name}}",
+    },
+    { variables: ["name"], context: { product: { url: "https://example.com" } } }
+  );
+  assert.deepEqual(errors, [
+    "opener: unknown variable {{nmae}} (available: name, product)",
+    "pitch.a: Unclosed {{#if}} in template: {{#if name}}hi",
+    "pitch.b: template is missing",
+    "link: {{product.code}} is not set in config",
+    "ask: variant list is empty",
+    "followUps[0]: {{product.discount}} is not set in config",
+  ]);
+});
+
+test("a send with a broken template exits before the browser opens", () => {
+  const config = JSON.parse(fs.readFileSync(new URL("../config.example.json", import.meta.url), "utf-8"));
+  config.product.opener = "Hey {{nmae}}! {{hook}}";
+  fs.writeFileSync(path.join(TMP, "config.json"), JSON.stringify(config));
+
+  const result = spawnSync(process.execPath, ["reachpilot.mjs", "send"], {
+    cwd: new URL("..", import.meta.url),
+    env: {
+      ...process.env,
+      REACHPILOT_CONFIG: path.join(TMP, "config.json"),
+      REACHPILOT_DB: path.join(TMP, "outreach.db"),
+      REACHPILOT_LOGS: path.join(TMP, "logs"),
+    },
+    encoding: "utf-8",
+    timeout: 30_000,
+  });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Message template errors in config\.json:\n {2}- opener: unknown variable \{\{nmae\}\}/);
+  assert.equal(fs.existsSync(path.join(TMP, "logs")), false, "no run was started");
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseThreadTimestamp, parseThread, findReplies } from "../lib/thread.mjs";
+
+// Saturday 14 Feb 2026, noon local time
+const now = new Date(2026, 1, 14, 12, 0);
+const local = (...args) => new Date(...args).toISOString();
+const who = { ownHandle: "reachpilot_bot", creatorHandle: "maya" };
+
+test("date dividers parse in Instagram's formats", () => {
+  assert.equal(parseThreadTimestamp("Today 3:45 PM", now), local(2026, 1, 14, 15, 45));
+  assert.equal(parseThreadTimestamp("Yesterday 10:02", now), local(2026, 1, 13, 10, 2));
+  assert.equal(parseThreadTimestamp("Mon 9:15 AM", now), local(2026, 1, 9, 9, 15));
+  assert.equal(parseThreadTimestamp("Sat 12:30 AM", now), local(2026, 1, 7, 0, 30), "the same weekday is last week");
+  assert.equal(parseThreadTimestamp("Oct 12, 3:45 PM", now), local(2025, 9, 12, 15, 45), "a future date without a year is last year");
+  assert.equal(parseThreadTimestamp("Jan 3, 2026, 8:00 AM", now), local(2026, 0, 3, 8, 0));
+  assert.equal(parseThreadTimestamp("2/1/26, 9:00 PM", now), local(2026, 1, 1, 21, 0));
+  assert.equal(parseThreadTimestamp("Seen", now), null);
+  assert.equal(parseThreadTimestamp("Maybe tomorrow? Sounds fun", now), null);
+});
+
+test("rows take their author from the profile link or bubble side, and their time from the divider above", () => {
+  const messages = parseThread([
+    { separator: true, text: "Feb 10, 9:00 AM" },
+    { text: "hey! loved your reel", outgoing: true },
+    { text: "  ", outgoing: false },
+    { text: "thanks!!", outgoing: true, authorHandle: "Maya" },
+    { separator: true, text: "not a date" },
+    { text: "sent from the app", outgoing: false, authorHandle: "REACHPILOT_BOT" },
+    { text: "with its own time", datetime: "2026-02-12T08:00:00.000Z" },
+  ], { ...who, now });
+
+  assert.deepEqual(messages, [
+    { author: "reachpilot_bot", text: "hey! loved your reel", timestamp: local(2026, 1, 10, 9, 0) },
+    { author: "maya", text: "thanks!!", timestamp: local(2026, 1, 10, 9, 0) },
+    { author: "reachpilot_bot", text: "sent from the app", timestamp: local(2026, 1, 10, 9, 0) },
+    { author: "maya", text: "with its own time", timestamp: "2026-02-12T08:00:00.000Z" },
+  ]);
+});
+
+test("only creator messages after our DM count as replies", () => {
+  const sentAt = local(2026, 1, 13, 10, 2, 30);
+  const rows = [
+    // An old conversation from before this DM
+    { separator: true, text: "Oct 12, 3:45 PM" },
+    { text: "hi, are you the resume guy?", outgoing: false },
+    { text: "yep!", outgoing: true },
+    // Our DM; the divider reads a few seconds before sentAt
+    { separator: true, text: "Yesterday 10:02" },
+    { text: "hey Maya, loved your reel", outgoing: true },
+    { separator: true, text: "Today 9:00 AM" },
+    { text: "just following up!", outgoing: true },
+    { text: "oh nice, tell me more", outgoing: false },
+    { text: "no divider for me", outgoing: false, datetime: null },
+  ];
+  const messages = parseThread(rows, { ...who, now });
+  assert.deepEqual(findReplies(messages, { ownHandle: who.ownHandle, sentAt }).map((m) => m.text), ["oh nice, tell me more", "no divider for me"]);
+
+  // Our own messages after sentAt never count, and nothing does until our DM shows up
+  const onlyOurs = parseThread(rows.slice(3, 7), { ...who, now });
+  assert.deepEqual(findReplies(onlyOurs, { ownHandle: who.ownHandle, sentAt }), []);
+  const oldOnly = parseThread(rows.slice(0, 3), { ...who, now });
+  assert.deepEqual(findReplies(oldOnly, { ownHandle: who.ownHandle, sentAt }), []);
+});
+
+test("without any timestamps, thread order alone decides", () => {
+  const messages = parseThread([
+    { text: "hey Maya, loved your reel", outgoing: true },
+    { text: "omg thank you", outgoing: false },
+    { text: "glad you liked it", outgoing: true },
+    { text: "sending it to my followers", outgoing: false },
+  ], { ...who, now });
+  assert.ok(messages.every((m) => m.timestamp === null));
+  assert.deepEqual(
+    findReplies(messages, { ownHandle: who.ownHandle, sentAt: local(2026, 1, 13, 10, 0) }).map((m) => m.text),
+    ["omg thank you", "sending it to my followers"]
+  );
+  assert.equal(findReplies(messages, { ownHandle: who.ownHandle, sentAt: null }).length, 2);
+});
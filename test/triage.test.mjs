@@ -0,0 +1,57 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { classifyByKeywords, classifyReply } from "../lib/triage.mjs";
+
+const labelOf = (text, options) => classifyByKeywords(text, options).label;
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test("keywords: opt-out beats auto-reply, decline and question", () => {
+  assert.equal(labelOf("Not interested. Do you do this to everyone?"), "opt-out");
+  assert.equal(labelOf("STOP"), "opt-out");
+  assert.equal(labelOf("Meh, cya", { optOutPhrases: ["cya"] }), "opt-out");
+  assert.equal(labelOf("Thanks for your message! I'll get back to you soon"), "auto-reply");
+  assert.equal(labelOf("For collab inquiries please email hello@maya.co"), "auto-reply");
+  assert.equal(labelOf("I'll pass for now, thank you"), "declined");
+  assert.equal(labelOf("Not right now, too busy"), "declined");
+  assert.equal(labelOf("No thanks, good luck!"), "declined");
+  assert.equal(labelOf("no thank you"), "declined");
+});
+
+test("keywords: questions need a question mark or a price question", () => {
+  assert.equal(labelOf("Is it free?"), "question");
+  assert.equal(labelOf("how much does it cost"), "question");
+  assert.equal(labelOf("whats the price"), "question");
+
+  assert.equal(labelOf("Do it, sounds great"), "interested");
+  assert.equal(labelOf("Can't wait to try it"), "interested");
+  assert.equal(labelOf("Will check it out tonight!"), "interested");
+  assert.equal(labelOf("Is this the coolest thing ever. yes"), "interested");
+  assert.deepEqual(classifyByKeywords(""), { label: "interested", reason: "no negative signals", method: "keywords" });
+});
+
+test("classifyReply uses OpenAI when there's a key and falls back to keywords on errors", async () => {
+  assert.equal((await classifyReply("Do it")).method, "keywords", "no key, no request");
+
+  let prompt = null;
+  globalThis.fetch = async (url, init) => {
+    prompt = JSON.parse(init.body).messages[0].content;
+    return { json: async () => ({ choices: [{ message: { content: "LABEL: question | REASON: asks about pricing" } }] }) };
+  };
+  assert.deepEqual(await classifyReply("pricing for teams", { apiKey: "k" }), { label: "question", reason: "asks about pricing", method: "openai" });
+  assert.match(prompt, /Reply: """pricing for teams"""/);
+
+  const errors = [];
+  globalThis.fetch = async () => ({ json: async () => ({ choices: [{ message: { content: "LABEL: excited" } }] }) });
+  const fallback = await classifyReply("Is it free?", { apiKey: "k", onError: (err) => errors.push(err.message) });
+  assert.deepEqual([fallback.label, fallback.method], ["question", "keywords"]);
+  assert.match(errors[0], /unexpected answer: LABEL: excited/);
+
+  globalThis.fetch = async () => {
+    throw new Error("network down");
+  };
+  assert.equal((await classifyReply("STOP", { apiKey: "k", onError: () => {} })).label, "opt-out");
+});